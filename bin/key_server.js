@@ -7,7 +7,6 @@
 require('../lib/newrelic')()
 
 var config = require('../config').getProperties()
-var jwtool = require('fxa-jwtool')
 
 var log = require('../lib/log')(config.log.level)
 var getGeoData = require('../lib/geodb')(log)
@@ -38,27 +37,7 @@ function main() {
   var Password = require('../lib/crypto/password')(log, config)
   var UnblockCode = require('../lib/crypto/base32')(config.signinUnblock.codeLength)
 
-  var signer = require('../lib/signer')(config.secretKeyFile, config.domain)
-  var serverPublicKeys = {
-    primary: jwtool.JWK.fromFile(
-      config.publicKeyFile,
-      {
-        algorithm: 'RS',
-        use: 'sig',
-        kty: 'RSA'
-      }
-    ),
-    secondary: config.oldPublicKeyFile ?
-      jwtool.JWK.fromFile(
-        config.oldPublicKeyFile,
-        {
-          algorithm: 'RS',
-          use: 'sig',
-          kty: 'RSA'
-        }
-      )
-      : null
-  }
+  var signer = require('../lib/signer')(log, config)
 
   var Customs = require('../lib/customs')(log, error)
 
@@ -68,6 +47,7 @@ function main() {
   var statsInterval = null
   var database = null
   var customs = null
+  var push = null
 
   function logStatInfo() {
     log.stat(server.stat())
@@ -96,16 +76,17 @@ function main() {
             function (db) {
               database = db
               customs = new Customs(config.customsUrl)
+              push = require('../lib/push')(log, db, config)
               var routes = require('../lib/routes')(
                 log,
                 error,
-                serverPublicKeys,
                 signer,
                 db,
                 mailer,
                 Password,
                 config,
-                customs
+                customs,
+                push
               )
               server = Server.create(log, error, config, routes, db)
 
@@ -121,6 +102,10 @@ function main() {
                 }
               )
               statsInterval = setInterval(logStatInfo, 15000)
+
+              if (config.pushOutbox.enabled || config.pushSweep.enabled) {
+                push.start()
+              }
             },
             function (err) {
               log.error({ op: 'DB.connect', err: { message: err.message } })
@@ -144,6 +129,10 @@ function main() {
   function shutdown() {
     log.info({ op: 'shutdown' })
     clearInterval(statsInterval)
+    // push is only created once the db has connected
+    if (push) {
+      push.stop()
+    }
     server.stop(
       function () {
         customs.close()
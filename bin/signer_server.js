@@ -0,0 +1,32 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// The signing daemon for config.signer.backend = 'remote'. It loads the
+// private keys, from the same config as the local signer would, and signs
+// certificates and ID tokens for the web tier, so that the keys can live in
+// a separate, hardened process. It doesn't authenticate its callers, so it
+// must only listen on an interface that the web tier alone can reach.
+
+var config = require('../config').getProperties()
+var log = require('../lib/log')(config.log.level, 'fxa-signer')
+
+var signingKeys = require('../lib/signing-keys')(config)
+var signer = require('../lib/signer/local')(signingKeys, config.publicUrl)
+var server = require('../lib/signer/server')(log, signer)
+
+server.listen(config.signer.listen.port, config.signer.listen.host, function () {
+  log.info({
+    op: 'signer.start',
+    msg: 'running on ' + config.signer.listen.host + ':' + config.signer.listen.port
+  })
+})
+
+function shutdown() {
+  server.close(function () {
+    process.exit()
+  })
+}
+
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
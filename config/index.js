@@ -61,6 +61,33 @@ var conf = convict({
       env: 'MEMCACHE_METRICS_CONTEXT_LIFETIME'
     }
   },
+  hawk: {
+    replayProtection: {
+      doc: 'Reject replayed Hawk requests, by enforcing timestampSkew and keeping a nonce cache',
+      format: Boolean,
+      default: false,
+      env: 'HAWK_REPLAY_PROTECTION'
+    },
+    timestampSkew: {
+      doc: 'Permitted clock skew for Hawk request timestamps, in either direction, when replayProtection is enabled',
+      format: 'duration',
+      default: '1 minute',
+      env: 'HAWK_TIMESTAMP_SKEW'
+    },
+    nonceCache: {
+      address: {
+        doc: 'Address:port of the memcached server for the Hawk nonce cache (or `memory` to keep nonces in-process, for development only)',
+        default: '127.0.0.1:11211',
+        env: 'MEMCACHE_HAWK_NONCE_ADDRESS'
+      },
+      idle: {
+        doc: 'Idle timeout for nonce cache memcached connections (milliseconds)',
+        format: Number,
+        default: 30000,
+        env: 'MEMCACHE_HAWK_NONCE_IDLE'
+      }
+    }
+  },
   publicUrl: {
     format: 'url',
     default: 'http://127.0.0.1:9000',
@@ -87,17 +114,185 @@ var conf = convict({
     default: undefined,
     env: 'OLD_PUBLIC_KEY_FILE'
   },
+  signingKeys: {
+    keysFile: {
+      doc: 'Managed keyset to sign with instead of secretKeyFile, publicKeyFile and oldPublicKeyFile, see scripts/gen_keys.js --stage',
+      format: String,
+      default: undefined,
+      env: 'SIGNING_KEYS_FILE'
+    },
+    stagingPeriod: {
+      doc: 'How long a key staged by scripts/gen_keys.js is published before it starts signing',
+      format: 'duration',
+      default: '1 day',
+      env: 'SIGNING_KEYS_STAGING_PERIOD'
+    },
+    retirementPeriod: {
+      doc: 'How long a replaced key stays published after its successor activates, so that what it signed can be verified',
+      format: 'duration',
+      default: '1 day',
+      env: 'SIGNING_KEYS_RETIREMENT_PERIOD'
+    }
+  },
+  signer: {
+    backend: {
+      doc: 'Sign with keys loaded into the web process (local), or with the signing daemon in bin/signer_server.js (remote)',
+      format: [ 'local', 'remote' ],
+      default: 'local',
+      env: 'SIGNER_BACKEND'
+    },
+    remote: {
+      url: {
+        doc: 'URL of the signing daemon',
+        format: 'url',
+        default: 'http://127.0.0.1:9010',
+        env: 'SIGNER_URL'
+      },
+      timeout: {
+        doc: 'Timeout for requests to the signing daemon',
+        format: 'duration',
+        default: '1 second',
+        env: 'SIGNER_TIMEOUT'
+      },
+      keysCacheTime: {
+        doc: 'How long to cache the public keys from the signing daemon',
+        format: 'duration',
+        default: '1 minute',
+        env: 'SIGNER_KEYS_CACHE_TIME'
+      }
+    },
+    listen: {
+      host: {
+        doc: 'The ip address the signing daemon should bind. Keep it on a private interface, it signs anything it is sent',
+        format: 'ipaddress',
+        default: '127.0.0.1',
+        env: 'SIGNER_HOST'
+      },
+      port: {
+        doc: 'The port the signing daemon should bind',
+        format: 'port',
+        default: 9010,
+        env: 'SIGNER_PORT'
+      }
+    }
+  },
   trustedJKUs: {
     format: Array,
     default: [],
     env: 'TRUSTED_JKUS'
   },
   vapidKeysFile: {
-    doc: 'Keys to use for VAPID in push notifications',
+    doc: 'Keys to use for VAPID in push notifications, see scripts/gen_vapid_keys.js for rotating them',
     format: String,
     default: path.resolve(__dirname, '../config/vapid-keys.json'),
     env: 'VAPID_KEYS_FILE'
   },
+  pushOutbox: {
+    enabled: {
+      doc: 'Retry push notifications that fail transiently, from a persistent outbox',
+      format: Boolean,
+      default: false,
+      env: 'PUSH_OUTBOX_ENABLED'
+    },
+    backend: {
+      doc: 'Where to keep the outbox: `db` or `memory` (for development only, messages are lost on restart)',
+      format: ['db', 'memory'],
+      default: 'db',
+      env: 'PUSH_OUTBOX_BACKEND'
+    },
+    pollInterval: {
+      doc: 'How often to look for messages that are due for another attempt',
+      format: 'duration',
+      default: '10 seconds',
+      env: 'PUSH_OUTBOX_POLL_INTERVAL'
+    },
+    batchSize: {
+      doc: 'Maximum number of messages to retry each time the outbox is polled',
+      format: 'nat',
+      default: 100,
+      env: 'PUSH_OUTBOX_BATCH_SIZE'
+    },
+    minBackoff: {
+      doc: 'Delay before the first retry, doubled for each one after that',
+      format: 'duration',
+      default: '5 seconds',
+      env: 'PUSH_OUTBOX_MIN_BACKOFF'
+    },
+    maxBackoff: {
+      doc: 'Maximum delay between retries',
+      format: 'duration',
+      default: '10 minutes',
+      env: 'PUSH_OUTBOX_MAX_BACKOFF'
+    }
+  },
+  pushSweep: {
+    enabled: {
+      doc: 'Count push delivery failures for each device, and periodically clear the push settings of devices that keep failing',
+      format: Boolean,
+      default: false,
+      env: 'PUSH_SWEEP_ENABLED'
+    },
+    interval: {
+      doc: 'How often to look for devices that have passed the failure threshold',
+      format: 'duration',
+      default: '1 hour',
+      env: 'PUSH_SWEEP_INTERVAL'
+    },
+    failureThreshold: {
+      doc: 'Number of consecutive 404 or 410 responses from the push service after which a device is considered unreachable',
+      format: 'nat',
+      default: 3,
+      env: 'PUSH_SWEEP_FAILURE_THRESHOLD'
+    },
+    batchSize: {
+      doc: 'Maximum number of devices to clear each time the sweep runs',
+      format: 'nat',
+      default: 500,
+      env: 'PUSH_SWEEP_BATCH_SIZE'
+    }
+  },
+  deviceCommands: {
+    enabled: {
+      doc: 'Keep messages from /account/devices/notify in a queue for each device, to be fetched from /account/device/commands',
+      format: Boolean,
+      default: false,
+      env: 'DEVICE_COMMANDS_ENABLED'
+    },
+    ttl: {
+      doc: 'How long to keep queued messages that were sent without a TTL',
+      format: 'duration',
+      default: '28 days',
+      env: 'DEVICE_COMMANDS_TTL'
+    }
+  },
+  scopedKeys: {
+    enabled: {
+      doc: 'Return key data for scoped encryption keys from /account/scoped-key-data',
+      format: Boolean,
+      default: false,
+      env: 'SCOPED_KEYS_ENABLED'
+    },
+    scopes: {
+      doc: 'Registered key scopes, mapping each scope to `clients` (the OAuth client ids allowed to request it), and optionally a `keyRotationSecret` (64 hex digits) and a `keyRotationTimestamp` (milliseconds since the epoch), which rotates the key for every account when it is changed',
+      format: Object,
+      default: {},
+      env: 'SCOPED_KEYS_SCOPES'
+    }
+  },
+  idToken: {
+    enabled: {
+      doc: 'Issue OpenID Connect ID tokens from /session/id_token',
+      format: Boolean,
+      default: false,
+      env: 'ID_TOKEN_ENABLED'
+    },
+    lifetime: {
+      doc: 'How long ID tokens are valid for',
+      format: 'duration',
+      default: '5 minutes',
+      env: 'ID_TOKEN_LIFETIME'
+    }
+  },
   db: {
     backend: {
       default: 'httpdb',
@@ -284,6 +479,18 @@ var conf = convict({
       format: 'duration',
       env: 'PASSWORD_CHANGE_TOKEN_TTL',
       default: '15 minutes'
+    },
+    sessionToken: {
+      doc: 'Absolute lifetime of session tokens, or 0 for no limit',
+      format: 'duration',
+      env: 'SESSION_TOKEN_TTL',
+      default: 0
+    },
+    sessionTokenIdle: {
+      doc: 'Lifetime of session tokens since their lastAccessTime, or 0 for no limit',
+      format: 'duration',
+      env: 'SESSION_TOKEN_IDLE_TTL',
+      default: 0
     }
   },
   verifierVersion: {
@@ -368,6 +575,34 @@ var conf = convict({
     env: 'DEVICE_NOTIFICATIONS_ENABLED',
     default: true
   },
+  sessionLimit: {
+    max: {
+      doc: 'Maximum number of sessions on an account, beyond which unverified and then idle sessions are destroyed at login (or 0 for no limit). Sessions in use are kept, even if that exceeds the limit',
+      format: 'nat',
+      default: 0,
+      env: 'SESSION_LIMIT_MAX'
+    },
+    idleAge: {
+      doc: 'How long a verified session must go unused before it can be destroyed to stay under the limit, for users whose lastAccessTime is updated',
+      format: 'duration',
+      default: '28 days',
+      env: 'SESSION_LIMIT_IDLE_AGE'
+    }
+  },
+  deviceLimit: {
+    max: {
+      doc: 'Maximum number of devices registered to an account (or 0 for no limit), enforced when /account/device registers a new device',
+      format: 'nat',
+      default: 0,
+      env: 'DEVICE_LIMIT_MAX'
+    },
+    policy: {
+      doc: 'What to do when a new device would exceed the limit: `reject` the registration or `evict` the least-recently-used device',
+      format: ['reject', 'evict'],
+      default: 'reject',
+      env: 'DEVICE_LIMIT_POLICY'
+    }
+  },
   oauth: {
     url: {
       format: 'url',
@@ -470,6 +705,38 @@ var conf = convict({
       format: RegExp,
       default: /.+@mozilla\.com$/,
       env: 'SIGNIN_CONFIRMATION_FORCE_EMAIL_REGEX'
+    },
+    codeLength: {
+      doc: 'Number of digits in the sign-in confirmation code sent along with the confirmation link',
+      format: 'nat',
+      default: 6,
+      env: 'SIGNIN_CONFIRMATION_CODE_LENGTH'
+    },
+    codeLifetime: {
+      doc: 'How long a sign-in confirmation code should be valid for',
+      format: 'duration',
+      default: '15 minutes',
+      env: 'SIGNIN_CONFIRMATION_CODE_LIFETIME'
+    },
+    codeMaxAttempts: {
+      doc: 'Number of incorrect attempts after which a sign-in confirmation code is discarded',
+      format: 'nat',
+      default: 5,
+      env: 'SIGNIN_CONFIRMATION_CODE_MAX_ATTEMPTS'
+    },
+    deviceApproval: {
+      enabled: {
+        doc: 'Ask the user\'s other verified devices to approve a sign-in, instead of sending a confirmation email',
+        format: Boolean,
+        default: false,
+        env: 'SIGNIN_CONFIRMATION_DEVICE_APPROVAL_ENABLED'
+      },
+      lifetime: {
+        doc: 'How long the user\'s other devices have to approve a sign-in',
+        format: 'duration',
+        default: '10 minutes',
+        env: 'SIGNIN_CONFIRMATION_DEVICE_APPROVAL_LIFETIME'
+      }
     }
   },
   securityHistory: {
@@ -557,6 +824,78 @@ var conf = convict({
       env: 'SIGNIN_UNBLOCK_SUPPORTED_CLIENTS'
     }
   },
+  totp: {
+    enabled: {
+      doc: 'Enable TOTP two-step authentication',
+      format: Boolean,
+      default: false,
+      env: 'TOTP_ENABLED'
+    },
+    serviceName: {
+      doc: 'Issuer name displayed by authenticator apps',
+      format: String,
+      default: 'Firefox',
+      env: 'TOTP_SERVICE_NAME'
+    },
+    step: {
+      doc: 'Time step for TOTP codes (seconds)',
+      format: 'nat',
+      default: 30,
+      env: 'TOTP_STEP'
+    },
+    window: {
+      doc: 'Number of time steps either side of the current one in which a TOTP code is accepted',
+      format: 'nat',
+      default: 1,
+      env: 'TOTP_WINDOW'
+    }
+  },
+  recoveryCodes: {
+    count: {
+      doc: 'Number of recovery codes to generate for an account',
+      format: 'nat',
+      default: 8,
+      env: 'RECOVERY_CODES_COUNT'
+    },
+    length: {
+      doc: 'Number of alphanumeric characters in a recovery code',
+      format: 'nat',
+      default: 10,
+      env: 'RECOVERY_CODES_LENGTH'
+    }
+  },
+  webauthn: {
+    enabled: {
+      doc: 'Enable WebAuthn security keys as a second factor',
+      format: Boolean,
+      default: false,
+      env: 'WEBAUTHN_ENABLED'
+    },
+    rpId: {
+      doc: 'WebAuthn relying party id. Derived from contentServer.url if not set',
+      format: String,
+      default: '',
+      env: 'WEBAUTHN_RP_ID'
+    },
+    origin: {
+      doc: 'Origin that WebAuthn ceremonies are performed from. Derived from contentServer.url if not set',
+      format: String,
+      default: '',
+      env: 'WEBAUTHN_ORIGIN'
+    },
+    rpName: {
+      doc: 'WebAuthn relying party name, displayed by browsers and authenticators',
+      format: String,
+      default: 'Firefox Accounts',
+      env: 'WEBAUTHN_RP_NAME'
+    },
+    challengeLifetime: {
+      doc: 'How long a WebAuthn challenge is valid for',
+      format: 'duration',
+      default: '5 minutes',
+      env: 'WEBAUTHN_CHALLENGE_LIFETIME'
+    }
+  },
   hpkpConfig: {
     enabled: {
       default: false,
@@ -616,6 +955,15 @@ conf.set('smtp.initiatePasswordChangeUrl', conf.get('contentServer.url') + '/set
 conf.set('smtp.verifyLoginUrl', conf.get('contentServer.url') + '/complete_signin')
 conf.set('smtp.reportSignInUrl', conf.get('contentServer.url') + '/report_signin')
 
+// WebAuthn ceremonies happen on the content server, so that is the relying party
+var contentServerUrl = url.parse(conf.get('contentServer.url'))
+if (! conf.get('webauthn.rpId')) {
+  conf.set('webauthn.rpId', contentServerUrl.hostname)
+}
+if (! conf.get('webauthn.origin')) {
+  conf.set('webauthn.origin', contentServerUrl.protocol + '//' + contentServerUrl.host)
+}
+
 conf.set('isProduction', conf.get('env') === 'prod')
 
 module.exports = conf
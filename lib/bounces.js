@@ -49,6 +49,32 @@ module.exports = function (log, error) {
       }
     }
 
+    // The bouncing address isn't a primary one,
+    // so it may belong to an account as a secondary email.
+    function handleSecondaryEmail(email, err) {
+      if (err.errno !== error.ERRNO.ACCOUNT_UNKNOWN) {
+        return gotError(email, err)
+      }
+      return db.getSecondaryEmail(email)
+        .then(
+          function (record) {
+            if (! record.isVerified) {
+              return db.deleteEmail(record.uid, record.email)
+                .then(
+                  secondaryEmailDeleted.bind(null, record.uid, record.email),
+                  gotError.bind(null, record.email)
+                )
+            }
+            log.increment('account.email_bounced.secondary')
+          },
+          gotError.bind(null, email)
+        )
+    }
+
+    function secondaryEmailDeleted(uid, email) {
+      log.info({ op: 'secondaryEmailDeleted', uid: uid.toString('hex'), email: email })
+    }
+
     function getHeaderValue(headerName, message){
       var value = ''
       if (message.mail && message.mail.headers) {
@@ -114,7 +140,7 @@ module.exports = function (log, error) {
         return findEmailRecord(email)
           .then(
             deleteAccountIfUnverified,
-            gotError.bind(null, email)
+            handleSecondaryEmail.bind(null, email)
           )
       }).then(
         function () {
@@ -0,0 +1,154 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+// A minimal CBOR (RFC 7049) decoder, covering the subset of the format
+// that WebAuthn authenticators use for attestation objects and COSE keys.
+// Indefinite-length items are rejected, since the WebAuthn spec requires
+// CTAP2 canonical encoding.
+
+const MAJOR_UNSIGNED = 0
+const MAJOR_NEGATIVE = 1
+const MAJOR_BYTES = 2
+const MAJOR_TEXT = 3
+const MAJOR_ARRAY = 4
+const MAJOR_MAP = 5
+const MAJOR_TAG = 6
+const MAJOR_SIMPLE = 7
+
+/**
+ * Decode the first CBOR item in a buffer, returning the item and the
+ * number of bytes it occupied. Useful when the item is followed by
+ * other data, as it is in WebAuthn authenticator data.
+ *
+ * @param {Buffer} buffer
+ */
+function decodeFirst (buffer) {
+  const state = { buffer: buffer, offset: 0 }
+  const value = readItem(state)
+  return { value: value, length: state.offset }
+}
+
+/**
+ * Decode a buffer containing exactly one CBOR item.
+ *
+ * @param {Buffer} buffer
+ */
+function decode (buffer) {
+  const result = decodeFirst(buffer)
+  if (result.length !== buffer.length) {
+    throw new Error('Unexpected trailing data after CBOR item')
+  }
+  return result.value
+}
+
+function readItem (state) {
+  const initial = readBytes(state, 1)[0]
+  const major = initial >> 5
+  const info = initial & 0x1f
+
+  if (major === MAJOR_SIMPLE) {
+    return readSimple(state, info)
+  }
+
+  const length = readLength(state, info)
+
+  switch (major) {
+  case MAJOR_UNSIGNED:
+    return length
+  case MAJOR_NEGATIVE:
+    return -1 - length
+  case MAJOR_BYTES:
+    return readBytes(state, length)
+  case MAJOR_TEXT:
+    return readBytes(state, length).toString('utf8')
+  case MAJOR_ARRAY:
+    return readArray(state, length)
+  case MAJOR_MAP:
+    return readMap(state, length)
+  case MAJOR_TAG:
+    // Tags carry semantic hints that we have no use for.
+    return readItem(state)
+  }
+}
+
+function readArray (state, length) {
+  const array = []
+  for (let i = 0; i < length; i++) {
+    array.push(readItem(state))
+  }
+  return array
+}
+
+function readMap (state, length) {
+  // COSE keys use integer labels, so this has to be a Map
+  // rather than a plain object to avoid confusing 1 and '1'.
+  const map = new Map()
+  for (let i = 0; i < length; i++) {
+    const key = readItem(state)
+    map.set(key, readItem(state))
+  }
+  return map
+}
+
+function readLength (state, info) {
+  if (info < 24) {
+    return info
+  }
+
+  switch (info) {
+  case 24:
+    return readBytes(state, 1).readUInt8(0)
+  case 25:
+    return readBytes(state, 2).readUInt16BE(0)
+  case 26:
+    return readBytes(state, 4).readUInt32BE(0)
+  case 27:
+    return readUInt64(readBytes(state, 8))
+  }
+
+  throw new Error('Unsupported CBOR length encoding: ' + info)
+}
+
+function readUInt64 (bytes) {
+  const high = bytes.readUInt32BE(0)
+  if (high >= 0x200000) {
+    throw new Error('CBOR integer too large')
+  }
+  return high * 0x100000000 + bytes.readUInt32BE(4)
+}
+
+function readSimple (state, info) {
+  switch (info) {
+  case 20:
+    return false
+  case 21:
+    return true
+  case 22:
+    return null
+  case 23:
+    return undefined
+  case 26:
+    return readBytes(state, 4).readFloatBE(0)
+  case 27:
+    return readBytes(state, 8).readDoubleBE(0)
+  }
+
+  throw new Error('Unsupported CBOR simple value: ' + info)
+}
+
+function readBytes (state, length) {
+  if (state.offset + length > state.buffer.length) {
+    throw new Error('Unexpected end of CBOR data')
+  }
+  const bytes = state.buffer.slice(state.offset, state.offset + length)
+  state.offset += length
+  return bytes
+}
+
+module.exports = {
+  decode: decode,
+  decodeFirst: decodeFirst
+}
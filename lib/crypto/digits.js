@@ -0,0 +1,37 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const random = require('./random')
+
+// Bytes at or above this value are discarded rather than
+// reduced mod 10, so that every digit is equally likely.
+const LIMIT = 250
+
+function digits(len) {
+  return random(len * 2)
+    .then(bytes => {
+      const out = []
+
+      for (let i = 0; i < bytes.length && out.length < len; i++) {
+        if (bytes[i] < LIMIT) {
+          out.push(bytes[i] % 10)
+        }
+      }
+
+      if (out.length < len) {
+        // Vanishingly unlikely, but there's no harm in trying again.
+        return digits(len)
+      }
+
+      return out.join('')
+    })
+}
+
+module.exports = (len) => {
+  return () => {
+    return digits(len)
+  }
+}
@@ -0,0 +1,274 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const BN = require('fxa-jwtool').BN
+const crypto = require('crypto')
+const P = require('../promise')
+
+const JWT_STRING = /^([a-zA-Z0-9\-_]+)\.([a-zA-Z0-9\-_]+)\.([a-zA-Z0-9\-_]+)$/
+
+// DER encodings of P-256 keys are fixed apart from the key material,
+// which saves pulling in an ASN.1 library to turn JWKs into PEMs.
+const P256_OID = '06082a8648ce3d030107'
+const SEC1_PREFIX = Buffer.from('30770201010420', 'hex')
+const SEC1_INFIX = Buffer.from('a00a' + P256_OID + 'a144034200', 'hex')
+const SPKI_PREFIX = Buffer.from('3059301306072a8648ce3d0201' + P256_OID + '034200', 'hex')
+const UNCOMPRESSED_POINT = Buffer.from([ 4 ])
+
+const COORDINATE_LENGTH = 32
+
+// Only used to check that public keys are on the curve.
+const ecdh = crypto.createECDH('prime256v1')
+ecdh.generateKeys()
+
+// Ed25519 field arithmetic, from RFC 8032, for the same check there.
+const ED25519_P = new BN('7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffed', 16)
+const ED25519_FIELD = BN.red(ED25519_P)
+const ED25519_ZERO = new BN(0).toRed(ED25519_FIELD)
+const ED25519_ONE = new BN(1).toRed(ED25519_FIELD)
+const ED25519_D = new BN(121665).toRed(ED25519_FIELD).redNeg()
+  .redMul(new BN(121666).toRed(ED25519_FIELD).redInvm())
+const ED25519_SQRT_EXPONENT = ED25519_P.sub(new BN(5)).shrn(3)
+
+function base64url(buf) {
+  return buf.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '')
+}
+
+function decode(value) {
+  return Buffer.from(value, 'base64')
+}
+
+function point(jwk) {
+  return Buffer.concat([ UNCOMPRESSED_POINT, decode(jwk.x), decode(jwk.y) ])
+}
+
+function toPem(der, label) {
+  const lines = der.toString('base64').match(/.{1,64}/g)
+  return [ '-----BEGIN ' + label + '-----' ]
+    .concat(lines, '-----END ' + label + '-----')
+    .join('\n') + '\n'
+}
+
+function privatePem(jwk) {
+  const der = Buffer.concat([ SEC1_PREFIX, toFixedLength(decode(jwk.d)), SEC1_INFIX, point(jwk) ])
+  return toPem(der, 'EC PRIVATE KEY')
+}
+
+function publicPem(jwk) {
+  return toPem(Buffer.concat([ SPKI_PREFIX, point(jwk) ]), 'PUBLIC KEY')
+}
+
+/**
+ * Checks that x and y are the base64 coordinates of a point on P-256.
+ *
+ * @param {String} x
+ * @param {String} y
+ * @returns {Boolean}
+ */
+function isP256Point(x, y) {
+  if (decode(x).length !== COORDINATE_LENGTH || decode(y).length !== COORDINATE_LENGTH) {
+    return false
+  }
+  try {
+    ecdh.computeSecret(point({ x: x, y: y }))
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Checks that x is the base64 encoding of an Ed25519 public key,
+ * by decoding it to a point on the curve as RFC 8032 section 5.1.3 does.
+ *
+ * @param {String} x
+ * @returns {Boolean}
+ */
+function isEd25519Key(x) {
+  const bytes = decode(x)
+  if (bytes.length !== COORDINATE_LENGTH) {
+    return false
+  }
+
+  // The top bit is the sign of the x coordinate, the rest is y.
+  const sign = bytes[COORDINATE_LENGTH - 1] >> 7
+  const yBytes = Buffer.from(bytes)
+  yBytes[COORDINATE_LENGTH - 1] &= 0x7f
+  const y = new BN(yBytes, 16, 'le')
+  if (y.cmp(ED25519_P) >= 0) {
+    return false
+  }
+
+  // There must be an x with x^2 = u / v.
+  const y2 = y.toRed(ED25519_FIELD).redSqr()
+  const u = y2.redSub(ED25519_ONE)
+  const v = y2.redMul(ED25519_D).redAdd(ED25519_ONE)
+  const v3 = v.redSqr().redMul(v)
+  const candidate = u.redMul(v3).redMul(u.redMul(v3.redSqr().redMul(v)).redPow(ED25519_SQRT_EXPONENT))
+  const vx2 = v.redMul(candidate.redSqr())
+  if (vx2.cmp(u) !== 0 && vx2.cmp(u.redNeg()) !== 0) {
+    return false
+  }
+
+  // Zero has no negative.
+  return ! (u.cmp(ED25519_ZERO) === 0 && sign === 1)
+}
+
+// Node produces DER-encoded ECDSA signatures,
+// but JWS wants r and s as fixed-length integers.
+function derToJose(der) {
+  const rLength = der[3]
+  const r = der.slice(4, 4 + rLength)
+  const s = der.slice(6 + rLength)
+  return Buffer.concat([ toFixedLength(r), toFixedLength(s) ])
+}
+
+function joseToDer(signature) {
+  const r = toDerInteger(signature.slice(0, COORDINATE_LENGTH))
+  const s = toDerInteger(signature.slice(COORDINATE_LENGTH))
+  const body = Buffer.concat([ Buffer.from([ 2, r.length ]), r, Buffer.from([ 2, s.length ]), s ])
+  return Buffer.concat([ Buffer.from([ 0x30, body.length ]), body ])
+}
+
+function toFixedLength(integer) {
+  while (integer.length > COORDINATE_LENGTH && integer[0] === 0) {
+    integer = integer.slice(1)
+  }
+  return Buffer.concat([ Buffer.alloc(COORDINATE_LENGTH - integer.length), integer ])
+}
+
+function toDerInteger(integer) {
+  let i = 0
+  while (i < integer.length - 1 && integer[i] === 0) {
+    i++
+  }
+  integer = integer.slice(i)
+  if (integer[0] & 0x80) {
+    integer = Buffer.concat([ Buffer.from([ 0 ]), integer ])
+  }
+  return integer
+}
+
+/**
+ * Signs a JWT with ES256, like jwtool.sign does with RS256.
+ *
+ * @param {Object} jwt
+ * @param {Object} jwt.header
+ * @param {Object} jwt.payload
+ * @param {String} pem
+ * @returns {String}
+ */
+function sign(jwt, pem) {
+  const header = base64url(Buffer.from(JSON.stringify(jwt.header)))
+  const payload = base64url(Buffer.from(JSON.stringify(jwt.payload)))
+  const signed = header + '.' + payload
+  const signer = crypto.createSign('SHA256')
+  signer.update(signed)
+  return signed + '.' + base64url(derToJose(signer.sign(pem)))
+}
+
+/**
+ * Verifies an ES256 JWT, returning its payload or false.
+ *
+ * @param {String} str
+ * @param {String} pem
+ * @returns {Object|Boolean}
+ */
+function verify(str, pem) {
+  const match = JWT_STRING.exec(str)
+  if (! match) {
+    return false
+  }
+  const signature = decode(match[3])
+  if (signature.length !== 2 * COORDINATE_LENGTH) {
+    return false
+  }
+  const verifier = crypto.createVerify('SHA256')
+  verifier.update(match[1] + '.' + match[2])
+  if (! verifier.verify(pem, joseToDer(signature))) {
+    return false
+  }
+  try {
+    return JSON.parse(decode(match[2]))
+  } catch (err) {
+    return false
+  }
+}
+
+// P-256 keys with the same interface as fxa-jwtool's JWK classes.
+function PrivateKey(jwk) {
+  this.jwk = jwk
+  this.pem = privatePem(jwk)
+}
+
+PrivateKey.prototype.signSync = function (data) {
+  const payload = data || {}
+  payload.iss = this.jwk.iss
+  return sign(
+    {
+      header: {
+        alg: 'ES256',
+        kid: this.jwk.kid
+      },
+      payload: payload
+    },
+    this.pem
+  )
+}
+
+PrivateKey.prototype.sign = function (data) {
+  return P.resolve(this.signSync(data))
+}
+
+PrivateKey.prototype.toJSON = function () {
+  return this.jwk
+}
+
+function PublicKey(jwk) {
+  this.jwk = jwk
+  this.pem = publicPem(jwk)
+}
+
+PublicKey.prototype.verifySync = function (str) {
+  return verify(str, this.pem)
+}
+
+PublicKey.prototype.verify = function (str) {
+  return P.resolve(this.verifySync(str))
+}
+
+PublicKey.prototype.toJSON = function () {
+  return this.jwk
+}
+
+/**
+ * Loads a P-256 JWK, as a private key if it has `d`.
+ *
+ * @param {Object} obj
+ * @param {Object} [extras] (added to the JWK)
+ * @returns {PrivateKey|PublicKey}
+ */
+function fromObject(obj, extras) {
+  const jwk = Object.assign({}, obj, extras)
+  if (jwk.kty !== 'EC' || jwk.crv !== 'P-256' || ! isP256Point(jwk.x, jwk.y)) {
+    throw new Error('Not a P-256 key')
+  }
+  if (jwk.d) {
+    return new PrivateKey(jwk)
+  }
+  return new PublicKey(jwk)
+}
+
+module.exports = {
+  fromObject: fromObject,
+  isEd25519Key: isEd25519Key,
+  isP256Point: isP256Point,
+  sign: sign,
+  verify: verify
+}
@@ -0,0 +1,82 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const crypto = require('crypto')
+const BN = require('fxa-jwtool').BN
+
+function base64url(buf) {
+  return buf.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '')
+}
+
+// BrowserID keys may hold their RSA parameters as decimal
+// strings rather than base64, but JWKs always use base64url.
+function toBase64url(value) {
+  if (/^[0-9]+$/.test(value)) {
+    return base64url(Buffer(new BN(value, 10).toArray()))
+  }
+  return base64url(Buffer(value, 'base64'))
+}
+
+/**
+ * Returns the public parts of a signing key, in the form published
+ * at /.well-known/jwks.json, with its thumbprint as `kid`.
+ *
+ * @param {Object} jwk (an RSA key with `n` and `e` or a P-256 key with `x` and `y`)
+ * @returns {Object}
+ */
+function publicJWK(jwk) {
+  if (jwk.kty === 'EC') {
+    const ecKey = {
+      kty: 'EC',
+      crv: jwk.crv,
+      x: base64url(Buffer(jwk.x, 'base64')),
+      y: base64url(Buffer(jwk.y, 'base64'))
+    }
+    return {
+      kty: ecKey.kty,
+      alg: 'ES256',
+      use: 'sig',
+      kid: thumbprint(ecKey),
+      crv: ecKey.crv,
+      x: ecKey.x,
+      y: ecKey.y
+    }
+  }
+
+  const key = {
+    kty: 'RSA',
+    n: toBase64url(jwk.n),
+    e: toBase64url(jwk.e)
+  }
+  return {
+    kty: key.kty,
+    alg: 'RS256',
+    use: 'sig',
+    kid: thumbprint(key),
+    n: key.n,
+    e: key.e
+  }
+}
+
+// The RFC 7638 thumbprint, which stays the same
+// for a key however it's stored or serialised.
+function thumbprint(jwk) {
+  const hash = crypto.createHash('sha256')
+  if (jwk.kty === 'EC') {
+    hash.update(JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }))
+  } else {
+    hash.update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n }))
+  }
+  return base64url(hash.digest())
+}
+
+module.exports = {
+  publicJWK: publicJWK,
+  thumbprint: thumbprint
+}
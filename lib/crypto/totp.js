@@ -0,0 +1,171 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+// Time-based one-time passwords, as described in RFC 6238.
+//
+// Shared secrets are stored and displayed in RFC 4648 base32,
+// because that is what authenticator apps expect to find in
+// an otpauth:// URI.
+
+const crypto = require('crypto')
+const butil = require('./butil')
+const random = require('./random')
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const SECRET_LENGTH = 20 // bytes, the natural key size for HMAC-SHA1
+const DIGITS = 6
+const MODULUS = Math.pow(10, DIGITS)
+
+module.exports = options => {
+  options = options || {}
+  const step = options.step || 30
+  const window = typeof options.window === 'number' ? options.window : 1
+  const serviceName = options.serviceName || 'Firefox'
+
+  return {
+    /**
+     * Generate a new random shared secret, base32-encoded.
+     *
+     * @promise
+     */
+    generateSecret () {
+      return random(SECRET_LENGTH).then(encode)
+    },
+
+    /**
+     * Generate the code for a shared secret at a point in time.
+     *
+     * @param {String} secret base32-encoded shared secret
+     * @param {Number} [timestamp] milliseconds since the epoch
+     */
+    generateCode (secret, timestamp) {
+      return hotp(decode(secret), counterAt(timestamp || Date.now()))
+    },
+
+    /**
+     * Check a code against a shared secret, allowing for
+     * `window` time steps of clock drift in either direction.
+     *
+     * @param {String} secret base32-encoded shared secret
+     * @param {String} code
+     * @param {Number} [timestamp] milliseconds since the epoch
+     */
+    verify (secret, code, timestamp) {
+      return findTimeStep(secret, code, timestamp) !== -1
+    },
+
+    /**
+     * Like verify, but returns the time step that the code is for, or -1
+     * if it doesn't match. Callers store the last accepted time step to
+     * stop a code from being used again while it is within the window.
+     *
+     * @param {String} secret base32-encoded shared secret
+     * @param {String} code
+     * @param {Number} [timestamp] milliseconds since the epoch
+     */
+    timeStep (secret, code, timestamp) {
+      return findTimeStep(secret, code, timestamp)
+    },
+
+    /**
+     * Build the otpauth:// URI that authenticator apps
+     * use to enroll a shared secret, usually via a QR code.
+     *
+     * @param {String} email
+     * @param {String} secret base32-encoded shared secret
+     */
+    keyUri (email, secret) {
+      const issuer = encodeURIComponent(serviceName)
+      return 'otpauth://totp/' + issuer + ':' + encodeURIComponent(email) +
+        '?secret=' + secret +
+        '&issuer=' + issuer +
+        '&algorithm=SHA1&digits=' + DIGITS +
+        '&period=' + step
+    }
+  }
+
+  function findTimeStep (secret, code, timestamp) {
+    const key = decode(secret)
+    const counter = counterAt(timestamp || Date.now())
+    const candidate = Buffer.from(String(code))
+    let match = -1
+    for (let i = -window; i <= window; i++) {
+      // Don't bail out early, to avoid leaking which step matched.
+      if (butil.buffersAreEqual(Buffer.from(hotp(key, counter + i)), candidate)) {
+        match = counter + i
+      }
+    }
+    return match
+  }
+
+  function counterAt (timestamp) {
+    return Math.floor(timestamp / 1000 / step)
+  }
+}
+
+module.exports.encode = encode
+module.exports.decode = decode
+
+function hotp (key, counter) {
+  const message = Buffer.alloc(8)
+  message.writeUInt32BE(Math.floor(counter / 0x100000000), 0)
+  message.writeUInt32BE(counter % 0x100000000, 4)
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest()
+  const offset = digest[digest.length - 1] & 0xf
+  const binary = ((digest[offset] & 0x7f) << 24) |
+    (digest[offset + 1] << 16) |
+    (digest[offset + 2] << 8) |
+    digest[offset + 3]
+
+  const code = String(binary % MODULUS)
+  return '000000'.substr(0, DIGITS - code.length) + code
+}
+
+function encode (buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (let i = 0; i < buffer.length; i++) {
+    value = ((value << 8) | buffer[i]) & 0xfff
+    bits += 8
+    while (bits >= 5) {
+      output += ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+function decode (string) {
+  string = string.toUpperCase().replace(/=+$/, '')
+
+  const output = Buffer.alloc(Math.floor(string.length * 5 / 8))
+  let bits = 0
+  let value = 0
+  let index = 0
+
+  for (let i = 0; i < string.length; i++) {
+    const position = ALPHABET.indexOf(string[i])
+    if (position === -1) {
+      throw new Error('Invalid base32 character: ' + string[i])
+    }
+    value = ((value << 5) | position) & 0xfff
+    bits += 5
+    if (bits >= 8) {
+      output[index++] = (value >>> (bits - 8)) & 0xff
+      bits -= 8
+    }
+  }
+
+  return output
+}
@@ -0,0 +1,287 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+// Verification of WebAuthn registration and assertion responses,
+// following https://www.w3.org/TR/webauthn/#registering-a-new-credential
+// and https://www.w3.org/TR/webauthn/#verifying-assertion.
+//
+// We request "none" attestation, so attestation statements are not
+// checked; the credential is trusted because it was registered from a
+// verified session. Only ES256 and RS256 credential keys are supported.
+
+const crypto = require('crypto')
+const butil = require('./butil')
+const cbor = require('./cbor')
+const error = require('../error')
+const random = require('./random')
+
+const FLAG_USER_PRESENT = 0x01
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40
+
+const COSE_KTY = 1
+const COSE_ALG = 3
+const COSE_EC2_CRV = -1
+const COSE_EC2_X = -2
+const COSE_EC2_Y = -3
+const COSE_RSA_N = -1
+const COSE_RSA_E = -2
+
+const COSE_KTY_EC2 = 2
+const COSE_KTY_RSA = 3
+const COSE_ALG_ES256 = -7
+const COSE_ALG_RS256 = -257
+const COSE_CRV_P256 = 1
+
+const SUPPORTED_ALGORITHMS = [ COSE_ALG_ES256, COSE_ALG_RS256 ]
+
+// DER prefix of a SubjectPublicKeyInfo for an uncompressed P-256 point.
+const P256_SPKI_PREFIX = Buffer('3059301306072a8648ce3d020106082a8648ce3d030107034200', 'hex')
+// DER of the AlgorithmIdentifier for rsaEncryption.
+const RSA_ALGORITHM_IDENTIFIER = Buffer('300d06092a864886f70d0101010500', 'hex')
+
+module.exports = options => {
+  options = options || {}
+  const rpId = options.rpId || ''
+  const origin = options.origin
+  const rpIdHash = sha256(Buffer(rpId))
+
+  return {
+    /**
+     * Generate a new random challenge, base64url-encoded.
+     *
+     * @promise
+     */
+    generateChallenge () {
+      return random(32).then(toBase64Url)
+    },
+
+    /**
+     * Verify the response to a navigator.credentials.create() call.
+     * Returns the new credential's id, its COSE public key and the
+     * authenticator's initial signature counter.
+     *
+     * @param {Object} response base64url-encoded clientDataJSON and attestationObject
+     * @param {String} challenge the challenge that was issued for this ceremony
+     */
+    verifyRegistration (response, challenge) {
+      checkClientData(response.clientDataJSON, 'webauthn.create', challenge)
+
+      const attestation = decodeCbor(fromBase64Url(response.attestationObject))
+      if (! (attestation instanceof Map) || ! Buffer.isBuffer(attestation.get('authData'))) {
+        throw error.invalidWebauthnResponse('Invalid attestation object')
+      }
+
+      const authData = parseAuthenticatorData(attestation.get('authData'))
+      if (! (authData.flags & FLAG_ATTESTED_CREDENTIAL_DATA)) {
+        throw error.invalidWebauthnResponse('Missing attested credential data')
+      }
+
+      // Fail early on keys we can't use, rather than at the first sign-in.
+      publicKeyToPem(authData.publicKey)
+
+      return {
+        credentialId: toBase64Url(authData.credentialId),
+        publicKey: authData.publicKey,
+        signCount: authData.signCount
+      }
+    },
+
+    /**
+     * Verify the response to a navigator.credentials.get() call.
+     * Returns the authenticator's new signature counter.
+     *
+     * @param {Object} response base64url-encoded clientDataJSON, authenticatorData and signature
+     * @param {Object} credential the stored credential, with publicKey and signCount
+     * @param {String} challenge the challenge that was issued for this ceremony
+     */
+    verifyAssertion (response, credential, challenge) {
+      const clientData = fromBase64Url(response.clientDataJSON)
+      checkClientData(response.clientDataJSON, 'webauthn.get', challenge)
+
+      const rawAuthData = fromBase64Url(response.authenticatorData)
+      const authData = parseAuthenticatorData(rawAuthData)
+
+      const pem = publicKeyToPem(credential.publicKey)
+      const verifier = crypto.createVerify('sha256')
+      verifier.update(Buffer.concat([ rawAuthData, sha256(clientData) ]))
+      let valid
+      try {
+        valid = verifier.verify(pem, fromBase64Url(response.signature))
+      } catch (err) {
+        valid = false
+      }
+      if (! valid) {
+        throw error.invalidWebauthnResponse('Invalid signature')
+      }
+
+      // Authenticators that don't implement a counter always report zero.
+      // Otherwise the counter must increase, or the credential may have
+      // been cloned.
+      if ((authData.signCount || credential.signCount) && authData.signCount <= credential.signCount) {
+        throw error.invalidWebauthnResponse('Signature counter did not increase')
+      }
+
+      return {
+        signCount: authData.signCount
+      }
+    }
+  }
+
+  function checkClientData (clientDataJSON, type, challenge) {
+    let clientData
+    try {
+      clientData = JSON.parse(fromBase64Url(clientDataJSON).toString('utf8'))
+    } catch (err) {
+      throw error.invalidWebauthnResponse('Invalid client data')
+    }
+
+    if (clientData.type !== type) {
+      throw error.invalidWebauthnResponse('Unexpected client data type')
+    }
+    if (! challenge || ! butil.buffersAreEqual(Buffer(String(clientData.challenge)), Buffer(challenge))) {
+      throw error.invalidWebauthnResponse('Unexpected challenge')
+    }
+    if (clientData.origin !== origin) {
+      throw error.invalidWebauthnResponse('Unexpected origin')
+    }
+  }
+
+  function parseAuthenticatorData (authData) {
+    if (authData.length < 37) {
+      throw error.invalidWebauthnResponse('Invalid authenticator data')
+    }
+
+    if (! butil.buffersAreEqual(authData.slice(0, 32), rpIdHash)) {
+      throw error.invalidWebauthnResponse('Unexpected relying party')
+    }
+
+    const result = {
+      flags: authData[32],
+      signCount: authData.readUInt32BE(33)
+    }
+
+    if (! (result.flags & FLAG_USER_PRESENT)) {
+      throw error.invalidWebauthnResponse('User not present')
+    }
+
+    if (result.flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+      // 16 bytes of AAGUID, then a two-byte length and the credential id,
+      // followed by the CBOR-encoded public key.
+      if (authData.length < 55) {
+        throw error.invalidWebauthnResponse('Invalid authenticator data')
+      }
+      const idLength = authData.readUInt16BE(53)
+      result.credentialId = authData.slice(55, 55 + idLength)
+      const keyData = authData.slice(55 + idLength)
+      try {
+        result.publicKey = keyData.slice(0, cbor.decodeFirst(keyData).length)
+      } catch (err) {
+        throw error.invalidWebauthnResponse('Invalid credential public key')
+      }
+    }
+
+    return result
+  }
+}
+
+/**
+ * Convert a CBOR-encoded COSE public key to PEM, for use with
+ * crypto.createVerify().
+ *
+ * @param {Buffer} publicKey
+ */
+function publicKeyToPem (publicKey) {
+  const key = decodeCbor(publicKey)
+  if (! (key instanceof Map) || SUPPORTED_ALGORITHMS.indexOf(key.get(COSE_ALG)) === -1) {
+    throw error.invalidWebauthnResponse('Unsupported public key algorithm')
+  }
+
+  let spki
+  if (key.get(COSE_KTY) === COSE_KTY_EC2 && key.get(COSE_ALG) === COSE_ALG_ES256) {
+    const x = key.get(COSE_EC2_X)
+    const y = key.get(COSE_EC2_Y)
+    if (key.get(COSE_EC2_CRV) !== COSE_CRV_P256 || ! isBuffer(x, 32) || ! isBuffer(y, 32)) {
+      throw error.invalidWebauthnResponse('Invalid credential public key')
+    }
+    spki = Buffer.concat([ P256_SPKI_PREFIX, Buffer([ 0x04 ]), x, y ])
+  } else if (key.get(COSE_KTY) === COSE_KTY_RSA && key.get(COSE_ALG) === COSE_ALG_RS256) {
+    const n = key.get(COSE_RSA_N)
+    const e = key.get(COSE_RSA_E)
+    if (! isBuffer(n) || ! isBuffer(e)) {
+      throw error.invalidWebauthnResponse('Invalid credential public key')
+    }
+    const rsaPublicKey = derSequence([ derInteger(n), derInteger(e) ])
+    spki = derSequence([ RSA_ALGORITHM_IDENTIFIER, derBitString(rsaPublicKey) ])
+  } else {
+    throw error.invalidWebauthnResponse('Unsupported public key algorithm')
+  }
+
+  const base64 = spki.toString('base64').match(/.{1,64}/g).join('\n')
+  return '-----BEGIN PUBLIC KEY-----\n' + base64 + '\n-----END PUBLIC KEY-----\n'
+}
+
+function decodeCbor (buffer) {
+  try {
+    return cbor.decode(buffer)
+  } catch (err) {
+    throw error.invalidWebauthnResponse('Invalid CBOR data')
+  }
+}
+
+function isBuffer (value, length) {
+  return Buffer.isBuffer(value) && (! length || value.length === length)
+}
+
+function derLength (length) {
+  if (length < 0x80) {
+    return Buffer([ length ])
+  }
+  const bytes = []
+  while (length > 0) {
+    bytes.unshift(length & 0xff)
+    length = length >> 8
+  }
+  return Buffer([ 0x80 | bytes.length ].concat(bytes))
+}
+
+function derElement (tag, contents) {
+  return Buffer.concat([ Buffer([ tag ]), derLength(contents.length), contents ])
+}
+
+function derSequence (elements) {
+  return derElement(0x30, Buffer.concat(elements))
+}
+
+function derInteger (value) {
+  // Integers are signed, so pad with a zero byte if the high bit is set.
+  if (value[0] & 0x80) {
+    value = Buffer.concat([ Buffer([ 0 ]), value ])
+  }
+  return derElement(0x02, value)
+}
+
+function derBitString (value) {
+  return derElement(0x03, Buffer.concat([ Buffer([ 0 ]), value ]))
+}
+
+function sha256 (data) {
+  return crypto.createHash('sha256').update(data).digest()
+}
+
+function toBase64Url (buffer) {
+  return buffer.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+function fromBase64Url (string) {
+  return Buffer(String(string).replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+}
+
+module.exports.publicKeyToPem = publicKeyToPem
+module.exports.toBase64Url = toBase64Url
+module.exports.fromBase64Url = fromBase64Url
@@ -105,7 +105,8 @@ module.exports = function (
                 uaOSVersion: sessionToken.uaOSVersion,
                 uaDeviceType: sessionToken.uaDeviceType,
                 mustVerify: sessionToken.mustVerify,
-                tokenVerificationId: sessionToken.tokenVerificationId
+                tokenVerificationId: sessionToken.tokenVerificationId,
+                verificationMethod: sessionToken.verificationMethod
               },
               'inplace'
             )
@@ -201,6 +202,89 @@ module.exports = function (
       )
   }
 
+  DB.prototype.createTotpToken = function (uid, sharedSecret, epoch) {
+    log.trace({ op: 'DB.createTotpToken', uid: uid })
+    return this.pool.put(
+      '/totp/' + uid.toString('hex'),
+      {
+        sharedSecret: sharedSecret,
+        epoch: epoch,
+        createdAt: Date.now()
+      }
+    )
+    .catch(
+      function (err) {
+        if (isRecordAlreadyExistsError(err)) {
+          throw error.totpTokenAlreadyExists()
+        }
+        throw err
+      }
+    )
+  }
+
+  DB.prototype.createWebauthnCredential = function (uid, credential) {
+    log.trace({ op: 'DB.createWebauthnCredential', uid: uid, id: credential.id })
+    return this.pool.put(
+      '/account/' + uid.toString('hex') + '/webauthn/' + credential.id,
+      {
+        publicKey: credential.publicKey.toString('hex'),
+        signCount: credential.signCount,
+        name: credential.name,
+        createdAt: Date.now()
+      }
+    )
+    .catch(
+      function (err) {
+        if (isRecordAlreadyExistsError(err)) {
+          throw error.webauthnCredentialAlreadyExists()
+        }
+        throw err
+      }
+    )
+  }
+
+  DB.prototype.createRecoveryKey = function (uid, recoveryKeyId, recoveryData) {
+    log.trace({ op: 'DB.createRecoveryKey', uid: uid })
+    return this.pool.put(
+      '/account/' + uid.toString('hex') + '/recoveryKey',
+      {
+        recoveryKeyId: recoveryKeyId.toString('hex'),
+        recoveryData: recoveryData,
+        createdAt: Date.now()
+      }
+    )
+    .catch(
+      function (err) {
+        if (isRecordAlreadyExistsError(err)) {
+          throw error.recoveryKeyExists()
+        }
+        throw err
+      }
+    )
+  }
+
+  DB.prototype.createEmail = function (uid, emailData) {
+    log.trace({ op: 'DB.createEmail', uid: uid, email: emailData.email })
+    return this.pool.put(
+      '/account/' + uid.toString('hex') + '/emails/' + hexEmail(emailData.email),
+      {
+        email: emailData.email,
+        normalizedEmail: emailData.email.toLowerCase(),
+        emailCode: emailData.emailCode.toString('hex'),
+        isVerified: false,
+        createdAt: Date.now()
+      }
+    )
+    .catch(
+      function (err) {
+        if (isRecordAlreadyExistsError(err)) {
+          throw error.emailExists()
+        }
+        throw err
+      }
+    )
+  }
+
   // READ
 
   DB.prototype.checkPassword = function (uid, verifyHash) {
@@ -432,6 +516,9 @@ module.exports = function (
               pushCallback: item.callbackURL,
               pushPublicKey: item.callbackPublicKey,
               pushAuthKey: item.callbackAuthKey,
+              capabilities: item.capabilities || [],
+              pushEndpointExpired: !! item.callbackIsExpired,
+              pushFailures: item.pushFailures || 0,
               uaBrowser: item.uaBrowser,
               uaBrowserVersion: item.uaBrowserVersion,
               uaOS: item.uaOS,
@@ -488,6 +575,133 @@ module.exports = function (
     )
   }
 
+  DB.prototype.totpToken = function (uid) {
+    log.trace({ op: 'DB.totpToken', uid: uid })
+    return this.pool.get('/totp/' + uid.toString('hex'))
+      .then(
+        function (body) {
+          // The shared secret is base32, so don't bufferize it.
+          return {
+            sharedSecret: body.sharedSecret,
+            epoch: body.epoch,
+            verified: !! body.verified,
+            enabled: !! body.enabled
+          }
+        },
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.totpTokenNotFound()
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.webauthnCredentials = function (uid) {
+    log.trace({ op: 'DB.webauthnCredentials', uid: uid })
+    return this.pool.get('/account/' + uid.toString('hex') + '/webauthn')
+      .then(
+        function (body) {
+          return body.map(function (item) {
+            return {
+              id: item.id,
+              publicKey: Buffer(item.publicKey, 'hex'),
+              signCount: item.signCount,
+              name: item.name,
+              createdAt: item.createdAt,
+              lastUsedAt: item.lastUsedAt
+            }
+          })
+        },
+        function (err) {
+          // Older db servers don't know about security keys,
+          // which is the same as the account not having any.
+          if (isNotFoundError(err)) {
+            return []
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.recoveryKey = function (uid, recoveryKeyId) {
+    log.trace({ op: 'DB.recoveryKey', uid: uid })
+    return this.pool.get(
+      '/account/' + uid.toString('hex') + '/recoveryKey/' + recoveryKeyId.toString('hex')
+    )
+    .then(
+      function (body) {
+        return {
+          recoveryData: body.recoveryData,
+          createdAt: body.createdAt
+        }
+      },
+      function (err) {
+        if (isNotFoundError(err)) {
+          throw error.recoveryKeyNotFound()
+        }
+        throw err
+      }
+    )
+  }
+
+  DB.prototype.recoveryKeyExists = function (uid) {
+    log.trace({ op: 'DB.recoveryKeyExists', uid: uid })
+    return this.pool.get('/account/' + uid.toString('hex') + '/recoveryKey')
+      .then(
+        function () {
+          return { exists: true }
+        },
+        function (err) {
+          if (isNotFoundError(err)) {
+            return { exists: false }
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.accountEmails = function (uid) {
+    log.trace({ op: 'DB.accountEmails', uid: uid })
+    return this.pool.get('/account/' + uid.toString('hex') + '/emails')
+      .then(
+        function (body) {
+          return body.map(function (item) {
+            return {
+              email: item.email,
+              normalizedEmail: item.normalizedEmail,
+              emailCode: Buffer(item.emailCode, 'hex'),
+              isVerified: !! item.isVerified,
+              isPrimary: !! item.isPrimary,
+              createdAt: item.createdAt
+            }
+          })
+        }
+      )
+  }
+
+  DB.prototype.getSecondaryEmail = function (email) {
+    log.trace({ op: 'DB.getSecondaryEmail', email: email })
+    return this.pool.get('/email/' + hexEmail(email))
+      .then(
+        function (body) {
+          return {
+            uid: Buffer(body.uid, 'hex'),
+            email: body.email,
+            normalizedEmail: body.normalizedEmail,
+            isVerified: !! body.isVerified,
+            isPrimary: !! body.isPrimary
+          }
+        },
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.unknownSecondaryEmail()
+          }
+          throw err
+        }
+      )
+  }
+
   // UPDATE
 
   DB.prototype.updatePasswordForgotToken = function (token) {
@@ -517,6 +731,17 @@ module.exports = function (
     })
   }
 
+  DB.prototype.updateSessionTokenAuthAt = function (token) {
+    log.trace({ op: 'DB.updateSessionTokenAuthAt', uid: token && token.uid })
+
+    return this.pool.post('/sessionToken/' + token.id + '/authAt', {
+      authAt: token.authAt
+    })
+      .catch(err => {
+        throw wrapTokenNotFoundError(err)
+      })
+  }
+
   DB.prototype.createDevice = function (uid, sessionTokenId, deviceInfo) {
     log.trace({ op: 'DB.createDevice', uid: uid, id: deviceInfo.id })
 
@@ -534,7 +759,8 @@ module.exports = function (
             type: deviceInfo.type,
             callbackURL: deviceInfo.pushCallback,
             callbackPublicKey: deviceInfo.pushPublicKey,
-            callbackAuthKey: deviceInfo.pushAuthKey
+            callbackAuthKey: deviceInfo.pushAuthKey,
+            capabilities: deviceInfo.capabilities
           })
         )
       })
@@ -578,7 +804,10 @@ module.exports = function (
         type: deviceInfo.type,
         callbackURL: deviceInfo.pushCallback,
         callbackPublicKey: deviceInfo.pushPublicKey,
-        callbackAuthKey: deviceInfo.pushAuthKey
+        callbackAuthKey: deviceInfo.pushAuthKey,
+        // Registering a new endpoint makes the device reachable again.
+        callbackIsExpired: deviceInfo.pushCallback ? false : undefined,
+        capabilities: deviceInfo.capabilities
       })
     )
     .then(
@@ -597,6 +826,88 @@ module.exports = function (
     )
   }
 
+  // The update only happens if the token's epoch is still
+  // data.previousEpoch, otherwise the token is not found.
+  DB.prototype.updateTotpToken = function (uid, data) {
+    log.trace({ op: 'DB.updateTotpToken', uid: uid, data: data })
+    return this.pool.post(
+      '/totp/' + uid.toString('hex') + '/update',
+      {
+        verified: data.verified,
+        enabled: data.enabled,
+        epoch: data.epoch,
+        previousEpoch: data.previousEpoch
+      }
+    )
+    .catch(
+      function (err) {
+        if (isNotFoundError(err)) {
+          throw error.totpTokenNotFound()
+        }
+        throw err
+      }
+    )
+  }
+
+  DB.prototype.updateWebauthnCredential = function (uid, id, data) {
+    log.trace({ op: 'DB.updateWebauthnCredential', uid: uid, id: id, data: data })
+    return this.pool.post(
+      '/account/' + uid.toString('hex') + '/webauthn/' + id + '/update',
+      {
+        signCount: data.signCount,
+        lastUsedAt: data.lastUsedAt
+      }
+    )
+    .catch(
+      function (err) {
+        if (isNotFoundError(err)) {
+          throw error.webauthnCredentialNotFound()
+        }
+        throw err
+      }
+    )
+  }
+
+  DB.prototype.verifySecondaryEmail = function (uid, emailCode) {
+    log.trace({ op: 'DB.verifySecondaryEmail', uid: uid })
+    return this.pool.post(
+      '/account/' + uid.toString('hex') + '/emails/verify',
+      {
+        emailCode: emailCode.toString('hex')
+      }
+    )
+    .then(
+      function (body) {
+        return {
+          email: body.email
+        }
+      },
+      function (err) {
+        if (isNotFoundError(err)) {
+          throw error.invalidVerificationCode()
+        }
+        throw err
+      }
+    )
+  }
+
+  // Swaps a verified secondary address in as the account's `email`,
+  // so that tokens and email records carry the new address. The password
+  // is still stretched with the old one, which email records return as
+  // `originalEmail` and which still finds the account in emailRecord().
+  DB.prototype.setPrimaryEmail = function (uid, email) {
+    log.trace({ op: 'DB.setPrimaryEmail', uid: uid, email: email })
+    return this.pool.post('/account/' + uid.toString('hex') + '/emails/' + hexEmail(email) + '/primary')
+      .catch(
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.unknownSecondaryEmail()
+          }
+          throw err
+        }
+      )
+  }
+
   // DELETE
 
   DB.prototype.deleteAccount = function (authToken) {
@@ -680,6 +991,58 @@ module.exports = function (
     )
   }
 
+  DB.prototype.deleteTotpToken = function (uid) {
+    log.trace({ op: 'DB.deleteTotpToken', uid: uid })
+    return this.pool.del('/totp/' + uid.toString('hex'))
+      .catch(
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.totpTokenNotFound()
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.deleteWebauthnCredential = function (uid, id) {
+    log.trace({ op: 'DB.deleteWebauthnCredential', uid: uid, id: id })
+    return this.pool.del('/account/' + uid.toString('hex') + '/webauthn/' + id)
+      .catch(
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.webauthnCredentialNotFound()
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.deleteRecoveryKey = function (uid) {
+    log.trace({ op: 'DB.deleteRecoveryKey', uid: uid })
+    return this.pool.del('/account/' + uid.toString('hex') + '/recoveryKey')
+      .catch(
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.recoveryKeyNotFound()
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.deleteEmail = function (uid, email) {
+    log.trace({ op: 'DB.deleteEmail', uid: uid, email: email })
+    return this.pool.del('/account/' + uid.toString('hex') + '/emails/' + hexEmail(email))
+      .catch(
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.unknownSecondaryEmail()
+          }
+          throw err
+        }
+      )
+  }
+
   // BATCH
 
   DB.prototype.resetAccount = function (accountResetToken, data) {
@@ -838,6 +1201,460 @@ module.exports = function (
       )
   }
 
+  DB.prototype.replaceRecoveryCodes = function (uid, codeHashes) {
+    log.trace({
+      op: 'DB.replaceRecoveryCodes',
+      uid: uid
+    })
+    return this.pool.put(
+      '/account/' + uid.toString('hex') + '/recoveryCodes',
+      {
+        codeHashes: codeHashes.map(codeHash => codeHash.toString('hex'))
+      }
+    )
+  }
+
+  DB.prototype.recoveryCodes = function (uid) {
+    log.trace({
+      op: 'DB.recoveryCodes',
+      uid: uid
+    })
+    return this.pool.get('/account/' + uid.toString('hex') + '/recoveryCodes')
+      .then(
+        function (body) {
+          return {
+            remaining: body.remaining || 0
+          }
+        }
+      )
+  }
+
+  DB.prototype.consumeRecoveryCode = function (uid, codeHash) {
+    log.trace({
+      op: 'DB.consumeRecoveryCode',
+      uid: uid
+    })
+    return this.pool.del('/account/' + uid.toString('hex') + '/recoveryCodes/' + codeHash.toString('hex'))
+      .then(
+        function (body) {
+          return {
+            remaining: body && body.remaining || 0
+          }
+        },
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.invalidRecoveryCode()
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.createWebauthnChallenge = function (tokenId, data) {
+    log.trace({
+      op: 'DB.createWebauthnChallenge',
+      uid: data.uid,
+      type: data.type
+    })
+    // Each session has at most one ceremony in progress,
+    // so a new challenge replaces any previous one.
+    return this.pool.put(
+      '/webauthnChallenge/' + tokenId.toString('hex'),
+      {
+        uid: data.uid.toString('hex'),
+        challenge: data.challenge,
+        type: data.type,
+        createdAt: Date.now()
+      }
+    )
+  }
+
+  DB.prototype.consumeWebauthnChallenge = function (tokenId) {
+    log.trace({
+      op: 'DB.consumeWebauthnChallenge',
+      tokenId: tokenId
+    })
+    return this.pool.del('/webauthnChallenge/' + tokenId.toString('hex'))
+      .then(
+        function (body) {
+          return {
+            uid: Buffer(body.uid, 'hex'),
+            challenge: body.challenge,
+            type: body.type,
+            createdAt: body.createdAt
+          }
+        },
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.invalidWebauthnResponse('Unknown challenge')
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.createSigninCode = function (tokenId, data) {
+    log.trace({
+      op: 'DB.createSigninCode',
+      uid: data.uid
+    })
+    // Resending the confirmation email issues a new code,
+    // which replaces the old one and resets its attempt count.
+    return this.pool.put(
+      '/signinCode/' + tokenId.toString('hex'),
+      {
+        uid: data.uid.toString('hex'),
+        codeHash: data.codeHash,
+        createdAt: Date.now()
+      }
+    )
+  }
+
+  DB.prototype.signinCode = function (tokenId) {
+    log.trace({
+      op: 'DB.signinCode',
+      tokenId: tokenId
+    })
+    return this.pool.get('/signinCode/' + tokenId.toString('hex'))
+      .then(
+        function (body) {
+          return {
+            uid: Buffer(body.uid, 'hex'),
+            codeHash: body.codeHash,
+            createdAt: body.createdAt,
+            attempts: body.attempts
+          }
+        },
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.invalidSigninCode()
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.incrementSigninCodeAttempts = function (tokenId) {
+    log.trace({
+      op: 'DB.incrementSigninCodeAttempts',
+      tokenId: tokenId
+    })
+    return this.pool.post('/signinCode/' + tokenId.toString('hex') + '/attempt')
+  }
+
+  DB.prototype.deleteSigninCode = function (tokenId) {
+    log.trace({
+      op: 'DB.deleteSigninCode',
+      tokenId: tokenId
+    })
+    return this.pool.del('/signinCode/' + tokenId.toString('hex'))
+      .catch(
+        function (err) {
+          if (isNotFoundError(err)) {
+            return
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.createDeviceApproval = function (tokenId, data) {
+    log.trace({
+      op: 'DB.createDeviceApproval',
+      uid: data.uid
+    })
+    return this.pool.put(
+      '/deviceApproval/' + tokenId.toString('hex'),
+      {
+        uid: data.uid.toString('hex'),
+        createdAt: Date.now()
+      }
+    )
+  }
+
+  DB.prototype.deviceApproval = function (tokenId) {
+    log.trace({
+      op: 'DB.deviceApproval',
+      tokenId: tokenId
+    })
+    return this.pool.get('/deviceApproval/' + tokenId.toString('hex'))
+      .then(
+        function (body) {
+          return {
+            uid: Buffer(body.uid, 'hex'),
+            createdAt: body.createdAt
+          }
+        },
+        function (err) {
+          if (isNotFoundError(err)) {
+            throw error.invalidVerificationCode()
+          }
+          throw err
+        }
+      )
+  }
+
+  DB.prototype.deleteDeviceApproval = function (tokenId) {
+    log.trace({
+      op: 'DB.deleteDeviceApproval',
+      tokenId: tokenId
+    })
+    return this.pool.del('/deviceApproval/' + tokenId.toString('hex'))
+      .catch(
+        function (err) {
+          if (isNotFoundError(err)) {
+            return
+          }
+          throw err
+        }
+      )
+  }
+
+  // PUSH OUTBOX
+
+  // Resolves to false if a message with the same id is already queued.
+  DB.prototype.createPushMessage = function (message) {
+    log.trace({
+      op: 'DB.createPushMessage',
+      uid: message.uid,
+      id: message.id
+    })
+    return this.pool.put('/pushMessage/' + message.id, unbuffer(message))
+      .then(
+        function () {
+          return true
+        },
+        function (err) {
+          if (isRecordAlreadyExistsError(err)) {
+            return false
+          }
+          throw err
+        }
+      )
+  }
+
+  // Returns up to `limit` messages that are due for another attempt, and
+  // moves their nextAttemptAt on by `lease` milliseconds in the same
+  // transaction, so that other servers don't send them at the same time.
+  DB.prototype.claimPushMessages = function (now, limit, lease) {
+    log.trace({
+      op: 'DB.claimPushMessages',
+      now: now,
+      limit: limit
+    })
+    return this.pool.post('/pushMessages/claim', {
+      now: now,
+      limit: limit,
+      lease: lease
+    })
+  }
+
+  DB.prototype.updatePushMessage = function (message) {
+    log.trace({
+      op: 'DB.updatePushMessage',
+      uid: message.uid,
+      id: message.id
+    })
+    return this.pool.post('/pushMessage/' + message.id + '/update', {
+      attempts: message.attempts,
+      nextAttemptAt: message.nextAttemptAt
+    })
+  }
+
+  DB.prototype.deletePushMessage = function (id) {
+    log.trace({
+      op: 'DB.deletePushMessage',
+      id: id
+    })
+    return this.pool.del('/pushMessage/' + id)
+      .catch(
+        function (err) {
+          if (isNotFoundError(err)) {
+            return
+          }
+          throw err
+        }
+      )
+  }
+
+  // DEVICE COMMANDS
+
+  // Appends a message to the end of a device's command queue and
+  // resolves to its index, which increases with each message.
+  DB.prototype.appendDeviceCommand = function (uid, deviceId, command) {
+    log.trace({
+      op: 'DB.appendDeviceCommand',
+      uid: uid,
+      deviceId: deviceId
+    })
+    return this.pool.post(
+      '/account/' + uid.toString('hex') +
+      '/device/' + deviceId.toString('hex') + '/commands',
+      {
+        data: command.data,
+        createdAt: command.createdAt,
+        expiresAt: command.expiresAt
+      }
+    )
+    .then(
+      function (body) {
+        return body.index
+      },
+      function (err) {
+        if (isNotFoundError(err)) {
+          throw error.unknownDevice()
+        }
+        throw err
+      }
+    )
+  }
+
+  // Returns up to `limit` messages with an index greater than `index`,
+  // and whether there are any more messages after those.
+  DB.prototype.deviceCommands = function (uid, deviceId, index, limit) {
+    log.trace({
+      op: 'DB.deviceCommands',
+      uid: uid,
+      deviceId: deviceId,
+      index: index
+    })
+    return this.pool.get(
+      '/account/' + uid.toString('hex') +
+      '/device/' + deviceId.toString('hex') + '/commands' +
+      '?index=' + index + '&limit=' + limit
+    )
+    .then(
+      function (body) {
+        return {
+          last: !! body.last,
+          messages: body.messages
+        }
+      },
+      function (err) {
+        if (isNotFoundError(err)) {
+          throw error.unknownDevice()
+        }
+        throw err
+      }
+    )
+  }
+
+  // Deletes the messages up to and including `index`.
+  DB.prototype.deleteDeviceCommands = function (uid, deviceId, index) {
+    log.trace({
+      op: 'DB.deleteDeviceCommands',
+      uid: uid,
+      deviceId: deviceId,
+      index: index
+    })
+    return this.pool.del(
+      '/account/' + uid.toString('hex') +
+      '/device/' + deviceId.toString('hex') + '/commands',
+      { index: index }
+    )
+    .catch(
+      function (err) {
+        if (isNotFoundError(err)) {
+          throw error.unknownDevice()
+        }
+        throw err
+      }
+    )
+  }
+
+  // PUSH FAILURES
+
+  // Counts a failed push to a device's endpoint, resolving to the
+  // number of consecutive failures. Unknown devices are ignored,
+  // since they may have been destroyed while the push was in flight.
+  DB.prototype.recordPushFailure = function (uid, deviceId) {
+    log.trace({
+      op: 'DB.recordPushFailure',
+      uid: uid,
+      deviceId: deviceId
+    })
+    return this.pool.post(
+      '/account/' + uid.toString('hex') +
+      '/device/' + deviceId.toString('hex') + '/pushFailures'
+    )
+    .then(
+      function (body) {
+        return body.failures
+      },
+      function (err) {
+        if (isNotFoundError(err)) {
+          return 0
+        }
+        throw err
+      }
+    )
+  }
+
+  DB.prototype.resetPushFailures = function (uid, deviceId) {
+    log.trace({
+      op: 'DB.resetPushFailures',
+      uid: uid,
+      deviceId: deviceId
+    })
+    return this.pool.del(
+      '/account/' + uid.toString('hex') +
+      '/device/' + deviceId.toString('hex') + '/pushFailures'
+    )
+    .catch(
+      function (err) {
+        if (isNotFoundError(err)) {
+          return
+        }
+        throw err
+      }
+    )
+  }
+
+  // Returns up to `limit` devices, across all accounts, with at
+  // least `threshold` consecutive push failures.
+  DB.prototype.unreachablePushDevices = function (threshold, limit) {
+    log.trace({
+      op: 'DB.unreachablePushDevices',
+      threshold: threshold,
+      limit: limit
+    })
+    return this.pool.get('/devices/pushFailures?threshold=' + threshold + '&limit=' + limit)
+      .then(
+        function (body) {
+          return body.map(function (item) {
+            return bufferize({
+              uid: item.uid,
+              id: item.id,
+              failures: item.failures
+            })
+          })
+        }
+      )
+  }
+
+  // Clears a device's push callback and keys, marks its endpoint as
+  // expired and resets its failure count. The endpoint stays expired
+  // until the device registers a new one at /account/device.
+  DB.prototype.expirePushEndpoint = function (uid, deviceId) {
+    log.trace({
+      op: 'DB.expirePushEndpoint',
+      uid: uid,
+      deviceId: deviceId
+    })
+    return this.pool.post(
+      '/account/' + uid.toString('hex') +
+      '/device/' + deviceId.toString('hex') + '/pushEndpoint/expire'
+    )
+    .catch(
+      function (err) {
+        if (isNotFoundError(err)) {
+          return
+        }
+        throw err
+      }
+    )
+  }
+
   function wrapTokenNotFoundError (err) {
     if (isNotFoundError(err)) {
       err = error.invalidToken('The authentication token could not be found')
@@ -848,6 +1665,12 @@ module.exports = function (
   return DB
 }
 
+// Email addresses are case-insensitive, so they are
+// looked up by the hex encoding of their normalized form.
+function hexEmail (email) {
+  return Buffer(email.toLowerCase(), 'utf8').toString('hex')
+}
+
 // Note that these errno's are defined in the fxa-auth-db-mysql repo
 // and don't necessarily match the errnos in this repo...
 
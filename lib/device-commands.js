@@ -0,0 +1,67 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const ajv = require('ajv')()
+
+const ONE_MINUTE = 60
+const ONE_DAY = 24 * 60 * ONE_MINUTE
+
+// The commands that devices can invoke on each other with
+// /account/devices/invoke_command. A device advertises the ones
+// it understands in its `capabilities` at /account/device.
+// Each command has a JSON schema for its payload and a TTL, in
+// seconds, for the push notification that delivers it.
+const COMMANDS = {
+  'fxaccounts:open_uri': {
+    ttl: 7 * ONE_DAY,
+    schema: {
+      type: 'object',
+      required: [ 'uri' ],
+      properties: {
+        uri: { type: 'string', maxLength: 2048, pattern: '^https?://' },
+        title: { type: 'string', maxLength: 255 }
+      },
+      additionalProperties: false
+    }
+  },
+  'fxaccounts:sync_now': {
+    ttl: 5 * ONE_MINUTE,
+    schema: {
+      type: 'object',
+      properties: {
+        collections: {
+          type: 'array',
+          items: { type: 'string', maxLength: 32 },
+          maxItems: 32
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  'fxaccounts:wipe': {
+    ttl: 28 * ONE_DAY,
+    schema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    }
+  }
+}
+
+const validators = Object.keys(COMMANDS).reduce((result, name) => {
+  result[name] = ajv.compile(COMMANDS[name].schema)
+  return result
+}, {})
+
+module.exports = {
+  names: Object.keys(COMMANDS),
+
+  exists: name => COMMANDS.hasOwnProperty(name),
+
+  ttl: name => COMMANDS[name].ttl,
+
+  validate: (name, payload) => validators[name](payload)
+}
@@ -4,9 +4,15 @@
 
 'use strict'
 
-module.exports = function (log, db, push) {
+var error = require('./error')
+var P = require('./promise')
+
+module.exports = function (log, db, push, config) {
+  var deviceLimit = config.deviceLimit || {}
+
   return {
     upsert: upsert,
+    destroy: destroy,
     synthesizeName: synthesizeName
   }
 
@@ -21,7 +27,17 @@ module.exports = function (log, db, push) {
     }
     var isPlaceholderDevice = Object.keys(deviceInfo).length === 0
 
-    return db[operation](sessionToken.uid, sessionToken.tokenId, deviceInfo)
+    return P.resolve()
+      .then(function () {
+        // Placeholders are created for Sync sessions by /certificate/sign,
+        // which must not start failing on accounts at the limit.
+        if (operation === 'createDevice' && ! isPlaceholderDevice) {
+          return enforceLimit(request, sessionToken.uid)
+        }
+      })
+      .then(function () {
+        return db[operation](sessionToken.uid, sessionToken.tokenId, deviceInfo)
+      })
       .then(function (device) {
         result = device
         return request.emitMetricsEvent(event, {
@@ -54,6 +70,64 @@ module.exports = function (log, db, push) {
       })
   }
 
+  // Make room for a new device under config.deviceLimit, either by
+  // refusing it or by evicting the least-recently-used devices.
+  function enforceLimit (request, uid) {
+    var max = deviceLimit.max
+    if (! max) {
+      return P.resolve()
+    }
+
+    return db.devices(uid)
+      .then(function (existing) {
+        var excess = existing.length - max + 1
+        if (excess <= 0) {
+          return
+        }
+
+        if (deviceLimit.policy !== 'evict') {
+          log.info({
+            op: 'device.limit.rejected',
+            uid: uid.toString('hex'),
+            count: existing.length
+          })
+          throw error.tooManyDevices(max)
+        }
+
+        var leastRecentlyUsed = existing.slice().sort(function (a, b) {
+          return (a.lastAccessTime || 0) - (b.lastAccessTime || 0)
+        })
+        return P.each(leastRecentlyUsed.slice(0, excess), function (device) {
+          log.info({
+            op: 'device.limit.evicted',
+            uid: uid.toString('hex'),
+            id: device.id.toString('hex')
+          })
+          return destroy(request, uid, device)
+        })
+      })
+  }
+
+  // Destroys a device and its session token on the server's initiative,
+  // letting the device know first so that it can sign out cleanly.
+  function destroy (request, uid, device) {
+    var id = device.id.toString('hex')
+
+    return push.notifyDeviceDisconnected(uid, id)
+      .catch(function () {})
+      .then(function () {
+        // Deleting the device destroys its session token too.
+        return db.deleteDevice(uid, device.id)
+      })
+      .then(function () {
+        return log.notifyAttachedServices('device:delete', request, {
+          uid: uid,
+          id: id,
+          timestamp: Date.now()
+        })
+      })
+  }
+
   function synthesizeName (device) {
     var browserPart = part('uaBrowser')
     var osPart = part('uaOS')
@@ -32,6 +32,26 @@ var ERRNO = {
   ACCOUNT_RESET: 126,
   INVALID_UNBLOCK_CODE: 127,
   MISSING_TOKEN: 128,
+  TOTP_TOKEN_EXISTS: 129,
+  TOTP_TOKEN_NOT_FOUND: 130,
+  INVALID_TOTP_CODE: 131,
+  UNVERIFIED_SESSION: 132,
+  INVALID_RECOVERY_CODE: 133,
+  WEBAUTHN_CREDENTIAL_EXISTS: 134,
+  WEBAUTHN_CREDENTIAL_NOT_FOUND: 135,
+  INVALID_WEBAUTHN_RESPONSE: 136,
+  INVALID_SIGNIN_CODE: 137,
+  RECOVERY_KEY_EXISTS: 138,
+  RECOVERY_KEY_NOT_FOUND: 139,
+  EMAIL_EXISTS: 140,
+  UNKNOWN_SECONDARY_EMAIL: 141,
+  CANNOT_DELETE_PRIMARY_EMAIL: 142,
+  UNVERIFIED_SECONDARY_EMAIL: 143,
+  IDLE_SESSION_TOKEN: 144,
+  TOO_MANY_DEVICES: 145,
+  DEVICE_COMMAND_UNAVAILABLE: 146,
+  INVALID_SCOPES: 147,
+  SECOND_FACTOR_REQUIRED: 148,
   SERVER_BUSY: 201,
   FEATURE_NOT_ENABLED: 202,
   UNEXPECTED_ERROR: 999
@@ -109,6 +129,12 @@ AppError.translate = function (response) {
     }
     else if (payload.message === 'Stale timestamp') {
       error = AppError.invalidTimestamp()
+      // Hawk signs its own copy of the server time,
+      // which Hawk clients can verify and adjust to.
+      var authenticate = response.output.headers && response.output.headers['WWW-Authenticate']
+      if (authenticate) {
+        error.header('WWW-Authenticate', authenticate)
+      }
     }
     else if (payload.message === 'Invalid nonce') {
       error = AppError.invalidNonce()
@@ -481,5 +507,155 @@ AppError.missingToken = () => new AppError({
   message: 'Missing token'
 })
 
+AppError.totpTokenAlreadyExists = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.TOTP_TOKEN_EXISTS,
+  message: 'TOTP token already exists for this account'
+})
+
+AppError.totpTokenNotFound = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.TOTP_TOKEN_NOT_FOUND,
+  message: 'TOTP token not found'
+})
+
+AppError.invalidTotpCode = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.INVALID_TOTP_CODE,
+  message: 'Invalid TOTP code'
+})
+
+AppError.unverifiedSession = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.UNVERIFIED_SESSION,
+  message: 'Unverified session'
+})
+
+AppError.invalidRecoveryCode = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.INVALID_RECOVERY_CODE,
+  message: 'Invalid recovery code'
+})
+
+AppError.webauthnCredentialAlreadyExists = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.WEBAUTHN_CREDENTIAL_EXISTS,
+  message: 'WebAuthn credential already registered'
+})
+
+AppError.webauthnCredentialNotFound = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.WEBAUTHN_CREDENTIAL_NOT_FOUND,
+  message: 'WebAuthn credential not found'
+})
+
+AppError.invalidWebauthnResponse = (reason) => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.INVALID_WEBAUTHN_RESPONSE,
+  message: 'Invalid WebAuthn response'
+}, {
+  reason: reason
+})
+
+AppError.invalidSigninCode = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.INVALID_SIGNIN_CODE,
+  message: 'Invalid signin code'
+})
+
+AppError.recoveryKeyExists = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.RECOVERY_KEY_EXISTS,
+  message: 'Recovery key already exists'
+})
+
+AppError.recoveryKeyNotFound = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.RECOVERY_KEY_NOT_FOUND,
+  message: 'Recovery key not found'
+})
+
+AppError.emailExists = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.EMAIL_EXISTS,
+  message: 'Email already exists'
+})
+
+AppError.unknownSecondaryEmail = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.UNKNOWN_SECONDARY_EMAIL,
+  message: 'Unknown secondary email'
+})
+
+AppError.cannotDeletePrimaryEmail = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.CANNOT_DELETE_PRIMARY_EMAIL,
+  message: 'Cannot delete primary email'
+})
+
+AppError.unverifiedSecondaryEmail = () => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.UNVERIFIED_SECONDARY_EMAIL,
+  message: 'Secondary email is not verified'
+})
+
+AppError.idleSessionToken = () => new AppError({
+  code: 401,
+  error: 'Unauthorized',
+  errno: ERRNO.IDLE_SESSION_TOKEN,
+  message: 'The authentication token has expired from inactivity'
+})
+
+AppError.tooManyDevices = (max) => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.TOO_MANY_DEVICES,
+  message: 'Too many devices registered to this account'
+}, {
+  max: max
+})
+
+AppError.deviceCommandUnavailable = (command) => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.DEVICE_COMMAND_UNAVAILABLE,
+  message: 'Device does not support this command'
+}, {
+  command: command
+})
+
+AppError.invalidScopes = (scope) => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.INVALID_SCOPES,
+  message: 'Client is not allowed to request this scope'
+}, {
+  scope: scope
+})
+
+AppError.secondFactorRequired = (verificationMethod) => new AppError({
+  code: 400,
+  error: 'Bad Request',
+  errno: ERRNO.SECOND_FACTOR_REQUIRED,
+  message: 'Session must be verified with a second factor'
+}, {
+  verificationMethod: verificationMethod
+})
+
 module.exports = AppError
 module.exports.ERRNO = ERRNO
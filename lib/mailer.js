@@ -31,6 +31,23 @@ module.exports = function (config, log) {
           }
         ))
       }
+      // Not every fxa-auth-mailer has the verifySecondaryEmail and
+      // postChangePrimaryEmail templates (see docs/mailer.md), so
+      // a missing one rejects rather than throwing.
+      mailer.sendVerifySecondaryEmail = function (email, account, code, opts) {
+        return P.resolve().then(() => mailer.verifySecondaryEmail(
+          {
+            acceptLanguage: opts.acceptLanguage || defaultLanguage,
+            code: code.toString('hex'),
+            email: email,
+            primaryEmail: account.email,
+            redirectTo: opts.redirectTo,
+            resume: opts.resume,
+            service: opts.service,
+            uid: account.uid.toString('hex')
+          }
+        ))
+      }
       mailer.sendVerifyLoginEmail = function (account, code, opts) {
         return P.resolve(mailer.verifyLoginEmail(
           {
@@ -42,6 +59,8 @@ module.exports = function (config, log) {
             redirectTo: opts.redirectTo,
             resume: opts.resume,
             service: opts.service,
+            // Needs the verifyLoginEmail template from docs/mailer.md.
+            signinCode: opts.signinCode,
             timeZone: opts.timeZone,
             uaBrowser: opts.uaBrowser,
             uaBrowserVersion: opts.uaBrowserVersion,
@@ -68,6 +87,7 @@ module.exports = function (config, log) {
         return P.resolve(mailer.passwordChangedEmail(
           {
             email: email,
+            ccEmails: opts.ccEmails,
             acceptLanguage: opts.acceptLanguage || defaultLanguage
           }
         ))
@@ -76,6 +96,7 @@ module.exports = function (config, log) {
         return P.resolve(mailer.passwordResetEmail(
           {
             email: email,
+            ccEmails: opts.ccEmails,
             acceptLanguage: opts.acceptLanguage || defaultLanguage
           }
         ))
@@ -84,6 +105,7 @@ module.exports = function (config, log) {
         return P.resolve(mailer.newDeviceLoginEmail(
           {
             acceptLanguage: opts.acceptLanguage || defaultLanguage,
+            ccEmails: opts.ccEmails,
             email: email,
             ip: opts.ip,
             location: opts.location,
@@ -95,6 +117,15 @@ module.exports = function (config, log) {
           }
         ))
       }
+      mailer.sendPostChangePrimaryEmail = function (email, opts) {
+        return P.resolve().then(() => mailer.postChangePrimaryEmail(
+          {
+            email: email,
+            acceptLanguage: opts.acceptLanguage || defaultLanguage,
+            primaryEmail: opts.primaryEmail
+          }
+        ))
+      }
       mailer.sendPostVerifyEmail = function (email, opts) {
         return P.resolve(mailer.postVerifyEmail(
           {
@@ -11,6 +11,7 @@ const ACTIVITY_EVENTS = new Set([
   'account.confirmed',
   'account.created',
   'account.deleted',
+  'account.id_token',
   'account.keyfetch',
   'account.login',
   'account.reset',
@@ -28,6 +29,7 @@ const ACTIVITY_EVENTS = new Set([
 const NOT_FLOW_EVENTS = new Set([
   'account.changedPassword',
   'account.deleted',
+  'account.id_token',
   'account.reset',
   'device.created',
   'device.deleted',
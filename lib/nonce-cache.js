@@ -0,0 +1,108 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const crypto = require('crypto')
+const error = require('./error')
+const Memcached = require('memcached')
+const P = require('./promise')
+
+P.promisifyAll(Memcached.prototype)
+
+module.exports = function (log, config) {
+  // A nonce only needs remembering for as long as its timestamp
+  // could pass the skew check, which is a window of twice the skew.
+  const lifetime = Math.ceil(config.hawk.timestampSkew * 2 / 1000)
+  let _memcached
+
+  return {
+    check: check
+  }
+
+  /**
+   * Records a Hawk nonce against the token it was used with. Asynchronous,
+   * returns a promise that fails with error.invalidNonce if the same token,
+   * nonce and timestamp have been seen before.
+   *
+   * If the cache is unavailable the nonce is allowed, so that a memcached
+   * outage doesn't stop everyone from signing in.
+   *
+   * @param key   the token's Hawk key
+   * @param nonce the nonce from the request's Hawk header
+   * @param ts    the timestamp from the request's Hawk header
+   */
+  function check (key, nonce, ts) {
+    return P.resolve()
+      .then(() => getMemcached().addAsync(getKey(key, nonce, ts), 1, lifetime))
+      .then(
+        () => {},
+        err => {
+          if (err.notStored) {
+            throw error.invalidNonce()
+          }
+          log.error({ op: 'nonceCache.check', err: err })
+        }
+      )
+  }
+
+  function getMemcached () {
+    if (_memcached) {
+      return _memcached
+    }
+
+    const address = config.hawk.nonceCache.address
+    if (address === 'memory') {
+      _memcached = createMemoryCache()
+      return _memcached
+    }
+
+    _memcached = new Memcached(address, {
+      timeout: 500,
+      retries: 1,
+      retry: 1000,
+      reconnect: 1000,
+      idle: config.hawk.nonceCache.idle,
+      namespace: 'fxa-hawk~'
+    })
+
+    return _memcached
+  }
+}
+
+// The Hawk key is a secret, so it is hashed
+// rather than sent to memcached verbatim.
+function getKey (key, nonce, ts) {
+  const hash = crypto.createHash('sha256')
+  hash.update(key)
+  hash.update(':' + nonce + ':' + ts)
+  return hash.digest('base64')
+}
+
+// Implements the subset of the memcached interface used above,
+// for running without memcached in development.
+function createMemoryCache () {
+  const expiries = new Map()
+
+  return {
+    addAsync: (key, value, lifetime) => {
+      const now = Date.now()
+
+      expiries.forEach((expiry, cacheKey) => {
+        if (expiry <= now) {
+          expiries.delete(cacheKey)
+        }
+      })
+
+      if (expiries.has(key)) {
+        const err = new Error('Item is not stored')
+        err.notStored = true
+        return P.reject(err)
+      }
+
+      expiries.set(key, now + lifetime * 1000)
+      return P.resolve(true)
+    }
+  }
+}
@@ -0,0 +1,211 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const crypto = require('crypto')
+const P = require('./promise')
+
+// How long a server has to retry a message it has claimed
+// before other servers are allowed to claim it too.
+const CLAIM_LEASE = 60 * 1000
+
+module.exports = function (log, db, config, reasonToEvents) {
+  const outboxConfig = config.pushOutbox || {}
+  const store = outboxConfig.backend === 'memory' ? createMemoryStore() : createDbStore(db)
+  let deliver, timer, processing
+
+  return {
+    enqueue: enqueue,
+    isTransient: isTransient,
+    processDue: processDue,
+    start: start,
+    stop: stop
+  }
+
+  /**
+   * Queues a push message for another attempt, after a transient failure.
+   * Identical messages to the same device are only queued once, and a
+   * message is dropped if its TTL will have run out before it can be
+   * retried. Resolves to true if the message was queued.
+   *
+   * @param {Object} message
+   * @param {String} message.uid (hex)
+   * @param {String} message.deviceId (hex)
+   * @param {String} message.reason
+   * @param {Object} message.subscription
+   * @param {Buffer} message.data (optional)
+   * @param {Number} message.TTL (in seconds)
+   */
+  function enqueue (message) {
+    const now = Date.now()
+    const queued = {
+      id: messageId(message),
+      uid: message.uid,
+      deviceId: message.deviceId,
+      reason: message.reason,
+      subscription: message.subscription,
+      data: message.data ? message.data.toString('base64') : null,
+      expiresAt: now + message.TTL * 1000,
+      attempts: 1,
+      nextAttemptAt: now + backoff(1)
+    }
+
+    if (queued.nextAttemptAt >= queued.expiresAt) {
+      return P.resolve(false)
+    }
+
+    return store.add(queued)
+      .then(added => {
+        if (added) {
+          increment(reasonToEvents[message.reason].retry)
+        }
+        return added
+      })
+  }
+
+  // Push services return 429 when they are throttling us and 5xx when
+  // they are having trouble. Errors without a status code mean that the
+  // request didn't get through at all. Anything else won't get better.
+  function isTransient (err) {
+    const status = err && err.statusCode
+    return ! status || status === 429 || status >= 500
+  }
+
+  /**
+   * Starts polling the outbox for messages that are due for another
+   * attempt, passing each to deliver. deliver should return a promise
+   * that fails with the push service's error if the attempt fails.
+   *
+   * @param {Function} deliverFn
+   */
+  function start (deliverFn) {
+    deliver = deliverFn
+    if (! timer) {
+      timer = setInterval(processDue, outboxConfig.pollInterval)
+      timer.unref()
+    }
+  }
+
+  function stop () {
+    clearInterval(timer)
+    timer = null
+  }
+
+  function processDue () {
+    if (processing || ! deliver) {
+      return P.resolve()
+    }
+
+    processing = true
+    return store.claim(Date.now(), outboxConfig.batchSize, CLAIM_LEASE)
+      .then(messages => P.each(messages, retry))
+      .catch(err => log.error({ op: 'pushOutbox.processDue', err: err }))
+      .finally(() => {
+        processing = false
+      })
+  }
+
+  function retry (message) {
+    const events = reasonToEvents[message.reason]
+    const now = Date.now()
+    message.TTL = Math.floor((message.expiresAt - now) / 1000)
+
+    return deliver(message)
+      .then(
+        () => {
+          increment(events.retrySuccess)
+          return store.remove(message.id)
+        },
+        err => {
+          message.attempts++
+          message.nextAttemptAt = now + backoff(message.attempts)
+
+          if (isTransient(err) && message.nextAttemptAt < message.expiresAt) {
+            return store.update(message)
+          }
+
+          log.error({
+            op: 'pushOutbox.retry',
+            uid: message.uid,
+            deviceId: message.deviceId,
+            attempts: message.attempts - 1,
+            err: err
+          })
+          increment(events.retryFailed)
+          return store.remove(message.id)
+        }
+      )
+  }
+
+  function backoff (attempts) {
+    return Math.min(
+      outboxConfig.minBackoff * Math.pow(2, attempts - 1),
+      outboxConfig.maxBackoff
+    )
+  }
+
+  function increment (name) {
+    log.info({
+      op: 'pushOutbox',
+      name: name
+    })
+    log.increment(name)
+  }
+}
+
+function messageId (message) {
+  const hash = crypto.createHash('sha256')
+  hash.update([ message.uid, message.deviceId, message.reason ].join(':'))
+  if (message.data) {
+    hash.update(message.data)
+  }
+  return hash.digest('hex').substr(0, 32)
+}
+
+function createDbStore (db) {
+  return {
+    add: message => db.createPushMessage(message),
+    claim: (now, limit, lease) => db.claimPushMessages(now, limit, lease),
+    update: message => db.updatePushMessage(message),
+    remove: id => db.deletePushMessage(id)
+  }
+}
+
+// Keeps queued messages in-process, for development.
+// They are lost when the server restarts.
+function createMemoryStore () {
+  const messages = new Map()
+
+  return {
+    add: message => {
+      if (messages.has(message.id)) {
+        return P.resolve(false)
+      }
+      messages.set(message.id, message)
+      return P.resolve(true)
+    },
+
+    claim: (now, limit, lease) => {
+      const claimed = []
+      messages.forEach(message => {
+        if (claimed.length < limit && message.nextAttemptAt <= now) {
+          message.nextAttemptAt = now + lease
+          claimed.push(Object.assign({}, message))
+        }
+      })
+      return P.resolve(claimed)
+    },
+
+    update: message => {
+      messages.set(message.id, Object.assign({}, message))
+      return P.resolve()
+    },
+
+    remove: id => {
+      messages.delete(id)
+      return P.resolve()
+    }
+  }
+}
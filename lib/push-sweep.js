@@ -0,0 +1,126 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const P = require('./promise')
+
+// Push services answer 404 or 410 for subscriptions that no longer
+// exist, usually because the browser was uninstalled or the profile
+// was deleted. lib/push.js counts those answers for each device and
+// this sweep periodically clears the push settings of devices that
+// have collected too many of them in a row, so that we stop sending
+// pushes nobody will receive. Devices that are still around will
+// register a new endpoint at /account/device.
+module.exports = function (log, db, config) {
+  const sweepConfig = config.pushSweep || {}
+  let timer, sweeping
+
+  return {
+    recordFailure: recordFailure,
+    recordSuccess: recordSuccess,
+    start: start,
+    stop: stop,
+    sweep: sweep
+  }
+
+  /**
+   * Counts a 404 or 410 from the push service against a device.
+   *
+   * @param uid
+   * @param device
+   * @promise
+   */
+  function recordFailure (uid, device) {
+    return db.recordPushFailure(uid, device.id)
+      .then(failures => {
+        increment('push.sweep.failure_recorded')
+        if (failures === sweepConfig.failureThreshold) {
+          increment('push.sweep.threshold_reached')
+        }
+      })
+  }
+
+  /**
+   * Resets a device's failure count after a successful push,
+   * so that only consecutive failures count towards the threshold.
+   *
+   * @param uid
+   * @param device
+   * @promise
+   */
+  function recordSuccess (uid, device) {
+    if (! device.pushFailures) {
+      return P.resolve()
+    }
+    return db.resetPushFailures(uid, device.id)
+  }
+
+  function start () {
+    if (! timer) {
+      timer = setInterval(sweep, sweepConfig.interval)
+      timer.unref()
+    }
+  }
+
+  function stop () {
+    clearInterval(timer)
+    timer = null
+  }
+
+  /**
+   * Clears the push settings of a batch of devices that have
+   * reached the failure threshold. Resolves to the number of
+   * devices that were cleared.
+   */
+  function sweep () {
+    if (sweeping) {
+      return P.resolve(0)
+    }
+
+    sweeping = true
+    let expired = 0
+    return db.unreachablePushDevices(sweepConfig.failureThreshold, sweepConfig.batchSize)
+      .then(devices => P.each(devices, device => {
+        return db.expirePushEndpoint(device.uid, device.id)
+          .then(
+            () => {
+              expired++
+              increment('push.sweep.expired')
+            },
+            err => {
+              log.error({
+                op: 'pushSweep.expire',
+                uid: device.uid.toString('hex'),
+                deviceId: device.id.toString('hex'),
+                err: err
+              })
+              increment('push.sweep.failed')
+            }
+          )
+      }))
+      .then(() => {
+        log.info({
+          op: 'pushSweep',
+          expired: expired
+        })
+        return expired
+      })
+      .catch(err => {
+        log.error({ op: 'pushSweep', err: err })
+        return expired
+      })
+      .finally(() => {
+        sweeping = false
+      })
+  }
+
+  function increment (name) {
+    log.info({
+      op: 'pushSweep',
+      name: name
+    })
+    log.increment(name)
+  }
+}
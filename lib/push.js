@@ -4,6 +4,7 @@
 
 var webpush = require('web-push')
 var P = require('./promise')
+var deviceCommands = require('./device-commands')
 
 var ERR_NO_PUSH_CALLBACK = 'No Push Callback'
 var ERR_DATA_BUT_NO_KEYS = 'Data payload present but missing key(s)'
@@ -13,8 +14,11 @@ var LOG_OP_PUSH_TO_DEVICES = 'push.pushToDevices'
 
 var PUSH_PAYLOAD_SCHEMA_VERSION = 1
 var PUSH_COMMANDS = {
+  ACCOUNT_DESTROYED: 'fxaccounts:account_destroyed',
+  COMMAND_RECEIVED: 'fxaccounts:command_received',
   DEVICE_CONNECTED: 'fxaccounts:device_connected',
   DEVICE_DISCONNECTED: 'fxaccounts:device_disconnected',
+  LOGIN_REQUEST: 'fxaccounts:login_request',
   PASSWORD_CHANGED: 'fxaccounts:password_changed',
   PASSWORD_RESET: 'fxaccounts:password_reset'
 }
@@ -22,11 +26,17 @@ var PUSH_COMMANDS = {
 var TTL_DEVICE_DISCONNECTED = 5 * 3600 // 5 hours
 var TTL_PASSWORD_CHANGED = 6 * 3600 // 6 hours
 var TTL_PASSWORD_RESET = TTL_PASSWORD_CHANGED
+var TTL_ACCOUNT_DESTROYED = TTL_DEVICE_DISCONNECTED
 
 // An arbitrary, but very generous, limit on the number of active devices.
-// Currently only for metrics purposes, not enforced.
+// Only for metrics purposes, see config.deviceLimit for the enforced limit.
 var MAX_ACTIVE_DEVICES = 200
 
+// Messages that devices send to each other are also appended to each
+// recipient's command queue, see config.deviceCommands. Notifications
+// from the server itself describe state that devices can fetch anyway.
+var QUEUED_REASONS = ['devicesNotify', 'deviceCommand']
+
 var reasonToEvents = {
   accountVerify: {
     send: 'push.account_verify.send',
@@ -34,7 +44,10 @@ var reasonToEvents = {
     resetSettings: 'push.account_verify.reset_settings',
     failed: 'push.account_verify.failed',
     noCallback: 'push.account_verify.no_push_callback',
-    noKeys: 'push.account_verify.data_but_no_keys'
+    noKeys: 'push.account_verify.data_but_no_keys',
+    retry: 'push.account_verify.retry',
+    retrySuccess: 'push.account_verify.retry_success',
+    retryFailed: 'push.account_verify.retry_failed'
   },
   accountConfirm: {
     send: 'push.account_confirm.send',
@@ -42,7 +55,10 @@ var reasonToEvents = {
     resetSettings: 'push.account_confirm.reset_settings',
     failed: 'push.account_confirm.failed',
     noCallback: 'push.account_confirm.no_push_callback',
-    noKeys: 'push.account_confirm.data_but_no_keys'
+    noKeys: 'push.account_confirm.data_but_no_keys',
+    retry: 'push.account_confirm.retry',
+    retrySuccess: 'push.account_confirm.retry_success',
+    retryFailed: 'push.account_confirm.retry_failed'
   },
   passwordReset: {
     send: 'push.password_reset.send',
@@ -50,7 +66,10 @@ var reasonToEvents = {
     resetSettings: 'push.password_reset.reset_settings',
     failed: 'push.password_reset.failed',
     noCallback: 'push.password_reset.no_push_callback',
-    noKeys: 'push.password_reset.data_but_no_keys'
+    noKeys: 'push.password_reset.data_but_no_keys',
+    retry: 'push.password_reset.retry',
+    retrySuccess: 'push.password_reset.retry_success',
+    retryFailed: 'push.password_reset.retry_failed'
   },
   passwordChange: {
     send: 'push.password_change.send',
@@ -58,7 +77,10 @@ var reasonToEvents = {
     resetSettings: 'push.password_change.reset_settings',
     failed: 'push.password_change.failed',
     noCallback: 'push.password_change.no_push_callback',
-    noKeys: 'push.password_change.data_but_no_keys'
+    noKeys: 'push.password_change.data_but_no_keys',
+    retry: 'push.password_change.retry',
+    retrySuccess: 'push.password_change.retry_success',
+    retryFailed: 'push.password_change.retry_failed'
   },
   deviceConnected: {
     send: 'push.device_connected.send',
@@ -66,7 +88,10 @@ var reasonToEvents = {
     resetSettings: 'push.device_connected.reset_settings',
     failed: 'push.device_connected.failed',
     noCallback: 'push.device_connected.no_push_callback',
-    noKeys: 'push.device_connected.data_but_no_keys'
+    noKeys: 'push.device_connected.data_but_no_keys',
+    retry: 'push.device_connected.retry',
+    retrySuccess: 'push.device_connected.retry_success',
+    retryFailed: 'push.device_connected.retry_failed'
   },
   deviceDisconnected: {
     send: 'push.device_disconnected.send',
@@ -74,7 +99,32 @@ var reasonToEvents = {
     resetSettings: 'push.device_disconnected.reset_settings',
     failed: 'push.device_disconnected.failed',
     noCallback: 'push.device_disconnected.no_push_callback',
-    noKeys: 'push.device_disconnected.data_but_no_keys'
+    noKeys: 'push.device_disconnected.data_but_no_keys',
+    retry: 'push.device_disconnected.retry',
+    retrySuccess: 'push.device_disconnected.retry_success',
+    retryFailed: 'push.device_disconnected.retry_failed'
+  },
+  accountDestroyed: {
+    send: 'push.account_destroyed.send',
+    success: 'push.account_destroyed.success',
+    resetSettings: 'push.account_destroyed.reset_settings',
+    failed: 'push.account_destroyed.failed',
+    noCallback: 'push.account_destroyed.no_push_callback',
+    noKeys: 'push.account_destroyed.data_but_no_keys',
+    retry: 'push.account_destroyed.retry',
+    retrySuccess: 'push.account_destroyed.retry_success',
+    retryFailed: 'push.account_destroyed.retry_failed'
+  },
+  loginRequest: {
+    send: 'push.login_request.send',
+    success: 'push.login_request.success',
+    resetSettings: 'push.login_request.reset_settings',
+    failed: 'push.login_request.failed',
+    noCallback: 'push.login_request.no_push_callback',
+    noKeys: 'push.login_request.data_but_no_keys',
+    retry: 'push.login_request.retry',
+    retrySuccess: 'push.login_request.retry_success',
+    retryFailed: 'push.login_request.retry_failed'
   },
   devicesNotify: {
     send: 'push.devices_notify.send',
@@ -82,19 +132,156 @@ var reasonToEvents = {
     resetSettings: 'push.devices_notify.reset_settings',
     failed: 'push.devices_notify.failed',
     noCallback: 'push.devices_notify.no_push_callback',
-    noKeys: 'push.devices_notify.data_but_no_keys'
+    noKeys: 'push.devices_notify.data_but_no_keys',
+    retry: 'push.devices_notify.retry',
+    retrySuccess: 'push.devices_notify.retry_success',
+    retryFailed: 'push.devices_notify.retry_failed'
+  },
+  deviceCommand: {
+    send: 'push.device_command.send',
+    success: 'push.device_command.success',
+    resetSettings: 'push.device_command.reset_settings',
+    failed: 'push.device_command.failed',
+    noCallback: 'push.device_command.no_push_callback',
+    noKeys: 'push.device_command.data_but_no_keys',
+    retry: 'push.device_command.retry',
+    retrySuccess: 'push.device_command.retry_success',
+    retryFailed: 'push.device_command.retry_failed'
   }
 }
 
+/**
+ * Loads the VAPID key pairs from config.vapidKeysFile, current key first.
+ * The file holds either a single key pair or, to allow rotation,
+ * `{ "keys": [ ... ] }` with exactly one pair marked `"current": true`.
+ * Older pairs are kept so that existing subscriptions keep working
+ * until their devices resubscribe with the current key.
+ *
+ * @param file
+ * @returns {Object[]}
+ */
+function loadVapidKeys(file) {
+  var contents = require(file)
+  if (! contents.keys) {
+    return [ contents ]
+  }
+
+  var current = contents.keys.filter(function (key) {
+    return key.current
+  })
+  if (current.length !== 1) {
+    throw new Error('Exactly one VAPID key must be marked current in ' + file)
+  }
+  return current.concat(contents.keys.filter(function (key) {
+    return ! key.current
+  }))
+}
+
 module.exports = function (log, db, config) {
-  var vapid
-  if (config.vapidKeysFile) {
-    var vapidKeys = require(config.vapidKeysFile)
-    vapid = {
-      privateKey: vapidKeys.privateKey,
-      publicKey:  vapidKeys.publicKey,
+  var vapidKeys = config.vapidKeysFile ? loadVapidKeys(config.vapidKeysFile) : []
+  var vapid = vapidKeys.map(function (key) {
+    return {
+      privateKey: key.privateKey,
+      publicKey:  key.publicKey,
       subject: config.publicUrl
     }
+  })
+
+  // Transient failures are retried from the outbox, if it's enabled.
+  // Nothing is retried until start() is called.
+  var outbox
+  if (config.pushOutbox && config.pushOutbox.enabled) {
+    outbox = require('./push-outbox')(log, db, config, reasonToEvents)
+  }
+
+  // Endpoints that keep coming back as gone are cleared by a periodic
+  // sweep, if it's enabled. Otherwise they are cleared straight away.
+  // Failures are counted regardless, but the sweep only runs after start().
+  var sweep
+  if (config.pushSweep && config.pushSweep.enabled) {
+    sweep = require('./push-sweep')(log, db, config)
+  }
+
+  /**
+   * Sends a message from the outbox
+   *
+   * @param message
+   * @promise
+   */
+  function sendQueuedMessage(message) {
+    var pushOptions = { 'TTL': String(message.TTL) }
+    var pushPayload = message.data ? Buffer(message.data, 'base64') : null
+    return sendNotification(message.subscription, pushPayload, pushOptions)
+  }
+
+  /**
+   * Sends a push notification, identified with the current VAPID key.
+   * Push services reject notifications signed with a different key
+   * from the one the subscription was created with, so on a 401 or 403
+   * each of the older keys is tried in turn.
+   *
+   * @param subscription
+   * @param payload
+   * @param options
+   * @promise
+   */
+  function sendNotification(subscription, payload, options) {
+    if (vapid.length === 0) {
+      return webpush.sendNotification(subscription, payload, options)
+    }
+
+    return send(0)
+
+    function send(index) {
+      var pushOptions = Object.assign({}, options, { vapidDetails: vapid[index] })
+      return webpush.sendNotification(subscription, payload, pushOptions)
+        .then(
+          function (result) {
+            if (index > 0) {
+              incrementPushAction('push.vapid.previous_key')
+            }
+            return result
+          },
+          function (err) {
+            if ((err.statusCode === 401 || err.statusCode === 403) && index + 1 < vapid.length) {
+              return send(index + 1)
+            }
+            throw err
+          }
+        )
+    }
+  }
+
+  /**
+   * Appends a message to the command queues of a list of devices,
+   * so that they can fetch it even if the push doesn't reach them.
+   * Failures are logged but don't stop the push from being sent.
+   *
+   * @param uid
+   * @param devices
+   * @param reason
+   * @param {Object} options
+   * @param {String} options.data
+   * @param {String} options.TTL (in seconds)
+   * @promise
+   */
+  function queueCommands(uid, devices, reason, options) {
+    var commandsConfig = config.deviceCommands || {}
+    if (! commandsConfig.enabled || ! options.data || QUEUED_REASONS.indexOf(reason) === -1) {
+      return P.resolve()
+    }
+    var now = Date.now()
+    var command = {
+      data: options.data.toString('utf8'),
+      createdAt: now,
+      expiresAt: now + (options.TTL ? options.TTL * 1000 : commandsConfig.ttl)
+    }
+    return P.each(devices, function (device) {
+      return db.appendDeviceCommand(uid, device.id, command)
+        .catch(function (err) {
+          reportPushError(err, uid, device.id.toString('hex'))
+        })
+    })
   }
 
   /**
@@ -147,6 +334,43 @@ module.exports = function (log, db, config) {
   }
 
   return {
+    /**
+     * Returns the current VAPID public key, which devices should
+     * use for new push subscriptions, or null if VAPID isn't configured
+     *
+     * @returns {String}
+     */
+    vapidPublicKey: function vapidPublicKey() {
+      return vapid.length > 0 ? vapid[0].publicKey : null
+    },
+
+    /**
+     * Starts retrying messages from the outbox and sweeping unreachable
+     * devices, for whichever of them is enabled. Only the key server
+     * process does this, so that scripts and tests which load this
+     * module don't leave timers running.
+     */
+    start: function start() {
+      if (outbox) {
+        outbox.start(sendQueuedMessage)
+      }
+      if (sweep) {
+        sweep.start()
+      }
+    },
+
+    /**
+     * Stops whatever start() started
+     */
+    stop: function stop() {
+      if (outbox) {
+        outbox.stop()
+      }
+      if (sweep) {
+        sweep.stop()
+      }
+    },
+
     /**
      * Notifies all devices that there was an update to the account
      *
@@ -198,6 +422,72 @@ module.exports = function (log, db, config) {
       return this.pushToDevice(uid, idToDisconnect, 'deviceDisconnected', options)
     },
 
+    /**
+     * Notifies a set of devices that the account was destroyed
+     *
+     * @param uid
+     * @param {Object[]} devices (complete devices objects, fetched before the account was destroyed)
+     * @promise
+     */
+    notifyAccountDestroyed: function notifyAccountDestroyed(uid, devices) {
+      var data = Buffer(JSON.stringify({
+        version: PUSH_PAYLOAD_SCHEMA_VERSION,
+        command: PUSH_COMMANDS.ACCOUNT_DESTROYED,
+        data: {
+          uid: uid.toString('hex')
+        }
+      }))
+      var options = { data: data, TTL: TTL_ACCOUNT_DESTROYED }
+      return this.sendPush(uid, devices, 'accountDestroyed', options)
+    },
+
+    /**
+     * Sends a command from lib/device-commands.js to a device,
+     * with the command's TTL
+     *
+     * @param uid
+     * @param device
+     * @param command
+     * @param {Object} payload (already validated against the command's schema)
+     * @param sender (the id of the sending device, if it has one)
+     * @promise
+     */
+    notifyCommandInvoked: function notifyCommandInvoked(uid, device, command, payload, sender) {
+      var data = Buffer(JSON.stringify({
+        version: PUSH_PAYLOAD_SCHEMA_VERSION,
+        command: PUSH_COMMANDS.COMMAND_RECEIVED,
+        data: {
+          command: command,
+          sender: sender,
+          payload: payload
+        }
+      }))
+      var options = { data: data, TTL: deviceCommands.ttl(command) }
+      return this.pushToDevice(uid, device.id.toString('hex'), 'deviceCommand', options)
+    },
+
+    /**
+     * Asks a set of devices to approve a sign-in from somewhere else
+     *
+     * @param uid
+     * @param {Object[]} devices (complete devices objects)
+     * @param {Object} loginRequest
+     * @param {String} loginRequest.id (of the unverified session)
+     * @param {Object} loginRequest.userAgent
+     * @param {Object} loginRequest.location
+     * @param {Number} TTL (in seconds)
+     * @promise
+     */
+    notifyLoginRequest: function notifyLoginRequest(uid, devices, loginRequest, TTL) {
+      var data = Buffer(JSON.stringify({
+        version: PUSH_PAYLOAD_SCHEMA_VERSION,
+        command: PUSH_COMMANDS.LOGIN_REQUEST,
+        data: loginRequest
+      }))
+      var options = { data: data, TTL: TTL }
+      return this.sendPush(uid, devices, 'loginRequest', options)
+    },
+
     /**
      * Notifies a set of devices that the password was changed
      *
@@ -252,7 +542,10 @@ module.exports = function (log, db, config) {
             })
           }
           var pushOptions = filterOptions(options)
-          return self.sendPush(uid, devices, reason, pushOptions)
+          return queueCommands(uid, devices, reason, pushOptions)
+            .then(function () {
+              return self.sendPush(uid, devices, reason, pushOptions)
+            })
         })
     },
 
@@ -278,7 +571,10 @@ module.exports = function (log, db, config) {
             return P.reject('Devices ids not found in devices')
           }
           var pushOptions = filterOptions(options || {})
-          return self.sendPush(uid, devices, reason, pushOptions)
+          return queueCommands(uid, devices, reason, pushOptions)
+            .then(function () {
+              return self.sendPush(uid, devices, reason, pushOptions)
+            })
         })
     },
 
@@ -347,19 +643,28 @@ module.exports = function (log, db, config) {
             }
             pushPayload = options.data
           }
-          if (vapid) {
-            pushOptions.vapidDetails = vapid
-          }
-          return webpush.sendNotification(pushSubscription, pushPayload, pushOptions)
+          return sendNotification(pushSubscription, pushPayload, pushOptions)
           .then(
             function () {
               incrementPushAction(events.success)
+              if (sweep) {
+                return sweep.recordSuccess(uid, device).catch(function (err) {
+                  reportPushError(err, uid, deviceId)
+                })
+              }
             },
             function (err) {
               // 404 or 410 error from the push servers means
               // the push settings need to be reset.
               // the clients will check this and re-register push endpoints
-              if (err.statusCode === 404 || err.statusCode === 410) {
+              if ((err.statusCode === 404 || err.statusCode === 410) && sweep) {
+                // leave the reset to the sweep, once the device
+                // has failed often enough in a row
+                incrementPushAction(events.failed)
+                return sweep.recordFailure(uid, device).catch(function (err) {
+                  reportPushError(err, uid, deviceId)
+                })
+              } else if (err.statusCode === 404 || err.statusCode === 410) {
                 // reset device push configuration
                 // Warning: this method is called without any session tokens or auth validation.
                 device.pushCallback = ''
@@ -373,6 +678,18 @@ module.exports = function (log, db, config) {
               } else {
                 reportPushError(err, uid, deviceId)
                 incrementPushAction(events.failed)
+                if (outbox && outbox.isTransient(err) && options.TTL) {
+                  return outbox.enqueue({
+                    uid: uid.toString('hex'),
+                    deviceId: deviceId,
+                    reason: reason,
+                    subscription: pushSubscription,
+                    data: pushPayload,
+                    TTL: +options.TTL
+                  }).catch(function (err) {
+                    reportPushError(err, uid, deviceId)
+                  })
+                }
               }
             }
           )
@@ -10,22 +10,38 @@ var BASE64_JWT = validators.BASE64_JWT
 var DISPLAY_SAFE_UNICODE = validators.DISPLAY_SAFE_UNICODE
 var URLSAFEBASE64 = validators.URLSAFEBASE64
 var BASE_36 = validators.BASE_36
+var DIGITS = validators.DIGITS
+var DEVICE_COMMAND_NAME = validators.DEVICE_COMMAND_NAME
 var PUSH_PAYLOADS_SCHEMA_PATH = '../../docs/pushpayloads.schema.json'
 
+// Push payloads that only the server may send, which
+// /account/devices/notify refuses even though they match the schema.
+var SERVER_ONLY_PUSH_COMMANDS = [
+  'fxaccounts:command_received',
+  'fxaccounts:account_destroyed',
+  'fxaccounts:login_request'
+]
+
 // An arbitrary, but very generous, limit on the number of active sessions.
-// Currently only for metrics purposes, not enforced.
+// Only for metrics purposes, see config.sessionLimit for the enforced limit.
 var MAX_ACTIVE_SESSIONS = 200
 
+// The most messages that /account/device/commands returns at once.
+var MAX_DEVICE_COMMANDS = 100
+
 var MS_ONE_DAY = 1000 * 60 * 60 * 24
 var MS_ONE_WEEK = MS_ONE_DAY * 7
 var MS_ONE_MONTH = MS_ONE_DAY * 30
 
+var crypto = require('crypto')
 var path = require('path')
 var ajv = require('ajv')()
 var fs = require('fs')
 var butil = require('../crypto/butil')
 var userAgent = require('../userAgent')
+var emailHelper = require('../routes/utils/email')
 var requestHelper = require('../routes/utils/request_helper')
+var deviceCommands = require('../device-commands')
 
 const METRICS_CONTEXT_SCHEMA = require('../metrics/context').schema
 
@@ -61,8 +77,29 @@ module.exports = function (
   const features = require('../features')(config)
 
   const securityHistoryEnabled = config.securityHistory && config.securityHistory.enabled
+  const maxSessions = config.sessionLimit && config.sessionLimit.max || 0
+  const sessionIdleAge = config.sessionLimit && config.sessionLimit.idleAge || 0
+  const deviceCommandsEnabled = config.deviceCommands && config.deviceCommands.enabled
+  // Devices may advertise commands that this server doesn't know about yet,
+  // they just can't be invoked until they're added to lib/device-commands.js.
+  const DEVICE_CAPABILITIES_SCHEMA = isA.array().items(
+    isA.string().max(64).regex(DEVICE_COMMAND_NAME)
+  ).max(32).unique()
+  const totpEnabled = config.totp && config.totp.enabled
+  const webauthnEnabled = config.webauthn && config.webauthn.enabled
   const unblockCodeLifetime = config.signinUnblock && config.signinUnblock.codeLifetime || 0
   const unblockCodeLen = config.signinUnblock && config.signinUnblock.codeLength || 0
+  const signinCodeConfig = config.signinConfirmation || {}
+  const signinCodeLifetime = signinCodeConfig.codeLifetime || 0
+  const signinCodeMaxAttempts = signinCodeConfig.codeMaxAttempts
+  const deviceApprovalConfig = signinCodeConfig.deviceApproval || {}
+  const deviceApprovalEnabled = !! deviceApprovalConfig.enabled
+  const deviceApprovalLifetime = deviceApprovalConfig.lifetime || 0
+
+  const scopedKeysConfig = config.scopedKeys || {}
+  const scopedKeys = scopedKeysConfig.scopes || {}
+  const DEFAULT_KEY_ROTATION_SECRET = '0000000000000000000000000000000000000000000000000000000000000000'
+  const generateSigninCode = require('../crypto/digits')(signinCodeConfig.codeLength || 6)
 
   var routes = [
     {
@@ -410,7 +447,8 @@ module.exports = function (
         const ip = request.app.clientAddress
         let needsVerificationId = true
         let emailRecord, sessions, sessionToken, keyFetchToken, mustVerifySession, doSigninConfirmation,
-          emailSent, unblockCode, customsErr, allowSigninUnblock, didSigninUnblock, tokenVerificationId
+          emailSent, unblockCode, customsErr, allowSigninUnblock, didSigninUnblock, tokenVerificationId,
+          twoStepMethod, deviceApprovalRequested
 
         let securityEventRecency, securityEventVerified = false
 
@@ -430,12 +468,14 @@ module.exports = function (
           .then(readEmailRecord)
           .then(checkSecurityHistory)
           .then(checkEmailAndPassword)
+          .then(checkTwoStepAuthentication)
           .then(checkNumberOfActiveSessions)
           .then(createSessionToken)
           .then(createKeyFetchToken)
           .then(emitSyncLoginEvent)
           .then(sendVerifyAccountEmail)
           .then(sendNewDeviceLoginNotification)
+          .then(requestDeviceApproval)
           .then(sendVerifyLoginEmail)
           .then(recordSecurityEvent)
           .then(createResponse)
@@ -626,7 +666,9 @@ module.exports = function (
           }
           request.setMetricsFlowCompleteSignal(flowCompleteSignal)
 
-          if(email !== emailRecord.email) {
+          // After a change of primary address, the password is still
+          // stretched with the address that it was created with.
+          if(email !== emailRecord.email && email !== emailRecord.originalEmail) {
             customs.flag(request.app.clientAddress, {
               email: email,
               errno: error.ERRNO.INCORRECT_PASSWORD
@@ -638,7 +680,7 @@ module.exports = function (
             .then(
               function (match) {
                 if (! match) {
-                  throw error.incorrectPassword(emailRecord.email, email)
+                  throw error.incorrectPassword(emailRecord.originalEmail || emailRecord.email, email)
                 }
 
                 return request.emitMetricsEvent('account.login', {
@@ -648,6 +690,21 @@ module.exports = function (
             )
         }
 
+        function checkTwoStepAuthentication () {
+          // Accounts with two-step authentication always get an unverified
+          // session, which can only be verified with the user's second factor.
+          // Sign-in confirmation emails are not sent.
+          return getTwoStepMethod(emailRecord.uid)
+            .then(method => {
+              twoStepMethod = method
+              if (twoStepMethod) {
+                needsVerificationId = true
+                mustVerifySession = true
+                doSigninConfirmation = false
+              }
+            })
+        }
+
         function checkNumberOfActiveSessions () {
           return db.sessions(emailRecord.uid)
             .then(
@@ -664,6 +721,13 @@ module.exports = function (
                     numSessions: sessions.length
                   })
                 }
+
+                if (maxSessions && sessions.length >= maxSessions) {
+                  return pruneSessions(request, emailRecord, sessions, sessions.length - maxSessions + 1)
+                    .then(remaining => {
+                      sessions = remaining
+                    })
+                }
               }
             )
         }
@@ -685,7 +749,8 @@ module.exports = function (
                 emailVerified: emailRecord.emailVerified,
                 verifierSetAt: emailRecord.verifierSetAt,
                 mustVerify: mustVerifySession,
-                tokenVerificationId: tokenVerificationId
+                tokenVerificationId: tokenVerificationId,
+                verificationMethod: twoStepMethod
               }
 
               return db.createSessionToken(sessionTokenOptions, request.headers['user-agent'])
@@ -780,21 +845,31 @@ module.exports = function (
         function sendNewDeviceLoginNotification() {
           // New device notification emails should only be sent when requesting keys.
           // They're not sent if performing a sign-in confirmation
-          // (in which case you get the sign-in confirmation email)
+          // (in which case you get the sign-in confirmation email),
+          // if the session still needs a two-step authentication code
           // or if the account is unverified (in which case
           // content-server triggers a resend of the account verification email)
           var shouldSendNewDeviceLoginEmail = config.newLoginNotificationEnabled
             && requestHelper.wantsKeys(request)
             && ! doSigninConfirmation
+            && ! twoStepMethod
             && emailRecord.emailVerified
           if (shouldSendNewDeviceLoginEmail) {
-            return getGeoData(ip)
+            let ccEmails
+            return emailHelper.getNotificationCcEmails(db, emailRecord.uid)
+              .then(
+                function (result) {
+                  ccEmails = result
+                  return getGeoData(ip)
+                }
+              )
               .then(
                 function (geoData) {
                   mailer.sendNewDeviceLoginNotification(
                     emailRecord.email,
                     userAgent.call({
                       acceptLanguage: request.app.acceptLanguage,
+                      ccEmails: ccEmails,
                       ip: ip,
                       location: geoData.location,
                       timeZone: geoData.timeZone
@@ -805,15 +880,81 @@ module.exports = function (
           }
         }
 
+        function requestDeviceApproval () {
+          // Instead of the sign-in confirmation email, ask the account's
+          // other verified devices to approve this sign-in. Clients can
+          // still fall back to email with /recovery_email/resend_code.
+          if (! doSigninConfirmation || ! deviceApprovalEnabled) {
+            return
+          }
+
+          const verifiedSessions = {}
+          sessions.forEach(session => {
+            if (! session.tokenVerificationId) {
+              verifiedSessions[session.tokenId.toString('hex')] = true
+            }
+          })
+
+          return db.devices(emailRecord.uid)
+            .then(devices => {
+              const approvers = devices.filter(device => {
+                return device.pushCallback && device.sessionToken &&
+                  verifiedSessions[device.sessionToken.toString('hex')]
+              })
+
+              if (approvers.length === 0) {
+                return
+              }
+
+              // Only sessions that we've asked about can be approved.
+              return db.createDeviceApproval(sessionToken.tokenId, { uid: emailRecord.uid })
+                .then(() => getGeoData(ip))
+                .then(geoData => {
+                  const ua = userAgent.call({}, request.headers['user-agent'], log)
+                  return push.notifyLoginRequest(emailRecord.uid, approvers, {
+                    id: sessionToken.tokenId.toString('hex'),
+                    userAgent: {
+                      browser: ua.uaBrowser,
+                      browserVersion: ua.uaBrowserVersion,
+                      os: ua.uaOS,
+                      osVersion: ua.uaOSVersion,
+                      deviceType: ua.uaDeviceType
+                    },
+                    location: geoData.location || {},
+                    timestamp: sessionToken.createdAt
+                  }, Math.floor(deviceApprovalLifetime / 1000))
+                })
+                .then(() => {
+                  deviceApprovalRequested = true
+                  log.info({
+                    op: 'account.signin.confirm.device',
+                    uid: emailRecord.uid.toString('hex'),
+                    devices: approvers.length
+                  })
+                })
+            })
+            .catch(err => {
+              // Fall back to the confirmation email
+              log.error({ op: 'account.signin.confirm.device.error', err: err })
+            })
+        }
+
         function sendVerifyLoginEmail() {
-          if (doSigninConfirmation) {
+          if (doSigninConfirmation && ! deviceApprovalRequested) {
             log.info({
               op: 'account.signin.confirm.start',
               uid: emailRecord.uid.toString('hex'),
               tokenVerificationId: tokenVerificationId
             })
 
-            return getGeoData(ip)
+            let signinCode
+            return createSigninCode(sessionToken)
+              .then(
+                function (code) {
+                  signinCode = code
+                  return getGeoData(ip)
+                }
+              )
               .then(
                 function (geoData) {
                   return mailer.sendVerifyLoginEmail(
@@ -826,6 +967,7 @@ module.exports = function (
                       redirectTo: redirectTo,
                       resume: resume,
                       service: service,
+                      signinCode: signinCode,
                       timeZone: geoData.timeZone
                     }, request.headers['user-agent'], log)
                   )
@@ -857,19 +999,29 @@ module.exports = function (
 
           response.emailSent = emailSent
 
+          if (twoStepMethod) {
+            response.verified = false
+            response.verificationMethod = twoStepMethod
+            response.verificationReason = 'login'
+          }
+
           if (! requestHelper.wantsKeys(request)) {
             return P.resolve(response)
           }
 
           response.keyFetchToken = keyFetchToken.data.toString('hex')
 
+          if (twoStepMethod) {
+            return P.resolve(response)
+          }
+
           if(! emailRecord.emailVerified) {
             response.verified = false
             response.verificationMethod = 'email'
             response.verificationReason = 'signup'
           } else if (doSigninConfirmation) {
             response.verified = false
-            response.verificationMethod = 'email'
+            response.verificationMethod = deviceApprovalRequested ? 'device' : 'email'
             response.verificationReason = 'login'
           }
           return P.resolve(response)
@@ -1062,6 +1214,78 @@ module.exports = function (
           .done(reply, reply)
       }
     },
+    {
+      method: 'POST',
+      path: '/account/scoped-key-data',
+      config: {
+        auth: {
+          strategy: 'sessionToken'
+        },
+        validate: {
+          payload: {
+            client_id: isA.string().length(16).regex(HEX_STRING).required(),
+            scope: isA.string().max(1024).required()
+          }
+        },
+        response: {
+          schema: isA.object().pattern(/.+/, isA.object({
+            identifier: isA.string().required(),
+            keyRotationSecret: isA.string().length(64).regex(HEX_STRING).required(),
+            keyRotationTimestamp: isA.number().min(0).required()
+          }))
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Account.scopedKeyData', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const clientId = request.payload.client_id.toLowerCase()
+
+        // Scopes without registered keys, like `profile`, are ignored.
+        const scopes = request.payload.scope.split(/\s+/).filter(scope => {
+          return scopedKeys.hasOwnProperty(scope)
+        })
+
+        P.resolve()
+          .then(() => {
+            if (! scopedKeysConfig.enabled) {
+              throw error.featureNotEnabled()
+            }
+
+            if (! sessionToken.emailVerified) {
+              throw error.unverifiedAccount()
+            }
+
+            if (! sessionToken.tokenVerified) {
+              throw error.unverifiedSession()
+            }
+
+            scopes.forEach(scope => {
+              if ((scopedKeys[scope].clients || []).indexOf(clientId) === -1) {
+                throw error.invalidScopes(scope)
+              }
+            })
+
+            return customs.checkAuthenticated('accountScopedKeyData', request.app.clientAddress, uid.toString('hex'))
+          })
+          .then(() => db.account(uid))
+          .then(account => {
+            // A password reset changes kB, and so every key derived from it.
+            // The timestamp lets clients tell which key encrypted their data.
+            return scopes.reduce((result, scope) => {
+              const key = scopedKeys[scope]
+              result[scope] = {
+                identifier: scope,
+                keyRotationSecret: key.keyRotationSecret || DEFAULT_KEY_ROTATION_SECRET,
+                keyRotationTimestamp: Math.max(account.verifierSetAt, key.keyRotationTimestamp || 0)
+              }
+              return result
+            }, {})
+          })
+          .done(reply, reply)
+      }
+    },
     {
       method: 'POST',
       path: '/account/device',
@@ -1077,14 +1301,16 @@ module.exports = function (
               type: isA.string().max(16).optional(),
               pushCallback: isA.string().uri({ scheme: 'https' }).max(255).optional().allow(''),
               pushPublicKey: isA.string().max(88).regex(URLSAFEBASE64).optional().allow(''),
-              pushAuthKey: isA.string().max(24).regex(URLSAFEBASE64).optional().allow('')
-            }).or('name', 'type', 'pushCallback', 'pushPublicKey', 'pushAuthKey').and('pushPublicKey', 'pushAuthKey'),
+              pushAuthKey: isA.string().max(24).regex(URLSAFEBASE64).optional().allow(''),
+              capabilities: DEVICE_CAPABILITIES_SCHEMA.optional()
+            }).or('name', 'type', 'pushCallback', 'pushPublicKey', 'pushAuthKey', 'capabilities').and('pushPublicKey', 'pushAuthKey'),
             isA.object({
               name: isA.string().max(255).regex(DISPLAY_SAFE_UNICODE).required(),
               type: isA.string().max(16).required(),
               pushCallback: isA.string().uri({ scheme: 'https' }).max(255).optional().allow(''),
               pushPublicKey: isA.string().max(88).regex(URLSAFEBASE64).optional().allow(''),
-              pushAuthKey: isA.string().max(24).regex(URLSAFEBASE64).optional().allow('')
+              pushAuthKey: isA.string().max(24).regex(URLSAFEBASE64).optional().allow(''),
+              capabilities: DEVICE_CAPABILITIES_SCHEMA.optional()
             }).and('pushPublicKey', 'pushAuthKey')
           )
         },
@@ -1098,7 +1324,8 @@ module.exports = function (
             type: isA.string().max(16).optional(),
             pushCallback: isA.string().uri({ scheme: 'https' }).max(255).optional().allow(''),
             pushPublicKey: isA.string().max(88).regex(URLSAFEBASE64).optional().allow(''),
-            pushAuthKey: isA.string().max(24).regex(URLSAFEBASE64).optional().allow('')
+            pushAuthKey: isA.string().max(24).regex(URLSAFEBASE64).optional().allow(''),
+            capabilities: DEVICE_CAPABILITIES_SCHEMA.optional()
           }).and('pushPublicKey', 'pushAuthKey')
         }
       },
@@ -1160,6 +1387,10 @@ module.exports = function (
             spurious = false
             log.increment('device.update.pushPublicKey')
           }
+          if (payload.capabilities && payload.capabilities.join(',') !== (token.deviceCapabilities || []).join(',')) {
+            spurious = false
+            log.increment('device.update.capabilities')
+          }
           return spurious
         }
       }
@@ -1208,6 +1439,9 @@ module.exports = function (
         if (!validatePushPayload(payload)) {
           throw error.invalidRequestParameter('invalid payload')
         }
+        if (SERVER_ONLY_PUSH_COMMANDS.indexOf(payload.command) !== -1) {
+          throw error.invalidRequestParameter('payload command is reserved for the server')
+        }
         var pushOptions = {
           data: new Buffer(JSON.stringify(payload))
         }
@@ -1249,6 +1483,139 @@ module.exports = function (
           )
       }
     },
+    {
+      method: 'POST',
+      path: '/account/devices/invoke_command',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithDevice'
+        },
+        validate: {
+          payload: {
+            target: isA.string().length(32).regex(HEX_STRING).required(),
+            command: isA.string().max(64).regex(DEVICE_COMMAND_NAME).required(),
+            payload: isA.object().required()
+          }
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Account.invokeDeviceCommand', request)
+
+        if (config.deviceNotificationsEnabled === false) {
+          throw error.featureNotEnabled()
+        }
+
+        const body = request.payload
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const stringUid = uid.toString('hex')
+        const ip = request.app.clientAddress
+        const command = body.command
+
+        if (! deviceCommands.exists(command)) {
+          throw error.invalidRequestParameter('unknown command')
+        }
+        if (! deviceCommands.validate(command, body.payload)) {
+          throw error.invalidRequestParameter('invalid payload')
+        }
+
+        customs.checkAuthenticated('invokeDeviceCommand', ip, stringUid)
+          .then(() => db.devices(uid))
+          .then(deviceArray => {
+            const target = deviceArray.filter(device => device.id.toString('hex') === body.target)[0]
+            if (! target) {
+              throw error.unknownDevice()
+            }
+            if (! target.capabilities || target.capabilities.indexOf(command) === -1) {
+              throw error.deviceCommandUnavailable(command)
+            }
+
+            const sender = sessionToken.deviceId ? sessionToken.deviceId.toString('hex') : null
+            return push.notifyCommandInvoked(uid, target, command, body.payload, sender)
+              .catch(err => {
+                // As with /account/devices/notify, push failures are
+                // logged but not reported to the caller.
+                log.error({
+                  op: 'Account.invokeDeviceCommand',
+                  uid: stringUid,
+                  error: err
+                })
+              })
+          })
+          .done(() => reply({}), reply)
+      }
+    },
+    {
+      method: 'GET',
+      path: '/account/device/commands',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithDevice'
+        },
+        validate: {
+          query: {
+            index: isA.number().integer().min(0).optional(),
+            limit: isA.number().integer().min(1).max(MAX_DEVICE_COMMANDS).optional()
+          }
+        },
+        response: {
+          schema: {
+            index: isA.number().integer().min(0).required(),
+            last: isA.boolean().required(),
+            messages: isA.array().items(isA.object({
+              index: isA.number().integer().min(0).required(),
+              data: isA.object().required()
+            })).required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Account.deviceCommands', request)
+
+        if (! deviceCommandsEnabled) {
+          throw error.featureNotEnabled()
+        }
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const deviceId = sessionToken.deviceId
+        const index = request.query.index || 0
+        const limit = request.query.limit || MAX_DEVICE_COMMANDS
+
+        if (! deviceId) {
+          throw error.unknownDevice()
+        }
+
+        P.resolve()
+          .then(() => {
+            // Passing an index acknowledges the messages up to and
+            // including it, so they are deleted rather than returned.
+            if (request.query.index !== undefined) {
+              return db.deleteDeviceCommands(uid, deviceId, index)
+            }
+          })
+          .then(() => db.deviceCommands(uid, deviceId, index, limit))
+          .then(result => {
+            const now = Date.now()
+            const lastIndex = result.messages.reduce((max, message) => Math.max(max, message.index), index)
+
+            return {
+              index: lastIndex,
+              last: result.last,
+              messages: result.messages
+                .filter(message => message.expiresAt > now)
+                .map(message => ({
+                  index: message.index,
+                  data: JSON.parse(message.data)
+                }))
+            }
+          })
+          .done(reply, reply)
+      }
+    },
     {
       method: 'GET',
       path: '/account/devices',
@@ -1268,7 +1635,9 @@ module.exports = function (
             type: isA.string().max(16).required(),
             pushCallback: isA.string().uri({ scheme: 'https' }).max(255).optional().allow('').allow(null),
             pushPublicKey: isA.string().max(88).regex(URLSAFEBASE64).optional().allow('').allow(null),
-            pushAuthKey: isA.string().max(24).regex(URLSAFEBASE64).optional().allow('').allow(null)
+            pushAuthKey: isA.string().max(24).regex(URLSAFEBASE64).optional().allow('').allow(null),
+            pushEndpointExpired: isA.boolean().optional(),
+            capabilities: DEVICE_CAPABILITIES_SCHEMA.optional()
           }).and('pushPublicKey', 'pushAuthKey'))
         }
       },
@@ -1294,6 +1663,7 @@ module.exports = function (
                 request.headers['accept-language'])
 
               delete device.sessionToken
+              delete device.pushFailures
               delete device.uaBrowser
               delete device.uaBrowserVersion
               delete device.uaOS
@@ -1307,6 +1677,95 @@ module.exports = function (
         )
       }
     },
+    {
+      method: 'GET',
+      path: '/account/devices/vapid_key',
+      config: {
+        auth: {
+          strategy: 'sessionToken'
+        },
+        response: {
+          schema: {
+            publicKey: isA.string().max(88).regex(URLSAFEBASE64).required().allow(null)
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Account.vapidKey', request)
+        // Devices whose push subscription was created with a different
+        // key should resubscribe with this one and update their pushCallback.
+        reply({
+          publicKey: push.vapidPublicKey()
+        })
+      }
+    },
+    {
+      method: 'GET',
+      path: '/account/sessions',
+      config: {
+        auth: {
+          strategy: 'sessionToken'
+        },
+        response: {
+          schema: isA.array().items(isA.object({
+            id: isA.string().regex(HEX_STRING).required(),
+            createdTime: isA.number().min(0).required().allow(null),
+            lastAccessTime: isA.number().min(0).required().allow(null),
+            lastAccessTimeFormatted: isA.string().optional().allow(''),
+            isCurrentSession: isA.boolean().required(),
+            isDevice: isA.boolean().required(),
+            deviceId: isA.string().length(32).regex(HEX_STRING).required().allow(null),
+            deviceName: isA.string().max(255).required().allow(''),
+            deviceType: isA.string().max(16).required().allow(null),
+            userAgent: isA.string().max(255).required().allow(''),
+            userAgentVersion: isA.string().max(255).required().allow(null),
+            os: isA.string().max(255).required().allow(null),
+            osVersion: isA.string().max(255).required().allow(null)
+          }))
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Account.sessions', request)
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const isLastAccessTimeEnabled = features.isLastAccessTimeEnabledForUser(uid, sessionToken.email)
+
+        P.all([ db.sessions(uid), db.devices(uid) ])
+          .then(results => {
+            const sessions = results[0]
+            const devicesBySession = {}
+            results[1].forEach(device => {
+              if (device.sessionToken) {
+                devicesBySession[device.sessionToken.toString('hex')] = device
+              }
+            })
+
+            return sessions.map(session => {
+              const id = session.tokenId.toString('hex')
+              const device = devicesBySession[id]
+              const lastAccessTime = isLastAccessTimeEnabled ? session.lastAccessTime || null : null
+
+              return {
+                id: id,
+                createdTime: session.createdAt || null,
+                lastAccessTime: lastAccessTime,
+                lastAccessTimeFormatted: localizeTimestamp.format(lastAccessTime,
+                  request.headers['accept-language']),
+                isCurrentSession: id === sessionToken.tokenId.toString('hex'),
+                isDevice: !! device,
+                deviceId: device ? device.id.toString('hex') : null,
+                deviceName: device && device.name || devices.synthesizeName(session),
+                deviceType: device && device.type || session.uaDeviceType || null,
+                userAgent: session.uaBrowser || '',
+                userAgentVersion: session.uaBrowserVersion || null,
+                os: session.uaOS || null,
+                osVersion: session.uaOSVersion || null
+              }
+            })
+          })
+          .done(reply, reply)
+      }
+    },
     {
       method: 'POST',
       path: '/account/device/destroy',
@@ -1471,6 +1930,10 @@ module.exports = function (
           return reply({})
         }
 
+        if (isWaitingForSecondFactor(sessionToken)) {
+          return reply(error.secondFactorRequired(sessionToken.verificationMethod))
+        }
+
         // Choose which type of email and code to resend
         let code, func, event
         if (sessionToken.tokenVerificationId) {
@@ -1491,18 +1954,28 @@ module.exports = function (
           request,
           sessionToken.email,
           'recoveryEmailResendCode')
-          .then(func.bind(
-            mailer,
-            sessionToken,
-            code,
-            userAgent.call({
-              service: service,
-              timestamp: Date.now(),
-              redirectTo: request.payload.redirectTo,
-              resume: request.payload.resume,
-              acceptLanguage: request.app.acceptLanguage
-            }, request.headers['user-agent'], log)
-          ))
+          .then(() => {
+            // Only a hash of each code is stored, so the plaintext
+            // of a new one is all that can go in the email.
+            if (event === 'confirmation') {
+              return createSigninCode(sessionToken)
+            }
+          })
+          .then(signinCode => {
+            return func.call(
+              mailer,
+              sessionToken,
+              code,
+              userAgent.call({
+                service: service,
+                signinCode: signinCode,
+                timestamp: Date.now(),
+                redirectTo: request.payload.redirectTo,
+                resume: request.payload.resume,
+                acceptLanguage: request.app.acceptLanguage
+              }, request.headers['user-agent'], log)
+            )
+          })
           .then(() => request.emitMetricsEvent(`email.${event}.resent`))
           .done(
             () => reply({}),
@@ -1519,7 +1992,8 @@ module.exports = function (
             uid: isA.string().max(32).regex(HEX_STRING).required(),
             code: isA.string().min(32).max(32).regex(HEX_STRING).required(),
             service: isA.string().max(16).alphanum().optional(),
-            reminder: isA.string().max(32).alphanum().optional()
+            reminder: isA.string().max(32).alphanum().optional(),
+            type: isA.string().max(32).alphanum().optional()
           }
         }
       },
@@ -1551,6 +2025,10 @@ module.exports = function (
           )
           .then(
             (account) => {
+              if (request.payload.type === 'secondary') {
+                return verifySecondaryEmail()
+              }
+
               let isAccountVerification = butil.buffersAreEqual(code, account.emailCode)
 
               /**
@@ -1564,7 +2042,8 @@ module.exports = function (
                *
                * 3) Verify account email if not already verified.
                */
-              return db.verifyTokens(code, account)
+              return checkTwoStepAuthentication(isAccountVerification)
+                .then(() => db.verifyTokens(code, account))
                 .then(function () {
                   if (! isAccountVerification) {
                     // Don't log sign-in confirmation success for the account verification case
@@ -1667,6 +2146,138 @@ module.exports = function (
             },
             reply
           )
+
+        // Sessions for accounts with two-step authentication can only
+        // be verified with the second factor, not from the mailbox.
+        function checkTwoStepAuthentication (isAccountVerification) {
+          if (isAccountVerification) {
+            return P.resolve()
+          }
+
+          return getTwoStepMethod(uid)
+            .then(method => {
+              if (method) {
+                log.info({
+                  op: 'account.signin.confirm.secondFactorRequired',
+                  uid: uidHex
+                })
+                throw error.secondFactorRequired(method)
+              }
+            })
+        }
+
+        // Secondary email codes verify the address only,
+        // never the account or any of its sessions.
+        function verifySecondaryEmail () {
+          return db.verifySecondaryEmail(uid, code)
+            .then(function () {
+              log.info({
+                op: 'account.email.verified',
+                uid: uidHex
+              })
+              return request.emitMetricsEvent('email.verify_secondary.success', {
+                uid: uidHex
+              })
+            })
+        }
+      }
+    },
+    {
+      method: 'POST',
+      path: '/session/verify_code',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            code: isA.string().max(32).regex(DIGITS).required(),
+            metricsContext: METRICS_CONTEXT_SCHEMA
+          }
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Session.verifyCode', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const uidHex = uid.toString('hex')
+        const code = request.payload.code
+
+        customs.check(request, sessionToken.email, 'verifySessionCode')
+          .then(() => {
+            if (sessionToken.tokenVerified) {
+              // Nothing to do, and no code to check it against.
+              return
+            }
+
+            if (isWaitingForSecondFactor(sessionToken)) {
+              throw error.secondFactorRequired(sessionToken.verificationMethod)
+            }
+
+            return db.signinCode(sessionToken.tokenId)
+              .then(checkCode)
+              .then(() => db.verifyTokens(sessionToken.tokenVerificationId, { uid: uid }))
+              .then(() => {
+                log.info({
+                  op: 'account.signin.confirm.success',
+                  uid: uidHex,
+                  method: 'code'
+                })
+                request.emitMetricsEvent('account.confirmed', {
+                  uid: uidHex
+                })
+                push.notifyUpdate(uid, 'accountConfirm')
+              }, err => {
+                if (err.errno === error.ERRNO.INVALID_SIGNIN_CODE) {
+                  customs.flag(request.app.clientAddress, {
+                    email: sessionToken.email,
+                    errno: err.errno
+                  })
+                }
+                throw err
+              })
+          })
+          .then(() => ({}))
+          .done(reply, reply)
+
+        function checkCode (record) {
+          if (! butil.buffersAreEqual(record.uid, uid)) {
+            throw error.invalidSigninCode()
+          }
+
+          // Expired and exhausted codes are discarded, so the user
+          // has to request a new email to get another one.
+          if (Date.now() - record.createdAt > signinCodeLifetime || record.attempts >= signinCodeMaxAttempts) {
+            log.info({
+              op: 'account.signin.confirm.code.expired',
+              uid: uidHex,
+              attempts: record.attempts
+            })
+            return db.deleteSigninCode(sessionToken.tokenId)
+              .then(() => {
+                throw error.invalidSigninCode()
+              })
+          }
+
+          const codeHash = hashSigninCode(sessionToken.tokenId, code)
+          if (! butil.buffersAreEqual(Buffer(record.codeHash, 'hex'), Buffer(codeHash, 'hex'))) {
+            log.info({
+              op: 'account.signin.confirm.code.invalid',
+              uid: uidHex,
+              attempts: record.attempts + 1
+            })
+            return db.incrementSigninCodeAttempts(sessionToken.tokenId)
+              .then(() => {
+                throw error.invalidSigninCode()
+              })
+          }
+
+          return db.deleteSigninCode(sessionToken.tokenId)
+        }
       }
     },
     {
@@ -1771,6 +2382,104 @@ module.exports = function (
           ).done(reply, reply)
       }
     },
+    {
+      method: 'POST',
+      path: '/account/login/approve',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            id: isA.string().length(64).regex(HEX_STRING).required(),
+            approved: isA.boolean().required()
+          }
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Account.approveLogin', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const uidHex = uid.toString('hex')
+        const id = request.payload.id
+        const approved = request.payload.approved
+
+        P.resolve()
+          .then(() => {
+            if (! deviceApprovalEnabled) {
+              throw error.featureNotEnabled()
+            }
+
+            // Only sessions that are themselves verified get a say.
+            if (! sessionToken.tokenVerified) {
+              throw error.unverifiedSession()
+            }
+
+            return customs.checkAuthenticated('approveLogin', request.app.clientAddress, uidHex)
+          })
+          .then(() => db.sessionTokenWithVerificationStatus(Buffer(id, 'hex')))
+          .then(pending => {
+            if (! pending.uid.equals(uid) || Date.now() - pending.createdAt > deviceApprovalLifetime) {
+              throw error.invalidVerificationCode()
+            }
+
+            if (pending.tokenVerified) {
+              return
+            }
+
+            if (isWaitingForSecondFactor(pending)) {
+              throw error.secondFactorRequired(pending.verificationMethod)
+            }
+
+            return db.deviceApproval(pending.tokenId)
+              .then(record => {
+                if (! record.uid.equals(uid)) {
+                  throw error.invalidVerificationCode()
+                }
+
+                return db.deleteDeviceApproval(pending.tokenId)
+              })
+              .then(() => approveOrReject(pending))
+          }, err => {
+            if (err.errno === error.ERRNO.INVALID_TOKEN) {
+              throw error.invalidVerificationCode()
+            }
+            throw err
+          })
+          .then(() => ({}))
+          .done(reply, reply)
+
+        function approveOrReject (pending) {
+          if (! approved) {
+            return db.deleteSessionToken(pending)
+              .then(() => {
+                log.info({
+                  op: 'account.signin.confirm.rejected',
+                  uid: uidHex,
+                  method: 'device'
+                })
+              })
+          }
+
+          return db.verifyTokens(pending.tokenVerificationId, { uid: uid })
+            .then(() => {
+              log.info({
+                op: 'account.signin.confirm.success',
+                uid: uidHex,
+                method: 'device'
+              })
+              request.emitMetricsEvent('account.confirmed', {
+                uid: uidHex
+              })
+              push.notifyUpdate(uid, 'accountConfirm')
+            })
+        }
+      }
+    },
     {
       method: 'POST',
       path: '/account/reset',
@@ -1782,7 +2491,9 @@ module.exports = function (
         validate: {
           payload: {
             authPW: isA.string().min(64).max(64).regex(HEX_STRING).required(),
-            sessionToken: isA.boolean().optional()
+            sessionToken: isA.boolean().optional(),
+            wrapKb: isA.string().min(64).max(64).regex(HEX_STRING).optional(),
+            recoveryKeyId: isA.string().length(32).regex(HEX_STRING).optional()
           }
         }
       },
@@ -1792,15 +2503,29 @@ module.exports = function (
         var authPW = Buffer(request.payload.authPW, 'hex')
         var account, sessionToken, keyFetchToken, verifyHash, wrapKb, devicesToNotify
         var hasSessionToken = request.payload.sessionToken
+        var recoveryKeyId = request.payload.recoveryKeyId
+        var recoveredWrapKb = request.payload.wrapKb
 
-        return fetchDevicesToNotify()
+        return checkRecoveryKey()
+          .then(fetchDevicesToNotify)
           .then(resetAccountData)
+          .then(deleteRecoveryKey)
           .then(createSessionToken)
           .then(createKeyFetchToken)
           .then(recordSecurityEvent)
           .then(createResponse)
           .done(reply, reply)
 
+        function checkRecoveryKey () {
+          if (!! recoveryKeyId !== !! recoveredWrapKb) {
+            return P.reject(error.missingRequestParameter(recoveryKeyId ? 'wrapKb' : 'recoveryKeyId'))
+          }
+          if (recoveryKeyId) {
+            return db.recoveryKey(accountResetToken.uid, Buffer(recoveryKeyId, 'hex'))
+          }
+          return P.resolve()
+        }
+
         function fetchDevicesToNotify() {
           // We fetch the devices to notify before resetAccountData() because
           // db.resetAccount() deletes all the devices saved in the account.
@@ -1819,8 +2544,17 @@ module.exports = function (
               authSalt = bytes.slice(0, 32) // 0..31
               wrapWrapKb = bytes.slice(32) // 32..63
               password = new Password(authPW, authSalt, config.verifierVersion)
-              return password.verifyHash()
+              if (recoveredWrapKb) {
+                // The client decrypted kB using its recovery key and has
+                // wrapped it again with the new password, so the user's
+                // kB survives the reset instead of being regenerated.
+                return password.wrap(Buffer(recoveredWrapKb, 'hex'))
+                  .then(result => {
+                    wrapWrapKb = result
+                  })
+              }
             })
+            .then(() => password.verifyHash())
             .then(
               function (verifyHashData) {
                 verifyHash = verifyHashData
@@ -1877,6 +2611,27 @@ module.exports = function (
             )
         }
 
+        // A recovery key only works for the kB it was created with,
+        // and one that has been used shouldn't be trusted again, so
+        // any recovery key is discarded by a reset.
+        function deleteRecoveryKey () {
+          return db.deleteRecoveryKey(account.uid)
+            .then(
+              function () {
+                log.info({
+                  op: 'account.reset.recoveryKey.deleted',
+                  uid: account.uid.toString('hex'),
+                  recovered: !! recoveryKeyId
+                })
+              },
+              function (err) {
+                if (err.errno !== error.ERRNO.RECOVERY_KEY_NOT_FOUND) {
+                  throw err
+                }
+              }
+            )
+        }
+
         function createSessionToken () {
           if (hasSessionToken) {
             // Since the only way to reach this point is clicking a
@@ -1969,7 +2724,7 @@ module.exports = function (
         log.begin('Account.destroy', request)
         var form = request.payload
         var authPW = Buffer(form.authPW, 'hex')
-        var uid
+        var uid, devicesToNotify
         customs.check(
           request,
           form.email,
@@ -1983,13 +2738,24 @@ module.exports = function (
                 .then(
                   function (match) {
                     if (!match) {
-                      throw error.incorrectPassword(emailRecord.email, form.email)
+                      throw error.incorrectPassword(emailRecord.originalEmail || emailRecord.email, form.email)
                     }
+                    // The devices go with the account,
+                    // so fetch them first to notify them afterwards.
+                    return db.devices(emailRecord.uid)
+                  }
+                )
+                .then(
+                  function (devices) {
+                    devicesToNotify = devices
                     return db.deleteAccount(emailRecord)
                   }
                 )
                 .then(
                   function () {
+                    push.notifyAccountDestroyed(emailRecord.uid, devicesToNotify)
+                      .catch(function () {})
+
                     return log.notifyAttachedServices('delete', request, {
                       uid: uid + '@' + config.domain
                     })
@@ -2038,5 +2804,146 @@ module.exports = function (
     })
   }
 
+  // The confirmation email carries a short numeric code alongside the
+  // link, for users who read their mail on a different device. It is
+  // tied to the session token so that it can't confirm anything else.
+  function createSigninCode (sessionToken) {
+    return generateSigninCode()
+      .then(code => {
+        return db.createSigninCode(sessionToken.tokenId, {
+          uid: sessionToken.uid,
+          codeHash: hashSigninCode(sessionToken.tokenId, code)
+        })
+        .then(() => code)
+      })
+  }
+
+  // Keying the hash to the session token means that a code only ever
+  // matches the session it was sent for. It does nothing to stop the
+  // short code being brute-forced from a copy of the db.
+  function hashSigninCode (tokenId, code) {
+    return crypto.createHash('sha256')
+      .update(tokenId)
+      .update(code)
+      .digest('hex')
+  }
+
+  // Returns the second factor that the account's sessions have to be
+  // verified with, 'totp-2fa' or 'webauthn-2fa', or nothing if the
+  // account doesn't use two-step authentication.
+  function getTwoStepMethod (uid) {
+    return P.resolve()
+      .then(() => {
+        if (! totpEnabled) {
+          return false
+        }
+
+        return db.totpToken(uid)
+          .then(
+            token => token.verified && token.enabled,
+            err => {
+              if (err.errno !== error.ERRNO.TOTP_TOKEN_NOT_FOUND) {
+                throw err
+              }
+              return false
+            }
+          )
+      })
+      .then(hasTotp => {
+        if (hasTotp) {
+          return 'totp-2fa'
+        }
+
+        if (! webauthnEnabled) {
+          return
+        }
+
+        return db.webauthnCredentials(uid)
+          .then(credentials => {
+            if (credentials.length > 0) {
+              return 'webauthn-2fa'
+            }
+          })
+      })
+  }
+
+  // Sessions that /account/login asked for a second factor must not be
+  // verified by email, or anyone with access to the mailbox could skip it.
+  function isWaitingForSecondFactor (sessionToken) {
+    return ! sessionToken.tokenVerified && !! sessionToken.verificationMethod
+  }
+
+  // Destroys up to the given number of sessions to keep an account under
+  // config.sessionLimit, starting with unverified sessions and then the
+  // ones that have been idle longest. Verified sessions that are still in
+  // use are never destroyed, so the account can go over the limit instead.
+  // Sessions with a device take the device with them. Account creation
+  // always starts from no sessions, so only login needs to do this.
+  // Returns the remaining sessions.
+  function pruneSessions (request, account, sessions, count) {
+    const uid = account.uid
+    const now = Date.now()
+
+    // Without lastAccessTime updates there's no telling
+    // whether a verified session is still in use.
+    const canPruneIdle = sessionIdleAge > 0 &&
+      features.isLastAccessTimeEnabledForUser(uid, account.email)
+
+    const pruned = sessions.filter(session => {
+      if (session.tokenVerificationId) {
+        return true
+      }
+      return canPruneIdle && now - (session.lastAccessTime || session.createdAt || 0) > sessionIdleAge
+    }).sort((a, b) => {
+      const unverified = (b.tokenVerificationId ? 1 : 0) - (a.tokenVerificationId ? 1 : 0)
+      if (unverified !== 0) {
+        return unverified
+      }
+      return (a.lastAccessTime || a.createdAt || 0) - (b.lastAccessTime || b.createdAt || 0)
+    }).slice(0, count)
+
+    if (pruned.length < count) {
+      log.info({
+        op: 'Account.login.sessionLimit.exceeded',
+        uid: uid.toString('hex'),
+        count: count - pruned.length
+      })
+      log.increment('session.limit.exceeded')
+    }
+
+    if (pruned.length === 0) {
+      return P.resolve(sessions)
+    }
+
+    return db.devices(uid)
+      .then(accountDevices => {
+        const devicesBySession = {}
+        accountDevices.forEach(device => {
+          if (device.sessionToken) {
+            devicesBySession[device.sessionToken.toString('hex')] = device
+          }
+        })
+
+        return P.each(pruned, session => {
+          const tokenId = session.tokenId.toString('hex')
+          const device = devicesBySession[tokenId]
+
+          if (device) {
+            return devices.destroy(request, uid, device)
+          }
+          return db.deleteSessionToken({ id: tokenId, uid: uid })
+        })
+      })
+      .then(() => {
+        log.info({
+          op: 'Account.login.pruneSessions',
+          uid: uid.toString('hex'),
+          count: pruned.length
+        })
+        log.increment('session.limit.pruned')
+        return sessions.filter(session => pruned.indexOf(session) === -1)
+      })
+  }
+
   return routes
 }
@@ -0,0 +1,260 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const P = require('../promise')
+const random = require('../crypto/random')
+const userAgent = require('../userAgent')
+const validators = require('./validators')
+
+module.exports = (log, isA, error, db, mailer, config, customs) => {
+
+  function checkVerifiedSession (sessionToken) {
+    if (! sessionToken.emailVerified) {
+      throw error.unverifiedAccount()
+    }
+    if (! sessionToken.tokenVerified) {
+      throw error.unverifiedSession()
+    }
+  }
+
+  function isPrimaryEmail (sessionToken, email) {
+    return sessionToken.email.toLowerCase() === email.toLowerCase()
+  }
+
+  const routes = [
+    {
+      method: 'GET',
+      path: '/recovery_emails',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        response: {
+          schema: isA.array().items(isA.object({
+            email: validators.email().required(),
+            verified: isA.boolean().required(),
+            isPrimary: isA.boolean().required()
+          }))
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Email.list', request)
+
+        const sessionToken = request.auth.credentials
+
+        P.resolve()
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => db.accountEmails(sessionToken.uid))
+          .then(emails => {
+            return emails.map(email => {
+              return {
+                email: email.email,
+                verified: email.isVerified,
+                isPrimary: email.isPrimary
+              }
+            })
+          })
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/recovery_email',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            email: validators.email().required(),
+            service: isA.string().max(16).alphanum().optional(),
+            redirectTo: validators.redirectTo(config.smtp.redirectDomain).optional(),
+            resume: isA.string().max(2048).optional()
+          }
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Email.create', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const email = request.payload.email
+        let emailCode
+
+        P.resolve()
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => customs.check(request, sessionToken.email, 'createEmail'))
+          .then(checkEmailIsUnused)
+          .then(() => random(16))
+          .then(bytes => {
+            emailCode = bytes
+            return db.createEmail(uid, {
+              email: email,
+              emailCode: emailCode
+            })
+          })
+          .then(() => {
+            log.info({
+              op: 'account.email.created',
+              uid: uid.toString('hex')
+            })
+            return mailer.sendVerifySecondaryEmail(
+              email,
+              sessionToken,
+              emailCode,
+              userAgent.call({
+                acceptLanguage: request.app.acceptLanguage,
+                redirectTo: request.payload.redirectTo,
+                resume: request.payload.resume,
+                service: request.payload.service
+              }, request.headers['user-agent'], log)
+            )
+              .catch(err => {
+                // Left behind, the address could never be verified
+                // but would still be taken for every account.
+                log.error({ op: 'mailer.sendVerifySecondaryEmail', err: err })
+                return db.deleteEmail(uid, email)
+                  .then(() => {
+                    throw err
+                  })
+              })
+          })
+          .then(() => ({}))
+          .done(reply, reply)
+
+        // An address can only belong to one account, whether
+        // as its primary address or as a secondary one. The db
+        // catches duplicate secondary addresses.
+        function checkEmailIsUnused () {
+          if (isPrimaryEmail(sessionToken, email)) {
+            throw error.emailExists()
+          }
+          return db.emailRecord(email)
+            .then(
+              () => {
+                throw error.emailExists()
+              },
+              err => {
+                if (err.errno !== error.ERRNO.ACCOUNT_UNKNOWN) {
+                  throw err
+                }
+              }
+            )
+        }
+      }
+    },
+    {
+      method: 'POST',
+      path: '/recovery_email/destroy',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            email: validators.email().required()
+          }
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Email.delete', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const email = request.payload.email
+
+        P.resolve()
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => {
+            if (isPrimaryEmail(sessionToken, email)) {
+              throw error.cannotDeletePrimaryEmail()
+            }
+            return db.deleteEmail(uid, email)
+          })
+          .then(() => {
+            log.info({
+              op: 'account.email.deleted',
+              uid: uid.toString('hex')
+            })
+            return {}
+          })
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/recovery_email/set_primary',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            email: validators.email().required()
+          }
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Email.setPrimary', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const email = request.payload.email
+
+        P.resolve()
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => customs.check(request, sessionToken.email, 'setPrimaryEmail'))
+          .then(() => db.getSecondaryEmail(email))
+          .then(record => {
+            if (! record.uid.equals(uid)) {
+              throw error.unknownSecondaryEmail()
+            }
+            if (record.isPrimary) {
+              return
+            }
+            if (! record.isVerified) {
+              throw error.unverifiedSecondaryEmail()
+            }
+            return db.setPrimaryEmail(uid, email)
+              .then(() => {
+                log.info({
+                  op: 'account.email.primaryChanged',
+                  uid: uid.toString('hex')
+                })
+                return log.notifyAttachedServices('primaryEmailChanged', request, {
+                  uid: uid,
+                  email: email
+                })
+              })
+              .then(() => {
+                // Let the old address know, in case
+                // someone else has taken over the account.
+                return mailer.sendPostChangePrimaryEmail(sessionToken.email, {
+                  acceptLanguage: request.app.acceptLanguage,
+                  primaryEmail: email
+                })
+                .catch(err => {
+                  log.error({ op: 'mailer.sendPostChangePrimaryEmail', err: err })
+                })
+              })
+          })
+          .then(() => ({}))
+          .done(reply, reply)
+      }
+    }
+  ]
+
+  return routes
+}
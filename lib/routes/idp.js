@@ -3,6 +3,7 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
 var jwtool = require('fxa-jwtool')
+var jwk = require('../crypto/jwk')
 
 function b64toDec(str) {
   var n = new jwtool.BN(Buffer(str, 'base64'))
@@ -13,26 +14,40 @@ function toDec(str) {
   return /^[0-9]+$/.test(str) ? str : b64toDec(str)
 }
 
+function publicKeyFormat(key) {
+  if (key.jwk.algorithm === 'ES') {
+    return {
+      algorithm: key.jwk.algorithm,
+      crv: key.jwk.crv,
+      x: key.jwk.x,
+      y: key.jwk.y
+    }
+  }
+  return {
+    algorithm: key.jwk.algorithm,
+    n: toDec(key.jwk.n),
+    e: toDec(key.jwk.e)
+  }
+}
+
 function browseridFormat(keys) {
-  var primary = keys[0]
   return {
-    'public-key': {
-      algorithm: primary.jwk.algorithm,
-      n: toDec(primary.jwk.n),
-      e: toDec(primary.jwk.e)
-    },
+    'public-key': publicKeyFormat(keys[0]),
     authentication: '/.well-known/browserid/sign_in.html',
     provisioning: '/.well-known/browserid/provision.html',
     keys: keys
   }
 }
 
-module.exports = function (log, serverPublicKeys) {
-  var keys = [ serverPublicKeys.primary ]
-  if (serverPublicKeys.secondary) { keys.push(serverPublicKeys.secondary) }
-
-  var browserid = browseridFormat(keys)
+function jwksFormat(keys) {
+  return {
+    keys: keys.map(function (key) { return jwk.publicJWK(key.jwk) })
+  }
+}
 
+module.exports = function (log, signer) {
+  // The published keys change as keys from a managed
+  // keyset activate and retire, see lib/signing-keys.js
   var routes = [
     {
       method: 'GET',
@@ -45,7 +60,25 @@ module.exports = function (log, serverPublicKeys) {
       },
       handler: function (request, reply) {
         log.begin('browserid', request)
-        reply(browserid)
+        signer.publicKeys()
+          .then(browseridFormat)
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'GET',
+      path: '/.well-known/jwks.json',
+      config: {
+        cache: {
+          privacy: 'public',
+          expiresIn: 10000
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('jwks', request)
+        signer.publicKeys()
+          .then(jwksFormat)
+          .done(reply, reply)
       }
     },
     {
@@ -53,11 +86,15 @@ module.exports = function (log, serverPublicKeys) {
       path: '/.well-known/public-keys',
       handler: function (request, reply) {
         // FOR DEV PURPOSES ONLY
-        reply(
-          {
-            keys: keys
-          }
-        )
+        signer.publicKeys()
+          .then(
+            function (keys) {
+              return {
+                keys: keys
+              }
+            }
+          )
+          .done(reply, reply)
       }
     },
     {
@@ -13,20 +13,19 @@ const random = require('../crypto/random')
 module.exports = function (
   log,
   error,
-  serverPublicKeys,
   signer,
   db,
   mailer,
   Password,
   config,
-  customs
+  customs,
+  push
   ) {
   const isPreVerified = require('../preverifier')(error, config)
   const defaults = require('./defaults')(log, P, db, error)
-  const idp = require('./idp')(log, serverPublicKeys)
+  const idp = require('./idp')(log, signer)
   const checkPassword = require('./utils/password_check')(log, config, Password, customs, db)
-  const push = require('../push')(log, db, config)
-  const devices = require('../devices')(log, db, push)
+  const devices = require('../devices')(log, db, push, config)
   const account = require('./account')(
     log,
     random,
@@ -57,8 +56,13 @@ module.exports = function (
     checkPassword,
     push
   )
-  const session = require('./session')(log, isA, error, db)
-  const sign = require('./sign')(log, P, isA, error, signer, db, config.domain, devices)
+  const emails = require('./emails')(log, isA, error, db, mailer, config, customs)
+  const session = require('./session')(log, isA, error, db, customs, checkPassword, push)
+  const totp = require('./totp')(log, isA, error, db, config, customs)
+  const recoveryCodes = require('./recovery_codes')(log, isA, error, db, config, customs)
+  const recoveryKey = require('./recovery_key')(log, isA, error, db, config, customs)
+  const webauthn = require('./webauthn')(log, isA, error, db, config, customs)
+  const sign = require('./sign')(log, P, isA, error, signer, db, config.domain, devices, config)
   const util = require('./util')(
     log,
     random,
@@ -72,10 +76,15 @@ module.exports = function (
 
   const v1Routes = [].concat(
     account,
+    emails,
     password,
+    recoveryCodes,
+    recoveryKey,
     session,
     sign,
-    util
+    totp,
+    util,
+    webauthn
   )
   v1Routes.forEach(r => { r.path = basePath + '/v1' + r.path })
   defaults.forEach(r => { r.path = basePath + r.path })
@@ -10,6 +10,7 @@ const HEX_STRING = validators.HEX_STRING
 const butil = require('../crypto/butil')
 const P = require('../promise')
 const random = require('../crypto/random')
+const emailHelper = require('../routes/utils/email')
 const requestHelper = require('../routes/utils/request_helper')
 
 const METRICS_CONTEXT_SCHEMA = require('../metrics/context').schema
@@ -62,7 +63,7 @@ module.exports = function (
               .then(
                 function (match) {
                   if (!match) {
-                    throw error.incorrectPassword(emailRecord.email, form.email)
+                    throw error.incorrectPassword(emailRecord.originalEmail || emailRecord.email, form.email)
                   }
                   var password = new Password(
                     oldAuthPW,
@@ -243,10 +244,16 @@ module.exports = function (
             .then(
               function (accountData) {
                 account = accountData
+                return emailHelper.getNotificationCcEmails(db, account.uid)
+              }
+            )
+            .then(
+              function (ccEmails) {
                 return mailer.sendPasswordChangedNotification(
                   account.email,
                   {
-                    acceptLanguage: request.app.acceptLanguage
+                    acceptLanguage: request.app.acceptLanguage,
+                    ccEmails: ccEmails
                   }
                 )
               }
@@ -520,10 +527,16 @@ module.exports = function (
                 db.forgotPasswordVerified(passwordForgotToken)
                   .then(
                     function (accountResetToken) {
-                      return mailer.sendPasswordResetNotification(
-                        passwordForgotToken.email,
-                        {
-                          acceptLanguage: request.app.acceptLanguage
+                      return emailHelper.getNotificationCcEmails(db, passwordForgotToken.uid)
+                      .then(
+                        function (ccEmails) {
+                          return mailer.sendPasswordResetNotification(
+                            passwordForgotToken.email,
+                            {
+                              acceptLanguage: request.app.acceptLanguage,
+                              ccEmails: ccEmails
+                            }
+                          )
                         }
                       )
                       .then(
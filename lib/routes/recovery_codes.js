@@ -0,0 +1,175 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const P = require('../promise')
+const hkdf = require('../crypto/hkdf')
+const validators = require('./validators')
+const BASE_36 = validators.BASE_36
+
+module.exports = (log, isA, error, db, config, customs) => {
+  const codeConfig = config.recoveryCodes || {}
+  const codeCount = codeConfig.count || 8
+  const codeLength = codeConfig.length || 10
+  const generateCode = require('../crypto/base32')(codeLength)
+
+  // Recovery codes are only ever stored hashed, salted with the uid so
+  // that the same code can't be matched across accounts. The codes are
+  // long random strings, so a fast key derivation is good enough here.
+  function hashCode (uid, code) {
+    return hkdf(Buffer(code.toUpperCase()), 'recoveryCode', uid, 32)
+  }
+
+  const routes = [
+    {
+      method: 'POST',
+      path: '/recovery_codes',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        response: {
+          schema: {
+            recoveryCodes: isA.array().items(isA.string()).required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('RecoveryCodes.replace', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const uidHex = uid.toString('hex')
+        let recoveryCodes
+
+        P.resolve()
+          .then(() => {
+            if (! sessionToken.emailVerified) {
+              throw error.unverifiedAccount()
+            }
+            if (! sessionToken.tokenVerified) {
+              throw error.unverifiedSession()
+            }
+          })
+          .then(() => customs.checkAuthenticated('replaceRecoveryCodes', request.app.clientAddress, uidHex))
+          .then(generateCodes)
+          .then(codes => {
+            recoveryCodes = codes
+            return P.all(codes.map(code => hashCode(uid, code)))
+          })
+          // Any previous codes are discarded, so a user who suspects
+          // their codes have leaked can simply generate a new set.
+          .then(codeHashes => db.replaceRecoveryCodes(uid, codeHashes))
+          .then(() => {
+            log.info({
+              op: 'recoveryCodes.replace',
+              uid: uidHex,
+              count: recoveryCodes.length
+            })
+            return { recoveryCodes: recoveryCodes }
+          })
+          .done(reply, reply)
+
+        function generateCodes () {
+          const codes = []
+          for (let i = 0; i < codeCount; i++) {
+            codes.push(generateCode())
+          }
+          return P.all(codes)
+            .then(result => {
+              // Duplicates are vanishingly unlikely, but they would
+              // silently reduce the number of usable codes.
+              if (new Set(result).size !== result.length) {
+                return generateCodes()
+              }
+              return result
+            })
+        }
+      }
+    },
+    {
+      method: 'GET',
+      path: '/recovery_codes/status',
+      config: {
+        auth: {
+          strategy: 'sessionToken'
+        },
+        response: {
+          schema: {
+            remaining: isA.number().integer().min(0).required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('RecoveryCodes.status', request)
+
+        const sessionToken = request.auth.credentials
+
+        db.recoveryCodes(sessionToken.uid)
+          .then(result => ({ remaining: result.remaining }))
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/session/verify/recovery_code',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            code: isA.string().regex(BASE_36).length(codeLength).required()
+          }
+        },
+        response: {
+          schema: {
+            remaining: isA.number().integer().min(0).required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Session.verifyRecoveryCode', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const uidHex = uid.toString('hex')
+        let remaining
+
+        customs.check(request, sessionToken.email, 'verifyRecoveryCode')
+          .then(() => hashCode(uid, request.payload.code))
+          .then(codeHash => db.consumeRecoveryCode(uid, codeHash))
+          .then(
+            result => {
+              remaining = result.remaining
+              log.info({
+                op: 'recoveryCodes.consume',
+                uid: uidHex,
+                remaining: remaining
+              })
+            },
+            err => {
+              if (err.errno === error.ERRNO.INVALID_RECOVERY_CODE) {
+                customs.flag(request.app.clientAddress, {
+                  email: sessionToken.email,
+                  errno: err.errno
+                })
+              }
+              throw err
+            }
+          )
+          .then(() => {
+            if (sessionToken.tokenVerificationId) {
+              return db.verifyTokens(sessionToken.tokenVerificationId, { uid: uid })
+            }
+          })
+          .then(() => ({ remaining: remaining }))
+          .done(reply, reply)
+      }
+    }
+  ]
+
+  return routes
+}
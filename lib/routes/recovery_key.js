@@ -0,0 +1,188 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const P = require('../promise')
+const validators = require('./validators')
+const HEX_STRING = validators.HEX_STRING
+
+// The recovery data is kB, encrypted by the client with the recovery
+// key as a compact JWE. The server never sees the recovery key itself,
+// only a hash of it (the recoveryKeyId) that the client derives.
+const RECOVERY_DATA = /^[a-zA-Z0-9-_.]+$/
+
+module.exports = (log, isA, error, db, config, customs) => {
+
+  function checkVerifiedSession (sessionToken) {
+    if (! sessionToken.emailVerified) {
+      throw error.unverifiedAccount()
+    }
+    if (! sessionToken.tokenVerified) {
+      throw error.unverifiedSession()
+    }
+  }
+
+  const routes = [
+    {
+      method: 'POST',
+      path: '/recoveryKey',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            recoveryKeyId: isA.string().length(32).regex(HEX_STRING).required(),
+            recoveryData: isA.string().max(1024).regex(RECOVERY_DATA).required()
+          }
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('RecoveryKey.create', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const uidHex = uid.toString('hex')
+        const recoveryKeyId = Buffer(request.payload.recoveryKeyId, 'hex')
+
+        P.resolve()
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => customs.checkAuthenticated('createRecoveryKey', request.app.clientAddress, uidHex))
+          .then(() => db.createRecoveryKey(uid, recoveryKeyId, request.payload.recoveryData))
+          .then(() => {
+            log.info({
+              op: 'recoveryKey.create',
+              uid: uidHex
+            })
+            return {}
+          })
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/recoveryKey/exists',
+      config: {
+        auth: {
+          mode: 'optional',
+          strategy: 'sessionToken'
+        },
+        validate: {
+          payload: {
+            email: validators.email().optional()
+          }
+        },
+        response: {
+          schema: {
+            exists: isA.boolean().required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('RecoveryKey.exists', request)
+
+        const sessionToken = request.auth.credentials
+        const email = request.payload.email
+
+        P.resolve()
+          .then(() => {
+            if (sessionToken) {
+              return sessionToken.uid
+            }
+
+            // Without a session, this is the start of a password reset
+            // and the client wants to know whether to ask for the key.
+            if (! email) {
+              throw error.missingRequestParameter('email')
+            }
+            return customs.check(request, email, 'recoveryKeyExists')
+              .then(() => db.emailRecord(email))
+              .then(emailRecord => emailRecord.uid)
+          })
+          .then(uid => db.recoveryKeyExists(uid))
+          .then(result => ({ exists: result.exists }))
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'GET',
+      path: '/recoveryKey/{recoveryKeyId}',
+      config: {
+        auth: {
+          strategy: 'accountResetToken'
+        },
+        validate: {
+          params: {
+            recoveryKeyId: isA.string().length(32).regex(HEX_STRING).required()
+          }
+        },
+        response: {
+          schema: {
+            recoveryData: isA.string().regex(RECOVERY_DATA).required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('RecoveryKey.get', request)
+
+        const accountResetToken = request.auth.credentials
+        const uid = accountResetToken.uid
+        const uidHex = uid.toString('hex')
+        const recoveryKeyId = Buffer(request.params.recoveryKeyId, 'hex')
+
+        customs.checkAuthenticated('getRecoveryKey', request.app.clientAddress, uidHex)
+          .then(() => db.recoveryKey(uid, recoveryKeyId))
+          .then(
+            result => ({ recoveryData: result.recoveryData }),
+            err => {
+              if (err.errno === error.ERRNO.RECOVERY_KEY_NOT_FOUND) {
+                log.info({
+                  op: 'recoveryKey.get.notFound',
+                  uid: uidHex
+                })
+              }
+              throw err
+            }
+          )
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/recoveryKey/destroy',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('RecoveryKey.destroy', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+
+        P.resolve()
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => db.deleteRecoveryKey(uid))
+          .then(() => {
+            log.info({
+              op: 'recoveryKey.destroy',
+              uid: uid.toString('hex')
+            })
+            return {}
+          })
+          .done(reply, reply)
+      }
+    }
+  ]
+
+  return routes
+}
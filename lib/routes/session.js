@@ -2,7 +2,11 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
-module.exports = function (log, isA, error, db) {
+var P = require('../promise')
+var validators = require('./validators')
+var HEX_STRING = validators.HEX_STRING
+
+module.exports = function (log, isA, error, db, customs, checkPassword, push) {
 
   var routes = [
     {
@@ -10,13 +14,53 @@ module.exports = function (log, isA, error, db) {
       path: '/session/destroy',
       config: {
         auth: {
-          strategy: 'sessionToken'
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: isA.object({
+            customSessionToken: isA.string().length(64).regex(HEX_STRING).optional()
+          }).allow(null)
         }
       },
       handler: function (request, reply) {
         log.begin('Session.destroy', request)
         var sessionToken = request.auth.credentials
-        db.deleteSessionToken(sessionToken)
+        var customSessionToken = request.payload && request.payload.customSessionToken
+
+        P.resolve()
+          .then(
+            function () {
+              if (! customSessionToken) {
+                return sessionToken
+              }
+
+              // Destroying some other session needs a verified session,
+              // and that session must belong to the same account.
+              if (! sessionToken.tokenVerified) {
+                throw error.unverifiedSession()
+              }
+              return db.sessionToken(Buffer(customSessionToken, 'hex'))
+                .then(
+                  function (otherSessionToken) {
+                    if (! otherSessionToken.uid.equals(sessionToken.uid)) {
+                      throw error.invalidToken('The authentication token could not be found')
+                    }
+                    log.info({
+                      op: 'Session.destroy.custom',
+                      uid: sessionToken.uid.toString('hex'),
+                      id: customSessionToken
+                    })
+                    return notifyDevice(otherSessionToken)
+                      .then(
+                        function () {
+                          return otherSessionToken
+                        }
+                      )
+                  }
+                )
+            }
+          )
+          .then(db.deleteSessionToken.bind(db))
           .then(
             function () {
               reply({})
@@ -25,6 +69,98 @@ module.exports = function (log, isA, error, db) {
           )
       }
     },
+    {
+      method: 'POST',
+      path: '/session/reauth',
+      config: {
+        auth: {
+          strategy: 'sessionToken'
+        },
+        validate: {
+          payload: {
+            email: validators.email().required(),
+            authPW: isA.string().min(64).max(64).regex(HEX_STRING).required()
+          }
+        },
+        response: {
+          schema: {
+            uid: isA.string().regex(HEX_STRING).required(),
+            authAt: isA.number().integer().required(),
+            verified: isA.boolean().required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Session.reauth', request)
+        var sessionToken = request.auth.credentials
+        var email = request.payload.email
+        var authPW = Buffer(request.payload.authPW, 'hex')
+
+        customs.check(request, email, 'sessionReauth')
+          .then(
+            function () {
+              return db.emailRecord(email)
+                .catch(
+                  function (err) {
+                    if (err.errno === error.ERRNO.ACCOUNT_UNKNOWN) {
+                      customs.flag(request.app.clientAddress, {
+                        email: email,
+                        errno: err.errno
+                      })
+                    }
+                    throw err
+                  }
+                )
+            }
+          )
+          .then(
+            function (emailRecord) {
+              // The password has to be for the account that owns the
+              // session, and the email must be one that it was stretched
+              // with (see /account/login). Like a wrong password, which
+              // checkPassword flags, anything else counts against the
+              // caller with customs.
+              if (! emailRecord.uid.equals(sessionToken.uid) ||
+                  (email !== emailRecord.email && email !== emailRecord.originalEmail)) {
+                customs.flag(request.app.clientAddress, {
+                  email: email,
+                  errno: error.ERRNO.INCORRECT_PASSWORD
+                })
+                throw error.incorrectPassword(sessionToken.email, email)
+              }
+
+              return checkPassword(emailRecord, authPW, request.app.clientAddress)
+                .then(
+                  function (match) {
+                    if (! match) {
+                      throw error.incorrectPassword(emailRecord.originalEmail || emailRecord.email, email)
+                    }
+                  }
+                )
+            }
+          )
+          .then(
+            function () {
+              sessionToken.authAt = Date.now()
+              return db.updateSessionTokenAuthAt(sessionToken)
+            }
+          )
+          .then(
+            function () {
+              log.info({
+                op: 'Session.reauth.success',
+                uid: sessionToken.uid.toString('hex')
+              })
+              return {
+                uid: sessionToken.uid.toString('hex'),
+                authAt: sessionToken.lastAuthAt(),
+                verified: sessionToken.emailVerified && sessionToken.tokenVerified
+              }
+            }
+          )
+          .done(reply, reply)
+      }
+    },
     {
       method: 'GET',
       path: '/session/status',
@@ -41,5 +177,24 @@ module.exports = function (log, isA, error, db) {
     }
   ]
 
+  // Lets the device attached to a session that is being destroyed from
+  // elsewhere know that it has been disconnected, before its device
+  // record is deleted along with the session.
+  function notifyDevice (otherSessionToken) {
+    var tokenId = otherSessionToken.tokenId.toString('hex')
+    return db.devices(otherSessionToken.uid)
+      .then(
+        function (devices) {
+          var device = devices.filter(function (device) {
+            return device.sessionToken && device.sessionToken.toString('hex') === tokenId
+          })[0]
+          if (device) {
+            return push.notifyDeviceDisconnected(otherSessionToken.uid, device.id.toString('hex'))
+          }
+        }
+      )
+      .catch(function () {})
+  }
+
   return routes
 }
@@ -2,10 +2,22 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
-module.exports = function (log, P, isA, error, signer, db, domain, devices) {
+const ec = require('../crypto/ec')
+
+const REQUIRED_PUBLIC_KEY_PARAMS = {
+  RS: [ 'n', 'e' ],
+  DS: [ 'y', 'p', 'q', 'g' ],
+  ES: [ 'crv', 'x', 'y' ],
+  ED: [ 'crv', 'x' ]
+}
+
+module.exports = function (log, P, isA, error, signer, db, domain, devices, config) {
 
   const HOUR = 1000 * 60 * 60
 
+  config = config || {}
+  const idTokenConfig = config.idToken || {}
+
   var routes = [
     {
       method: 'POST',
@@ -18,9 +30,11 @@ module.exports = function (log, P, isA, error, signer, db, domain, devices) {
         validate: {
           payload: {
             publicKey: isA.object({
-              algorithm: isA.string().valid('RS', 'DS').required(),
+              algorithm: isA.string().valid('RS', 'DS', 'ES', 'ED').required(),
               n: isA.string(),
               e: isA.string(),
+              crv: isA.string(),
+              x: isA.string(),
               y: isA.string(),
               p: isA.string(),
               q: isA.string(),
@@ -39,9 +53,6 @@ module.exports = function (log, P, isA, error, signer, db, domain, devices) {
         var service = request.query.service
         var deviceId, uid, certResult
 
-        // No need to wait for a response, update in the background.
-        db.updateSessionToken(sessionToken, request.headers['user-agent'])
-
         if (!sessionToken.emailVerified) {
           return reply(error.unverifiedAccount())
         }
@@ -64,28 +75,7 @@ module.exports = function (log, P, isA, error, signer, db, domain, devices) {
           )
           .then(
             function () {
-              if (publicKey.algorithm === 'RS') {
-                if (!publicKey.n) {
-                  return reply(error.missingRequestParameter('n'))
-                }
-                if (!publicKey.e) {
-                  return reply(error.missingRequestParameter('e'))
-                }
-              }
-              else { // DS
-                if (!publicKey.y) {
-                  return reply(error.missingRequestParameter('y'))
-                }
-                if (!publicKey.p) {
-                  return reply(error.missingRequestParameter('p'))
-                }
-                if (!publicKey.q) {
-                  return reply(error.missingRequestParameter('q'))
-                }
-                if (!publicKey.g) {
-                  return reply(error.missingRequestParameter('g'))
-                }
-              }
+              validatePublicKey(publicKey)
 
               if (!sessionToken.locale) {
                 if (request.app.acceptLanguage) {
@@ -141,8 +131,107 @@ module.exports = function (log, P, isA, error, signer, db, domain, devices) {
             reply
           )
       }
+    },
+    {
+      method: 'POST',
+      path: '/session/id_token',
+      config: {
+        auth: {
+          strategy: 'sessionToken'
+        },
+        validate: {
+          payload: {
+            client_id: isA.string().length(16).regex(/^[0-9a-f]+$/i).required(),
+            nonce: isA.string().max(256).optional()
+          }
+        },
+        response: {
+          schema: {
+            idToken: isA.string().required()
+          }
+        }
+      },
+      handler: function idToken(request, reply) {
+        log.begin('Sign.idToken', request)
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+
+        P.resolve()
+          .then(() => {
+            if (! idTokenConfig.enabled) {
+              throw error.featureNotEnabled()
+            }
+
+            if (! sessionToken.emailVerified) {
+              throw error.unverifiedAccount()
+            }
+
+            if (! sessionToken.tokenVerified) {
+              throw error.unverifiedSession()
+            }
+
+            const amr = getAuthenticationMethods(sessionToken)
+            const acr = amr.length > 1 ? 'AAL2' : 'AAL1'
+            return signer.signIdToken({
+              uid: uid.toString('hex'),
+              clientId: request.payload.client_id.toLowerCase(),
+              authAt: sessionToken.lastAuthAt(),
+              amr: amr,
+              acr: acr,
+              nonce: request.payload.nonce,
+              lifetime: idTokenConfig.lifetime
+            })
+          })
+          .then(result => {
+            return request.emitMetricsEvent('account.id_token', {
+              uid: uid.toString('hex')
+            })
+              .then(() => result)
+          })
+          .done(reply, reply)
+      }
     }
   ]
 
+  function validatePublicKey (publicKey) {
+    REQUIRED_PUBLIC_KEY_PARAMS[publicKey.algorithm].forEach(function (param) {
+      if (! publicKey[param]) {
+        throw error.missingRequestParameter(param)
+      }
+    })
+
+    // Elliptic-curve keys are JWK-style, with base64url coordinates.
+    if (publicKey.algorithm === 'ES') {
+      if (publicKey.crv !== 'P-256') {
+        throw error.invalidRequestParameter('unsupported curve')
+      }
+      if (! ec.isP256Point(publicKey.x, publicKey.y)) {
+        throw error.invalidRequestParameter('invalid public key')
+      }
+    } else if (publicKey.algorithm === 'ED') {
+      if (publicKey.crv !== 'Ed25519') {
+        throw error.invalidRequestParameter('unsupported curve')
+      }
+      if (! ec.isEd25519Key(publicKey.x)) {
+        throw error.invalidRequestParameter('invalid public key')
+      }
+    }
+  }
+
+  // Authentication method reference values from RFC 8176, for how this
+  // session was verified. Sessions created before a second factor was
+  // enrolled were verified with the password alone, so what the account
+  // has enrolled now says nothing about them. Recovery codes can stand in
+  // for a TOTP code, but they are one-time passwords as well.
+  function getAuthenticationMethods (sessionToken) {
+    const amr = [ 'pwd' ]
+    if (sessionToken.verificationMethod === 'totp-2fa') {
+      amr.push('otp')
+    } else if (sessionToken.verificationMethod === 'webauthn-2fa') {
+      amr.push('hwk')
+    }
+    return amr
+  }
+
   return routes
 }
@@ -0,0 +1,276 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const P = require('../promise')
+const validators = require('./validators')
+const DIGITS = validators.DIGITS
+
+module.exports = (log, isA, error, db, config, customs) => {
+  const totpConfig = config.totp || {}
+  const totp = require('../crypto/totp')(totpConfig)
+
+  // Enrolling or removing a second factor is only allowed from a session
+  // that has itself passed every verification step for the account.
+  function checkVerifiedSession (sessionToken) {
+    if (! sessionToken.emailVerified) {
+      throw error.unverifiedAccount()
+    }
+    if (! sessionToken.tokenVerified) {
+      throw error.unverifiedSession()
+    }
+  }
+
+  function ignoreTotpTokenNotFound (err) {
+    if (err.errno !== error.ERRNO.TOTP_TOKEN_NOT_FOUND) {
+      throw err
+    }
+  }
+
+  const routes = [
+    {
+      method: 'POST',
+      path: '/totp/create',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        response: {
+          schema: {
+            secret: isA.string().required(),
+            uri: isA.string().required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Totp.create', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const uidHex = uid.toString('hex')
+        let secret
+
+        if (! totpConfig.enabled) {
+          return reply(error.featureNotEnabled())
+        }
+
+        P.resolve()
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => customs.checkAuthenticated('totpCreate', request.app.clientAddress, uidHex))
+          .then(deletePendingToken)
+          .then(createToken)
+          .then(() => {
+            log.info({
+              op: 'totp.create',
+              uid: uidHex
+            })
+            return {
+              secret: secret,
+              uri: totp.keyUri(sessionToken.email, secret)
+            }
+          })
+          .done(reply, reply)
+
+        function deletePendingToken () {
+          // A token that was never confirmed is an abandoned enrollment,
+          // so replace it rather than making the user remove it first.
+          return db.totpToken(uid)
+            .then(
+              (token) => {
+                if (token.verified) {
+                  throw error.totpTokenAlreadyExists()
+                }
+                return db.deleteTotpToken(uid)
+              },
+              ignoreTotpTokenNotFound
+            )
+        }
+
+        function createToken () {
+          return totp.generateSecret()
+            .then((result) => {
+              secret = result
+              return db.createTotpToken(uid, secret, 0)
+            })
+        }
+      }
+    },
+    {
+      method: 'GET',
+      path: '/totp/exists',
+      config: {
+        auth: {
+          strategy: 'sessionToken'
+        },
+        response: {
+          schema: {
+            exists: isA.boolean().required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Totp.exists', request)
+
+        const sessionToken = request.auth.credentials
+
+        if (! totpConfig.enabled) {
+          return reply(error.featureNotEnabled())
+        }
+
+        db.totpToken(sessionToken.uid)
+          .then(
+            (token) => ({ exists: token.verified && token.enabled }),
+            (err) => {
+              ignoreTotpTokenNotFound(err)
+              return { exists: false }
+            }
+          )
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/totp/destroy',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Totp.destroy', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+
+        if (! totpConfig.enabled) {
+          return reply(error.featureNotEnabled())
+        }
+
+        P.resolve()
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => db.deleteTotpToken(uid))
+          .then(() => {
+            log.info({
+              op: 'totp.destroy',
+              uid: uid.toString('hex')
+            })
+            return {}
+          })
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/session/verify/totp',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            code: isA.string().max(32).regex(DIGITS).required()
+          }
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Session.verifyTotp', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const uidHex = uid.toString('hex')
+        const code = request.payload.code
+
+        if (! totpConfig.enabled) {
+          return reply(error.featureNotEnabled())
+        }
+
+        customs.check(request, sessionToken.email, 'verifyTotpCode')
+          .then(() => db.totpToken(uid))
+          .then(checkCode)
+          .then(() => ({}))
+          .done(reply, reply)
+
+        function checkCode (token) {
+          const timeStep = totp.timeStep(token.sharedSecret, code)
+          if (timeStep === -1) {
+            log.info({
+              op: 'totp.verify.invalid',
+              uid: uidHex
+            })
+            return rejectCode()
+          }
+
+          // The epoch is the last time step that a code was accepted for,
+          // so each code only works once, as does any code before it.
+          if (timeStep <= token.epoch) {
+            log.info({
+              op: 'totp.verify.replayed',
+              uid: uidHex
+            })
+            return rejectCode()
+          }
+
+          if (! token.verified) {
+            // The first valid code confirms the enrollment. From
+            // now on the token is required at every sign-in.
+            return updateEpoch(token, timeStep, true)
+              .then(() => {
+                log.info({
+                  op: 'totp.verify.enrolled',
+                  uid: uidHex
+                })
+              })
+          }
+
+          return updateEpoch(token, timeStep, token.enabled)
+            .then(() => {
+              if (sessionToken.tokenVerificationId) {
+                log.info({
+                  op: 'totp.verify.session',
+                  uid: uidHex
+                })
+                return db.verifyTokens(sessionToken.tokenVerificationId, { uid: uid })
+              }
+            })
+        }
+
+        // Concurrent requests can read the same epoch, so the update
+        // only succeeds for whichever of them gets to the db first.
+        function updateEpoch (token, timeStep, enabled) {
+          return db.updateTotpToken(uid, {
+            verified: true,
+            enabled: enabled,
+            epoch: timeStep,
+            previousEpoch: token.epoch
+          })
+            .catch(err => {
+              ignoreTotpTokenNotFound(err)
+              log.info({
+                op: 'totp.verify.replayed',
+                uid: uidHex
+              })
+              return rejectCode()
+            })
+        }
+
+        function rejectCode () {
+          customs.flag(request.app.clientAddress, {
+            email: sessionToken.email,
+            errno: error.ERRNO.INVALID_TOTP_CODE
+          })
+          throw error.invalidTotpCode()
+        }
+      }
+    }
+  ]
+
+  return routes
+}
@@ -0,0 +1,27 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+/**
+ * Returns the account's verified secondary email addresses,
+ * which get a copy of security notifications sent to the
+ * primary address.
+ *
+ * @param db
+ * @param uid
+ * @returns {Promise} array of email addresses
+ */
+function getNotificationCcEmails (db, uid) {
+  return db.accountEmails(uid)
+    .then(emails => {
+      return emails
+        .filter(email => email.isVerified && ! email.isPrimary)
+        .map(email => email.email)
+    })
+}
+
+module.exports = {
+  getNotificationCcEmails: getNotificationCcEmails
+}
@@ -16,6 +16,11 @@ module.exports.URLSAFEBASE64 = /^[a-zA-Z0-9-_]*$/
 
 module.exports.BASE_36 = /^[a-zA-Z0-9]*$/
 
+module.exports.DIGITS = /^[0-9]+$/
+
+// Device command names, like `fxaccounts:open_uri`.
+module.exports.DEVICE_COMMAND_NAME = /^[a-z0-9_]+:[a-z0-9_]+$/
+
 // Match display-safe unicode characters.
 // We're pretty liberal with what's allowed in a unicode string,
 // but we exclude the following classes of characters:
@@ -0,0 +1,397 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const P = require('../promise')
+const validators = require('./validators')
+const webauthnModule = require('../crypto/webauthn')
+
+const DISPLAY_SAFE_UNICODE = validators.DISPLAY_SAFE_UNICODE
+const URLSAFEBASE64 = validators.URLSAFEBASE64
+
+const PUBLIC_KEY_CREDENTIAL = isA => isA.object({
+  type: isA.string().valid('public-key').required(),
+  id: isA.string().regex(URLSAFEBASE64).required()
+})
+
+module.exports = (log, isA, error, db, config, customs) => {
+  const webauthnConfig = config.webauthn || {}
+  const challengeLifetime = webauthnConfig.challengeLifetime || 0
+  const webauthn = webauthnModule({
+    rpId: webauthnConfig.rpId,
+    origin: webauthnConfig.origin
+  })
+
+  function checkEnabled () {
+    if (! webauthnConfig.enabled) {
+      throw error.featureNotEnabled()
+    }
+  }
+
+  function checkVerifiedSession (sessionToken) {
+    if (! sessionToken.emailVerified) {
+      throw error.unverifiedAccount()
+    }
+    if (! sessionToken.tokenVerified) {
+      throw error.unverifiedSession()
+    }
+  }
+
+  function createChallenge (sessionToken, type) {
+    return webauthn.generateChallenge()
+      .then(challenge => {
+        return db.createWebauthnChallenge(sessionToken.tokenId, {
+          uid: sessionToken.uid,
+          challenge: challenge,
+          type: type
+        })
+        .then(() => challenge)
+      })
+  }
+
+  // Challenges are single-use, so they are deleted as soon as
+  // a response arrives whether or not the response is valid.
+  function consumeChallenge (sessionToken, type) {
+    return db.consumeWebauthnChallenge(sessionToken.tokenId)
+      .then(record => {
+        if (record.type !== type || ! record.uid.equals(sessionToken.uid)) {
+          throw error.invalidWebauthnResponse('Unknown challenge')
+        }
+        if (Date.now() - record.createdAt > challengeLifetime) {
+          throw error.invalidWebauthnResponse('Expired challenge')
+        }
+        return record.challenge
+      })
+  }
+
+  function toDescriptor (credential) {
+    return {
+      type: 'public-key',
+      id: credential.id
+    }
+  }
+
+  const routes = [
+    {
+      method: 'POST',
+      path: '/webauthn/register/start',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        response: {
+          schema: {
+            challenge: isA.string().regex(URLSAFEBASE64).required(),
+            rp: isA.object({
+              id: isA.string().required(),
+              name: isA.string().required()
+            }).required(),
+            user: isA.object({
+              id: isA.string().regex(URLSAFEBASE64).required(),
+              name: isA.string().required(),
+              displayName: isA.string().required()
+            }).required(),
+            pubKeyCredParams: isA.array().items(isA.object({
+              type: isA.string().required(),
+              alg: isA.number().integer().required()
+            })).required(),
+            timeout: isA.number().integer().min(0).required(),
+            attestation: isA.string().required(),
+            excludeCredentials: isA.array().items(PUBLIC_KEY_CREDENTIAL(isA)).required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Webauthn.registerStart', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        let credentials
+
+        P.resolve()
+          .then(checkEnabled)
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => customs.checkAuthenticated('webauthnRegister', request.app.clientAddress, uid.toString('hex')))
+          .then(() => db.webauthnCredentials(uid))
+          .then(result => {
+            credentials = result
+            return createChallenge(sessionToken, 'create')
+          })
+          .then(challenge => {
+            // This is the publicKey member of the options
+            // that the client passes to navigator.credentials.create().
+            return {
+              challenge: challenge,
+              rp: {
+                id: webauthnConfig.rpId,
+                name: webauthnConfig.rpName
+              },
+              user: {
+                id: webauthnModule.toBase64Url(uid),
+                name: sessionToken.email,
+                displayName: sessionToken.email
+              },
+              pubKeyCredParams: [
+                { type: 'public-key', alg: -7 },
+                { type: 'public-key', alg: -257 }
+              ],
+              timeout: challengeLifetime,
+              attestation: 'none',
+              excludeCredentials: credentials.map(toDescriptor)
+            }
+          })
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/webauthn/register/finish',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            clientDataJSON: isA.string().max(4096).regex(URLSAFEBASE64).required(),
+            attestationObject: isA.string().max(8192).regex(URLSAFEBASE64).required(),
+            name: isA.string().max(255).regex(DISPLAY_SAFE_UNICODE).optional()
+          }
+        },
+        response: {
+          schema: {
+            id: isA.string().regex(URLSAFEBASE64).required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Webauthn.registerFinish', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const payload = request.payload
+        let credential
+
+        P.resolve()
+          .then(checkEnabled)
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => consumeChallenge(sessionToken, 'create'))
+          .then(challenge => webauthn.verifyRegistration(payload, challenge))
+          .then(result => {
+            credential = {
+              id: result.credentialId,
+              publicKey: result.publicKey,
+              signCount: result.signCount,
+              name: payload.name || ''
+            }
+            return db.createWebauthnCredential(uid, credential)
+          })
+          .then(() => {
+            log.info({
+              op: 'webauthn.register',
+              uid: uid.toString('hex'),
+              id: credential.id
+            })
+            return { id: credential.id }
+          })
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'GET',
+      path: '/webauthn/credentials',
+      config: {
+        auth: {
+          strategy: 'sessionToken'
+        },
+        response: {
+          schema: isA.array().items(isA.object({
+            id: isA.string().regex(URLSAFEBASE64).required(),
+            name: isA.string().allow('').required(),
+            createdAt: isA.number().min(0).required(),
+            lastUsedAt: isA.number().min(0).allow(null).required()
+          }))
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Webauthn.credentials', request)
+
+        const sessionToken = request.auth.credentials
+
+        db.webauthnCredentials(sessionToken.uid)
+          .then(credentials => {
+            return credentials.map(credential => {
+              return {
+                id: credential.id,
+                name: credential.name || '',
+                createdAt: credential.createdAt,
+                lastUsedAt: credential.lastUsedAt || null
+              }
+            })
+          })
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/webauthn/credential/destroy',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            id: isA.string().max(1024).regex(URLSAFEBASE64).required()
+          }
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Webauthn.destroy', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const id = request.payload.id
+
+        P.resolve()
+          .then(checkEnabled)
+          .then(() => checkVerifiedSession(sessionToken))
+          .then(() => db.deleteWebauthnCredential(uid, id))
+          .then(() => {
+            log.info({
+              op: 'webauthn.destroy',
+              uid: uid.toString('hex'),
+              id: id
+            })
+            return {}
+          })
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/webauthn/authenticate/start',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        response: {
+          schema: {
+            challenge: isA.string().regex(URLSAFEBASE64).required(),
+            rpId: isA.string().required(),
+            timeout: isA.number().integer().min(0).required(),
+            allowCredentials: isA.array().items(PUBLIC_KEY_CREDENTIAL(isA)).required()
+          }
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Webauthn.authenticateStart', request)
+
+        const sessionToken = request.auth.credentials
+        let credentials
+
+        P.resolve()
+          .then(checkEnabled)
+          .then(() => db.webauthnCredentials(sessionToken.uid))
+          .then(result => {
+            credentials = result
+            if (credentials.length === 0) {
+              throw error.webauthnCredentialNotFound()
+            }
+            return createChallenge(sessionToken, 'get')
+          })
+          .then(challenge => {
+            // This is the publicKey member of the options
+            // that the client passes to navigator.credentials.get().
+            return {
+              challenge: challenge,
+              rpId: webauthnConfig.rpId,
+              timeout: challengeLifetime,
+              allowCredentials: credentials.map(toDescriptor)
+            }
+          })
+          .done(reply, reply)
+      }
+    },
+    {
+      method: 'POST',
+      path: '/session/verify/webauthn',
+      config: {
+        auth: {
+          strategy: 'sessionTokenWithVerificationStatus'
+        },
+        validate: {
+          payload: {
+            id: isA.string().max(1024).regex(URLSAFEBASE64).required(),
+            clientDataJSON: isA.string().max(4096).regex(URLSAFEBASE64).required(),
+            authenticatorData: isA.string().max(4096).regex(URLSAFEBASE64).required(),
+            signature: isA.string().max(4096).regex(URLSAFEBASE64).required()
+          }
+        },
+        response: {
+          schema: {}
+        }
+      },
+      handler: function (request, reply) {
+        log.begin('Session.verifyWebauthn', request)
+
+        const sessionToken = request.auth.credentials
+        const uid = sessionToken.uid
+        const uidHex = uid.toString('hex')
+        const payload = request.payload
+        let challenge
+
+        customs.check(request, sessionToken.email, 'verifyWebauthn')
+          .then(() => consumeChallenge(sessionToken, 'get'))
+          .then(result => {
+            challenge = result
+            return db.webauthnCredentials(uid)
+          })
+          .then(credentials => {
+            const credential = credentials.filter(c => c.id === payload.id)[0]
+            if (! credential) {
+              throw error.webauthnCredentialNotFound()
+            }
+            const result = webauthn.verifyAssertion(payload, credential, challenge)
+            return db.updateWebauthnCredential(uid, credential.id, {
+              signCount: result.signCount,
+              lastUsedAt: Date.now()
+            })
+          })
+          .then(
+            () => {
+              log.info({
+                op: 'webauthn.verify',
+                uid: uidHex,
+                id: payload.id
+              })
+              if (sessionToken.tokenVerificationId) {
+                return db.verifyTokens(sessionToken.tokenVerificationId, { uid: uid })
+              }
+            },
+            err => {
+              if (err.errno === error.ERRNO.INVALID_WEBAUTHN_RESPONSE) {
+                log.info({
+                  op: 'webauthn.verify.invalid',
+                  uid: uidHex,
+                  reason: err.output.payload.reason
+                })
+                customs.flag(request.app.clientAddress, {
+                  email: sessionToken.email,
+                  errno: err.errno
+                })
+              }
+              throw err
+            }
+          )
+          .then(() => ({}))
+          .done(reply, reply)
+      }
+    }
+  ]
+
+  return routes
+}
@@ -9,6 +9,9 @@ var Hapi = require('hapi')
 
 var HEX_STRING = require('./routes/validators').HEX_STRING
 
+// Auth strategies whose credentials are a session token.
+var SESSION_TOKEN_STRATEGY = /^sessionToken/
+
 
 function create(log, error, config, routes, db) {
 
@@ -38,6 +41,27 @@ function create(log, error, config, routes, db) {
     }
   }
 
+  var hawkConfig = config.hawk || {}
+  if (hawkConfig.replayProtection) {
+    // Clients with skewed clocks are told the server time in the
+    // invalid timestamp error, so that they can correct and retry.
+    var nonceCache = require('./nonce-cache')(log, config)
+    hawkOptions.timestampSkewSec = Math.floor(hawkConfig.timestampSkew / 1000)
+    hawkOptions.nonceFunc = function nonceCheck(key, nonce, ts, cb) {
+      nonceCache.check(key, nonce, ts)
+        .then(
+          function () {
+            cb()
+          },
+          function (err) {
+            log.info({ op: 'server.nonceFunc.replay', ts: ts })
+            log.increment('hawk.nonce.replay')
+            cb(err)
+          }
+        )
+    }
+  }
+
   function makeCredentialFn(dbGetFn) {
     return function (id, cb) {
       log.trace({ op: 'DB.getToken', id: id })
@@ -47,9 +71,19 @@ function create(log, error, config, routes, db) {
       dbGetFn(Buffer(id, 'hex'))
         .done(
           function (token) {
-            if (token.expired(Date.now())) {
+            var now = Date.now()
+            if (token.expired(now)) {
               return cb(error.invalidToken('The authentication token has expired'))
             }
+            if (token.isIdle && token.isIdle(now)) {
+              log.info({
+                op: 'server.idleToken',
+                uid: token.uid && token.uid.toString('hex'),
+                lastAccessTime: token.lastAccessTime
+              })
+              log.increment('sessionToken.expired.idle')
+              return cb(error.idleSessionToken())
+            }
             return cb(null, token)
           },
           cb
@@ -280,6 +314,23 @@ function create(log, error, config, routes, db) {
     }
   )
 
+  server.ext(
+    'onPostAuth',
+    function (request, reply) {
+      // Every request made with a session token counts towards its
+      // lastAccessTime, so that active sessions don't go idle. This
+      // runs after the Hawk signature has been checked, and the token
+      // only writes to the db once its stored value has gone stale.
+      if (request.auth.isAuthenticated && SESSION_TOKEN_STRATEGY.test(request.auth.strategy)) {
+        db.updateSessionToken(request.auth.credentials, request.headers['user-agent'])
+          .catch(function (err) {
+            log.error({ op: 'server.onPostAuth.updateSessionToken', err: err })
+          })
+      }
+      reply.continue()
+    }
+  )
+
   server.ext(
     'onPreResponse',
     function (request, reply) {
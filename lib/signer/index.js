@@ -0,0 +1,26 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+// Signs certificates and ID tokens, with one of these backends,
+// chosen by config.signer.backend:
+//
+//   * local, which loads the private keys into this process.
+//   * remote, which asks a separate signing daemon (bin/signer_server.js)
+//     to sign, so that the private keys can live in a hardened process.
+//
+// Both implement:
+//
+//   * sign(data), resolving to { cert }
+//   * signIdToken(data), resolving to { idToken }
+//   * publicKeys(), resolving to the keys to publish, signing key first
+module.exports = function (log, config) {
+  if (config.signer && config.signer.backend === 'remote') {
+    return require('./remote')(log, config)
+  }
+
+  const signingKeys = require('../signing-keys')(config)
+  return require('./local')(signingKeys, config.publicUrl)
+}
@@ -0,0 +1,94 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+var jwtool = require('fxa-jwtool')
+var P = require('../promise')
+var ec = require('../crypto/ec')
+var jwk = require('../crypto/jwk')
+
+// Signs with keys loaded into this process, see lib/signing-keys.js
+module.exports = function (signingKeys, issuer) {
+
+  return {
+    /**
+     * Signs an OpenID Connect ID token, which relying parties can
+     * verify with the keys from /.well-known/jwks.json
+     *
+     * @param {Object} data
+     * @param {String} data.uid (hex)
+     * @param {String} data.clientId
+     * @param {Number} data.authAt (in seconds)
+     * @param {String[]} data.amr
+     * @param {String} data.acr
+     * @param {String} data.nonce (optional)
+     * @param {Number} data.lifetime (in milliseconds)
+     * @promise
+     */
+    signIdToken: function (data) {
+      var key = signingKeys.signingKey()
+      var now = Math.floor(Date.now() / 1000)
+      var claims = {
+        iss: issuer,
+        sub: data.uid,
+        aud: data.clientId,
+        iat: now,
+        exp: now + Math.floor(data.lifetime / 1000),
+        auth_time: data.authAt,
+        amr: data.amr,
+        acr: data.acr
+      }
+      if (data.nonce) {
+        claims.nonce = data.nonce
+      }
+      // P-256 signing keys sign with ES256, see lib/signing-keys.js
+      var isEC = key.jwk.kty === 'EC'
+      var idToken = (isEC ? ec.sign : jwtool.sign)(
+        {
+          header: {
+            alg: isEC ? 'ES256' : 'RS256',
+            typ: 'JWT',
+            // Matches the kid of the key at /.well-known/jwks.json
+            kid: jwk.publicJWK(key.jwk).kid
+          },
+          payload: claims
+        },
+        key.pem
+      )
+      return P.resolve({ idToken: idToken })
+    },
+
+    sign: function (data) {
+      var now = Date.now()
+      return signingKeys.signingKey().sign(
+        {
+          'public-key': data.publicKey,
+          principal: {
+            email: data.email
+          },
+          iat: now - (10 * 1000),
+          exp: now + data.duration,
+          'fxa-generation': data.generation,
+          'fxa-lastAuthAt': data.lastAuthAt,
+          'fxa-verifiedEmail': data.verifiedEmail,
+          'fxa-deviceId': data.deviceId,
+          'fxa-tokenVerified': data.tokenVerified
+        }
+      )
+      .then(
+        function (cert) {
+          return { cert: cert }
+        }
+      )
+    },
+
+    /**
+     * Returns the keys to publish, starting with the signing key.
+     *
+     * @promise
+     */
+    publicKeys: function () {
+      return P.resolve(signingKeys.publicKeys())
+    }
+  }
+}
@@ -0,0 +1,59 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const P = require('../promise')
+const Pool = require('../pool')
+const signingKeys = require('../signing-keys')
+
+// Posts what to sign to the signing daemon, see bin/signer_server.js
+module.exports = function (log, config) {
+  const remoteConfig = config.signer.remote
+  const pool = new Pool(remoteConfig.url, { timeout: remoteConfig.timeout })
+  let keys, keysFetchedAt
+
+  return {
+    sign: data => post('/v1/certificate', data),
+    signIdToken: data => post('/v1/id_token', data),
+    publicKeys: publicKeys
+  }
+
+  function post (path, data) {
+    return pool.post(path, data)
+      .catch(err => {
+        log.error({ op: 'signer.remote', path: path, err: err })
+        throw err
+      })
+  }
+
+  /**
+   * Returns the keys to publish, which are cached for
+   * config.signer.remote.keysCacheTime between fetches.
+   *
+   * @promise
+   */
+  function publicKeys () {
+    if (keys && Date.now() - keysFetchedAt < remoteConfig.keysCacheTime) {
+      return P.resolve(keys)
+    }
+
+    return pool.get('/v1/public_keys')
+      .then(
+        result => {
+          keys = result.keys.map(signingKeys.publicKey)
+          keysFetchedAt = Date.now()
+          return keys
+        },
+        err => {
+          log.error({ op: 'signer.remote.publicKeys', err: err })
+          // Keys change rarely, so stale keys are better than none.
+          if (keys) {
+            return keys
+          }
+          throw err
+        }
+      )
+  }
+}
@@ -0,0 +1,103 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const http = require('http')
+const P = require('../promise')
+
+const MAX_BODY_LENGTH = 64 * 1024
+
+// Certificates and ID tokens can't outlive what /certificate/sign
+// allows, even if the web tier is compromised.
+const MAX_DURATION = 24 * 60 * 60 * 1000
+
+/**
+ * Creates the HTTP server for the signing daemon, which signs for
+ * lib/signer/remote.js with a local signer, see bin/signer_server.js
+ *
+ * @param log
+ * @param signer (from lib/signer/local.js)
+ * @returns {http.Server}
+ */
+module.exports = function (log, signer) {
+  const routes = {
+    'POST /v1/certificate': data => {
+      checkDuration(data.duration)
+      return signer.sign(data)
+    },
+    'POST /v1/id_token': data => {
+      checkDuration(data.lifetime)
+      return signer.signIdToken(data)
+    },
+    'GET /v1/public_keys': () => {
+      return signer.publicKeys()
+        .then(keys => ({ keys: keys }))
+    }
+  }
+
+  return http.createServer((request, response) => {
+    const route = routes[request.method + ' ' + request.url]
+    if (! route) {
+      return respond(response, 404, { message: 'Not found' })
+    }
+
+    readBody(request)
+      .then(body => route(body))
+      .then(
+        result => respond(response, 200, result),
+        err => {
+          if (err.statusCode) {
+            return respond(response, err.statusCode, { message: err.message })
+          }
+          log.error({ op: 'signer.server', path: request.url, err: err })
+          respond(response, 500, { message: 'Internal error' })
+        }
+      )
+  })
+}
+
+function readBody (request) {
+  return new P((resolve, reject) => {
+    const chunks = []
+    let length = 0
+    request.on('data', chunk => {
+      length += chunk.length
+      if (length > MAX_BODY_LENGTH) {
+        reject(httpError(413, 'Request body too large'))
+        request.destroy()
+      } else {
+        chunks.push(chunk)
+      }
+    })
+    request.on('end', () => {
+      if (length === 0) {
+        return resolve({})
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+      } catch (err) {
+        reject(httpError(400, 'Invalid JSON'))
+      }
+    })
+    request.on('error', reject)
+  })
+}
+
+function checkDuration (duration) {
+  if (typeof duration !== 'number' || duration < 0 || duration > MAX_DURATION) {
+    throw httpError(400, 'Invalid duration')
+  }
+}
+
+function httpError (statusCode, message) {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+function respond (response, statusCode, body) {
+  response.writeHead(statusCode, { 'Content-Type': 'application/json' })
+  response.end(JSON.stringify(body))
+}
@@ -0,0 +1,221 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const fs = require('fs')
+const jwtool = require('fxa-jwtool')
+const ec = require('./crypto/ec')
+const jwk = require('./crypto/jwk')
+
+const PUBLIC_KEY_EXTRAS = {
+  algorithm: 'RS',
+  use: 'sig',
+  kty: 'RSA'
+}
+
+const EC_PUBLIC_KEY_EXTRAS = {
+  algorithm: 'ES',
+  use: 'sig'
+}
+
+// The keys used to sign certificates and ID tokens.
+//
+// By default these come from config.secretKeyFile, with the public keys
+// in config.publicKeyFile and, during a rotation, config.oldPublicKeyFile.
+//
+// If config.signingKeys.keysFile is set, the keys come from that file
+// instead, which holds each private key as a JWK with an `activatesAt`
+// time and, once it has been replaced, a `retiresAt` time (milliseconds
+// since the epoch). At any moment each key is:
+//
+//   * pending, before it activates. It is published, so that verifiers
+//     can pick it up before it signs anything, but not used to sign.
+//   * active, from when it activates until it retires. The most recently
+//     activated key signs and the others stay published, so that what
+//     they signed can still be verified.
+//   * retired, after it retires. It is neither published nor used.
+//
+// Keys in the file are identified by their RFC 7638 thumbprint,
+// which signed certificates carry as `kid`.
+//
+// Keys can be RSA keys, which sign with RS256, or P-256 keys (`kty`
+// "EC", `crv` "P-256"), which sign with ES256. The public keys of
+// the latter are published with `algorithm` "ES".
+module.exports = function (config) {
+  if (config.signingKeys && config.signingKeys.keysFile) {
+    return managedKeys(config.signingKeys.keysFile, config.domain)
+  }
+
+  return fileKeys(config)
+}
+
+module.exports.keyState = keyState
+module.exports.loadKeysFile = loadKeysFile
+module.exports.publicKey = publicKeyFromObject
+
+function fileKeys (config) {
+  const secretKey = keyFromFile(config.secretKeyFile, { iss: config.domain })
+  const publicKeys = [
+    publicKeyFromFile(config.publicKeyFile)
+  ]
+  if (config.oldPublicKeyFile) {
+    publicKeys.push(publicKeyFromFile(config.oldPublicKeyFile))
+  }
+
+  return {
+    signingKey: () => secretKey,
+    publicKeys: () => publicKeys
+  }
+}
+
+function managedKeys (file, domain) {
+  const keys = loadKeysFile(file).map(key => {
+    const kid = jwk.publicJWK(key).kid
+    const secret = Object.assign({}, key, { kid: kid })
+    delete secret.activatesAt
+    delete secret.retiresAt
+    return {
+      activatesAt: key.activatesAt,
+      retiresAt: key.retiresAt,
+      secretKey: keyFromObject(secret, { iss: domain }),
+      publicKey: publicKeyFromObject(secret)
+    }
+  })
+
+  // Fail at startup rather than on the first request.
+  signingKey()
+
+  return {
+    signingKey: signingKey,
+    publicKeys: publicKeys
+  }
+
+  /**
+   * Returns the most recently activated key that hasn't retired.
+   *
+   * @param {Number} [now]
+   * @returns {PrivateJWK}
+   */
+  function signingKey (now) {
+    const active = activeKeys(now || Date.now())
+    if (active.length === 0) {
+      throw new Error('No active signing key in ' + file)
+    }
+    return active[0].secretKey
+  }
+
+  /**
+   * Returns the keys to publish, starting with the signing key.
+   *
+   * @param {Number} [now]
+   * @returns {PublicJWK[]}
+   */
+  function publicKeys (now) {
+    now = now || Date.now()
+    const active = activeKeys(now)
+    const pending = keys.filter(key => keyState(key, now) === 'pending')
+    return active.concat(pending).map(key => key.publicKey)
+  }
+
+  function activeKeys (now) {
+    return keys
+      .filter(key => keyState(key, now) === 'active')
+      .sort((a, b) => b.activatesAt - a.activatesAt)
+  }
+}
+
+/**
+ * Returns 'pending', 'active' or 'retired' for a key from the keys file.
+ *
+ * @param {Object} key
+ * @param {Number} now
+ * @returns {String}
+ */
+function keyState (key, now) {
+  if (key.activatesAt > now) {
+    return 'pending'
+  }
+  if (key.retiresAt && key.retiresAt <= now) {
+    return 'retired'
+  }
+  return 'active'
+}
+
+function loadKeysFile (file) {
+  const contents = JSON.parse(fs.readFileSync(file, 'utf8'))
+  if (! Array.isArray(contents.keys) || contents.keys.length === 0) {
+    throw new Error('No signing keys in ' + file)
+  }
+
+  return contents.keys.map(key => {
+    if (! isPrivateKey(key)) {
+      throw new Error('Signing keys must be RSA or P-256 private keys in ' + file)
+    }
+    const activatesAt = toTime(key.activatesAt)
+    const retiresAt = key.retiresAt ? toTime(key.retiresAt) : null
+    if (isNaN(activatesAt) || isNaN(retiresAt)) {
+      throw new Error('Invalid activatesAt or retiresAt in ' + file)
+    }
+    return Object.assign({}, key, {
+      activatesAt: activatesAt,
+      retiresAt: retiresAt
+    })
+  })
+}
+
+function isPrivateKey (key) {
+  if (key.kty === 'EC') {
+    return key.crv === 'P-256' && !! (key.x && key.y && key.d)
+  }
+  return !! (key.n && key.e && key.d)
+}
+
+function keyFromObject (obj, extras) {
+  if (obj.kty === 'EC') {
+    return ec.fromObject(obj, extras)
+  }
+  return jwtool.JWK.fromObject(obj, extras)
+}
+
+function publicKeyFromObject (obj) {
+  if (obj.kty === 'EC') {
+    return ec.fromObject({
+      kty: obj.kty,
+      kid: obj.kid,
+      crv: obj.crv,
+      x: obj.x,
+      y: obj.y
+    }, EC_PUBLIC_KEY_EXTRAS)
+  }
+  return jwtool.JWK.fromObject({
+    kid: obj.kid,
+    n: obj.n,
+    e: obj.e
+  }, PUBLIC_KEY_EXTRAS)
+}
+
+function keyFromFile (file, extras) {
+  const contents = fs.readFileSync(file, 'utf8')
+  if (contents[0] === '{') {
+    return keyFromObject(JSON.parse(contents), extras)
+  }
+  return jwtool.JWK.fromPEM(contents, extras)
+}
+
+function publicKeyFromFile (file) {
+  const contents = fs.readFileSync(file, 'utf8')
+  if (contents[0] === '{') {
+    const obj = JSON.parse(contents)
+    if (obj.kty === 'EC') {
+      return ec.fromObject(obj, EC_PUBLIC_KEY_EXTRAS)
+    }
+  }
+  return jwtool.JWK.fromFile(file, PUBLIC_KEY_EXTRAS)
+}
+
+// Accepts milliseconds since the epoch or anything Date.parse can read.
+function toTime (value) {
+  return typeof value === 'number' ? value : Date.parse(value)
+}
@@ -12,8 +12,17 @@ var TOKEN_FRESHNESS_THRESHOLD = 50 * 365 * 24 * ONE_HOUR // 50 years or post Y20
 
 module.exports = (log, inherits, Token, config) => {
   const features = require('../features')(config)
+  const lifetimes = config.tokenLifetimes || {}
+  const idleLifetime = lifetimes.sessionTokenIdle || 0
+
+  // lastAccessTime has to be kept fresher than the idle lifetime,
+  // or active sessions would expire too.
+  const freshnessThreshold = idleLifetime ?
+    Math.min(TOKEN_FRESHNESS_THRESHOLD, Math.floor(idleLifetime / 2)) :
+    TOKEN_FRESHNESS_THRESHOLD
 
   function SessionToken(keys, details) {
+    details.lifetime = lifetimes.sessionToken || Infinity
     Token.call(this, keys, details)
     this.setUserAgentInfo(details)
     this.setDeviceInfo(details)
@@ -23,6 +32,7 @@ module.exports = (log, inherits, Token, config) => {
     this.verifierSetAt = details.verifierSetAt
     this.locale = details.locale || null
     this.mustVerify = !!details.mustVerify || false
+    this.authAt = details.authAt || 0
 
     if (details.createdAt > 0) {
       this.accountCreatedAt = details.createdAt
@@ -33,6 +43,10 @@ module.exports = (log, inherits, Token, config) => {
     // Tokens are considered verified if no tokenVerificationId exists
     this.tokenVerificationId = details.tokenVerificationId || null
     this.tokenVerified = this.tokenVerificationId ? false : true
+
+    // The second factor that /account/login asked for, if any,
+    // which is then the only way to verify the token
+    this.verificationMethod = details.verificationMethod || null
   }
   inherits(SessionToken, Token)
 
@@ -48,8 +62,11 @@ module.exports = (log, inherits, Token, config) => {
     return Token.createTokenFromHexData(SessionToken, string, details || {})
   }
 
+  // When the user last entered their password for this session, in seconds
+  // since the epoch. That is token creation unless they have re-authenticated
+  // since, in which case authAt holds the re-authentication time in ms.
   SessionToken.prototype.lastAuthAt = function () {
-    return Math.floor(this.createdAt / 1000)
+    return Math.floor((this.authAt || this.createdAt) / 1000)
   }
 
   // Parse the user agent string, then check the result to see whether
@@ -85,7 +102,7 @@ module.exports = (log, inherits, Token, config) => {
       this.uaDeviceType === freshData.uaDeviceType &&
       (
         ! features.isLastAccessTimeEnabledForUser(this.uid, this.email) ||
-        this.lastAccessTime + TOKEN_FRESHNESS_THRESHOLD > freshData.lastAccessTime
+        this.lastAccessTime + freshnessThreshold > freshData.lastAccessTime
       )
 
     log.info({
@@ -98,6 +115,19 @@ module.exports = (log, inherits, Token, config) => {
     return result
   }
 
+  // A session token is idle if it hasn't been used for longer than
+  // the idle lifetime. That can only be known for users whose
+  // lastAccessTime is being updated.
+  SessionToken.prototype.isIdle = function (asOf) {
+    if (! idleLifetime || ! this.lastAccessTime) {
+      return false
+    }
+    if (! features.isLastAccessTimeEnabledForUser(this.uid, this.email)) {
+      return false
+    }
+    return (asOf || Date.now()) - this.lastAccessTime > idleLifetime
+  }
+
   SessionToken.prototype.setUserAgentInfo = function (data) {
     this.uaBrowser = data.uaBrowser
     this.uaBrowserVersion = data.uaBrowserVersion
@@ -115,6 +145,7 @@ module.exports = (log, inherits, Token, config) => {
     this.callbackURL = data.callbackURL
     this.callbackPublicKey = data.callbackPublicKey
     this.callbackAuthKey = data.callbackAuthKey
+    this.deviceCapabilities = data.deviceCapabilities
   }
 
   return SessionToken
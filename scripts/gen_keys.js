@@ -8,53 +8,169 @@
    key signing Persona Primary IdP's.
 
    Usage:
-   scripts/gen_keys.js
+   scripts/gen_keys.js [--stage] [--ec]
 
    Will create these files
 
        ./config/public-key.json
        ./config/secret-key.json
 
+   Both hold the key's RFC 7638 thumbprint as `kid`.
+
    If these files already exist, this script will show an error message
    and exit. You must remove both keys if you want to generate a new
    keypair.
+
+   If config.signingKeys.keysFile is set, a managed keyset is created in
+   that file instead, holding one key that is active straight away. If
+   the file already exists, this script will show an error message and
+   exit, unless --stage is given. With --stage, a new key is added that
+   starts signing after config.signingKeys.stagingPeriod, so that it is
+   published well before anything it signs needs verifying. The keys it
+   replaces are marked to retire config.signingKeys.retirementPeriod after
+   that, and keys that have already retired are removed from the file.
+   Only one key can be staged at a time. See lib/signing-keys.js.
+
+   The keys are 2048-bit RSA keys, unless --ec is given, which creates
+   P-256 keys instead. Those sign with ES256, which makes for much
+   smaller certificates, but verifiers must support it.
 */
 
 const fs = require('fs')
 const cp = require('child_process')
+const crypto = require('crypto')
 const assert = require('assert')
 const config = require('../config')
+const jwk = require('../lib/crypto/jwk')
+const signingKeys = require('../lib/signing-keys')
 
 const pubKeyFile = config.get('publicKeyFile')
 const secretKeyFile = config.get('secretKeyFile')
+const keysFile = config.get('signingKeys.keysFile')
+const stage = process.argv.indexOf('--stage') !== -1
+const useEC = process.argv.indexOf('--ec') !== -1
 
-try {
-  var keysExist = fs.existsSync(pubKeyFile) && fs.existsSync(secretKeyFile)
-  assert(!keysExist, 'keys already exists')
-} catch(e) {
-  process.exit()
+function base64url(buf) {
+  return buf.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '')
 }
 
-console.error('Generating keypair')
+function generateKey(callback) {
+  if (useEC) {
+    var ecdh = crypto.createECDH('prime256v1')
+    var pub = ecdh.generateKeys()
+    var d = ecdh.getPrivateKey()
+    var padding = Buffer.alloc(32 - d.length)
+    var key = {
+      kty: 'EC',
+      crv: 'P-256',
+      x: base64url(pub.slice(1, 33)),
+      y: base64url(pub.slice(33)),
+      d: base64url(Buffer.concat([ padding, d ]))
+    }
+    return callback(key)
+  }
+
+  cp.exec(
+    'openssl genrsa 2048 | ../node_modules/fxa-jwtool/node_modules/pem-jwk/bin/pem-jwk.js',
+    {
+      cwd: __dirname
+    },
+    function (err, stdout, stderr) {
+      callback(JSON.parse(stdout))
+    }
+  )
+}
+
+if (keysFile) {
+  genKeyset()
+} else {
+  if (stage) {
+    console.error('--stage needs signingKeys.keysFile to be set')
+    process.exit(1)
+  }
+  genKeyFiles()
+}
+
+function genKeyFiles() {
+  try {
+    var keysExist = fs.existsSync(pubKeyFile) && fs.existsSync(secretKeyFile)
+    assert(!keysExist, 'keys already exists')
+  } catch(e) {
+    process.exit()
+  }
 
-cp.exec(
-  'openssl genrsa 2048 | ../node_modules/fxa-jwtool/node_modules/pem-jwk/bin/pem-jwk.js',
-  {
-    cwd: __dirname
-  },
-  function (err, stdout, stderr) {
-    var secret = stdout
-    fs.writeFileSync(secretKeyFile, secret)
+  console.error('Generating keypair')
+
+  generateKey(function (s) {
+    // Both keys carry the thumbprint, so that what the
+    // secret key signs names the public key to verify it.
+    var kid = jwk.publicJWK(s).kid
+    fs.writeFileSync(secretKeyFile, JSON.stringify(Object.assign({ kid: kid }, s)))
     console.error('Secret Key saved:', secretKeyFile)
-    var s = JSON.parse(secret)
     var pub = {
-      kid: 'dev-1',
+      kid: kid,
       kty: 'RSA',
       n: s.n,
       e: s.e
     }
+    if (s.kty === 'EC') {
+      pub = {
+        kid: kid,
+        kty: s.kty,
+        crv: s.crv,
+        x: s.x,
+        y: s.y
+      }
+    }
     fs.writeFileSync(pubKeyFile, JSON.stringify(pub))
     console.error('Public Key saved:', pubKeyFile)
+  })
+}
+
+function genKeyset() {
+  var fileExists = fs.existsSync(keysFile)
+  if (fileExists && ! stage) {
+    console.log('keys file already exists')
+    process.exit()
+  }
+
+  var now = Date.now()
+  var keys = []
+  var activatesAt = now
+
+  if (fileExists) {
+    keys = signingKeys.loadKeysFile(keysFile).filter(function (key) {
+      return signingKeys.keyState(key, now) !== 'retired'
+    })
+
+    var pending = keys.filter(function (key) {
+      return signingKeys.keyState(key, now) === 'pending'
+    })
+    if (pending.length > 0) {
+      console.error('A key is already staged to activate at', new Date(pending[0].activatesAt).toISOString())
+      process.exit(1)
+    }
+
+    activatesAt = now + config.get('signingKeys.stagingPeriod')
+    var retiresAt = activatesAt + config.get('signingKeys.retirementPeriod')
+    keys.forEach(function (key) {
+      if (! key.retiresAt) {
+        key.retiresAt = retiresAt
+      }
+    })
   }
-)
 
+  console.error('Generating keypair')
+
+  generateKey(function (key) {
+    key.activatesAt = activatesAt
+    keys.push(key)
+    fs.writeFileSync(keysFile, JSON.stringify({ keys: keys }, null, 2))
+    console.error('Key saved:', keysFile)
+    console.error('Key id:', jwk.publicJWK(key).kid)
+    console.error('Activates at:', new Date(activatesAt).toISOString())
+  })
+}
@@ -8,15 +8,19 @@
    use with VAPID in push notifications.
 
    Usage:
-   ./scripts/gen_valid_keys.js [filename]
+   ./scripts/gen_valid_keys.js [--rotate]
 
-   The filename will default to:
+   The keys are written to the file named by config.vapidKeysFile,
+   which defaults to:
 
        ./config/vapid-keys.json
 
    If this file already exists, this script will show an error message
-   and exit. You must remove the file if you want to generate a new
-   keypair.
+   and exit, unless --rotate is given. With --rotate, a new keypair is
+   appended to the file and marked current, and the existing keypairs
+   are kept so that subscriptions made with them keep working. Devices
+   resubscribe with the current key, see /v1/account/devices/vapid_key.
+   Once they have, the old keypairs can be removed from the file.
 */
 
 const fs = require('fs')
@@ -24,9 +28,10 @@ const config = require('../config')
 const webpush = require('web-push')
 
 const vapidKeysFile = config.get('vapidKeysFile')
+const rotate = process.argv.indexOf('--rotate') !== -1
 
 var fileExists = fs.existsSync(vapidKeysFile)
-if (fileExists) {
+if (fileExists && ! rotate) {
   console.log('keys file already exists')
   process.exit()
 }
@@ -34,9 +39,23 @@ if (fileExists) {
 console.error('Generating key for VAPID')
 
 var keys = webpush.generateVAPIDKeys()
-fs.writeFileSync(vapidKeysFile, JSON.stringify({
+var keyPair = {
   privateKey: keys.privateKey.toString('base64'),
   publicKey: keys.publicKey.toString('base64')
-}))
+}
+
+if (fileExists) {
+  var existing = JSON.parse(fs.readFileSync(vapidKeysFile))
+  var previous = existing.keys || [ existing ]
+  previous.forEach(function (key) {
+    delete key.current
+  })
+  keyPair.current = true
+  fs.writeFileSync(vapidKeysFile, JSON.stringify({
+    keys: previous.concat(keyPair)
+  }, null, 2))
+} else {
+  fs.writeFileSync(vapidKeysFile, JSON.stringify(keyPair))
+}
 
 console.error('Done:', vapidKeysFile)
@@ -36,7 +36,7 @@ var makeRoutes = function (options, requireMocks) {
     supportedLanguages: ['en'],
     defaultLanguage: 'en'
   }
-  config.lastAccessTimeUpdates = {}
+  config.lastAccessTimeUpdates = config.lastAccessTimeUpdates || {}
   config.signinConfirmation = config.signinConfirmation || {}
   config.signinUnblock = config.signinUnblock || {}
 
@@ -64,7 +64,7 @@ var makeRoutes = function (options, requireMocks) {
     isPreVerified,
     checkPassword,
     push,
-    options.devices || require('../../lib/devices')(log, db, push)
+    options.devices || require('../../lib/devices')(log, db, push, config)
   )
 }
 
@@ -82,6 +82,10 @@ function runTest (route, request, assertions) {
   .then(assertions)
 }
 
+function hashSigninCode (tokenId, code) {
+  return crypto.createHash('sha256').update(tokenId).update(code).digest('hex')
+}
+
 describe('/recovery_email/status', function () {
   var config = {
     signinConfirmation: {}
@@ -273,6 +277,7 @@ describe('/recovery_email/resend_code', () => {
     return runTest(route, mockRequest, response => {
       assert.equal(mockLog.flowEvent.callCount, 1, 'log.flowEvent called once')
       assert.equal(mockLog.flowEvent.args[0][0], 'email.verification.resent')
+      assert.equal(mockDB.createSigninCode.callCount, 0, 'db.createSigninCode was not called')
     })
   })
 
@@ -284,6 +289,7 @@ describe('/recovery_email/resend_code', () => {
         uid: uuid.v4('binary').toString('hex'),
         email: TEST_EMAIL,
         emailVerified: true,
+        tokenId: crypto.randomBytes(32),
         tokenVerified: false
       },
       query: {},
@@ -301,7 +307,68 @@ describe('/recovery_email/resend_code', () => {
     return runTest(route, mockRequest, response => {
       assert.equal(mockLog.flowEvent.callCount, 1, 'log.flowEvent called once')
       assert.equal(mockLog.flowEvent.args[0][0], 'email.confirmation.resent')
+
+      assert.equal(mockDB.createSigninCode.callCount, 1, 'db.createSigninCode was called once')
+      assert.equal(mockMailer.sendVerifyLoginEmail.callCount, 1, 'mailer.sendVerifyLoginEmail was called once')
+      const signinCode = mockMailer.sendVerifyLoginEmail.args[0][2].signinCode
+      assert.ok(/^[0-9]{6}$/.test(signinCode), 'signin code is six digits')
+      const codeHash = mockDB.createSigninCode.args[0][1].codeHash
+      assert.equal(codeHash, hashSigninCode(mockRequest.auth.credentials.tokenId, signinCode), 'only the hash of the code was stored')
+    })
+  })
+
+  it('refuses sessions waiting for a totp code', () => {
+    const mockRequest = mocks.mockRequest({
+      log: mockLog,
+      metricsContext: mockMetricsContext,
+      credentials: {
+        uid: uuid.v4('binary').toString('hex'),
+        email: TEST_EMAIL,
+        emailVerified: true,
+        tokenVerified: false,
+        tokenVerificationId: crypto.randomBytes(16),
+        verificationMethod: 'totp-2fa'
+      },
+      query: {},
+      payload: {}
+    })
+    mockDB.createSigninCode.reset()
+    mockMailer.sendVerifyLoginEmail.reset()
+
+    return runTest(route, mockRequest)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.SECOND_FACTOR_REQUIRED, 'correct errno')
+        assert.equal(err.output.payload.verificationMethod, 'totp-2fa', 'verificationMethod is totp-2fa')
+        assert.equal(mockDB.createSigninCode.callCount, 0, 'db.createSigninCode was not called')
+        assert.equal(mockMailer.sendVerifyLoginEmail.callCount, 0, 'mailer.sendVerifyLoginEmail was not called')
+      })
+  })
+
+  it('refuses sessions waiting for a security key', () => {
+    const mockRequest = mocks.mockRequest({
+      log: mockLog,
+      metricsContext: mockMetricsContext,
+      credentials: {
+        uid: uuid.v4('binary').toString('hex'),
+        email: TEST_EMAIL,
+        emailVerified: true,
+        tokenVerified: false,
+        tokenVerificationId: crypto.randomBytes(16),
+        verificationMethod: 'webauthn-2fa'
+      },
+      query: {},
+      payload: {}
     })
+    mockDB.createSigninCode.reset()
+    mockMailer.sendVerifyLoginEmail.reset()
+
+    return runTest(route, mockRequest)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.SECOND_FACTOR_REQUIRED, 'correct errno')
+        assert.equal(err.output.payload.verificationMethod, 'webauthn-2fa', 'verificationMethod is webauthn-2fa')
+        assert.equal(mockDB.createSigninCode.callCount, 0, 'db.createSigninCode was not called')
+        assert.equal(mockMailer.sendVerifyLoginEmail.callCount, 0, 'mailer.sendVerifyLoginEmail was not called')
+      })
   })
 
 })
@@ -361,6 +428,93 @@ describe('/account/reset', function () {
       assert.equal(securityEvent.uid, uid)
       assert.equal(securityEvent.ipAddr, clientAddress)
       assert.equal(securityEvent.name, 'account.reset')
+
+      assert.equal(mockDB.recoveryKey.callCount, 0, 'db.recoveryKey was not called')
+      assert.equal(mockDB.deleteRecoveryKey.callCount, 1, 'db.deleteRecoveryKey was called once')
+    })
+  })
+
+  describe('with a recovery key', () => {
+    const uid = uuid.v4('binary')
+    const authPW = crypto.randomBytes(32).toString('hex')
+    const wrapKb = crypto.randomBytes(32)
+    const recoveryKeyId = crypto.randomBytes(16).toString('hex')
+    const config = {
+      securityHistory: {}
+    }
+    let mockDB, route
+
+    beforeEach(() => {
+      mockDB = mocks.mockDB({
+        uid: uid,
+        email: TEST_EMAIL,
+        recoveryData: 'eyJhbGciOiJkaXIifQ..aXY.Y2lwaGVydGV4dA.dGFn',
+        wrapWrapKb: crypto.randomBytes(32)
+      })
+      route = getRoute(makeRoutes({
+        config: config,
+        customs: mocks.mockCustoms(),
+        db: mockDB,
+        push: mocks.mockPush()
+      }), '/account/reset')
+    })
+
+    function makeRequest (payload) {
+      return mocks.mockRequest({
+        credentials: {
+          uid: uid
+        },
+        log: mocks.spyLog(),
+        payload: payload
+      })
+    }
+
+    it('keeps kB', () => {
+      const request = makeRequest({
+        authPW: authPW,
+        wrapKb: wrapKb.toString('hex'),
+        recoveryKeyId: recoveryKeyId
+      })
+      return runTest(route, request, () => {
+        assert.equal(mockDB.recoveryKey.callCount, 1, 'db.recoveryKey was called once')
+        assert.equal(mockDB.recoveryKey.args[0][1].toString('hex'), recoveryKeyId, 'recovery key id was checked')
+        assert.equal(mockDB.resetAccount.callCount, 1, 'db.resetAccount was called once')
+        assert.equal(mockDB.deleteRecoveryKey.callCount, 1, 'db.deleteRecoveryKey was called once')
+
+        const data = mockDB.resetAccount.args[0][1]
+        const Password = require('../../lib/crypto/password')(mocks.mockLog(), config)
+        const password = new Password(Buffer(authPW, 'hex'), data.authSalt, data.verifierVersion)
+        return password.unwrap(data.wrapWrapKb)
+          .then(result => {
+            assert.deepEqual(result, wrapKb, 'wrapWrapKb unwraps to the client\'s wrapKb')
+          })
+      })
+    })
+
+    it('fails for an unknown recovery key', () => {
+      mockDB.recoveryKey = sinon.spy(() => P.reject(error.recoveryKeyNotFound()))
+      const request = makeRequest({
+        authPW: authPW,
+        wrapKb: wrapKb.toString('hex'),
+        recoveryKeyId: recoveryKeyId
+      })
+      return runTest(route, request)
+        .then(assert.fail, err => {
+          assert.equal(err.errno, error.ERRNO.RECOVERY_KEY_NOT_FOUND, 'correct errno')
+          assert.equal(mockDB.resetAccount.callCount, 0, 'db.resetAccount was not called')
+        })
+    })
+
+    it('requires wrapKb', () => {
+      const request = makeRequest({
+        authPW: authPW,
+        recoveryKeyId: recoveryKeyId
+      })
+      return runTest(route, request)
+        .then(assert.fail, err => {
+          assert.equal(err.errno, error.ERRNO.MISSING_PARAMETER, 'correct errno')
+          assert.equal(mockDB.resetAccount.callCount, 0, 'db.resetAccount was not called')
+        })
     })
   })
 })
@@ -412,14 +566,16 @@ describe('/account/device', function () {
     payload.type = 'phone'
     payload.pushCallback = 'https://push.services.mozilla.com/123456'
     payload.pushPublicKey = 'SomeEncodedBinaryStuffThatDoesntGetValidedByThisTest'
+    payload.capabilities = ['fxaccounts:open_uri']
 
     return runTest(route, mockRequest, function (response) {
-      assert.equal(mockLog.increment.callCount, 5, 'the counters were incremented')
+      assert.equal(mockLog.increment.callCount, 6, 'the counters were incremented')
       assert.equal(mockLog.increment.getCall(0).args[0], 'device.update.sessionToken')
       assert.equal(mockLog.increment.getCall(1).args[0], 'device.update.name')
       assert.equal(mockLog.increment.getCall(2).args[0], 'device.update.type')
       assert.equal(mockLog.increment.getCall(3).args[0], 'device.update.pushCallback')
       assert.equal(mockLog.increment.getCall(4).args[0], 'device.update.pushPublicKey')
+      assert.equal(mockLog.increment.getCall(5).args[0], 'device.update.capabilities')
 
       assert.equal(mockDevices.upsert.callCount, 1, 'devices.upsert was called once')
       var args = mockDevices.upsert.args[0]
@@ -462,6 +618,40 @@ describe('/account/device', function () {
       assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'correct errno is returned')
     })
   })
+
+  it('too many devices', function () {
+    var mockDB = mocks.mockDB({
+      devices: [ { id: crypto.randomBytes(16) }, { id: crypto.randomBytes(16) } ]
+    })
+    var route = getRoute(makeRoutes({
+      config: {
+        deviceLimit: {
+          max: 2,
+          policy: 'reject'
+        }
+      },
+      db: mockDB
+    }), '/account/device')
+    var request = mocks.mockRequest({
+      credentials: {
+        tokenId: crypto.randomBytes(16),
+        uid: uid
+      },
+      payload: {
+        name: 'my new device',
+        type: 'mobile'
+      }
+    })
+
+    return runTest(route, request, function () {
+      assert(false, 'should have thrown')
+    })
+    .then(() => assert.ok(false), function (err) {
+      assert.equal(err.output.statusCode, 400, 'correct status code is returned')
+      assert.equal(err.errno, error.ERRNO.TOO_MANY_DEVICES, 'correct errno is returned')
+      assert.equal(mockDB.createDevice.callCount, 0, 'db.createDevice was not called')
+    })
+  })
 })
 
 describe('/account/devices/notify', function () {
@@ -517,6 +707,68 @@ describe('/account/devices/notify', function () {
     })
   })
 
+  it('refuses payloads that only the server sends', () => {
+    validate.reset()
+    mockPush.pushToAllDevices.reset()
+    mockRequest.payload = {
+      to: 'all',
+      payload: {
+        isValid: true,
+        version: 1,
+        command: 'fxaccounts:command_received',
+        data: {
+          command: 'fxaccounts:wipe',
+          payload: {}
+        }
+      }
+    }
+    return runTest(route, mockRequest)
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_PARAMETER, 'correct errno')
+        assert.equal(mockPush.pushToAllDevices.callCount, 0, 'mockPush.pushToAllDevices was not called')
+      })
+  })
+
+  it('refuses a forged account_destroyed payload', () => {
+    mockPush.pushToDevices.reset()
+    mockRequest.payload = {
+      to: ['bogusid1'],
+      payload: {
+        isValid: true,
+        version: 1,
+        command: 'fxaccounts:account_destroyed',
+        data: {
+          uid: uid.toString('hex')
+        }
+      }
+    }
+    return runTest(route, mockRequest)
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_PARAMETER, 'correct errno')
+        assert.equal(mockPush.pushToDevices.callCount, 0, 'mockPush.pushToDevices was not called')
+      })
+  })
+
+  it('refuses a forged login_request payload', () => {
+    mockPush.pushToAllDevices.reset()
+    mockRequest.payload = {
+      to: 'all',
+      payload: {
+        isValid: true,
+        version: 1,
+        command: 'fxaccounts:login_request',
+        data: {
+          id: crypto.randomBytes(32).toString('hex')
+        }
+      }
+    }
+    return runTest(route, mockRequest)
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_PARAMETER, 'correct errno')
+        assert.equal(mockPush.pushToAllDevices.callCount, 0, 'mockPush.pushToAllDevices was not called')
+      })
+  })
+
   it('all devices', function () {
     mockRequest.payload = {
       to: 'all',
@@ -625,6 +877,171 @@ describe('/account/devices/notify', function () {
   })
 })
 
+describe('/account/devices/invoke_command', () => {
+  const uid = uuid.v4('binary')
+  const senderId = crypto.randomBytes(16)
+  const targetId = crypto.randomBytes(16)
+
+  function makeRequest (command, payload) {
+    return mocks.mockRequest({
+      credentials: {
+        uid: uid,
+        deviceId: senderId
+      },
+      payload: {
+        target: targetId.toString('hex'),
+        command: command,
+        payload: payload
+      }
+    })
+  }
+
+  function makeDB (capabilities) {
+    const db = mocks.mockDB()
+    db.devices = sinon.spy(() => P.resolve([
+      { id: senderId, capabilities: [] },
+      { id: targetId, capabilities: capabilities }
+    ]))
+    return db
+  }
+
+  function getInvokeRoute (db, push) {
+    return getRoute(makeRoutes({
+      customs: mocks.mockCustoms(),
+      db: db,
+      push: push
+    }), '/account/devices/invoke_command')
+  }
+
+  it('sends the command to the target device', () => {
+    const db = makeDB(['fxaccounts:open_uri'])
+    const push = mocks.mockPush()
+    const payload = { uri: 'https://example.com/' }
+
+    return runTest(getInvokeRoute(db, push), makeRequest('fxaccounts:open_uri', payload), response => {
+      assert.deepEqual(response, {})
+      assert.equal(push.notifyCommandInvoked.callCount, 1, 'push.notifyCommandInvoked was called once')
+      const args = push.notifyCommandInvoked.args[0]
+      assert.equal(args.length, 5, 'push.notifyCommandInvoked was passed five arguments')
+      assert.equal(args[0], uid, 'first argument was the uid')
+      assert.equal(args[1].id, targetId, 'second argument was the target device')
+      assert.equal(args[2], 'fxaccounts:open_uri', 'third argument was the command')
+      assert.deepEqual(args[3], payload, 'fourth argument was the payload')
+      assert.equal(args[4], senderId.toString('hex'), 'fifth argument was the sender id')
+    })
+  })
+
+  it('fails for an unknown command', () => {
+    const db = makeDB(['fxaccounts:frobnicate'])
+    const push = mocks.mockPush()
+
+    return runTest(getInvokeRoute(db, push), makeRequest('fxaccounts:frobnicate', {}), () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_PARAMETER, 'correct errno')
+        assert.equal(push.notifyCommandInvoked.callCount, 0, 'push.notifyCommandInvoked was not called')
+      })
+  })
+
+  it('fails for an invalid payload', () => {
+    const db = makeDB(['fxaccounts:open_uri'])
+    const push = mocks.mockPush()
+
+    return runTest(getInvokeRoute(db, push), makeRequest('fxaccounts:open_uri', { uri: 'ftp://example.com/' }), () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_PARAMETER, 'correct errno')
+        assert.equal(push.notifyCommandInvoked.callCount, 0, 'push.notifyCommandInvoked was not called')
+      })
+  })
+
+  it('fails if the target device does not support the command', () => {
+    const db = makeDB(['fxaccounts:sync_now'])
+    const push = mocks.mockPush()
+
+    return runTest(getInvokeRoute(db, push), makeRequest('fxaccounts:wipe', {}), () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.DEVICE_COMMAND_UNAVAILABLE, 'correct errno')
+        assert.equal(err.output.payload.command, 'fxaccounts:wipe', 'error had the command')
+        assert.equal(push.notifyCommandInvoked.callCount, 0, 'push.notifyCommandInvoked was not called')
+      })
+  })
+})
+
+describe('/account/device/commands', () => {
+  const uid = uuid.v4('binary')
+  const deviceId = crypto.randomBytes(16)
+
+  function makeRequest (query) {
+    return mocks.mockRequest({
+      credentials: {
+        uid: uid,
+        deviceId: deviceId
+      },
+      query: query
+    })
+  }
+
+  function makeDB (messages) {
+    const db = mocks.mockDB()
+    db.deviceCommands = sinon.spy(() => P.resolve({ last: true, messages: messages }))
+    return db
+  }
+
+  function getCommandsRoute (db, enabled) {
+    return getRoute(makeRoutes({
+      config: { deviceCommands: { enabled: enabled !== false } },
+      db: db
+    }), '/account/device/commands')
+  }
+
+  it('returns unexpired messages', () => {
+    const now = Date.now()
+    const db = makeDB([
+      { index: 3, data: '{"foo":"bar"}', expiresAt: now + 60000 },
+      { index: 4, data: '{"baz":"qux"}', expiresAt: now - 1 }
+    ])
+
+    return runTest(getCommandsRoute(db), makeRequest({}), response => {
+      assert.equal(db.deleteDeviceCommands.callCount, 0, 'db.deleteDeviceCommands was not called')
+      assert.equal(db.deviceCommands.callCount, 1, 'db.deviceCommands was called once')
+      const args = db.deviceCommands.args[0]
+      assert.equal(args[0], uid, 'first argument was the uid')
+      assert.equal(args[1], deviceId, 'second argument was the device id')
+      assert.equal(args[2], 0, 'third argument was the default index')
+      assert.equal(args[3], 100, 'fourth argument was the default limit')
+
+      assert.deepEqual(response, {
+        index: 4,
+        last: true,
+        messages: [ { index: 3, data: { foo: 'bar' } } ]
+      })
+    })
+  })
+
+  it('acknowledges messages up to the index', () => {
+    const db = makeDB([])
+
+    return runTest(getCommandsRoute(db), makeRequest({ index: 5, limit: 10 }), response => {
+      assert.equal(db.deleteDeviceCommands.callCount, 1, 'db.deleteDeviceCommands was called once')
+      assert.equal(db.deleteDeviceCommands.args[0][2], 5, 'db.deleteDeviceCommands was passed the index')
+      assert.ok(db.deleteDeviceCommands.calledBefore(db.deviceCommands), 'messages were deleted before fetching')
+      assert.equal(db.deviceCommands.args[0][2], 5, 'db.deviceCommands was passed the index')
+      assert.equal(db.deviceCommands.args[0][3], 10, 'db.deviceCommands was passed the limit')
+
+      assert.deepEqual(response, { index: 5, last: true, messages: [] })
+    })
+  })
+
+  it('fails if device commands are disabled', () => {
+    const db = makeDB([])
+
+    return runTest(getCommandsRoute(db, false), makeRequest({}), () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'correct errno')
+        assert.equal(db.deviceCommands.callCount, 0, 'db.deviceCommands was not called')
+      })
+  })
+})
+
 describe('/account/device/destroy', function () {
   it('should work', () => {
     var uid = uuid.v4('binary')
@@ -1111,9 +1528,18 @@ describe('/account/login', function () {
         assert.equal(mockMailer.sendVerifyLoginEmail.getCall(0).args[2].location.city, 'Mountain View')
         assert.equal(mockMailer.sendVerifyLoginEmail.getCall(0).args[2].location.country, 'United States')
         assert.equal(mockMailer.sendVerifyLoginEmail.getCall(0).args[2].timeZone, 'America/Los_Angeles')
+
+        assert.equal(mockDB.createSigninCode.callCount, 1, 'db.createSigninCode was called')
+        var signinCodeArgs = mockDB.createSigninCode.args[0]
+        assert.equal(signinCodeArgs[0], sessionTokenId, 'signin code was bound to the session token')
+        assert.deepEqual(signinCodeArgs[1].uid, uid, 'signin code was bound to the account')
+        var signinCode = mockMailer.sendVerifyLoginEmail.getCall(0).args[2].signinCode
+        assert.ok(/^[0-9]{6}$/.test(signinCode), 'signin code is six digits')
+        assert.equal(signinCodeArgs[1].codeHash, hashSigninCode(sessionTokenId, signinCode), 'only the hash of the code was stored')
       }).then(function () {
         mockLog.flowEvent.reset()
         mockMailer.sendVerifyLoginEmail.reset()
+        mockDB.createSigninCode.reset()
         mockDB.createSessionToken.reset()
         mockMetricsContext.stash.reset()
       })
@@ -1347,6 +1773,114 @@ describe('/account/login', function () {
     })
   })
 
+  describe('two-step authentication enabled', function () {
+    let previousEmailRecord, twoStepRoute
+
+    before(() => {
+      config.totp = {
+        enabled: true
+      }
+      config.webauthn = {
+        enabled: true
+      }
+      previousEmailRecord = mockDB.emailRecord
+      mockDB.emailRecord = function () {
+        return P.resolve({
+          authSalt: crypto.randomBytes(32),
+          data: crypto.randomBytes(32),
+          email: mockRequest.payload.email,
+          emailVerified: true,
+          kA: crypto.randomBytes(32),
+          lastAuthAt: function () {
+            return Date.now()
+          },
+          uid: uid,
+          wrapWrapKb: crypto.randomBytes(32)
+        })
+      }
+      twoStepRoute = getRoute(makeRoutes({
+        checkPassword: function () {
+          return P.resolve(true)
+        },
+        config: config,
+        customs: mockCustoms,
+        db: mockDB,
+        log: mockLog,
+        mailer: mockMailer,
+        push: mockPush
+      }), '/account/login')
+    })
+
+    after(() => {
+      delete config.totp
+      delete config.webauthn
+      mockDB.emailRecord = previousEmailRecord
+      mockDB.totpToken = mocks.mockDB().totpToken
+      mockDB.webauthnCredentials = mocks.mockDB().webauthnCredentials
+    })
+
+    beforeEach(() => {
+      mockMailer.sendVerifyLoginEmail.reset()
+      mockDB.totpToken = mocks.mockDB().totpToken
+      mockDB.webauthnCredentials = mocks.mockDB().webauthnCredentials
+    })
+
+    it('requires a totp code to verify the session', function () {
+      mockDB.totpToken = sinon.spy(() => {
+        return P.resolve({
+          sharedSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+          epoch: 0,
+          verified: true,
+          enabled: true
+        })
+      })
+
+      return runTest(twoStepRoute, mockRequest, function (response) {
+        assert.equal(mockDB.totpToken.callCount, 1, 'db.totpToken was called')
+        assert.equal(mockDB.totpToken.args[0][0], uid, 'db.totpToken was passed uid')
+        assert.equal(mockDB.webauthnCredentials.callCount, 0, 'db.webauthnCredentials was not called')
+
+        var tokenData = mockDB.createSessionToken.getCall(0).args[0]
+        assert.ok(tokenData.mustVerify, 'sessionToken must be verified before use')
+        assert.ok(tokenData.tokenVerificationId, 'sessionToken was created unverified')
+        assert.equal(tokenData.verificationMethod, 'totp-2fa', 'sessionToken is waiting for a totp code')
+
+        assert.equal(mockMailer.sendVerifyLoginEmail.callCount, 0, 'mailer.sendVerifyLoginEmail was not called')
+        assert.equal(mockMailer.sendNewDeviceLoginNotification.callCount, 0, 'mailer.sendNewDeviceLoginNotification was not called')
+        assert.equal(response.verified, false, 'response indicates session is unverified')
+        assert.equal(response.verificationMethod, 'totp-2fa', 'verificationMethod is totp-2fa')
+        assert.equal(response.verificationReason, 'login', 'verificationReason is login')
+      })
+    })
+
+    it('requires a security key to verify the session', function () {
+      mockDB.webauthnCredentials = sinon.spy(() => {
+        return P.resolve([
+          {
+            id: 'a2V5MQ',
+            publicKey: Buffer('a0', 'hex'),
+            signCount: 0
+          }
+        ])
+      })
+
+      return runTest(twoStepRoute, mockRequest, function (response) {
+        assert.equal(mockDB.webauthnCredentials.callCount, 1, 'db.webauthnCredentials was called')
+        assert.equal(mockDB.webauthnCredentials.args[0][0], uid, 'db.webauthnCredentials was passed uid')
+
+        var tokenData = mockDB.createSessionToken.getCall(0).args[0]
+        assert.ok(tokenData.mustVerify, 'sessionToken must be verified before use')
+        assert.ok(tokenData.tokenVerificationId, 'sessionToken was created unverified')
+        assert.equal(tokenData.verificationMethod, 'webauthn-2fa', 'sessionToken is waiting for a security key')
+
+        assert.equal(mockMailer.sendVerifyLoginEmail.callCount, 0, 'mailer.sendVerifyLoginEmail was not called')
+        assert.equal(response.verified, false, 'response indicates session is unverified')
+        assert.equal(response.verificationMethod, 'webauthn-2fa', 'verificationMethod is webauthn-2fa')
+        assert.equal(response.verificationReason, 'login', 'verificationReason is login')
+      })
+    })
+  })
+
   it('creating too many sessions causes an error to be logged', function () {
     mockDB.emailRecord = defaultEmailRecord
     mockDB.emailRecord.reset()
@@ -1607,20 +2141,448 @@ describe('/account/login', function () {
       })
     })
   })
-})
 
-describe('/recovery_email/verify_code', function () {
-  var uid = uuid.v4('binary').toString('hex')
-  const mockLog = mocks.spyLog()
-  const mockRequest = mocks.mockRequest({
-    log: mockLog,
-    query: {},
-    payload: {
-      uid: uid,
-      code: 'e3c5b0e3f5391e134596c27519979b93',
-      service: 'sync'
+  describe('after a change of primary email', function () {
+    const ORIGINAL_EMAIL = 'original@example.com'
+    let previousEmailRecord
+
+    before(() => {
+      previousEmailRecord = mockDB.emailRecord
+      mockDB.emailRecord = function () {
+        return P.resolve({
+          authSalt: crypto.randomBytes(32),
+          data: crypto.randomBytes(32),
+          email: TEST_EMAIL,
+          emailVerified: true,
+          kA: crypto.randomBytes(32),
+          lastAuthAt: function () {
+            return Date.now()
+          },
+          originalEmail: ORIGINAL_EMAIL,
+          uid: uid,
+          wrapWrapKb: crypto.randomBytes(32)
+        })
+      }
+    })
+
+    after(() => {
+      mockDB.emailRecord = previousEmailRecord
+    })
+
+    function makeLoginRequest (email) {
+      return mocks.mockRequest({
+        log: mockLog,
+        metricsContext: mockMetricsContext,
+        payload: {
+          authPW: crypto.randomBytes(32).toString('hex'),
+          email: email,
+          reason: 'signin'
+        },
+        query: {}
+      })
     }
-  })
+
+    it('returns the original email when the password does not match', function () {
+      const failingRoute = getRoute(makeRoutes({
+        checkPassword: function () {
+          return P.resolve(false)
+        },
+        config: config,
+        customs: mockCustoms,
+        db: mockDB,
+        log: mockLog,
+        mailer: mockMailer,
+        push: mockPush
+      }), '/account/login')
+
+      return runTest(failingRoute, makeLoginRequest(TEST_EMAIL)).then(() => assert.ok(false), err => {
+        assert.equal(err.errno, error.ERRNO.INCORRECT_EMAIL_CASE, 'correct errno is returned')
+        assert.equal(err.output.payload.email, ORIGINAL_EMAIL, 'original email is returned')
+        assert.equal(mockDB.createSessionToken.callCount, 0, 'db.createSessionToken was not called')
+      })
+    })
+
+    it('accepts the original email', function () {
+      return runTest(route, makeLoginRequest(ORIGINAL_EMAIL), function (response) {
+        assert.equal(mockDB.createSessionToken.callCount, 1, 'db.createSessionToken was called')
+        assert.equal(mockDB.createSessionToken.args[0][0].email, TEST_EMAIL, 'session token has the primary email')
+      })
+    })
+  })
+
+  describe('with a session limit', function () {
+    const deviceSessionId = crypto.randomBytes(32)
+    const sessions = [
+      { tokenId: crypto.randomBytes(32), createdAt: 1000, lastAccessTime: 5000 },
+      { tokenId: deviceSessionId, createdAt: 1000, lastAccessTime: 2000 },
+      { tokenId: crypto.randomBytes(32), createdAt: 1000, lastAccessTime: 4000, tokenVerificationId: crypto.randomBytes(16) },
+      { tokenId: crypto.randomBytes(32), createdAt: 1000, lastAccessTime: 3000 }
+    ]
+    const device = { id: crypto.randomBytes(16), sessionToken: deviceSessionId }
+
+    function makeLimitedRoute (db, devices, lastAccessTimeUpdates) {
+      return getRoute(makeRoutes({
+        checkPassword: function () {
+          return P.resolve(true)
+        },
+        config: Object.assign({}, config, {
+          lastAccessTimeUpdates: lastAccessTimeUpdates,
+          sessionLimit: { max: 3, idleAge: 1000 }
+        }),
+        customs: mockCustoms,
+        db: db,
+        devices: devices,
+        log: mockLog,
+        mailer: mockMailer,
+        push: mockPush
+      }), '/account/login')
+    }
+
+    it('prunes unverified and then idle sessions', function () {
+      const db = mocks.mockDB({
+        devices: [ device ],
+        email: TEST_EMAIL,
+        emailVerified: true,
+        sessions: sessions,
+        uid: uid
+      })
+      const devices = mocks.mockDevices()
+
+      return runTest(makeLimitedRoute(db, devices, {
+        enabled: true,
+        sampleRate: 1,
+        enabledEmailAddresses: /.+/
+      }), makeLoginRequest(), function () {
+        assert.equal(db.deleteSessionToken.callCount, 1, 'db.deleteSessionToken was called once')
+        let args = db.deleteSessionToken.args[0]
+        assert.equal(args[0].id, sessions[2].tokenId.toString('hex'), 'the unverified session was destroyed')
+        assert.equal(args[0].uid, uid, 'session token had the correct uid')
+
+        assert.equal(devices.destroy.callCount, 1, 'devices.destroy was called once')
+        args = devices.destroy.args[0]
+        assert.equal(args[1], uid, 'second argument was uid')
+        assert.equal(args[2], device, 'third argument was the idle session\'s device')
+
+        assert.equal(db.securityEvent.args.filter(args => args[0].name !== 'account.login').length, 0, 'no other security events were recorded')
+        assert.equal(db.createSessionToken.callCount, 1, 'db.createSessionToken was called once')
+      })
+    })
+
+    it('goes over the limit rather than prune sessions that may be in use', function () {
+      const db = mocks.mockDB({
+        devices: [ device ],
+        email: TEST_EMAIL,
+        emailVerified: true,
+        sessions: sessions,
+        uid: uid
+      })
+      const devices = mocks.mockDevices()
+
+      return runTest(makeLimitedRoute(db, devices), makeLoginRequest(), function () {
+        assert.equal(db.deleteSessionToken.callCount, 1, 'db.deleteSessionToken was called once')
+        assert.equal(db.deleteSessionToken.args[0][0].id, sessions[2].tokenId.toString('hex'), 'only the unverified session was destroyed')
+        assert.equal(devices.destroy.callCount, 0, 'devices.destroy was not called')
+        assert.equal(db.createSessionToken.callCount, 1, 'db.createSessionToken was called once')
+      })
+    })
+
+    it('leaves accounts under the limit alone', function () {
+      const db = mocks.mockDB({
+        email: TEST_EMAIL,
+        emailVerified: true,
+        sessions: sessions.slice(0, 2),
+        uid: uid
+      })
+      const devices = mocks.mockDevices()
+
+      return runTest(makeLimitedRoute(db, devices), makeLoginRequest(), function () {
+        assert.equal(db.deleteSessionToken.callCount, 0, 'db.deleteSessionToken was not called')
+        assert.equal(devices.destroy.callCount, 0, 'devices.destroy was not called')
+        assert.equal(db.createSessionToken.callCount, 1, 'db.createSessionToken was called once')
+      })
+    })
+
+    function makeLoginRequest () {
+      return mocks.mockRequest({
+        log: mockLog,
+        metricsContext: mockMetricsContext,
+        payload: {
+          authPW: crypto.randomBytes(32).toString('hex'),
+          email: TEST_EMAIL,
+          reason: 'signin'
+        },
+        query: {}
+      })
+    }
+  })
+
+  describe('with device approval', function () {
+    const verifiedSessionId = crypto.randomBytes(32)
+    const unverifiedSessionId = crypto.randomBytes(32)
+    const sessions = [
+      { tokenId: verifiedSessionId, createdAt: 1000 },
+      { tokenId: unverifiedSessionId, createdAt: 1000, tokenVerificationId: crypto.randomBytes(16) }
+    ]
+    const approver = {
+      id: crypto.randomBytes(16),
+      sessionToken: verifiedSessionId,
+      pushCallback: 'https://updates.push.services.mozilla.com/update/abcdef01234567890abcdefabcdef01234567890abcdef'
+    }
+    const devices = [
+      approver,
+      { id: crypto.randomBytes(16), sessionToken: unverifiedSessionId, pushCallback: approver.pushCallback },
+      { id: crypto.randomBytes(16), sessionToken: crypto.randomBytes(32) }
+    ]
+
+    function makeApprovalRoute (db, push) {
+      return getRoute(makeRoutes({
+        checkPassword: function () {
+          return P.resolve(true)
+        },
+        config: Object.assign({}, config, {
+          signinConfirmation: {
+            enabled: true,
+            forcedEmailAddresses: /.+@mozilla\.com$/,
+            sample_rate: 1,
+            supportedClients: [ 'fx_desktop_v3' ],
+            deviceApproval: {
+              enabled: true,
+              lifetime: 600000
+            }
+          }
+        }),
+        customs: mockCustoms,
+        db: db,
+        log: mockLog,
+        mailer: mockMailer,
+        push: push
+      }), '/account/login')
+    }
+
+    function makeLoginRequest () {
+      return mocks.mockRequest({
+        log: mockLog,
+        metricsContext: mockMetricsContext,
+        payload: {
+          authPW: crypto.randomBytes(32).toString('hex'),
+          email: TEST_EMAIL,
+          reason: 'signin',
+          metricsContext: {
+            context: 'fx_desktop_v3',
+            flowBeginTime: Date.now(),
+            flowId: 'F1031DF1031DF1031DF1031DF1031DF1031DF1031DF1031DF1031DF1031DF103'
+          }
+        },
+        query: {
+          keys: 'true'
+        }
+      })
+    }
+
+    afterEach(() => {
+      mockMailer.sendVerifyLoginEmail.reset()
+    })
+
+    it('asks verified devices to approve the sign-in instead of sending email', function () {
+      const db = mocks.mockDB({
+        devices: devices,
+        email: TEST_EMAIL,
+        emailVerified: true,
+        sessions: sessions,
+        sessionTokenId: sessionTokenId,
+        uid: uid
+      })
+      const push = mocks.mockPush()
+
+      return runTest(makeApprovalRoute(db, push), makeLoginRequest(), function (response) {
+        assert.equal(push.notifyLoginRequest.callCount, 1, 'push.notifyLoginRequest was called once')
+        const args = push.notifyLoginRequest.args[0]
+        assert.equal(args[0], uid, 'first argument was uid')
+        assert.deepEqual(args[1], [ approver ], 'second argument was the verified device with a push callback')
+        assert.equal(args[2].id, sessionTokenId.toString('hex'), 'login request identified the new session')
+        assert.equal(typeof args[2].location, 'object', 'login request included the location')
+        assert.equal(args[3], 600, 'fourth argument was the TTL in seconds')
+        assert.equal(db.createDeviceApproval.callCount, 1, 'db.createDeviceApproval was called once')
+        assert.equal(db.createDeviceApproval.args[0][0], sessionTokenId, 'approval request was recorded for the new session')
+        assert.equal(db.createDeviceApproval.args[0][1].uid, uid, 'approval request was bound to the account')
+
+        assert.equal(mockMailer.sendVerifyLoginEmail.callCount, 0, 'mailer.sendVerifyLoginEmail was not called')
+        assert.equal(response.verified, false, 'response indicates session is not verified')
+        assert.equal(response.verificationMethod, 'device', 'verificationMethod is device')
+        assert.equal(response.verificationReason, 'login', 'verificationReason is login')
+      })
+    })
+
+    it('falls back to email without any verified devices', function () {
+      const db = mocks.mockDB({
+        devices: devices.slice(1),
+        email: TEST_EMAIL,
+        emailVerified: true,
+        sessions: sessions,
+        sessionTokenId: sessionTokenId,
+        uid: uid
+      })
+      const push = mocks.mockPush()
+
+      return runTest(makeApprovalRoute(db, push), makeLoginRequest(), function (response) {
+        assert.equal(push.notifyLoginRequest.callCount, 0, 'push.notifyLoginRequest was not called')
+        assert.equal(db.createDeviceApproval.callCount, 0, 'db.createDeviceApproval was not called')
+        assert.equal(mockMailer.sendVerifyLoginEmail.callCount, 1, 'mailer.sendVerifyLoginEmail was called')
+        assert.equal(response.verificationMethod, 'email', 'verificationMethod is email')
+      })
+    })
+  })
+})
+
+describe('/account/login/approve', () => {
+  const uid = uuid.v4('binary')
+  const pendingId = crypto.randomBytes(32)
+  const tokenVerificationId = crypto.randomBytes(16)
+  let mockLog, mockDB, mockPush, mockCustoms, route, pending
+
+  function makeApproveRoutes (enabled) {
+    return makeRoutes({
+      config: {
+        signinConfirmation: {
+          deviceApproval: {
+            enabled: enabled,
+            lifetime: 600000
+          }
+        }
+      },
+      customs: mockCustoms,
+      db: mockDB,
+      log: mockLog,
+      push: mockPush
+    })
+  }
+
+  function makeRequest (approved, tokenVerified) {
+    return mocks.mockRequest({
+      credentials: {
+        uid: uid,
+        tokenVerified: tokenVerified !== false
+      },
+      log: mockLog,
+      payload: {
+        id: pendingId.toString('hex'),
+        approved: approved
+      }
+    })
+  }
+
+  beforeEach(() => {
+    pending = {
+      createdAt: Date.now(),
+      id: pendingId.toString('hex'),
+      tokenId: pendingId,
+      tokenVerificationId: tokenVerificationId,
+      tokenVerified: false,
+      uid: uid
+    }
+    mockLog = mocks.spyLog()
+    mockDB = mocks.mockDB({
+      deviceApproval: {
+        createdAt: Date.now(),
+        uid: uid
+      }
+    })
+    mockDB.sessionTokenWithVerificationStatus = sinon.spy(() => P.resolve(pending))
+    mockPush = mocks.mockPush()
+    mockCustoms = mocks.mockCustoms()
+    route = getRoute(makeApproveRoutes(true), '/account/login/approve')
+  })
+
+  it('verifies the pending session when approved', () => {
+    return runTest(route, makeRequest(true), response => {
+      assert.deepEqual(response, {}, 'response was empty')
+      assert.equal(mockCustoms.checkAuthenticated.callCount, 1, 'customs.checkAuthenticated was called once')
+      assert.equal(mockCustoms.checkAuthenticated.args[0][0], 'approveLogin', 'customs action was approveLogin')
+      assert.equal(mockDB.sessionTokenWithVerificationStatus.callCount, 1, 'db.sessionTokenWithVerificationStatus was called once')
+      assert.deepEqual(mockDB.sessionTokenWithVerificationStatus.args[0][0], pendingId, 'the pending session was loaded')
+      assert.equal(mockDB.verifyTokens.callCount, 1, 'db.verifyTokens was called once')
+      assert.equal(mockDB.deviceApproval.callCount, 1, 'db.deviceApproval was called once')
+      assert.deepEqual(mockDB.deviceApproval.args[0][0], pendingId, 'the approval request was loaded')
+      assert.equal(mockDB.deleteDeviceApproval.callCount, 1, 'db.deleteDeviceApproval was called once')
+      assert.equal(mockDB.verifyTokens.args[0][0], tokenVerificationId, 'the pending session was verified')
+      assert.equal(mockDB.deleteSessionToken.callCount, 0, 'db.deleteSessionToken was not called')
+      assert.equal(mockPush.notifyUpdate.callCount, 1, 'push.notifyUpdate was called once')
+      assert.equal(mockPush.notifyUpdate.args[0][1], 'accountConfirm', 'push reason was accountConfirm')
+    })
+  })
+
+  it('destroys the pending session when rejected', () => {
+    return runTest(route, makeRequest(false), response => {
+      assert.deepEqual(response, {}, 'response was empty')
+      assert.equal(mockDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      assert.equal(mockDB.deleteSessionToken.callCount, 1, 'db.deleteSessionToken was called once')
+      assert.equal(mockDB.deleteSessionToken.args[0][0], pending, 'the pending session was destroyed')
+    })
+  })
+
+  it('rejects sessions that have expired or belong to another account', () => {
+    pending.createdAt = Date.now() - 600001
+    return runTest(route, makeRequest(true), () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_VERIFICATION_CODE, 'expired session was rejected')
+        pending.createdAt = Date.now()
+        pending.uid = uuid.v4('binary')
+        return runTest(route, makeRequest(true), () => assert(false))
+      })
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_VERIFICATION_CODE, 'other account\'s session was rejected')
+        assert.equal(mockDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('rejects sessions that no approval was requested for', () => {
+    mockDB = mocks.mockDB()
+    mockDB.sessionTokenWithVerificationStatus = sinon.spy(() => P.resolve(pending))
+    route = getRoute(makeApproveRoutes(true), '/account/login/approve')
+    return runTest(route, makeRequest(true), () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_VERIFICATION_CODE, 'correct errno')
+        assert.equal(mockDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+        assert.equal(mockDB.deleteSessionToken.callCount, 0, 'db.deleteSessionToken was not called')
+      })
+  })
+
+  it('rejects sessions waiting for a second factor', () => {
+    pending.verificationMethod = 'totp-2fa'
+    return runTest(route, makeRequest(true), () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.SECOND_FACTOR_REQUIRED, 'correct errno')
+        assert.equal(mockDB.deviceApproval.callCount, 0, 'db.deviceApproval was not called')
+        assert.equal(mockDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('fails from unverified sessions or when disabled', () => {
+    return runTest(route, makeRequest(true, false), () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SESSION, 'unverified session was rejected')
+        route = getRoute(makeApproveRoutes(false), '/account/login/approve')
+        return runTest(route, makeRequest(true), () => assert(false))
+      })
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'disabled feature was rejected')
+        assert.equal(mockDB.sessionTokenWithVerificationStatus.callCount, 0, 'db.sessionTokenWithVerificationStatus was not called')
+      })
+  })
+})
+
+describe('/recovery_email/verify_code', function () {
+  var uid = uuid.v4('binary').toString('hex')
+  const mockLog = mocks.spyLog()
+  const mockRequest = mocks.mockRequest({
+    log: mockLog,
+    query: {},
+    payload: {
+      uid: uid,
+      code: 'e3c5b0e3f5391e134596c27519979b93',
+      service: 'sync'
+    }
+  })
   var dbData = {
     email: TEST_EMAIL,
     emailCode: Buffer(mockRequest.payload.code, 'hex'),
@@ -1769,6 +2731,232 @@ describe('/recovery_email/verify_code', function () {
       })
     })
   })
+
+  describe('with two-step authentication', function () {
+    let twoStepDB
+
+    function makeTwoStepRoute (data) {
+      twoStepDB = mocks.mockDB(Object.assign({
+        email: TEST_EMAIL,
+        emailCode: crypto.randomBytes(16),
+        emailVerified: true,
+        uid: uid
+      }, data))
+      return getRoute(makeRoutes({
+        config: {
+          totp: {
+            enabled: true
+          },
+          webauthn: {
+            enabled: true
+          }
+        },
+        customs: mocks.mockCustoms(),
+        db: twoStepDB,
+        log: mocks.spyLog(),
+        mailer: mocks.mockMailer(),
+        push: mocks.mockPush()
+      }), '/recovery_email/verify_code')
+    }
+
+    it('refuses to verify sessions with a token code', function () {
+      const twoStepRoute = makeTwoStepRoute({
+        totpToken: {
+          sharedSecret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ',
+          epoch: 0,
+          verified: true,
+          enabled: true
+        }
+      })
+
+      return runTest(twoStepRoute, mockRequest)
+        .then(assert.fail, err => {
+          assert.equal(err.errno, error.ERRNO.SECOND_FACTOR_REQUIRED, 'correct errno')
+          assert.equal(err.output.payload.verificationMethod, 'totp-2fa', 'verificationMethod is totp-2fa')
+          assert.equal(twoStepDB.totpToken.callCount, 1, 'db.totpToken was called once')
+          assert.equal(twoStepDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+        })
+    })
+
+    it('refuses to verify sessions with a token code when the account has a security key', function () {
+      const twoStepRoute = makeTwoStepRoute({
+        webauthnCredentials: [
+          {
+            id: 'a2V5MQ',
+            publicKey: Buffer('a0', 'hex'),
+            signCount: 0
+          }
+        ]
+      })
+
+      return runTest(twoStepRoute, mockRequest)
+        .then(assert.fail, err => {
+          assert.equal(err.errno, error.ERRNO.SECOND_FACTOR_REQUIRED, 'correct errno')
+          assert.equal(err.output.payload.verificationMethod, 'webauthn-2fa', 'verificationMethod is webauthn-2fa')
+          assert.equal(twoStepDB.webauthnCredentials.callCount, 1, 'db.webauthnCredentials was called once')
+          assert.equal(twoStepDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+        })
+    })
+  })
+
+  describe('with type secondary', function () {
+
+    it('verifies the secondary email only', function () {
+      const secondaryRequest = mocks.mockRequest({
+        log: mockLog,
+        query: {},
+        payload: {
+          uid: uid,
+          code: 'f3c5b0e3f5391e134596c27519979b93',
+          type: 'secondary'
+        }
+      })
+      mockCustoms.check.reset()
+
+      return runTest(route, secondaryRequest, function (response) {
+        assert.deepEqual(response, {})
+        assert.equal(mockCustoms.check.callCount, 1, 'calls customs.check')
+        assert.equal(mockDB.verifySecondaryEmail.callCount, 1, 'calls db.verifySecondaryEmail')
+        const args = mockDB.verifySecondaryEmail.args[0]
+        assert.equal(args[0].toString('hex'), uid, 'first argument was uid')
+        assert.equal(args[1].toString('hex'), secondaryRequest.payload.code, 'second argument was code')
+        assert.equal(mockDB.verifyTokens.callCount, 0, 'does not call db.verifyTokens')
+        assert.equal(mockDB.verifyEmail.callCount, 0, 'does not call db.verifyEmail')
+        assert.equal(mockPush.notifyUpdate.callCount, 0, 'does not call push.notifyUpdate')
+      })
+    })
+  })
+})
+
+describe('/session/verify_code', () => {
+  const uid = uuid.v4('binary')
+  const tokenId = crypto.randomBytes(16)
+  const tokenVerificationId = crypto.randomBytes(16)
+  let mockDB, mockCustoms, mockPush, route
+
+  function setup (signinCode, tokenVerified, verificationMethod) {
+    mockDB = mocks.mockDB({
+      signinCode: signinCode && {
+        uid: uid,
+        codeHash: hashSigninCode(tokenId, '123456'),
+        createdAt: signinCode.createdAt || Date.now(),
+        attempts: signinCode.attempts || 0
+      }
+    })
+    mockCustoms = mocks.mockCustoms()
+    mockPush = mocks.mockPush()
+    route = getRoute(makeRoutes({
+      config: {
+        signinConfirmation: {
+          codeLifetime: 60000,
+          codeMaxAttempts: 3
+        }
+      },
+      customs: mockCustoms,
+      db: mockDB,
+      push: mockPush
+    }), '/session/verify_code')
+
+    return mocks.mockRequest({
+      credentials: {
+        email: TEST_EMAIL,
+        emailVerified: true,
+        tokenId: tokenId,
+        tokenVerified: !! tokenVerified,
+        tokenVerificationId: tokenVerified ? null : tokenVerificationId,
+        uid: uid,
+        verificationMethod: verificationMethod || null
+      },
+      log: mocks.mockLog(),
+      payload: {
+        code: '123456'
+      }
+    })
+  }
+
+  it('verifies the session with the right code', () => {
+    const mockRequest = setup({})
+    return runTest(route, mockRequest, response => {
+      assert.deepEqual(response, {})
+      assert.equal(mockCustoms.check.callCount, 1, 'customs.check was called once')
+      assert.equal(mockCustoms.check.args[0][2], 'verifySessionCode', 'customs action was verifySessionCode')
+      assert.equal(mockDB.signinCode.callCount, 1, 'db.signinCode was called once')
+      assert.equal(mockDB.signinCode.args[0][0], tokenId, 'code was looked up by session token')
+      assert.equal(mockDB.deleteSigninCode.callCount, 1, 'db.deleteSigninCode was called once')
+      assert.equal(mockDB.verifyTokens.callCount, 1, 'db.verifyTokens was called once')
+      assert.equal(mockDB.verifyTokens.args[0][0], tokenVerificationId, 'first argument was tokenVerificationId')
+      assert.equal(mockPush.notifyUpdate.callCount, 1, 'push.notifyUpdate was called once')
+      assert.equal(mockPush.notifyUpdate.args[0][1], 'accountConfirm', 'push reason was accountConfirm')
+    })
+  })
+
+  it('counts failed attempts against the code', () => {
+    const mockRequest = setup({ attempts: 2 })
+    mockRequest.payload.code = '654321'
+    return runTest(route, mockRequest)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_SIGNIN_CODE, 'correct errno')
+        assert.equal(mockDB.incrementSigninCodeAttempts.callCount, 1, 'db.incrementSigninCodeAttempts was called once')
+        assert.equal(mockDB.incrementSigninCodeAttempts.args[0][0], tokenId, 'first argument was tokenId')
+        assert.equal(mockDB.deleteSigninCode.callCount, 0, 'db.deleteSigninCode was not called')
+        assert.equal(mockDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+        assert.equal(mockCustoms.flag.callCount, 1, 'customs.flag was called once')
+        assert.deepEqual(mockCustoms.flag.args[0][1], {
+          email: TEST_EMAIL,
+          errno: error.ERRNO.INVALID_SIGNIN_CODE
+        }, 'customs.flag was passed email and errno')
+      })
+  })
+
+  it('discards a code after too many attempts', () => {
+    const mockRequest = setup({ attempts: 3 })
+    return runTest(route, mockRequest)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_SIGNIN_CODE, 'correct errno')
+        assert.equal(mockDB.deleteSigninCode.callCount, 1, 'db.deleteSigninCode was called once')
+        assert.equal(mockDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('discards an expired code', () => {
+    const mockRequest = setup({ createdAt: Date.now() - 60001 })
+    return runTest(route, mockRequest)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_SIGNIN_CODE, 'correct errno')
+        assert.equal(mockDB.deleteSigninCode.callCount, 1, 'db.deleteSigninCode was called once')
+        assert.equal(mockDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('fails without a code', () => {
+    const mockRequest = setup()
+    return runTest(route, mockRequest)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_SIGNIN_CODE, 'correct errno')
+        assert.equal(mockCustoms.flag.callCount, 1, 'customs.flag was called once')
+        assert.equal(mockDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('succeeds for a session that is already verified', () => {
+    const mockRequest = setup(null, true)
+    return runTest(route, mockRequest, response => {
+      assert.deepEqual(response, {})
+      assert.equal(mockDB.signinCode.callCount, 0, 'db.signinCode was not called')
+      assert.equal(mockDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+    })
+  })
+
+  it('refuses sessions waiting for a second factor', () => {
+    const mockRequest = setup({}, false, 'totp-2fa')
+    return runTest(route, mockRequest)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.SECOND_FACTOR_REQUIRED, 'correct errno')
+        assert.equal(err.output.payload.verificationMethod, 'totp-2fa', 'verificationMethod was returned')
+        assert.equal(mockDB.signinCode.callCount, 0, 'db.signinCode was not called')
+        assert.equal(mockDB.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
 })
 
 describe('/account/keys', function () {
@@ -1833,11 +3021,14 @@ describe('/account/destroy', function () {
   it('should delete the account', () => {
     var email = 'foo@example.com'
     var uid = uuid.v4('binary')
+    var devices = [ { id: crypto.randomBytes(16) } ]
     var mockDB = mocks.mockDB({
+      devices: devices,
       email: email,
       uid: uid
     })
     const mockLog = mocks.spyLog()
+    const mockPush = mocks.mockPush()
     const mockRequest = mocks.mockRequest({
       log: mockLog,
       payload: {
@@ -1853,7 +3044,8 @@ describe('/account/destroy', function () {
         domain: 'wibble'
       },
       db: mockDB,
-      log: mockLog
+      log: mockLog,
+      push: mockPush
     })
     var route = getRoute(accountRoutes, '/account/destroy')
 
@@ -1870,6 +3062,13 @@ describe('/account/destroy', function () {
       assert.equal(args[0].email, email, 'db.deleteAccount was passed email record')
       assert.deepEqual(args[0].uid, uid, 'email record had correct uid')
 
+      assert.equal(mockDB.devices.callCount, 1, 'db.devices was called once')
+      assert.ok(mockDB.devices.calledBefore(mockDB.deleteAccount), 'devices were fetched before the account was deleted')
+      assert.equal(mockPush.notifyAccountDestroyed.callCount, 1, 'push.notifyAccountDestroyed was called once')
+      args = mockPush.notifyAccountDestroyed.args[0]
+      assert.deepEqual(args[0], uid, 'first argument was the uid')
+      assert.equal(args[1], devices, 'second argument was the devices')
+
       assert.equal(mockLog.notifyAttachedServices.callCount, 1, 'log.notifyAttachedServices was called once')
       args = mockLog.notifyAttachedServices.args[0]
       assert.equal(args.length, 3, 'log.notifyAttachedServices was passed three arguments')
@@ -1901,7 +3100,7 @@ describe('/account/devices', function () {
       devices: [
         { name: 'current session', type: 'mobile', sessionToken: mockRequest.auth.credentials.tokenId },
         { name: 'has no type', sessionToken: crypto.randomBytes(16) },
-        { name: 'has device type', sessionToken: crypto.randomBytes(16), uaDeviceType: 'wibble' },
+        { name: 'has device type', sessionToken: crypto.randomBytes(16), uaDeviceType: 'wibble', pushEndpointExpired: true, pushFailures: 3 },
         unnamedDevice
       ]
     })
@@ -1929,6 +3128,8 @@ describe('/account/devices', function () {
       assert.equal(response[2].name, 'has device type')
       assert.equal(response[2].type, 'wibble')
       assert.equal(response[2].isCurrentDevice, false)
+      assert.equal(response[2].pushEndpointExpired, true)
+      assert.equal(response[2].pushFailures, undefined)
 
       assert.equal(response[3].name, null)
 
@@ -1943,6 +3144,201 @@ describe('/account/devices', function () {
   })
 })
 
+describe('/account/scoped-key-data', () => {
+  const uid = uuid.v4('binary')
+  const NOTES_SCOPE = 'https://identity.mozilla.com/apps/notes'
+  const PASSWORDS_SCOPE = 'https://identity.mozilla.com/apps/passwords'
+  const config = {
+    scopedKeys: {
+      enabled: true,
+      scopes: {
+        [NOTES_SCOPE]: {
+          clients: [ 'a2270f727f45f648' ]
+        },
+        [PASSWORDS_SCOPE]: {
+          clients: [ 'a2270f727f45f648', '3c49430b43dfba77' ],
+          keyRotationSecret: 'ab'.repeat(32),
+          keyRotationTimestamp: 2000000000000
+        }
+      }
+    }
+  }
+
+  function makeRequest (clientId, scope, credentials) {
+    return mocks.mockRequest({
+      credentials: Object.assign({
+        uid: uid,
+        emailVerified: true,
+        tokenVerified: true
+      }, credentials),
+      payload: {
+        client_id: clientId,
+        scope: scope
+      }
+    })
+  }
+
+  function getScopedKeyRoute (db, customs, routeConfig) {
+    return getRoute(makeRoutes({
+      config: routeConfig || config,
+      customs: customs,
+      db: db
+    }), '/account/scoped-key-data')
+  }
+
+  it('returns key data for the registered scopes', () => {
+    const db = mocks.mockDB()
+    const customs = mocks.mockCustoms()
+    const request = makeRequest('a2270f727f45f648', 'profile ' + NOTES_SCOPE + ' ' + PASSWORDS_SCOPE)
+
+    return runTest(getScopedKeyRoute(db, customs), request, response => {
+      assert.deepEqual(Object.keys(response), [ NOTES_SCOPE, PASSWORDS_SCOPE ], 'only scopes with keys were returned')
+
+      const notes = response[NOTES_SCOPE]
+      assert.equal(notes.identifier, NOTES_SCOPE, 'identifier is the scope')
+      assert.equal(notes.keyRotationSecret, '0'.repeat(64), 'default keyRotationSecret was returned')
+      assert.ok(notes.keyRotationTimestamp <= Date.now(), 'keyRotationTimestamp is when the password was set')
+
+      const passwords = response[PASSWORDS_SCOPE]
+      assert.equal(passwords.keyRotationSecret, 'ab'.repeat(32), 'configured keyRotationSecret was returned')
+      assert.equal(passwords.keyRotationTimestamp, 2000000000000, 'later keyRotationTimestamp was returned')
+
+      assert.equal(customs.checkAuthenticated.callCount, 1, 'customs.checkAuthenticated was called once')
+      assert.equal(db.account.callCount, 1, 'db.account was called once')
+      assert.equal(db.account.args[0][0], uid, 'db.account was passed uid')
+    })
+  })
+
+  it('fails if the client may not request one of the scopes', () => {
+    const db = mocks.mockDB()
+    const request = makeRequest('3c49430b43dfba77', NOTES_SCOPE + ' ' + PASSWORDS_SCOPE)
+
+    return runTest(getScopedKeyRoute(db, mocks.mockCustoms()), request, () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_SCOPES, 'correct errno')
+        assert.equal(err.output.payload.scope, NOTES_SCOPE, 'error had the scope')
+        assert.equal(db.account.callCount, 0, 'db.account was not called')
+      })
+  })
+
+  it('fails for unverified sessions', () => {
+    const request = makeRequest('a2270f727f45f648', NOTES_SCOPE, { tokenVerified: false })
+
+    return runTest(getScopedKeyRoute(mocks.mockDB(), mocks.mockCustoms()), request, () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SESSION, 'correct errno')
+      })
+  })
+
+  it('fails if scoped keys are not enabled', () => {
+    const request = makeRequest('a2270f727f45f648', NOTES_SCOPE)
+    const route = getScopedKeyRoute(mocks.mockDB(), mocks.mockCustoms(), {})
+
+    return runTest(route, request, () => assert(false))
+      .then(() => assert(false), err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'correct errno')
+      })
+  })
+})
+
+describe('/account/devices/vapid_key', () => {
+  it('should return the current VAPID public key', () => {
+    const mockRequest = mocks.mockRequest({
+      credentials: {
+        uid: crypto.randomBytes(16),
+        tokenId: crypto.randomBytes(16)
+      }
+    })
+    const mockPush = mocks.mockPush({
+      vapidPublicKey: sinon.spy(() => 'BDE1ipSOWUpCiNEBnrm-zbvI0eqsLBcsDTqNpzUc2_dw')
+    })
+    const route = getRoute(makeRoutes({ push: mockPush }), '/account/devices/vapid_key')
+
+    return runTest(route, mockRequest, response => {
+      assert.deepEqual(response, { publicKey: 'BDE1ipSOWUpCiNEBnrm-zbvI0eqsLBcsDTqNpzUc2_dw' })
+      assert.equal(mockPush.vapidPublicKey.callCount, 1, 'push.vapidPublicKey was called once')
+    })
+  })
+})
+
+describe('/account/sessions', function () {
+  it('should return the sessions list', () => {
+    const tokenId = crypto.randomBytes(32)
+    const otherTokenId = crypto.randomBytes(32)
+    const deviceId = crypto.randomBytes(16)
+    const mockRequest = mocks.mockRequest({
+      credentials: {
+        email: TEST_EMAIL,
+        uid: crypto.randomBytes(16),
+        tokenId: tokenId
+      },
+      payload: {}
+    })
+    const mockDB = mocks.mockDB({
+      sessions: [
+        {
+          tokenId: tokenId,
+          createdAt: 1,
+          lastAccessTime: 2,
+          uaBrowser: 'Firefox',
+          uaBrowserVersion: '50',
+          uaOS: 'Windows',
+          uaOSVersion: '10',
+          uaDeviceType: null
+        },
+        {
+          tokenId: otherTokenId,
+          createdAt: 3,
+          lastAccessTime: 4,
+          uaBrowser: 'Firefox Mobile',
+          uaBrowserVersion: '51',
+          uaOS: 'Android',
+          uaOSVersion: '7',
+          uaDeviceType: 'mobile'
+        }
+      ],
+      devices: [
+        { id: deviceId, name: 'my phone', type: 'mobile', sessionToken: otherTokenId }
+      ]
+    })
+    const mockDevices = mocks.mockDevices()
+    const route = getRoute(makeRoutes({
+      db: mockDB,
+      devices: mockDevices
+    }), '/account/sessions')
+
+    return runTest(route, mockRequest, function (response) {
+      assert.ok(Array.isArray(response), 'response is array')
+      assert.equal(response.length, 2, 'response contains 2 items')
+
+      assert.equal(response[0].id, tokenId.toString('hex'))
+      assert.equal(response[0].createdTime, 1)
+      assert.equal(response[0].lastAccessTime, null, 'lastAccessTime is null when updates are disabled')
+      assert.equal(response[0].isCurrentSession, true)
+      assert.equal(response[0].isDevice, false)
+      assert.equal(response[0].deviceId, null)
+      assert.equal(response[0].userAgent, 'Firefox')
+      assert.equal(response[0].userAgentVersion, '50')
+      assert.equal(response[0].os, 'Windows')
+      assert.equal(response[0].osVersion, '10')
+
+      assert.equal(response[1].id, otherTokenId.toString('hex'))
+      assert.equal(response[1].isCurrentSession, false)
+      assert.equal(response[1].isDevice, true)
+      assert.equal(response[1].deviceId, deviceId.toString('hex'))
+      assert.equal(response[1].deviceName, 'my phone')
+      assert.equal(response[1].deviceType, 'mobile')
+
+      assert.equal(mockDB.sessions.callCount, 1, 'db.sessions was called once')
+      assert.deepEqual(mockDB.sessions.args[0][0], mockRequest.auth.credentials.uid, 'db.sessions was passed uid')
+      assert.equal(mockDB.devices.callCount, 1, 'db.devices was called once')
+
+      assert.equal(mockDevices.synthesizeName.callCount, 1, 'mockDevices.synthesizeName was called once')
+      assert.equal(mockDevices.synthesizeName.args[0][0].tokenId, tokenId, 'mockDevices.synthesizeName was passed the session without a device')
+    })
+  })
+})
+
 describe('/account/login/send_unblock_code', function () {
   var uid = uuid.v4('binary').toString('hex')
   const mockLog = mocks.spyLog()
@@ -323,4 +323,89 @@ describe('bounce messages', () => {
       })
     }
   )
+
+  it(
+    'should delete unverified secondary emails on bounce',
+    () => {
+      var mockLog = spyLog()
+      var mockDB = {
+        emailRecord: sinon.spy(function (email) {
+          return P.reject(new error.unknownAccount(email))
+        }),
+        getSecondaryEmail: sinon.spy(function (email) {
+          return P.resolve({
+            uid: Buffer('123456', 'hex'),
+            email: email,
+            isVerified: false,
+            isPrimary: false
+          })
+        }),
+        deleteEmail: sinon.spy(function () {
+          return P.resolve({ })
+        }),
+        deleteAccount: sinon.spy(function () {
+          return P.resolve({ })
+        })
+      }
+      var mockMsg = mockMessage({
+        bounce: {
+          bounceType: 'Permanent',
+          bouncedRecipients: [
+            { emailAddress: 'test@example.com' }
+          ]
+        }
+      })
+      return mockedBounces(mockLog, mockDB).handleBounce(mockMsg).then(function () {
+        assert.equal(mockDB.getSecondaryEmail.callCount, 1)
+        assert.equal(mockDB.getSecondaryEmail.args[0][0], 'test@example.com')
+        assert.equal(mockDB.deleteEmail.callCount, 1)
+        assert.equal(mockDB.deleteEmail.args[0][0].toString('hex'), '123456')
+        assert.equal(mockDB.deleteEmail.args[0][1], 'test@example.com')
+        assert.equal(mockDB.deleteAccount.callCount, 0)
+        assert.equal(mockLog.messages.length, 3)
+        assert.equal(mockLog.messages[2].args[0].op, 'secondaryEmailDeleted')
+        assert.equal(mockLog.messages[2].args[0].email, 'test@example.com')
+        assert.equal(mockMsg.del.callCount, 1)
+      })
+    }
+  )
+
+  it(
+    'should not delete verified secondary emails on bounce',
+    () => {
+      var mockLog = spyLog()
+      var mockDB = {
+        emailRecord: sinon.spy(function (email) {
+          return P.reject(new error.unknownAccount(email))
+        }),
+        getSecondaryEmail: sinon.spy(function (email) {
+          return P.resolve({
+            uid: Buffer('123456', 'hex'),
+            email: email,
+            isVerified: true,
+            isPrimary: false
+          })
+        }),
+        deleteEmail: sinon.spy(function () {
+          return P.resolve({ })
+        })
+      }
+      var mockMsg = mockMessage({
+        bounce: {
+          bounceType: 'Permanent',
+          bouncedRecipients: [
+            { emailAddress: 'test@example.com' }
+          ]
+        }
+      })
+      return mockedBounces(mockLog, mockDB).handleBounce(mockMsg).then(function () {
+        assert.equal(mockDB.getSecondaryEmail.callCount, 1)
+        assert.equal(mockDB.deleteEmail.callCount, 0)
+        assert.equal(mockLog.messages.length, 3)
+        assert.equal(mockLog.messages[2].level, 'increment')
+        assert.equal(mockLog.messages[2].args[0], 'account.email_bounced.secondary')
+        assert.equal(mockMsg.del.callCount, 1)
+      })
+    }
+  )
 })
@@ -0,0 +1,45 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const deviceCommands = require('../../lib/device-commands')
+const DEVICE_COMMAND_NAME = require('../../lib/routes/validators').DEVICE_COMMAND_NAME
+
+describe('deviceCommands', () => {
+  it(
+    'interface is correct',
+    () => {
+      assert.ok(Array.isArray(deviceCommands.names), 'deviceCommands.names is array')
+      assert.equal(typeof deviceCommands.exists, 'function', 'deviceCommands.exists is function')
+      assert.equal(typeof deviceCommands.ttl, 'function', 'deviceCommands.ttl is function')
+      assert.equal(typeof deviceCommands.validate, 'function', 'deviceCommands.validate is function')
+    }
+  )
+
+  it(
+    'every command has a valid name and a positive TTL',
+    () => {
+      deviceCommands.names.forEach(name => {
+        assert.ok(DEVICE_COMMAND_NAME.test(name), name + ' is a valid command name')
+        assert.ok(deviceCommands.exists(name), name + ' exists')
+        assert.ok(deviceCommands.ttl(name) > 0, name + ' has a positive TTL')
+      })
+      assert.equal(deviceCommands.exists('fxaccounts:frobnicate'), false, 'unknown commands do not exist')
+      assert.equal(deviceCommands.exists('hasOwnProperty'), false, 'object properties are not commands')
+    }
+  )
+
+  it(
+    'validates payloads against the command schema',
+    () => {
+      assert.equal(deviceCommands.validate('fxaccounts:open_uri', { uri: 'https://example.com/' }), true, 'https uri is valid')
+      assert.equal(deviceCommands.validate('fxaccounts:open_uri', { uri: 'file:///etc/passwd' }), false, 'file uri is invalid')
+      assert.equal(deviceCommands.validate('fxaccounts:open_uri', {}), false, 'missing uri is invalid')
+      assert.equal(deviceCommands.validate('fxaccounts:sync_now', { collections: [ 'tabs' ] }), true, 'collections are valid')
+      assert.equal(deviceCommands.validate('fxaccounts:wipe', { wat: true }), false, 'extra properties are invalid')
+    }
+  )
+})
@@ -7,6 +7,7 @@
 const assert = require('insist')
 var uuid = require('uuid')
 var crypto = require('crypto')
+var error = require('../../lib/error')
 var mocks = require('../mocks')
 
 var modulePath = '../../lib/devices'
@@ -14,7 +15,7 @@ var modulePath = '../../lib/devices'
 describe('devices', () => {
   it('should be an exported function', () => {
     assert.equal(typeof require(modulePath), 'function', 'require returns function')
-    assert.equal(require(modulePath).length, 3, 'returned function expects three arguments')
+    assert.equal(require(modulePath).length, 4, 'returned function expects four arguments')
   })
 
   describe('instance', () => {
@@ -31,16 +32,19 @@ describe('devices', () => {
       deviceId: deviceId
     })
     var push = mocks.mockPush()
-    var devices = require(modulePath)(log, db, push)
+    var devices = require(modulePath)(log, db, push, {})
 
     it('should instantiate', () => {
 
       assert.equal(typeof devices, 'object', 'devices is object')
-      assert.equal(Object.keys(devices).length, 2, 'devices has two properties')
+      assert.equal(Object.keys(devices).length, 3, 'devices has three properties')
 
       assert.equal(typeof devices.upsert, 'function', 'devices has upsert method')
       assert.equal(devices.upsert.length, 3, 'devices.upsert expects three arguments')
 
+      assert.equal(typeof devices.destroy, 'function', 'devices has destroy method')
+      assert.equal(devices.destroy.length, 3, 'devices.destroy expects three arguments')
+
       assert.equal(typeof devices.synthesizeName, 'function', 'devices has synthesizeName method')
       assert.equal(devices.synthesizeName.length, 1, 'devices.synthesizeName expects 1 argument')
 
@@ -240,4 +244,111 @@ describe('devices', () => {
       }), '', 'result defaults to the empty string')
     })
   })
+
+  describe('with a device limit', () => {
+    var uid = uuid.v4('binary')
+    var request = mocks.mockRequest({
+      log: mocks.spyLog()
+    })
+    var sessionToken = {
+      tokenId: crypto.randomBytes(16),
+      uid: uid
+    }
+    var existingDevices = [
+      { id: crypto.randomBytes(16), lastAccessTime: 3000 },
+      { id: crypto.randomBytes(16), lastAccessTime: 1000 },
+      { id: crypto.randomBytes(16), lastAccessTime: 2000 }
+    ]
+    var deviceInfo = {
+      name: 'foo',
+      type: 'mobile'
+    }
+
+    function makeDevices (log, db, push, policy) {
+      return require(modulePath)(log, db, push, {
+        deviceLimit: {
+          max: 3,
+          policy: policy
+        }
+      })
+    }
+
+    function makeDB (count) {
+      return mocks.mockDB({
+        device: {},
+        deviceId: crypto.randomBytes(16),
+        devices: existingDevices.slice(0, count)
+      })
+    }
+
+    it('should create a device under the limit', () => {
+      var db = makeDB(2)
+      var push = mocks.mockPush()
+      return makeDevices(mocks.spyLog(), db, push, 'reject').upsert(request, sessionToken, deviceInfo)
+        .then(function () {
+          assert.equal(db.devices.callCount, 1, 'db.devices was called once')
+          assert.equal(db.devices.args[0][0], uid, 'db.devices was passed uid')
+          assert.equal(db.createDevice.callCount, 1, 'db.createDevice was called once')
+          assert.equal(db.deleteDevice.callCount, 0, 'db.deleteDevice was not called')
+        })
+    })
+
+    it('should not check the limit on update', () => {
+      var db = makeDB(3)
+      return makeDevices(mocks.spyLog(), db, mocks.mockPush(), 'reject').upsert(request, sessionToken, { id: existingDevices[0].id, name: 'foo' })
+        .then(function () {
+          assert.equal(db.devices.callCount, 0, 'db.devices was not called')
+          assert.equal(db.updateDevice.callCount, 1, 'db.updateDevice was called once')
+        })
+    })
+
+    it('should reject a device at the limit', () => {
+      var db = makeDB(3)
+      var push = mocks.mockPush()
+      return makeDevices(mocks.spyLog(), db, push, 'reject').upsert(request, sessionToken, deviceInfo)
+        .then(assert.fail, function (err) {
+          assert.equal(err.errno, error.ERRNO.TOO_MANY_DEVICES, 'correct errno')
+          assert.equal(err.output.payload.max, 3, 'error contained the limit')
+          assert.equal(db.createDevice.callCount, 0, 'db.createDevice was not called')
+          assert.equal(db.deleteDevice.callCount, 0, 'db.deleteDevice was not called')
+          assert.equal(push.notifyDeviceConnected.callCount, 0, 'push.notifyDeviceConnected was not called')
+        })
+    })
+
+    it('should create a placeholder device at the limit', () => {
+      var db = makeDB(3)
+      return makeDevices(mocks.spyLog(), db, mocks.mockPush(), 'reject').upsert(request, sessionToken, {})
+        .then(function () {
+          assert.equal(db.devices.callCount, 0, 'db.devices was not called')
+          assert.equal(db.createDevice.callCount, 1, 'db.createDevice was called once')
+          assert.equal(db.deleteDevice.callCount, 0, 'db.deleteDevice was not called')
+        })
+    })
+
+    it('should evict the least-recently-used device at the limit', () => {
+      var db = makeDB(3)
+      var log = mocks.spyLog()
+      var push = mocks.mockPush()
+      var evictedId = existingDevices[1].id
+      return makeDevices(log, db, push, 'evict').upsert(request, sessionToken, deviceInfo)
+        .then(function () {
+          assert.equal(push.notifyDeviceDisconnected.callCount, 1, 'push.notifyDeviceDisconnected was called once')
+          var args = push.notifyDeviceDisconnected.args[0]
+          assert.equal(args[0], uid, 'first argument was uid')
+          assert.equal(args[1], evictedId.toString('hex'), 'second argument was the evicted device id')
+
+          assert.equal(db.deleteDevice.callCount, 1, 'db.deleteDevice was called once')
+          args = db.deleteDevice.args[0]
+          assert.equal(args[0], uid, 'first argument was uid')
+          assert.equal(args[1], evictedId, 'second argument was the evicted device id')
+
+          assert.equal(log.notifyAttachedServices.callCount, 2, 'log.notifyAttachedServices was called twice')
+          assert.equal(log.notifyAttachedServices.args[0][0], 'device:delete', 'first call was device:delete')
+          assert.equal(log.notifyAttachedServices.args[1][0], 'device:create', 'second call was device:create')
+
+          assert.equal(db.createDevice.callCount, 1, 'db.createDevice was called once')
+          assert.ok(db.deleteDevice.calledBefore(db.createDevice), 'db.deleteDevice was called before db.createDevice')
+        })
+    })
+  })
 })
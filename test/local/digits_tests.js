@@ -0,0 +1,25 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const assert = require('insist')
+const digits = require('../../lib/crypto/digits')
+
+describe('digits', () => {
+  it('takes 1 integer argument, returns a function', () => {
+    assert.equal(typeof digits, 'function')
+    assert.equal(digits.length, 1)
+    const gen = digits(6)
+    assert.equal(typeof gen, 'function')
+    assert.equal(gen.length, 0)
+  })
+
+  it('should have correct output', () => {
+    const gen = digits(6)
+    return gen().then(code => {
+      assert.equal(typeof code, 'string', 'is a string')
+      assert.equal(code.length, 6, 'matches length')
+      assert.ok(/^[0-9]+$/.test(code), 'only digits')
+    })
+  })
+})
@@ -0,0 +1,98 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const crypto = require('crypto')
+const ec = require('../../lib/crypto/ec')
+
+function base64url (buf) {
+  return buf.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '')
+}
+
+function generateKey () {
+  const ecdh = crypto.createECDH('prime256v1')
+  const pub = ecdh.generateKeys()
+  return {
+    kty: 'EC',
+    crv: 'P-256',
+    x: base64url(pub.slice(1, 33)),
+    y: base64url(pub.slice(33)),
+    d: base64url(ecdh.getPrivateKey())
+  }
+}
+
+describe('ec', () => {
+  const key = generateKey()
+
+  it(
+    'isP256Point accepts points on the curve',
+    () => {
+      assert.equal(ec.isP256Point(key.x, key.y), true)
+    }
+  )
+
+  it(
+    'isP256Point rejects points off the curve',
+    () => {
+      const y = Buffer(key.y, 'base64')
+      y[31] ^= 1
+      assert.equal(ec.isP256Point(key.x, base64url(y)), false, 'modified y was rejected')
+      assert.equal(ec.isP256Point(key.x, key.y.substr(4)), false, 'short y was rejected')
+    }
+  )
+
+  it(
+    'isEd25519Key accepts points on the curve',
+    () => {
+      // The public keys from the RFC 8032 test vectors
+      assert.equal(ec.isEd25519Key('11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo'), true)
+      assert.equal(ec.isEd25519Key('PUAXw-hDiVqStwqnTRt-vJyYLM8uxJaMwM1V8Sr0Zgw'), true)
+      assert.equal(ec.isEd25519Key('_FHNjmIYoaONpH7QAjDwWAgW7RO6MwOsXeuRFUiQgCU'), true)
+    }
+  )
+
+  it(
+    'isEd25519Key rejects points off the curve',
+    () => {
+      assert.equal(ec.isEd25519Key('11qYAYKxCrfVS_7TyWQHOg'), false, 'short key was rejected')
+      assert.equal(ec.isEd25519Key('AgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'), false, 'y with no x was rejected')
+      assert.equal(ec.isEd25519Key('7f_______________________________________38'), false, 'y of p or more was rejected')
+      assert.equal(ec.isEd25519Key('AQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAIA'), false, 'negative zero x was rejected')
+    }
+  )
+
+  it(
+    'fromObject rejects keys that are not P-256',
+    () => {
+      assert.throws(() => ec.fromObject({ kty: 'EC', crv: 'P-384', x: key.x, y: key.y }), /Not a P-256 key/)
+      assert.throws(() => ec.fromObject({ kty: 'EC', crv: 'P-256', x: key.x, y: key.x }), /Not a P-256 key/)
+    }
+  )
+
+  it(
+    'signs JWTs that verify with the public key',
+    () => {
+      const privateKey = ec.fromObject(key, { iss: 'example.com' })
+      const publicKey = ec.fromObject({ kty: 'EC', crv: 'P-256', x: key.x, y: key.y })
+
+      for (let i = 0; i < 20; i++) {
+        const jwt = privateKey.signSync({ sub: 'foo', i: i })
+        assert.deepEqual(publicKey.verifySync(jwt), { sub: 'foo', i: i, iss: 'example.com' }, 'jwt verified')
+      }
+
+      const parts = privateKey.signSync({ sub: 'foo' }).split('.')
+      const header = JSON.parse(Buffer(parts[0], 'base64'))
+      assert.equal(header.alg, 'ES256', 'alg is ES256')
+      assert.equal(Buffer(parts[2], 'base64').length, 64, 'signature is r and s')
+
+      parts[1] = base64url(Buffer(JSON.stringify({ sub: 'bar' })))
+      assert.equal(publicKey.verifySync(parts.join('.')), false, 'modified jwt did not verify')
+    }
+  )
+})
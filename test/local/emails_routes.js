@@ -0,0 +1,325 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const error = require('../../lib/error')
+const getRoute = require('../routes_helpers').getRoute
+const isA = require('joi')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const sinon = require('sinon')
+const uuid = require('uuid')
+
+const TEST_EMAIL = 'foo@example.com'
+const SECONDARY_EMAIL = 'bar@example.com'
+
+describe('/recovery_emails', () => {
+  const uid = uuid.v4('binary')
+
+  it('lists the account\'s email addresses', () => {
+    const db = mocks.mockDB({
+      emails: [
+        { email: TEST_EMAIL, isVerified: true, isPrimary: true },
+        { email: SECONDARY_EMAIL, isVerified: false, isPrimary: false }
+      ]
+    })
+
+    return runTest(makeRoutes({ db: db }), '/recovery_emails', makeRequest({ uid: uid }))
+      .then(response => {
+        assert.deepEqual(response, [
+          { email: TEST_EMAIL, verified: true, isPrimary: true },
+          { email: SECONDARY_EMAIL, verified: false, isPrimary: false }
+        ])
+        assert.equal(db.accountEmails.callCount, 1, 'db.accountEmails was called once')
+        assert.equal(db.accountEmails.args[0][0], uid, 'first argument was uid')
+      })
+  })
+
+  it('fails for an unverified session', () => {
+    const db = mocks.mockDB()
+
+    return runTest(makeRoutes({ db: db }), '/recovery_emails', makeRequest({ uid: uid, tokenVerified: false }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SESSION, 'correct errno')
+        assert.equal(db.accountEmails.callCount, 0, 'db.accountEmails was not called')
+      })
+  })
+})
+
+describe('/recovery_email', () => {
+  const uid = uuid.v4('binary')
+
+  it('adds an unused address and sends a verification email', () => {
+    const customs = mocks.mockCustoms()
+    const db = mocks.mockDB({}, { emailRecord: error.unknownAccount(SECONDARY_EMAIL) })
+    const mailer = mocks.mockMailer()
+    const request = makeRequest({
+      uid: uid,
+      payload: {
+        email: SECONDARY_EMAIL,
+        service: 'sync'
+      }
+    })
+
+    return runTest(makeRoutes({ customs: customs, db: db, mailer: mailer }), '/recovery_email', request)
+      .then(response => {
+        assert.deepEqual(response, {})
+
+        assert.equal(customs.check.callCount, 1, 'customs.check was called once')
+        assert.equal(customs.check.args[0][2], 'createEmail', 'customs action was createEmail')
+
+        assert.equal(db.emailRecord.callCount, 1, 'db.emailRecord was called once')
+        assert.equal(db.emailRecord.args[0][0], SECONDARY_EMAIL, 'db.emailRecord was passed the new address')
+
+        assert.equal(db.createEmail.callCount, 1, 'db.createEmail was called once')
+        let args = db.createEmail.args[0]
+        assert.equal(args[0], uid, 'first argument was uid')
+        assert.equal(args[1].email, SECONDARY_EMAIL, 'second argument had the correct email')
+        assert.equal(args[1].emailCode.length, 16, 'second argument had an email code')
+
+        assert.equal(mailer.sendVerifySecondaryEmail.callCount, 1, 'mailer.sendVerifySecondaryEmail was called once')
+        args = mailer.sendVerifySecondaryEmail.args[0]
+        assert.equal(args[0], SECONDARY_EMAIL, 'first argument was the new address')
+        assert.equal(args[1].email, TEST_EMAIL, 'second argument was the session token')
+        assert.equal(args[2], db.createEmail.args[0][1].emailCode, 'third argument was the email code')
+        assert.equal(args[3].service, 'sync', 'fourth argument had the correct service')
+      })
+  })
+
+  it('removes the address again if the verification email fails', () => {
+    const db = mocks.mockDB({}, { emailRecord: error.unknownAccount(SECONDARY_EMAIL) })
+    const log = mocks.spyLog()
+    const mailer = mocks.mockMailer({
+      sendVerifySecondaryEmail: sinon.spy(() => P.reject(new Error('wibble')))
+    })
+    const request = makeRequest({
+      uid: uid,
+      payload: {
+        email: SECONDARY_EMAIL
+      }
+    })
+
+    return runTest(makeRoutes({ db: db, log: log, mailer: mailer }), '/recovery_email', request)
+      .then(assert.fail, err => {
+        assert.equal(err.message, 'wibble', 'the mailer error was returned')
+        assert.equal(db.createEmail.callCount, 1, 'db.createEmail was called once')
+        assert.equal(db.deleteEmail.callCount, 1, 'db.deleteEmail was called once')
+        assert.equal(db.deleteEmail.args[0][0], uid, 'first argument was uid')
+        assert.equal(db.deleteEmail.args[0][1], SECONDARY_EMAIL, 'second argument was the address')
+        assert.equal(log.error.callCount, 1, 'log.error was called once')
+        assert.equal(log.error.args[0][0].op, 'mailer.sendVerifySecondaryEmail', 'log.error was passed the op')
+      })
+  })
+
+  it('fails for the account\'s own primary address', () => {
+    const db = mocks.mockDB()
+    const request = makeRequest({
+      uid: uid,
+      payload: {
+        email: TEST_EMAIL.toUpperCase()
+      }
+    })
+
+    return runTest(makeRoutes({ db: db }), '/recovery_email', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.EMAIL_EXISTS, 'correct errno')
+        assert.equal(db.createEmail.callCount, 0, 'db.createEmail was not called')
+      })
+  })
+
+  it('fails for another account\'s primary address', () => {
+    const db = mocks.mockDB({ email: SECONDARY_EMAIL })
+    const mailer = mocks.mockMailer()
+    const request = makeRequest({
+      uid: uid,
+      payload: {
+        email: SECONDARY_EMAIL
+      }
+    })
+
+    return runTest(makeRoutes({ db: db, mailer: mailer }), '/recovery_email', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.EMAIL_EXISTS, 'correct errno')
+        assert.equal(db.createEmail.callCount, 0, 'db.createEmail was not called')
+        assert.equal(mailer.sendVerifySecondaryEmail.callCount, 0, 'mailer.sendVerifySecondaryEmail was not called')
+      })
+  })
+})
+
+describe('/recovery_email/destroy', () => {
+  const uid = uuid.v4('binary')
+
+  it('deletes a secondary address', () => {
+    const db = mocks.mockDB()
+    const request = makeRequest({
+      uid: uid,
+      payload: {
+        email: SECONDARY_EMAIL
+      }
+    })
+
+    return runTest(makeRoutes({ db: db }), '/recovery_email/destroy', request)
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(db.deleteEmail.callCount, 1, 'db.deleteEmail was called once')
+        assert.equal(db.deleteEmail.args[0][0], uid, 'first argument was uid')
+        assert.equal(db.deleteEmail.args[0][1], SECONDARY_EMAIL, 'second argument was the address')
+      })
+  })
+
+  it('fails for the primary address', () => {
+    const db = mocks.mockDB()
+    const request = makeRequest({
+      uid: uid,
+      payload: {
+        email: TEST_EMAIL
+      }
+    })
+
+    return runTest(makeRoutes({ db: db }), '/recovery_email/destroy', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.CANNOT_DELETE_PRIMARY_EMAIL, 'correct errno')
+        assert.equal(db.deleteEmail.callCount, 0, 'db.deleteEmail was not called')
+      })
+  })
+})
+
+describe('/recovery_email/set_primary', () => {
+  const uid = uuid.v4('binary')
+
+  function makeSetPrimaryRequest () {
+    return makeRequest({
+      uid: uid,
+      payload: {
+        email: SECONDARY_EMAIL
+      }
+    })
+  }
+
+  it('makes a verified secondary address primary', () => {
+    const customs = mocks.mockCustoms()
+    const db = mocks.mockDB({
+      secondaryEmail: { uid: uid, email: SECONDARY_EMAIL, isVerified: true, isPrimary: false }
+    })
+    const log = mocks.spyLog()
+    const mailer = mocks.mockMailer()
+    const request = makeSetPrimaryRequest()
+
+    return runTest(makeRoutes({ customs: customs, db: db, log: log, mailer: mailer }), '/recovery_email/set_primary', request)
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(customs.check.callCount, 1, 'customs.check was called once')
+        assert.equal(customs.check.args[0][2], 'setPrimaryEmail', 'customs action was setPrimaryEmail')
+        assert.equal(db.setPrimaryEmail.callCount, 1, 'db.setPrimaryEmail was called once')
+        assert.equal(db.setPrimaryEmail.args[0][0], uid, 'first argument was uid')
+        assert.equal(db.setPrimaryEmail.args[0][1], SECONDARY_EMAIL, 'second argument was the address')
+
+        assert.equal(log.notifyAttachedServices.callCount, 1, 'log.notifyAttachedServices was called once')
+        let args = log.notifyAttachedServices.args[0]
+        assert.equal(args[0], 'primaryEmailChanged', 'first argument was event name')
+        assert.equal(args[1], request, 'second argument was request object')
+        assert.deepEqual(args[2], { uid: uid, email: SECONDARY_EMAIL }, 'third argument contained uid and new email')
+
+        assert.equal(mailer.sendPostChangePrimaryEmail.callCount, 1, 'mailer.sendPostChangePrimaryEmail was called once')
+        args = mailer.sendPostChangePrimaryEmail.args[0]
+        assert.equal(args[0], TEST_EMAIL, 'first argument was the old address')
+        assert.equal(args[1].primaryEmail, SECONDARY_EMAIL, 'second argument contained the new address')
+      })
+  })
+
+  it('still succeeds if the notification email fails', () => {
+    const db = mocks.mockDB({
+      secondaryEmail: { uid: uid, email: SECONDARY_EMAIL, isVerified: true, isPrimary: false }
+    })
+    const log = mocks.spyLog()
+    const mailer = mocks.mockMailer({
+      sendPostChangePrimaryEmail: sinon.spy(() => P.reject(new Error('wibble')))
+    })
+
+    return runTest(makeRoutes({ db: db, log: log, mailer: mailer }), '/recovery_email/set_primary', makeSetPrimaryRequest())
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(db.setPrimaryEmail.callCount, 1, 'db.setPrimaryEmail was called once')
+        assert.equal(log.error.callCount, 1, 'log.error was called once')
+        assert.equal(log.error.args[0][0].op, 'mailer.sendPostChangePrimaryEmail', 'log.error was passed the op')
+      })
+  })
+
+  it('does nothing for the primary address', () => {
+    const db = mocks.mockDB({
+      secondaryEmail: { uid: uid, email: SECONDARY_EMAIL, isVerified: true, isPrimary: true }
+    })
+    const mailer = mocks.mockMailer()
+
+    return runTest(makeRoutes({ db: db, mailer: mailer }), '/recovery_email/set_primary', makeSetPrimaryRequest())
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(db.setPrimaryEmail.callCount, 0, 'db.setPrimaryEmail was not called')
+        assert.equal(mailer.sendPostChangePrimaryEmail.callCount, 0, 'mailer.sendPostChangePrimaryEmail was not called')
+      })
+  })
+
+  it('fails for an unverified secondary address', () => {
+    const db = mocks.mockDB({
+      secondaryEmail: { uid: uid, email: SECONDARY_EMAIL, isVerified: false, isPrimary: false }
+    })
+
+    return runTest(makeRoutes({ db: db }), '/recovery_email/set_primary', makeSetPrimaryRequest())
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SECONDARY_EMAIL, 'correct errno')
+        assert.equal(db.setPrimaryEmail.callCount, 0, 'db.setPrimaryEmail was not called')
+      })
+  })
+
+  it('fails for another account\'s address', () => {
+    const db = mocks.mockDB({
+      secondaryEmail: { uid: uuid.v4('binary'), email: SECONDARY_EMAIL, isVerified: true, isPrimary: false }
+    })
+
+    return runTest(makeRoutes({ db: db }), '/recovery_email/set_primary', makeSetPrimaryRequest())
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.UNKNOWN_SECONDARY_EMAIL, 'correct errno')
+        assert.equal(db.setPrimaryEmail.callCount, 0, 'db.setPrimaryEmail was not called')
+      })
+  })
+})
+
+function makeRequest (options) {
+  return mocks.mockRequest({
+    credentials: {
+      email: TEST_EMAIL,
+      emailVerified: true,
+      tokenVerified: options.tokenVerified !== false,
+      uid: options.uid
+    },
+    log: mocks.mockLog(),
+    payload: options.payload || {}
+  })
+}
+
+function makeRoutes (options) {
+  return require('../../lib/routes/emails')(
+    options.log || mocks.mockLog(),
+    isA,
+    error,
+    options.db,
+    options.mailer || mocks.mockMailer(),
+    options.config || { smtp: {} },
+    options.customs || mocks.mockCustoms()
+  )
+}
+
+function runTest (routes, path, request) {
+  return new P((resolve, reject) => {
+    getRoute(routes, path).handler(request, response => {
+      if (response instanceof Error) {
+        reject(response)
+      } else {
+        resolve(response)
+      }
+    })
+  })
+}
@@ -75,6 +75,29 @@ describe('AppErrors', () => {
     }
   )
 
+  it(
+    'should translate a stale timestamp with the server time',
+    () => {
+      var authenticate = 'Hawk ts="1373391043", tsm="LAnpP3P2PXelC6hUoUaHP72nCqY5Iibaa3eeiGBqIIU=", error="Stale timestamp"'
+      var result = AppError.translate({
+        output: {
+          headers: {
+            'WWW-Authenticate': authenticate
+          },
+          payload: {
+            statusCode: 401,
+            message: 'Stale timestamp'
+          }
+        }
+      })
+      assert.ok(result instanceof AppError, 'instanceof AppError')
+      assert.equal(result.errno, 111)
+      assert.equal(result.output.statusCode, 401)
+      assert.equal(typeof result.output.payload.serverTime, 'number')
+      assert.equal(result.output.headers['WWW-Authenticate'], authenticate)
+    }
+  )
+
   it(
     'tooManyRequests',
     () => {
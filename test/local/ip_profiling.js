@@ -66,7 +66,7 @@ var makeRoutes = function (options, requireMocks) {
     isPreVerified,
     checkPassword,
     push,
-    options.devices || require('../../lib/devices')(log, db, push)
+    options.devices || require('../../lib/devices')(log, db, push, config)
   )
 }
 
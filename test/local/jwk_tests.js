@@ -0,0 +1,61 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const BN = require('fxa-jwtool').BN
+const jwk = require('../../lib/crypto/jwk')
+
+// The example key from RFC 7638, section 3.1
+const N = '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw'
+const E = 'AQAB'
+const THUMBPRINT = 'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs'
+
+function toBase64 (base64url) {
+  return base64url.replace(/-/g, '+').replace(/_/g, '/')
+}
+
+describe('jwk', () => {
+  it(
+    'thumbprint matches the RFC 7638 example',
+    () => {
+      assert.equal(jwk.thumbprint({ kty: 'RSA', n: N, e: E }), THUMBPRINT)
+    }
+  )
+
+  it(
+    'publicJWK returns the public parts of a base64 key',
+    () => {
+      const key = jwk.publicJWK({
+        algorithm: 'RS',
+        n: toBase64(N),
+        e: E,
+        d: 'secret'
+      })
+      assert.deepEqual(key, {
+        kty: 'RSA',
+        alg: 'RS256',
+        use: 'sig',
+        kid: THUMBPRINT,
+        n: N,
+        e: E
+      })
+    }
+  )
+
+  it(
+    'publicJWK returns the same key for a decimal key',
+    () => {
+      const key = jwk.publicJWK({
+        algorithm: 'RS',
+        n: new BN(Buffer(toBase64(N), 'base64')).toString(10),
+        e: '65537'
+      })
+      assert.equal(key.kid, THUMBPRINT, 'kid is the same')
+      assert.equal(key.n, N, 'n was converted to base64url')
+      assert.equal(key.e, E, 'e was converted to base64url')
+    }
+  )
+})
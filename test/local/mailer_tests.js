@@ -0,0 +1,77 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const proxyquire = require('proxyquire')
+
+const config = {
+  i18n: {
+    defaultLanguage: 'en',
+    supportedLanguages: [ 'en' ]
+  },
+  smtp: {}
+}
+
+const account = {
+  email: 'foo@example.com',
+  uid: Buffer.from('0123456789abcdef0123456789abcdef', 'hex')
+}
+
+function createMailer (templates) {
+  const fxaAuthMailer = () => P.resolve(Object.assign({}, templates))
+  fxaAuthMailer['@noCallThru'] = true
+  return proxyquire('../../lib/mailer', {
+    'fxa-auth-mailer': fxaAuthMailer
+  })(config, mocks.mockLog())
+}
+
+describe('lib/mailer', () => {
+  it('rejects when verifySecondaryEmail is missing from fxa-auth-mailer', () => {
+    return createMailer({})
+      .then(mailer => {
+        let result
+        assert.doesNotThrow(() => {
+          result = mailer.sendVerifySecondaryEmail('bar@example.com', account, Buffer.alloc(16), {})
+        }, 'mailer.sendVerifySecondaryEmail did not throw')
+        return result
+      })
+      .then(assert.fail, err => {
+        assert.ok(err instanceof TypeError, 'a TypeError was returned')
+      })
+  })
+
+  it('passes the account to verifySecondaryEmail', () => {
+    let args
+    return createMailer({
+      verifySecondaryEmail: message => {
+        args = message
+      }
+    })
+      .then(mailer => mailer.sendVerifySecondaryEmail('bar@example.com', account, Buffer.alloc(16), {}))
+      .then(() => {
+        assert.equal(args.email, 'bar@example.com', 'email was the new address')
+        assert.equal(args.primaryEmail, account.email, 'primaryEmail was the account\'s address')
+        assert.equal(args.uid, '0123456789abcdef0123456789abcdef', 'uid was hex')
+        assert.equal(args.acceptLanguage, 'en', 'acceptLanguage defaulted')
+      })
+  })
+
+  it('rejects when postChangePrimaryEmail is missing from fxa-auth-mailer', () => {
+    return createMailer({})
+      .then(mailer => {
+        let result
+        assert.doesNotThrow(() => {
+          result = mailer.sendPostChangePrimaryEmail(account.email, { primaryEmail: 'bar@example.com' })
+        }, 'mailer.sendPostChangePrimaryEmail did not throw')
+        return result
+      })
+      .then(assert.fail, err => {
+        assert.ok(err instanceof TypeError, 'a TypeError was returned')
+      })
+  })
+})
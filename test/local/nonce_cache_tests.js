@@ -0,0 +1,118 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const error = require('../../lib/error')
+const Memcached = require('memcached')
+const mocks = require('../mocks')
+const nonceCacheModule = require('../../lib/nonce-cache')
+const P = require('../../lib/promise')
+const sinon = require('sinon')
+
+const KEY = 'c8d98e7fe6b1f4a8d4ba0c79b1c8b7d4e1a27cc9f8b1ea0d6e8fbc1de5bd5b4f'
+
+function makeConfig (address) {
+  return {
+    hawk: {
+      timestampSkew: 60000,
+      nonceCache: {
+        address: address,
+        idle: 500
+      }
+    }
+  }
+}
+
+describe('nonceCache', () => {
+  it(
+    'nonceCache interface is correct',
+    () => {
+      const nonceCache = nonceCacheModule(mocks.spyLog(), makeConfig('memory'))
+      assert.equal(typeof nonceCache, 'object', 'nonceCache is object')
+      assert.equal(Object.keys(nonceCache).length, 1, 'nonceCache has 1 property')
+      assert.equal(typeof nonceCache.check, 'function', 'nonceCache.check is function')
+      assert.equal(nonceCache.check.length, 3, 'nonceCache.check expects 3 arguments')
+    }
+  )
+
+  it(
+    'in-memory cache accepts a nonce once',
+    () => {
+      const nonceCache = nonceCacheModule(mocks.spyLog(), makeConfig('memory'))
+      return nonceCache.check(KEY, 'foo', 1373391043)
+        .then(() => nonceCache.check(KEY, 'bar', 1373391043))
+        .then(() => nonceCache.check(KEY, 'foo', 1373391043))
+        .then(assert.fail, err => {
+          assert.equal(err.errno, error.ERRNO.INVALID_NONCE, 'correct errno')
+        })
+    }
+  )
+
+  it(
+    'in-memory cache forgets expired nonces',
+    () => {
+      const nonceCache = nonceCacheModule(mocks.spyLog(), makeConfig('memory'))
+      const now = Date.now()
+      sinon.stub(Date, 'now', () => now)
+      return nonceCache.check(KEY, 'foo', 1373391043)
+        .then(() => {
+          Date.now.restore()
+          sinon.stub(Date, 'now', () => now + 120001)
+          return nonceCache.check(KEY, 'foo', 1373391043)
+        })
+        .finally(() => Date.now.restore())
+    }
+  )
+
+  it(
+    'memcached add is called with a hashed key and twice the skew',
+    () => {
+      sinon.stub(Memcached.prototype, 'addAsync', () => P.resolve(true))
+      const nonceCache = nonceCacheModule(mocks.spyLog(), makeConfig('127.0.0.1:1121'))
+      return nonceCache.check(KEY, 'foo', 1373391043)
+        .then(() => {
+          assert.equal(Memcached.prototype.addAsync.callCount, 1, 'memcached.addAsync was called once')
+          const args = Memcached.prototype.addAsync.args[0]
+          assert.equal(args.length, 3, 'memcached.addAsync was passed three arguments')
+          assert.equal(args[0].indexOf(KEY), -1, 'first argument did not contain the key')
+          assert.equal(args[2], 120, 'third argument was twice the skew in seconds')
+        })
+        .finally(() => Memcached.prototype.addAsync.restore())
+    }
+  )
+
+  it(
+    'memcached duplicate fails with invalidNonce',
+    () => {
+      sinon.stub(Memcached.prototype, 'addAsync', () => {
+        const err = new Error('Item is not stored')
+        err.notStored = true
+        return P.reject(err)
+      })
+      const nonceCache = nonceCacheModule(mocks.spyLog(), makeConfig('127.0.0.1:1121'))
+      return nonceCache.check(KEY, 'foo', 1373391043)
+        .then(assert.fail, err => {
+          assert.equal(err.errno, error.ERRNO.INVALID_NONCE, 'correct errno')
+        })
+        .finally(() => Memcached.prototype.addAsync.restore())
+    }
+  )
+
+  it(
+    'memcached errors are logged and the nonce is allowed',
+    () => {
+      sinon.stub(Memcached.prototype, 'addAsync', () => P.reject(new Error('wibble')))
+      const log = mocks.spyLog()
+      const nonceCache = nonceCacheModule(log, makeConfig('127.0.0.1:1121'))
+      return nonceCache.check(KEY, 'foo', 1373391043)
+        .then(() => {
+          assert.equal(log.error.callCount, 1, 'log.error was called once')
+          assert.equal(log.error.args[0][0].op, 'nonceCache.check', 'log.error was passed the correct op')
+        })
+        .finally(() => Memcached.prototype.addAsync.restore())
+    }
+  )
+})
@@ -247,6 +247,11 @@ describe('/password', () => {
       var uid = uuid.v4('binary')
       var mockDB = mocks.mockDB({
         email: TEST_EMAIL,
+        emails: [
+          { email: TEST_EMAIL, isVerified: true, isPrimary: true },
+          { email: 'verified@example.com', isVerified: true, isPrimary: false },
+          { email: 'unverified@example.com', isVerified: false, isPrimary: false }
+        ],
         uid: uid
       })
       var mockPush = mocks.mockPush()
@@ -289,6 +294,7 @@ describe('/password', () => {
         assert.equal(mockDB.account.callCount, 1)
         assert.equal(mockMailer.sendPasswordChangedNotification.callCount, 1)
         assert.equal(mockMailer.sendPasswordChangedNotification.firstCall.args[0], TEST_EMAIL)
+        assert.deepEqual(mockMailer.sendPasswordChangedNotification.firstCall.args[1].ccEmails, ['verified@example.com'], 'verified secondary emails were cc\'d')
 
         assert.equal(mockLog.activityEvent.callCount, 1, 'log.activityEvent was called once')
         var args = mockLog.activityEvent.args[0]
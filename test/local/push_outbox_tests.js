@@ -0,0 +1,254 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const sinon = require('sinon')
+
+const pushOutboxModule = require('../../lib/push-outbox')
+
+const EVENTS = {
+  accountVerify: {
+    retry: 'push.account_verify.retry',
+    retrySuccess: 'push.account_verify.retry_success',
+    retryFailed: 'push.account_verify.retry_failed'
+  }
+}
+
+function makeConfig (backend) {
+  return {
+    pushOutbox: {
+      enabled: true,
+      backend: backend,
+      pollInterval: 1000,
+      batchSize: 10,
+      minBackoff: 1000,
+      maxBackoff: 4000
+    }
+  }
+}
+
+function makeMessage (TTL) {
+  return {
+    uid: 'ca0fa0ff8ef1bdfc0b8bb4ae34e8e9d4',
+    deviceId: '0f7aa00356e5416e82b3bef7bc409eef',
+    reason: 'accountVerify',
+    subscription: { endpoint: 'https://updates.push.services.mozilla.com/update/abcdef' },
+    data: Buffer('{"version":1}'),
+    TTL: TTL || 60
+  }
+}
+
+function statusError (statusCode) {
+  const err = new Error('Failed')
+  err.statusCode = statusCode
+  return err
+}
+
+describe('pushOutbox', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(1000000, 'Date')
+  })
+
+  afterEach(() => {
+    clock.restore()
+  })
+
+  it(
+    'interface is correct',
+    () => {
+      const outbox = pushOutboxModule(mocks.spyLog(), mocks.mockDB(), makeConfig('memory'), EVENTS)
+      assert.equal(typeof outbox.enqueue, 'function', 'outbox.enqueue is function')
+      assert.equal(typeof outbox.isTransient, 'function', 'outbox.isTransient is function')
+      assert.equal(typeof outbox.processDue, 'function', 'outbox.processDue is function')
+      assert.equal(typeof outbox.start, 'function', 'outbox.start is function')
+      assert.equal(typeof outbox.stop, 'function', 'outbox.stop is function')
+    }
+  )
+
+  it(
+    'isTransient',
+    () => {
+      const outbox = pushOutboxModule(mocks.spyLog(), mocks.mockDB(), makeConfig('memory'), EVENTS)
+      assert.equal(outbox.isTransient(new Error('ECONNRESET')), true, 'network errors are transient')
+      assert.equal(outbox.isTransient(statusError(429)), true, '429 is transient')
+      assert.equal(outbox.isTransient(statusError(503)), true, '503 is transient')
+      assert.equal(outbox.isTransient(statusError(400)), false, '400 is not transient')
+      assert.equal(outbox.isTransient(statusError(413)), false, '413 is not transient')
+    }
+  )
+
+  it(
+    'enqueue deduplicates messages',
+    () => {
+      const log = mocks.spyLog()
+      const outbox = pushOutboxModule(log, mocks.mockDB(), makeConfig('memory'), EVENTS)
+      return outbox.enqueue(makeMessage())
+        .then(added => {
+          assert.equal(added, true, 'first message was queued')
+          return outbox.enqueue(makeMessage())
+        })
+        .then(added => {
+          assert.equal(added, false, 'duplicate message was not queued')
+          assert.equal(log.increment.callCount, 1, 'log.increment was called once')
+          assert.equal(log.increment.args[0][0], 'push.account_verify.retry', 'retry counter was incremented')
+        })
+    }
+  )
+
+  it(
+    'enqueue drops messages that would expire before the first retry',
+    () => {
+      const outbox = pushOutboxModule(mocks.spyLog(), mocks.mockDB(), makeConfig('memory'), EVENTS)
+      return outbox.enqueue(makeMessage(1))
+        .then(added => {
+          assert.equal(added, false, 'message was not queued')
+        })
+    }
+  )
+
+  it(
+    'retries due messages with the remaining TTL and backs off',
+    () => {
+      const log = mocks.spyLog()
+      const outbox = pushOutboxModule(log, mocks.mockDB(), makeConfig('memory'), EVENTS)
+      const deliver = sinon.spy(() => P.reject(statusError(503)))
+      outbox.start(deliver)
+      outbox.stop()
+
+      return outbox.enqueue(makeMessage())
+        .then(() => outbox.processDue())
+        .then(() => {
+          assert.equal(deliver.callCount, 0, 'nothing was due yet')
+          clock.tick(1000)
+          return outbox.processDue()
+        })
+        .then(() => {
+          assert.equal(deliver.callCount, 1, 'deliver was called once')
+          const message = deliver.args[0][0]
+          assert.equal(message.TTL, 59, 'message had the remaining TTL')
+          assert.equal(message.subscription.endpoint, makeMessage().subscription.endpoint, 'message had the subscription')
+          assert.equal(Buffer(message.data, 'base64').toString(), '{"version":1}', 'message had the data')
+
+          clock.tick(1999)
+          return outbox.processDue()
+        })
+        .then(() => {
+          assert.equal(deliver.callCount, 1, 'second retry waited twice as long')
+          clock.tick(1)
+          return outbox.processDue()
+        })
+        .then(() => {
+          assert.equal(deliver.callCount, 2, 'deliver was called twice')
+        })
+    }
+  )
+
+  it(
+    'removes messages after a successful retry',
+    () => {
+      const log = mocks.spyLog()
+      const outbox = pushOutboxModule(log, mocks.mockDB(), makeConfig('memory'), EVENTS)
+      const deliver = sinon.spy(() => P.resolve())
+      outbox.start(deliver)
+      outbox.stop()
+
+      return outbox.enqueue(makeMessage())
+        .then(() => {
+          clock.tick(1000)
+          return outbox.processDue()
+        })
+        .then(() => {
+          assert.equal(log.increment.args[1][0], 'push.account_verify.retry_success', 'retry_success counter was incremented')
+          clock.tick(60000)
+          return outbox.processDue()
+        })
+        .then(() => {
+          assert.equal(deliver.callCount, 1, 'deliver was only called once')
+        })
+    }
+  )
+
+  it(
+    'gives up on permanent failures',
+    () => {
+      const log = mocks.spyLog()
+      const outbox = pushOutboxModule(log, mocks.mockDB(), makeConfig('memory'), EVENTS)
+      const deliver = sinon.spy(() => P.reject(statusError(410)))
+      outbox.start(deliver)
+      outbox.stop()
+
+      return outbox.enqueue(makeMessage())
+        .then(() => {
+          clock.tick(1000)
+          return outbox.processDue()
+        })
+        .then(() => {
+          assert.equal(log.increment.args[1][0], 'push.account_verify.retry_failed', 'retry_failed counter was incremented')
+          assert.equal(log.error.callCount, 1, 'log.error was called once')
+          clock.tick(60000)
+          return outbox.processDue()
+        })
+        .then(() => {
+          assert.equal(deliver.callCount, 1, 'deliver was only called once')
+        })
+    }
+  )
+
+  it(
+    'gives up when the TTL runs out',
+    () => {
+      const log = mocks.spyLog()
+      const outbox = pushOutboxModule(log, mocks.mockDB(), makeConfig('memory'), EVENTS)
+      const deliver = sinon.spy(() => P.reject(statusError(503)))
+      outbox.start(deliver)
+      outbox.stop()
+
+      return outbox.enqueue(makeMessage(3))
+        .then(() => {
+          clock.tick(1000)
+          return outbox.processDue()
+        })
+        .then(() => {
+          assert.equal(deliver.callCount, 1, 'deliver was called once')
+          assert.equal(log.increment.args[1][0], 'push.account_verify.retry_failed', 'retry_failed counter was incremented')
+        })
+    }
+  )
+
+  it(
+    'uses the db backend',
+    () => {
+      const db = mocks.mockDB()
+      db.createPushMessage = sinon.spy(() => P.resolve(true))
+      db.claimPushMessages = sinon.spy(() => P.resolve([
+        { id: 'foo', reason: 'accountVerify', expiresAt: Date.now() + 60000, attempts: 1 }
+      ]))
+      const outbox = pushOutboxModule(mocks.spyLog(), db, makeConfig('db'), EVENTS)
+      outbox.start(() => P.resolve())
+      outbox.stop()
+
+      return outbox.enqueue(makeMessage())
+        .then(() => {
+          assert.equal(db.createPushMessage.callCount, 1, 'db.createPushMessage was called once')
+          const message = db.createPushMessage.args[0][0]
+          assert.equal(message.id.length, 32, 'message had an id')
+          assert.equal(message.nextAttemptAt, Date.now() + 1000, 'message had the next attempt time')
+          assert.equal(message.expiresAt, Date.now() + 60000, 'message had the expiry time')
+          return outbox.processDue()
+        })
+        .then(() => {
+          assert.equal(db.claimPushMessages.callCount, 1, 'db.claimPushMessages was called once')
+          assert.equal(db.claimPushMessages.args[0][1], 10, 'db.claimPushMessages was passed the batch size')
+          assert.equal(db.deletePushMessage.callCount, 1, 'db.deletePushMessage was called once')
+          assert.equal(db.deletePushMessage.args[0][0], 'foo', 'db.deletePushMessage was passed the message id')
+        })
+    }
+  )
+})
@@ -0,0 +1,139 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const sinon = require('sinon')
+
+const pushSweepModule = require('../../lib/push-sweep')
+
+const config = {
+  pushSweep: {
+    enabled: true,
+    interval: 60000,
+    failureThreshold: 3,
+    batchSize: 10
+  }
+}
+
+const uid = Buffer('ca0fa0ff8ef1bdfc0b8bb4ae34e8e9d4', 'hex')
+
+function makeDevice (id) {
+  return { uid: uid, id: Buffer(id, 'hex') }
+}
+
+describe('pushSweep', () => {
+  it(
+    'interface is correct',
+    () => {
+      const sweep = pushSweepModule(mocks.spyLog(), mocks.mockDB(), config)
+      assert.equal(typeof sweep.recordFailure, 'function', 'sweep.recordFailure is function')
+      assert.equal(typeof sweep.recordSuccess, 'function', 'sweep.recordSuccess is function')
+      assert.equal(typeof sweep.start, 'function', 'sweep.start is function')
+      assert.equal(typeof sweep.stop, 'function', 'sweep.stop is function')
+      assert.equal(typeof sweep.sweep, 'function', 'sweep.sweep is function')
+    }
+  )
+
+  it(
+    'recordFailure counts the failure and reports reaching the threshold',
+    () => {
+      const log = mocks.spyLog()
+      const db = mocks.mockDB()
+      db.recordPushFailure = sinon.spy(() => P.resolve(3))
+      const sweep = pushSweepModule(log, db, config)
+      const device = makeDevice('0f7aa00356e5416e82b3bef7bc409eef')
+
+      return sweep.recordFailure(uid, device)
+        .then(() => {
+          assert.equal(db.recordPushFailure.callCount, 1, 'db.recordPushFailure was called once')
+          assert.equal(db.recordPushFailure.args[0][0], uid, 'first argument was uid')
+          assert.equal(db.recordPushFailure.args[0][1], device.id, 'second argument was the device id')
+          assert.equal(log.increment.callCount, 2, 'log.increment was called twice')
+          assert.equal(log.increment.args[0][0], 'push.sweep.failure_recorded')
+          assert.equal(log.increment.args[1][0], 'push.sweep.threshold_reached')
+        })
+    }
+  )
+
+  it(
+    'recordSuccess only resets devices that have failures',
+    () => {
+      const db = mocks.mockDB()
+      const sweep = pushSweepModule(mocks.spyLog(), db, config)
+      const healthy = makeDevice('0f7aa00356e5416e82b3bef7bc409eef')
+      const failing = makeDevice('3a45e6d0dae543e6aeb3bef7bc409eef')
+      failing.pushFailures = 2
+
+      return sweep.recordSuccess(uid, healthy)
+        .then(() => sweep.recordSuccess(uid, failing))
+        .then(() => {
+          assert.equal(db.resetPushFailures.callCount, 1, 'db.resetPushFailures was called once')
+          assert.equal(db.resetPushFailures.args[0][1], failing.id, 'the failing device was reset')
+        })
+    }
+  )
+
+  it(
+    'sweep expires the endpoints of unreachable devices',
+    () => {
+      const log = mocks.spyLog()
+      const db = mocks.mockDB()
+      const devices = [
+        makeDevice('0f7aa00356e5416e82b3bef7bc409eef'),
+        makeDevice('3a45e6d0dae543e6aeb3bef7bc409eef'),
+        makeDevice('b3bef7bc409eef0f7aa00356e5416e82')
+      ]
+      db.unreachablePushDevices = sinon.spy(() => P.resolve(devices))
+      db.expirePushEndpoint = sinon.spy((uid, id) => {
+        if (id === devices[1].id) {
+          return P.reject(new Error('Failed'))
+        }
+        return P.resolve()
+      })
+      const sweep = pushSweepModule(log, db, config)
+
+      return sweep.sweep()
+        .then(expired => {
+          assert.equal(expired, 2, 'two devices were expired')
+          assert.equal(db.unreachablePushDevices.callCount, 1, 'db.unreachablePushDevices was called once')
+          assert.deepEqual(db.unreachablePushDevices.args[0], [ 3, 10 ], 'threshold and batch size were passed')
+          assert.equal(db.expirePushEndpoint.callCount, 3, 'db.expirePushEndpoint was called for each device')
+          assert.equal(db.expirePushEndpoint.args[2][1], devices[2].id, 'a failure did not stop the sweep')
+
+          const counts = log.increment.args.reduce((counts, args) => {
+            counts[args[0]] = (counts[args[0]] || 0) + 1
+            return counts
+          }, {})
+          assert.deepEqual(counts, {
+            'push.sweep.expired': 2,
+            'push.sweep.failed': 1
+          }, 'counts were reported to statsd')
+          assert.equal(log.error.callCount, 1, 'log.error was called once')
+        })
+    }
+  )
+
+  it(
+    'sweep does not overlap with itself',
+    () => {
+      const db = mocks.mockDB()
+      let resolve
+      db.unreachablePushDevices = sinon.spy(() => new P(r => { resolve = r }))
+      const sweep = pushSweepModule(mocks.spyLog(), db, config)
+
+      const first = sweep.sweep()
+      return sweep.sweep()
+        .then(expired => {
+          assert.equal(expired, 0, 'second sweep did nothing')
+          assert.equal(db.unreachablePushDevices.callCount, 1, 'db.unreachablePushDevices was called once')
+          resolve([])
+          return first
+        })
+    }
+  )
+})
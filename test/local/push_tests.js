@@ -141,6 +141,41 @@ describe('push', () => {
     }
   )
 
+  it(
+    'pushToDevices appends devicesNotify messages to the command queues if they are enabled',
+    () => {
+      var appendDeviceCommand = sinon.spy(() => P.resolve(1))
+      var mockDb = {
+        appendDeviceCommand: appendDeviceCommand,
+        devices: mockDbResult.devices
+      }
+      var config = { deviceCommands: { enabled: true, ttl: 1000 } }
+      var push = require('../../lib/push')(mockLog(), mockDb, config)
+      sinon.stub(push, 'sendPush', () => P.resolve())
+      var data = Buffer('{"foo":"bar"}')
+      var ids = [mockDevices[0].id, mockDevices[1].id]
+      var now = Date.now()
+
+      return push.pushToDevices(mockUid, ids, 'devicesNotify', { data: data, TTL: TTL })
+        .then(function () {
+          assert.equal(appendDeviceCommand.callCount, 2, 'db.appendDeviceCommand was called for each device')
+          var args = appendDeviceCommand.args[0]
+          assert.equal(args[0], mockUid, 'first argument was the uid')
+          assert.equal(args[1], mockDevices[0].id, 'second argument was the device id')
+          assert.equal(args[2].data, '{"foo":"bar"}', 'third argument had the data')
+          assert.ok(args[2].expiresAt >= now + 42000, 'third argument expired after the TTL')
+          assert.ok(push.sendPush.calledOnce, 'push was sent too')
+
+          appendDeviceCommand.reset()
+          return push.pushToDevices(mockUid, ids, 'deviceConnected', { data: data })
+        })
+        .then(function () {
+          assert.equal(appendDeviceCommand.callCount, 0, 'other reasons were not queued')
+          push.sendPush.restore()
+        })
+    }
+  )
+
   it(
     'pushToDevice calls pushToDevices',
     () => {
@@ -330,6 +365,95 @@ describe('push', () => {
     }
   )
 
+  it(
+    'push queues transient failures for retry if the outbox is enabled',
+    () => {
+      var names = []
+      var thisMockLog = mockLog({
+        info: function (log) {
+          names.push(log.name)
+        }
+      })
+
+      var mocks = {
+        'web-push': {
+          sendNotification: function (sub, payload, options) {
+            var err = new Error('Failed')
+            err.statusCode = 503
+            return P.reject(err)
+          }
+        }
+      }
+
+      var config = {
+        pushOutbox: {
+          enabled: true,
+          backend: 'memory',
+          pollInterval: 60000,
+          batchSize: 10,
+          minBackoff: 1000,
+          maxBackoff: 4000
+        }
+      }
+      var push = proxyquire('../../lib/push', mocks)(thisMockLog, mockDbResult, config)
+      return push.sendPush(mockUid, [mockDevices[0]], 'accountVerify', { TTL: TTL })
+        .then(() => {
+          assert.deepEqual(names, [
+            'push.account_verify.send',
+            'push.account_verify.failed',
+            'push.account_verify.retry'
+          ])
+          return push.sendPush(mockUid, [mockDevices[0]], 'accountVerify')
+        })
+        .then(() => {
+          assert.equal(names[names.length - 1], 'push.account_verify.failed', 'messages without a TTL are not queued')
+        })
+    }
+  )
+
+  it(
+    'push only polls the outbox and runs the sweep once started',
+    () => {
+      var outbox = {
+        start: sinon.spy(),
+        stop: sinon.spy()
+      }
+      var sweep = {
+        start: sinon.spy(),
+        stop: sinon.spy()
+      }
+      var mocks = {
+        './push-outbox': function () {
+          return outbox
+        },
+        './push-sweep': function () {
+          return sweep
+        }
+      }
+      var config = {
+        pushOutbox: {
+          enabled: true
+        },
+        pushSweep: {
+          enabled: true
+        }
+      }
+
+      var push = proxyquire('../../lib/push', mocks)(mockLog(), mockDbResult, config)
+      assert.equal(outbox.start.callCount, 0, 'outbox.start was not called on creation')
+      assert.equal(sweep.start.callCount, 0, 'sweep.start was not called on creation')
+
+      push.start()
+      assert.equal(outbox.start.callCount, 1, 'outbox.start was called once')
+      assert.equal(typeof outbox.start.args[0][0], 'function', 'outbox.start was passed a delivery function')
+      assert.equal(sweep.start.callCount, 1, 'sweep.start was called once')
+
+      push.stop()
+      assert.equal(outbox.stop.callCount, 1, 'outbox.stop was called once')
+      assert.equal(sweep.stop.callCount, 1, 'sweep.stop was called once')
+    }
+  )
+
   it(
     'push logs an error when asked to send to more than 200 devices',
     () => {
@@ -406,6 +530,53 @@ describe('push', () => {
     }
   )
 
+  it(
+    'push counts a failure instead of resetting device push data if the sweep is enabled',
+    () => {
+      var mockDb = {
+        recordPushFailure: sinon.spy(function () {
+          return P.resolve(1)
+        }),
+        updateDevice: sinon.spy(function () {
+          return P.resolve()
+        })
+      }
+      var sweepConfig = {
+        pushSweep: {
+          enabled: true,
+          interval: 60000,
+          failureThreshold: 3
+        }
+      }
+
+      var mocks = {
+        'web-push': {
+          sendNotification: function (sub, payload, options) {
+            var err = new Error('Failed')
+            err.statusCode = 404
+            return P.reject(err)
+          }
+        }
+      }
+
+      var device = {
+        id: '0f7aa00356e5416e82b3bef7bc409eef',
+        pushCallback: 'https://updates.push.services.mozilla.com/update/abcdef01234567890abcdefabcdef01234567890abcdef'
+      }
+
+      var push = proxyquire('../../lib/push', mocks)(mockLog(), mockDb, sweepConfig)
+      return push.sendPush(mockUid, [device], 'accountVerify')
+        .then(() => {
+          assert.equal(mockDb.recordPushFailure.callCount, 1, 'db.recordPushFailure was called once')
+          var args = mockDb.recordPushFailure.args[0]
+          assert.equal(args[0], mockUid, 'first argument was uid')
+          assert.equal(args[1], device.id, 'second argument was the device id')
+          assert.equal(device.pushCallback.length > 0, true, 'push settings were left alone')
+          assert.equal(mockDb.updateDevice.callCount, 0, 'db.updateDevice was not called')
+        })
+    }
+  )
+
   it(
     'notifyUpdate calls pushToAllDevices',
     () => {
@@ -504,6 +675,38 @@ describe('push', () => {
     }
   )
 
+  it(
+    'notifyCommandInvoked calls pushToDevice',
+    () => {
+      var push = require('../../lib/push')(mockLog(), mockDbResult, mockConfig)
+      sinon.stub(push, 'pushToDevice', () => P.resolve())
+      var payload = { uri: 'https://example.com/' }
+      return push.notifyCommandInvoked(mockUid, mockDevices[0], 'fxaccounts:open_uri', payload, 'senderid')
+        .then(() => {
+          assert.ok(push.pushToDevice.calledOnce, 'pushToDevice was called')
+          var args = push.pushToDevice.getCall(0).args
+          assert.equal(args[0], mockUid)
+          assert.equal(args[1], mockDevices[0].id)
+          assert.equal(args[2], 'deviceCommand')
+          assert.equal(args[3].TTL, 7 * 24 * 60 * 60, 'TTL was the command TTL')
+          var data = JSON.parse(args[3].data.toString('utf8'))
+          assert.deepEqual(data, {
+            version: 1,
+            command: 'fxaccounts:command_received',
+            data: {
+              command: 'fxaccounts:open_uri',
+              sender: 'senderid',
+              payload: payload
+            }
+          })
+          var schemaPath = path.resolve(__dirname, PUSH_PAYLOADS_SCHEMA_PATH)
+          var schema = JSON.parse(fs.readFileSync(schemaPath))
+          assert.ok(ajv.validate(schema, data), 'payload is valid against the push payload schema')
+          push.pushToDevice.restore()
+        })
+    }
+  )
+
   it(
     'notifyPasswordChanged calls sendPush',
     () => {
@@ -576,6 +779,90 @@ describe('push', () => {
     }
   )
 
+  it(
+    'notifyAccountDestroyed calls sendPush',
+    () => {
+      var mocks = {
+        'web-push': {
+          sendNotification: function (sub, payload, options) {
+            return P.resolve()
+          }
+        }
+      }
+      var push = proxyquire('../../lib/push', mocks)(mockLog(), mockDbEmpty, mockConfig)
+      sinon.spy(push, 'sendPush')
+      var expectedData = {
+        version: 1,
+        command: 'fxaccounts:account_destroyed',
+        data: {
+          uid: mockUid.toString('hex')
+        }
+      }
+      return push.notifyAccountDestroyed(mockUid, mockDevices)
+      .then(function() {
+        assert.ok(push.sendPush.calledOnce, 'sendPush was called')
+        assert.equal(push.sendPush.getCall(0).args[0], mockUid)
+        assert.equal(push.sendPush.getCall(0).args[1], mockDevices)
+        assert.equal(push.sendPush.getCall(0).args[2], 'accountDestroyed')
+        var options = push.sendPush.getCall(0).args[3]
+        var payload = JSON.parse(options.data.toString('utf8'))
+        assert.deepEqual(payload, expectedData)
+        assert.equal(options.TTL, 5 * 3600, 'TTL was set')
+        var schemaPath = path.resolve(__dirname, PUSH_PAYLOADS_SCHEMA_PATH)
+        var schema = JSON.parse(fs.readFileSync(schemaPath))
+        assert.ok(ajv.validate(schema, payload))
+        push.sendPush.restore()
+      })
+    }
+  )
+
+  it(
+    'notifyLoginRequest calls sendPush',
+    () => {
+      var mocks = {
+        'web-push': {
+          sendNotification: function (sub, payload, options) {
+            return P.resolve()
+          }
+        }
+      }
+      var push = proxyquire('../../lib/push', mocks)(mockLog(), mockDbEmpty, mockConfig)
+      sinon.spy(push, 'sendPush')
+      var loginRequest = {
+        id: 'a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90',
+        userAgent: {
+          browser: 'Firefox',
+          os: 'Android'
+        },
+        location: {
+          city: 'Mountain View',
+          country: 'United States'
+        },
+        timestamp: 1500000000000
+      }
+      var expectedData = {
+        version: 1,
+        command: 'fxaccounts:login_request',
+        data: loginRequest
+      }
+      return push.notifyLoginRequest(mockUid, mockDevices, loginRequest, 600)
+      .then(function() {
+        assert.ok(push.sendPush.calledOnce, 'sendPush was called')
+        assert.equal(push.sendPush.getCall(0).args[0], mockUid)
+        assert.equal(push.sendPush.getCall(0).args[1], mockDevices)
+        assert.equal(push.sendPush.getCall(0).args[2], 'loginRequest')
+        var options = push.sendPush.getCall(0).args[3]
+        var payload = JSON.parse(options.data.toString('utf8'))
+        assert.deepEqual(payload, expectedData)
+        assert.equal(options.TTL, 600, 'TTL was set')
+        var schemaPath = path.resolve(__dirname, PUSH_PAYLOADS_SCHEMA_PATH)
+        var schema = JSON.parse(fs.readFileSync(schemaPath))
+        assert.ok(ajv.validate(schema, payload))
+        push.sendPush.restore()
+      })
+    }
+  )
+
   it(
     'sendPush includes VAPID identification if it is configured',
     () => {
@@ -613,6 +900,51 @@ describe('push', () => {
     }
   )
 
+  it(
+    'sendPush falls back to older VAPID keys if the push service rejects the current one',
+    () => {
+      var mockConfig = {
+        publicUrl: 'https://example.com',
+        vapidKeysFile: path.join(__dirname, '..', 'config', 'mock-vapid-keys-rotated.json')
+      }
+
+      var publicKeys = []
+      var mocks = {
+        'web-push': {
+          sendNotification: function (sub, payload, options) {
+            publicKeys.push(options.vapidDetails.publicKey)
+            if (options.vapidDetails.publicKey === 'public') {
+              var err = new Error('Unauthorized')
+              err.statusCode = 401
+              return P.reject(err)
+            }
+            return P.resolve()
+          }
+        }
+      }
+
+      var device = {
+        id: '0f7aa00356e5416e82b3bef7bc409eef',
+        pushCallback: 'https://updates.push.services.mozilla.com/update/abcdef01234567890abcdefabcdef01234567890abcdef'
+      }
+
+      var thisMockLog = mockLog({
+        increment: sinon.spy()
+      })
+      var push = proxyquire('../../lib/push', mocks)(thisMockLog, mockDbResult, mockConfig)
+      assert.equal(push.vapidPublicKey(), 'public', 'the current key is advertised')
+      return push.sendPush(mockUid, [device], 'accountVerify')
+        .then(() => {
+          assert.deepEqual(publicKeys, [ 'public', 'old-public' ], 'the current key was tried first')
+          var events = thisMockLog.increment.args.map(function (args) {
+            return args[0]
+          })
+          assert.ok(events.indexOf('push.vapid.previous_key') !== -1, 'use of an old key was counted')
+          assert.ok(events.indexOf('push.account_verify.success') !== -1, 'the push succeeded')
+        })
+    }
+  )
+
   it(
     'sendPush errors out cleanly if given an unknown reason argument',
     () => {
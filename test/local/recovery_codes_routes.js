@@ -0,0 +1,182 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const error = require('../../lib/error')
+const getRoute = require('../routes_helpers').getRoute
+const isA = require('joi')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const uuid = require('uuid')
+
+const TEST_EMAIL = 'foo@example.com'
+
+describe('/recovery_codes', () => {
+  const uid = uuid.v4('binary')
+
+  it('replaces the recovery codes', () => {
+    const db = mocks.mockDB({ uid: uid })
+    const customs = mocks.mockCustoms()
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/recovery_codes', makeRequest({ uid: uid }))
+      .then(response => {
+        assert.equal(response.recoveryCodes.length, 8, 'returned eight codes')
+        response.recoveryCodes.forEach(code => {
+          assert.ok(/^[0-9A-Z]{10}$/.test(code), 'code is ten alphanumeric characters')
+        })
+
+        assert.equal(customs.checkAuthenticated.callCount, 1, 'customs.checkAuthenticated was called once')
+        assert.equal(customs.checkAuthenticated.args[0][0], 'replaceRecoveryCodes', 'customs action was replaceRecoveryCodes')
+
+        assert.equal(db.replaceRecoveryCodes.callCount, 1, 'db.replaceRecoveryCodes was called once')
+        const args = db.replaceRecoveryCodes.args[0]
+        assert.equal(args[0], uid, 'first argument was uid')
+        assert.equal(args[1].length, 8, 'second argument contained eight hashes')
+        args[1].forEach((codeHash, index) => {
+          assert.ok(Buffer.isBuffer(codeHash), 'hash is a buffer')
+          assert.equal(codeHash.length, 32, 'hash is 32 bytes')
+          assert.notEqual(codeHash.toString(), response.recoveryCodes[index], 'plaintext code was not stored')
+        })
+      })
+  })
+
+  it('respects the configured count and length', () => {
+    const db = mocks.mockDB({ uid: uid })
+    const config = { recoveryCodes: { count: 3, length: 12 } }
+
+    return runTest(makeRoutes({ config: config, db: db }), '/recovery_codes', makeRequest({ uid: uid }))
+      .then(response => {
+        assert.equal(response.recoveryCodes.length, 3, 'returned three codes')
+        assert.equal(response.recoveryCodes[0].length, 12, 'codes are twelve characters')
+      })
+  })
+
+  it('fails for an unverified session', () => {
+    const db = mocks.mockDB({ uid: uid })
+
+    return runTest(makeRoutes({ db: db }), '/recovery_codes', makeRequest({ uid: uid, tokenVerified: false }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SESSION, 'correct errno')
+        assert.equal(db.replaceRecoveryCodes.callCount, 0, 'db.replaceRecoveryCodes was not called')
+      })
+  })
+})
+
+describe('/recovery_codes/status', () => {
+  it('returns the number of remaining codes', () => {
+    const uid = uuid.v4('binary')
+    const db = mocks.mockDB({ uid: uid, recoveryCodesRemaining: 5 })
+
+    return runTest(makeRoutes({ db: db }), '/recovery_codes/status', makeRequest({ uid: uid }))
+      .then(response => {
+        assert.deepEqual(response, { remaining: 5 })
+        assert.equal(db.recoveryCodes.callCount, 1, 'db.recoveryCodes was called once')
+        assert.equal(db.recoveryCodes.args[0][0], uid, 'db.recoveryCodes was passed uid')
+      })
+  })
+})
+
+describe('/session/verify/recovery_code', () => {
+  const uid = uuid.v4('binary')
+  const tokenVerificationId = Buffer('5fea17e6a5ae0a7a7b8a0e8f8b6f1d1b', 'hex')
+
+  it('consumes the code and verifies the session', () => {
+    const db = mocks.mockDB({ uid: uid, recoveryCodesRemaining: 7 })
+    const customs = mocks.mockCustoms()
+    const request = makeRequest({
+      uid: uid,
+      tokenVerified: false,
+      tokenVerificationId: tokenVerificationId,
+      payload: { code: 'abcdef1234' }
+    })
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/session/verify/recovery_code', request)
+      .then(response => {
+        assert.deepEqual(response, { remaining: 7 })
+        assert.equal(customs.check.callCount, 1, 'customs.check was called once')
+        assert.equal(customs.check.args[0][2], 'verifyRecoveryCode', 'customs action was verifyRecoveryCode')
+        assert.equal(db.consumeRecoveryCode.callCount, 1, 'db.consumeRecoveryCode was called once')
+        assert.equal(db.consumeRecoveryCode.args[0][0], uid, 'first argument was uid')
+        assert.equal(db.consumeRecoveryCode.args[0][1].length, 32, 'second argument was a hash')
+        assert.equal(db.verifyTokens.callCount, 1, 'db.verifyTokens was called once')
+        assert.equal(db.verifyTokens.args[0][0], tokenVerificationId, 'first argument was tokenVerificationId')
+      })
+  })
+
+  it('hashes codes case-insensitively and per account', () => {
+    const db = mocks.mockDB({ uid: uid })
+    const routes = makeRoutes({ db: db })
+
+    return runTest(routes, '/session/verify/recovery_code', makeRequest({ uid: uid, payload: { code: 'abcdef1234' } }))
+      .then(() => runTest(routes, '/session/verify/recovery_code', makeRequest({ uid: uid, payload: { code: 'ABCDEF1234' } })))
+      .then(() => runTest(routes, '/session/verify/recovery_code', makeRequest({ uid: uuid.v4('binary'), payload: { code: 'ABCDEF1234' } })))
+      .then(() => {
+        const hashes = db.consumeRecoveryCode.args.map(args => args[1].toString('hex'))
+        assert.equal(hashes[0], hashes[1], 'same hash regardless of case')
+        assert.notEqual(hashes[1], hashes[2], 'different hash for a different account')
+        assert.equal(db.verifyTokens.callCount, 0, 'db.verifyTokens was not called for verified sessions')
+      })
+  })
+
+  it('rejects an invalid code', () => {
+    const db = mocks.mockDB({ uid: uid }, { consumeRecoveryCode: error.invalidRecoveryCode() })
+    const customs = mocks.mockCustoms()
+    const request = makeRequest({
+      uid: uid,
+      tokenVerified: false,
+      tokenVerificationId: tokenVerificationId,
+      payload: { code: 'abcdef1234' }
+    })
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/session/verify/recovery_code', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_RECOVERY_CODE, 'correct errno')
+        assert.equal(customs.flag.callCount, 1, 'customs.flag was called once')
+        assert.deepEqual(customs.flag.args[0][1], {
+          email: TEST_EMAIL,
+          errno: error.ERRNO.INVALID_RECOVERY_CODE
+        }, 'customs.flag was passed email and errno')
+        assert.equal(db.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+})
+
+function makeRequest (options) {
+  return mocks.mockRequest({
+    credentials: {
+      email: TEST_EMAIL,
+      emailVerified: true,
+      tokenVerified: options.tokenVerified !== false,
+      tokenVerificationId: options.tokenVerificationId,
+      uid: options.uid
+    },
+    log: mocks.mockLog(),
+    payload: options.payload || {}
+  })
+}
+
+function makeRoutes (options) {
+  return require('../../lib/routes/recovery_codes')(
+    options.log || mocks.mockLog(),
+    isA,
+    error,
+    options.db,
+    options.config || {},
+    options.customs || mocks.mockCustoms()
+  )
+}
+
+function runTest (routes, path, request) {
+  return new P((resolve, reject) => {
+    getRoute(routes, path).handler(request, response => {
+      if (response instanceof Error) {
+        reject(response)
+      } else {
+        resolve(response)
+      }
+    })
+  })
+}
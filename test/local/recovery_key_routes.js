@@ -0,0 +1,205 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const error = require('../../lib/error')
+const getRoute = require('../routes_helpers').getRoute
+const isA = require('joi')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const uuid = require('uuid')
+
+const TEST_EMAIL = 'foo@example.com'
+const RECOVERY_KEY_ID = '0123456789abcdef0123456789abcdef'
+const RECOVERY_DATA = 'eyJhbGciOiJkaXIiLCJlbmMiOiJBMjU2R0NNIn0..aXY.Y2lwaGVydGV4dA.dGFn'
+
+describe('/recoveryKey', () => {
+  const uid = uuid.v4('binary')
+
+  it('stores the recovery key', () => {
+    const db = mocks.mockDB({ uid: uid })
+    const customs = mocks.mockCustoms()
+    const request = makeRequest({
+      uid: uid,
+      payload: {
+        recoveryKeyId: RECOVERY_KEY_ID,
+        recoveryData: RECOVERY_DATA
+      }
+    })
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/recoveryKey', request)
+      .then(response => {
+        assert.deepEqual(response, {})
+
+        assert.equal(customs.checkAuthenticated.callCount, 1, 'customs.checkAuthenticated was called once')
+        assert.equal(customs.checkAuthenticated.args[0][0], 'createRecoveryKey', 'customs action was createRecoveryKey')
+
+        assert.equal(db.createRecoveryKey.callCount, 1, 'db.createRecoveryKey was called once')
+        const args = db.createRecoveryKey.args[0]
+        assert.equal(args[0], uid, 'first argument was uid')
+        assert.equal(args[1].toString('hex'), RECOVERY_KEY_ID, 'second argument was recoveryKeyId')
+        assert.equal(args[2], RECOVERY_DATA, 'third argument was recoveryData')
+      })
+  })
+
+  it('fails for an unverified session', () => {
+    const db = mocks.mockDB({ uid: uid })
+    const request = makeRequest({
+      uid: uid,
+      tokenVerified: false,
+      payload: {
+        recoveryKeyId: RECOVERY_KEY_ID,
+        recoveryData: RECOVERY_DATA
+      }
+    })
+
+    return runTest(makeRoutes({ db: db }), '/recoveryKey', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SESSION, 'correct errno')
+        assert.equal(db.createRecoveryKey.callCount, 0, 'db.createRecoveryKey was not called')
+      })
+  })
+})
+
+describe('/recoveryKey/exists', () => {
+  const uid = uuid.v4('binary')
+
+  it('checks the session\'s account', () => {
+    const db = mocks.mockDB({ uid: uid, recoveryData: RECOVERY_DATA })
+
+    return runTest(makeRoutes({ db: db }), '/recoveryKey/exists', makeRequest({ uid: uid }))
+      .then(response => {
+        assert.deepEqual(response, { exists: true })
+        assert.equal(db.recoveryKeyExists.callCount, 1, 'db.recoveryKeyExists was called once')
+        assert.equal(db.recoveryKeyExists.args[0][0], uid, 'first argument was uid')
+      })
+  })
+
+  it('checks an account by email without a session', () => {
+    const db = mocks.mockDB({ uid: uid, email: TEST_EMAIL })
+    const customs = mocks.mockCustoms()
+    const request = mocks.mockRequest({
+      log: mocks.mockLog(),
+      payload: {
+        email: TEST_EMAIL
+      }
+    })
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/recoveryKey/exists', request)
+      .then(response => {
+        assert.deepEqual(response, { exists: false })
+        assert.equal(customs.check.callCount, 1, 'customs.check was called once')
+        assert.equal(customs.check.args[0][2], 'recoveryKeyExists', 'customs action was recoveryKeyExists')
+        assert.equal(db.emailRecord.callCount, 1, 'db.emailRecord was called once')
+        assert.equal(db.recoveryKeyExists.args[0][0], uid, 'first argument was uid')
+      })
+  })
+
+  it('requires an email without a session', () => {
+    const db = mocks.mockDB({ uid: uid })
+    const request = mocks.mockRequest({
+      log: mocks.mockLog(),
+      payload: {}
+    })
+
+    return runTest(makeRoutes({ db: db }), '/recoveryKey/exists', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.MISSING_PARAMETER, 'correct errno')
+        assert.equal(db.recoveryKeyExists.callCount, 0, 'db.recoveryKeyExists was not called')
+      })
+  })
+})
+
+describe('/recoveryKey/{recoveryKeyId}', () => {
+  const uid = uuid.v4('binary')
+
+  function makeResetRequest () {
+    return mocks.mockRequest({
+      credentials: {
+        uid: uid
+      },
+      log: mocks.mockLog(),
+      params: {
+        recoveryKeyId: RECOVERY_KEY_ID
+      }
+    })
+  }
+
+  it('returns the recovery data', () => {
+    const db = mocks.mockDB({ uid: uid, recoveryData: RECOVERY_DATA })
+    const customs = mocks.mockCustoms()
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/recoveryKey/{recoveryKeyId}', makeResetRequest())
+      .then(response => {
+        assert.deepEqual(response, { recoveryData: RECOVERY_DATA })
+        assert.equal(customs.checkAuthenticated.callCount, 1, 'customs.checkAuthenticated was called once')
+        assert.equal(customs.checkAuthenticated.args[0][0], 'getRecoveryKey', 'customs action was getRecoveryKey')
+        assert.equal(db.recoveryKey.callCount, 1, 'db.recoveryKey was called once')
+        assert.equal(db.recoveryKey.args[0][0], uid, 'first argument was uid')
+        assert.equal(db.recoveryKey.args[0][1].toString('hex'), RECOVERY_KEY_ID, 'second argument was recoveryKeyId')
+      })
+  })
+
+  it('fails for an unknown recovery key', () => {
+    const db = mocks.mockDB({ uid: uid })
+
+    return runTest(makeRoutes({ db: db }), '/recoveryKey/{recoveryKeyId}', makeResetRequest())
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.RECOVERY_KEY_NOT_FOUND, 'correct errno')
+      })
+  })
+})
+
+describe('/recoveryKey/destroy', () => {
+  const uid = uuid.v4('binary')
+
+  it('removes the recovery key', () => {
+    const db = mocks.mockDB({ uid: uid })
+
+    return runTest(makeRoutes({ db: db }), '/recoveryKey/destroy', makeRequest({ uid: uid }))
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(db.deleteRecoveryKey.callCount, 1, 'db.deleteRecoveryKey was called once')
+        assert.equal(db.deleteRecoveryKey.args[0][0], uid, 'first argument was uid')
+      })
+  })
+})
+
+function makeRequest (options) {
+  return mocks.mockRequest({
+    credentials: {
+      email: TEST_EMAIL,
+      emailVerified: true,
+      tokenVerified: options.tokenVerified !== false,
+      uid: options.uid
+    },
+    log: mocks.mockLog(),
+    payload: options.payload || {}
+  })
+}
+
+function makeRoutes (options) {
+  return require('../../lib/routes/recovery_key')(
+    options.log || mocks.mockLog(),
+    isA,
+    error,
+    options.db,
+    options.config || {},
+    options.customs || mocks.mockCustoms()
+  )
+}
+
+function runTest (routes, path, request) {
+  return new P((resolve, reject) => {
+    getRoute(routes, path).handler(request, response => {
+      if (response instanceof Error) {
+        reject(response)
+      } else {
+        resolve(response)
+      }
+    })
+  })
+}
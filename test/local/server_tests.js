@@ -0,0 +1,86 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const hawk = require('hawk')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const error = require('../../lib/error')
+const Server = require('../../lib/server')
+
+const config = require('../../config').getProperties()
+const tokens = require('../../lib/tokens')(mocks.mockLog(), config)
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.12; rv:57.0) Gecko/20100101 Firefox/57.0'
+
+describe('lib/server', () => {
+  let db, server, sessionToken
+
+  function makeRequest (key) {
+    const url = config.publicUrl + '/v1/session/status'
+    const header = hawk.client.header(url, 'GET', {
+      credentials: {
+        id: sessionToken.id,
+        key: key || sessionToken.authKey,
+        algorithm: 'sha256'
+      }
+    })
+    return {
+      method: 'GET',
+      url: '/v1/session/status',
+      headers: {
+        authorization: header.field,
+        host: config.publicUrl.replace(/^https?:\/\//, ''),
+        'user-agent': USER_AGENT
+      }
+    }
+  }
+
+  beforeEach(() => {
+    return tokens.SessionToken.create({
+      email: 'foo@example.com',
+      uid: '01234567890123456789012345678901'
+    })
+      .then(token => {
+        sessionToken = token
+        db = mocks.mockDB()
+        db.sessionToken = () => P.resolve(sessionToken)
+        server = Server.create(mocks.mockLog({ summary: () => {} }), error, config, [
+          {
+            method: 'GET',
+            path: '/v1/session/status',
+            config: {
+              auth: {
+                strategy: 'sessionToken'
+              }
+            },
+            handler: (request, reply) => reply({})
+          }
+        ], db)
+        return server.initialize()
+      })
+  })
+
+  afterEach(() => server.stop())
+
+  it('refreshes the session token after a signed request', () => {
+    return server.inject(makeRequest())
+      .then(response => {
+        assert.equal(response.statusCode, 200, 'request succeeded')
+        assert.equal(db.updateSessionToken.callCount, 1, 'db.updateSessionToken was called once')
+        assert.equal(db.updateSessionToken.args[0][0], sessionToken, 'first argument was the session token')
+        assert.equal(db.updateSessionToken.args[0][1], USER_AGENT, 'second argument was the user agent')
+      })
+  })
+
+  it('does not refresh the session token after a badly signed request', () => {
+    return server.inject(makeRequest(Buffer.alloc(32)))
+      .then(response => {
+        assert.equal(response.statusCode, 401, 'request failed')
+        assert.equal(db.updateSessionToken.callCount, 0, 'db.updateSessionToken was not called')
+      })
+  })
+})
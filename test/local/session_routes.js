@@ -0,0 +1,240 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const crypto = require('crypto')
+const error = require('../../lib/error')
+const getRoute = require('../routes_helpers').getRoute
+const isA = require('joi')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const sinon = require('sinon')
+const uuid = require('uuid')
+
+describe('/session/destroy', () => {
+  const uid = uuid.v4('binary')
+  const otherTokenId = crypto.randomBytes(32).toString('hex')
+
+  function makeRequest (payload, tokenVerified) {
+    return mocks.mockRequest({
+      credentials: {
+        tokenId: crypto.randomBytes(32),
+        tokenVerified: tokenVerified !== false,
+        uid: uid
+      },
+      log: mocks.mockLog(),
+      payload: payload
+    })
+  }
+
+  it('destroys the caller\'s own session', () => {
+    const db = mocks.mockDB()
+    const request = makeRequest(null)
+
+    return runTest(makeRoutes({ db: db }), request)
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(db.sessionToken.callCount, 0, 'db.sessionToken was not called')
+        assert.equal(db.deleteSessionToken.callCount, 1, 'db.deleteSessionToken was called once')
+        assert.equal(db.deleteSessionToken.args[0][0], request.auth.credentials, 'first argument was the session token')
+      })
+  })
+
+  it('destroys another session on the same account', () => {
+    const otherSessionToken = { tokenId: Buffer(otherTokenId, 'hex'), uid: uid }
+    const db = mocks.mockDB({ sessionToken: otherSessionToken })
+    const push = mocks.mockPush()
+
+    return runTest(makeRoutes({ db: db, push: push }), makeRequest({ customSessionToken: otherTokenId }))
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(db.sessionToken.callCount, 1, 'db.sessionToken was called once')
+        assert.equal(db.sessionToken.args[0][0].toString('hex'), otherTokenId, 'first argument was the custom session token id')
+        assert.equal(db.deleteSessionToken.callCount, 1, 'db.deleteSessionToken was called once')
+        assert.equal(db.deleteSessionToken.args[0][0], otherSessionToken, 'first argument was the custom session token')
+        assert.equal(push.notifyDeviceDisconnected.callCount, 0, 'push.notifyDeviceDisconnected was not called')
+      })
+  })
+
+  it('notifies the device attached to another session', () => {
+    const otherSessionToken = { tokenId: Buffer(otherTokenId, 'hex'), uid: uid }
+    const deviceId = crypto.randomBytes(16)
+    const db = mocks.mockDB({
+      devices: [
+        { id: crypto.randomBytes(16), sessionToken: crypto.randomBytes(32) },
+        { id: deviceId, sessionToken: Buffer(otherTokenId, 'hex') }
+      ],
+      sessionToken: otherSessionToken
+    })
+    const push = mocks.mockPush()
+
+    return runTest(makeRoutes({ db: db, push: push }), makeRequest({ customSessionToken: otherTokenId }))
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(push.notifyDeviceDisconnected.callCount, 1, 'push.notifyDeviceDisconnected was called once')
+        const args = push.notifyDeviceDisconnected.args[0]
+        assert.equal(args[0], uid, 'first argument was the uid')
+        assert.equal(args[1], deviceId.toString('hex'), 'second argument was the device id')
+        assert.ok(push.notifyDeviceDisconnected.calledBefore(db.deleteSessionToken), 'device was notified before the session was destroyed')
+      })
+  })
+
+  it('fails for a session on another account', () => {
+    const db = mocks.mockDB({ sessionToken: { uid: uuid.v4('binary') } })
+
+    return runTest(makeRoutes({ db: db }), makeRequest({ customSessionToken: otherTokenId }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_TOKEN, 'correct errno')
+        assert.equal(db.deleteSessionToken.callCount, 0, 'db.deleteSessionToken was not called')
+      })
+  })
+
+  it('fails from an unverified session', () => {
+    const db = mocks.mockDB({ sessionToken: { uid: uid } })
+
+    return runTest(makeRoutes({ db: db }), makeRequest({ customSessionToken: otherTokenId }, false))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SESSION, 'correct errno')
+        assert.equal(db.sessionToken.callCount, 0, 'db.sessionToken was not called')
+        assert.equal(db.deleteSessionToken.callCount, 0, 'db.deleteSessionToken was not called')
+      })
+  })
+})
+
+describe('/session/reauth', () => {
+  const TEST_EMAIL = 'foo@example.com'
+  const uid = uuid.v4('binary')
+
+  function makeRequest (sessionToken) {
+    return mocks.mockRequest({
+      credentials: sessionToken,
+      log: mocks.mockLog(),
+      payload: {
+        email: TEST_EMAIL,
+        authPW: crypto.randomBytes(32).toString('hex')
+      }
+    })
+  }
+
+  function makeSessionToken () {
+    return {
+      uid: uid,
+      email: TEST_EMAIL,
+      emailVerified: true,
+      tokenVerified: true,
+      createdAt: Date.now() - 60 * 60 * 1000,
+      lastAuthAt: function () {
+        return Math.floor((this.authAt || this.createdAt) / 1000)
+      }
+    }
+  }
+
+  it('refreshes lastAuthAt after checking the password', () => {
+    const checkPassword = sinon.spy(() => P.resolve(true))
+    const customs = mocks.mockCustoms()
+    const db = mocks.mockDB({ email: TEST_EMAIL, uid: uid })
+    const sessionToken = makeSessionToken()
+    const request = makeRequest(sessionToken)
+    const now = Date.now()
+
+    return runTest(makeRoutes({ checkPassword: checkPassword, customs: customs, db: db }), request, '/session/reauth')
+      .then(response => {
+        assert.equal(customs.check.callCount, 1, 'customs.check was called once')
+        assert.equal(customs.check.args[0][2], 'sessionReauth', 'customs action was sessionReauth')
+        assert.equal(db.emailRecord.callCount, 1, 'db.emailRecord was called once')
+        assert.equal(checkPassword.callCount, 1, 'checkPassword was called once')
+        assert.equal(checkPassword.args[0][1].toString('hex'), request.payload.authPW, 'checkPassword was passed authPW')
+
+        assert.ok(sessionToken.authAt >= now, 'session token authAt was updated')
+        assert.equal(db.updateSessionTokenAuthAt.callCount, 1, 'db.updateSessionTokenAuthAt was called once')
+        assert.equal(db.updateSessionTokenAuthAt.args[0][0], sessionToken, 'first argument was the session token')
+
+        assert.deepEqual(response, {
+          uid: uid.toString('hex'),
+          authAt: Math.floor(sessionToken.authAt / 1000),
+          verified: true
+        })
+      })
+  })
+
+  it('fails for an incorrect password', () => {
+    const checkPassword = sinon.spy(() => P.resolve(false))
+    const db = mocks.mockDB({ email: TEST_EMAIL, uid: uid })
+    const sessionToken = makeSessionToken()
+
+    const request = makeRequest(sessionToken)
+
+    return runTest(makeRoutes({ checkPassword: checkPassword, db: db }), request, '/session/reauth')
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INCORRECT_PASSWORD, 'correct errno')
+        assert.equal(checkPassword.args[0][2], request.app.clientAddress, 'checkPassword was passed the client address to flag')
+        assert.equal(sessionToken.authAt, undefined, 'session token authAt was not updated')
+        assert.equal(db.updateSessionTokenAuthAt.callCount, 0, 'db.updateSessionTokenAuthAt was not called')
+      })
+  })
+
+  it('fails for another account\'s password', () => {
+    const checkPassword = sinon.spy(() => P.resolve(true))
+    const customs = mocks.mockCustoms()
+    const db = mocks.mockDB({ email: TEST_EMAIL, uid: uuid.v4('binary') })
+    const request = makeRequest(makeSessionToken())
+
+    return runTest(makeRoutes({ checkPassword: checkPassword, customs: customs, db: db }), request, '/session/reauth')
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INCORRECT_PASSWORD, 'correct errno')
+        assert.equal(checkPassword.callCount, 0, 'checkPassword was not called')
+        assert.equal(db.updateSessionTokenAuthAt.callCount, 0, 'db.updateSessionTokenAuthAt was not called')
+
+        assert.equal(customs.flag.callCount, 1, 'customs.flag was called once')
+        assert.equal(customs.flag.args[0][0], request.app.clientAddress, 'first argument was the client address')
+        assert.deepEqual(customs.flag.args[0][1], {
+          email: TEST_EMAIL,
+          errno: error.ERRNO.INCORRECT_PASSWORD
+        }, 'second argument contained email and errno')
+      })
+  })
+
+  it('fails for an unknown account', () => {
+    const checkPassword = sinon.spy(() => P.resolve(true))
+    const customs = mocks.mockCustoms()
+    const db = mocks.mockDB({}, { emailRecord: error.unknownAccount(TEST_EMAIL) })
+
+    return runTest(makeRoutes({ checkPassword: checkPassword, customs: customs, db: db }), makeRequest(makeSessionToken()), '/session/reauth')
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.ACCOUNT_UNKNOWN, 'correct errno')
+        assert.equal(checkPassword.callCount, 0, 'checkPassword was not called')
+        assert.equal(customs.flag.callCount, 1, 'customs.flag was called once')
+        assert.deepEqual(customs.flag.args[0][1], {
+          email: TEST_EMAIL,
+          errno: error.ERRNO.ACCOUNT_UNKNOWN
+        }, 'second argument contained email and errno')
+      })
+  })
+})
+
+function makeRoutes (options) {
+  return require('../../lib/routes/session')(
+    options.log || mocks.mockLog(),
+    isA,
+    error,
+    options.db,
+    options.customs || mocks.mockCustoms(),
+    options.checkPassword,
+    options.push || mocks.mockPush()
+  )
+}
+
+function runTest (routes, request, path) {
+  return new P((resolve, reject) => {
+    getRoute(routes, path || '/session/destroy').handler(request, response => {
+      if (response instanceof Error) {
+        reject(response)
+      } else {
+        resolve(response)
+      }
+    })
+  })
+}
@@ -23,7 +23,8 @@ var ACCOUNT = {
   email: Buffer('test@example.com').toString('hex'),
   emailCode: '123456',
   emailVerified: true,
-  tokenVerificationId: crypto.randomBytes(16)
+  tokenVerificationId: crypto.randomBytes(16),
+  verificationMethod: 'totp-2fa'
 }
 
 describe('SessionToken', () => {
@@ -36,6 +37,7 @@ describe('SessionToken', () => {
           assert.equal(typeof token.update, 'function', 'update method is defined')
           assert.equal(typeof token.isFresh, 'function', 'isFresh method is defined')
           assert.equal(typeof token.setUserAgentInfo, 'function', 'setUserAgentInfo method is defined')
+          assert.equal(typeof token.isIdle, 'function', 'isIdle method is defined')
         })
     }
   )
@@ -69,6 +71,7 @@ describe('SessionToken', () => {
             assert.equal(token.accountCreatedAt, token2.accountCreatedAt)
             assert.equal(token.tokenVerified, token2.tokenVerified)
             assert.equal(token.tokenVerificationId, token2.tokenVerificationId)
+            assert.equal(token.verificationMethod, token2.verificationMethod)
           }
         )
     }
@@ -336,4 +339,86 @@ describe('SessionToken', () => {
         })
     }
   )
+
+  it(
+    'lastAuthAt uses authAt when it is set',
+    () => {
+      return SessionToken.create(ACCOUNT)
+        .then(function (token) {
+          assert.equal(token.authAt, 0, 'authAt defaults to zero')
+          assert.equal(token.lastAuthAt(), Math.floor(token.createdAt / 1000), 'lastAuthAt is createdAt in seconds')
+          token.authAt = token.createdAt + 60000
+          assert.equal(token.lastAuthAt(), Math.floor(token.createdAt / 1000) + 60, 'lastAuthAt is authAt in seconds')
+        })
+    }
+  )
+
+  it(
+    'lifetime and idle expiry are disabled by default',
+    () => {
+      return SessionToken.create(ACCOUNT)
+        .then(function (token) {
+          token.lastAccessTime = 1
+          assert.equal(token.lifetime, Infinity, 'lifetime is Infinity')
+          assert.equal(token.expired(Date.now()), false, 'token is not expired')
+          assert.equal(token.isIdle(Date.now()), false, 'token is not idle')
+        })
+    }
+  )
+})
+
+describe('SessionToken with configured lifetimes', () => {
+  const IdleSessionToken = require('../../lib/tokens')(log, {
+    lastAccessTimeUpdates: {
+      enabled: true,
+      enabledEmailAddresses: /.+/,
+      sampleRate: 1
+    },
+    tokenLifetimes: {
+      sessionToken: 1000 * 60 * 60,
+      sessionTokenIdle: 1000 * 60
+    }
+  }).SessionToken
+
+  it(
+    'expires after the absolute lifetime',
+    () => {
+      return IdleSessionToken.create({ uid: 'xxx' })
+        .then(function (token) {
+          assert.equal(token.lifetime, 1000 * 60 * 60, 'lifetime is set')
+          assert.equal(token.expired(token.createdAt + 1000 * 60 * 59), false, 'token is not expired before its lifetime')
+          assert.equal(token.expired(token.createdAt + 1000 * 60 * 61), true, 'token is expired after its lifetime')
+        })
+    }
+  )
+
+  it(
+    'is idle after the idle lifetime since lastAccessTime',
+    () => {
+      return IdleSessionToken.create({ uid: 'xxx', email: 'test@example.com' })
+        .then(function (token) {
+          const now = Date.now()
+          token.lastAccessTime = now - 1000 * 30
+          assert.equal(token.isIdle(now), false, 'token is not idle')
+          token.lastAccessTime = now - 1000 * 90
+          assert.equal(token.isIdle(now), true, 'token is idle')
+          token.lastAccessTime = undefined
+          assert.equal(token.isIdle(now), false, 'token without lastAccessTime is not idle')
+        })
+    }
+  )
+
+  it(
+    'refreshes lastAccessTime within the idle lifetime',
+    () => {
+      return IdleSessionToken.create({ uid: 'xxx', email: 'test@example.com' })
+        .then(function (token) {
+          const now = Date.now()
+          token.lastAccessTime = now - 1000 * 40
+          assert.equal(token.isFresh({ lastAccessTime: now }), false, 'token is not fresh after half the idle lifetime')
+          token.lastAccessTime = now - 1000 * 20
+          assert.equal(token.isFresh({ lastAccessTime: now }), true, 'token is fresh within half the idle lifetime')
+        })
+    }
+  )
 })
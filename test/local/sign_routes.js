@@ -12,6 +12,7 @@ var getRoute = require('../routes_helpers').getRoute
 var isA = require('joi')
 var mocks = require('../mocks')
 var P = require('../../lib/promise')
+var sinon = require('sinon')
 
 describe('/certificate/sign', () => {
   var deviceId = crypto.randomBytes(16)
@@ -122,6 +123,157 @@ describe('/certificate/sign', () => {
     })
   })
 
+  it('with a changed primary email', () => {
+    const mockSigner = {
+      sign: sinon.spy(() => P.resolve({}))
+    }
+    // The db returns sessions with the account's current primary email.
+    mockRequest.auth.credentials.email = 'new-primary@example.com'
+
+    return runTest({
+      devices: mockDevices,
+      log: mockLog,
+      signer: mockSigner
+    }, mockRequest, function () {
+      assert.equal(mockSigner.sign.callCount, 1, 'signer.sign was called once')
+      assert.equal(mockSigner.sign.args[0][0].verifiedEmail, 'new-primary@example.com', 'verifiedEmail was the primary email')
+    })
+    .then(function () {
+      mockLog.activityEvent.reset()
+      mockDevices.upsert.reset()
+    })
+  })
+
+  describe('with elliptic-curve keys', () => {
+    // A point on P-256 and an Ed25519 public key
+    const P256_X = 'f83OJ3D2xF1Bg8vub9tLe1gHMzV76e8Tus9uPHvRVEU'
+    const P256_Y = 'x_FEzRu9m36HLN_tue659LNpXW6pCyStikYjKIWI5a0'
+    const ED25519_X = '11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo'
+
+    function makeRequest (publicKey) {
+      return mocks.mockRequest({
+        credentials: mockRequest.auth.credentials,
+        log: mockLog,
+        payload: {
+          duration: 0,
+          publicKey: publicKey
+        },
+        query: {}
+      })
+    }
+
+    function signWith (publicKey) {
+      const mockSigner = {
+        sign: sinon.spy(() => P.resolve({}))
+      }
+      return runTest({
+        devices: mockDevices,
+        log: mockLog,
+        signer: mockSigner
+      }, makeRequest(publicKey), () => mockSigner)
+        .then(
+          mockSigner => mockSigner,
+          err => {
+            assert.equal(mockSigner.sign.callCount, 0, 'signer.sign was not called')
+            return err
+          }
+        )
+    }
+
+    afterEach(() => {
+      mockLog.activityEvent.reset()
+      mockDevices.upsert.reset()
+    })
+
+    it('signs a P-256 key', () => {
+      const publicKey = { algorithm: 'ES', crv: 'P-256', x: P256_X, y: P256_Y }
+      return signWith(publicKey)
+        .then(mockSigner => {
+          assert.equal(mockSigner.sign.callCount, 1, 'signer.sign was called once')
+          assert.deepEqual(mockSigner.sign.args[0][0].publicKey, publicKey, 'the key was passed to the signer')
+        })
+    })
+
+    it('signs an Ed25519 key', () => {
+      const publicKey = { algorithm: 'ED', crv: 'Ed25519', x: ED25519_X }
+      return signWith(publicKey)
+        .then(mockSigner => {
+          assert.equal(mockSigner.sign.callCount, 1, 'signer.sign was called once')
+          assert.deepEqual(mockSigner.sign.args[0][0].publicKey, publicKey, 'the key was passed to the signer')
+        })
+    })
+
+    it('rejects a P-256 key that is not on the curve', () => {
+      return signWith({ algorithm: 'ES', crv: 'P-256', x: P256_X, y: P256_X })
+        .then(err => {
+          assert.equal(err.errno, error.ERRNO.INVALID_PARAMETER, 'invalidRequestParameter error was returned')
+        })
+    })
+
+    it('rejects a P-256 key with another curve', () => {
+      return signWith({ algorithm: 'ES', crv: 'P-384', x: P256_X, y: P256_Y })
+        .then(err => {
+          assert.equal(err.errno, error.ERRNO.INVALID_PARAMETER, 'invalidRequestParameter error was returned')
+        })
+    })
+
+    it('rejects an Ed25519 key of the wrong length', () => {
+      return signWith({ algorithm: 'ED', crv: 'Ed25519', x: P256_X.substr(4) })
+        .then(err => {
+          assert.equal(err.errno, error.ERRNO.INVALID_PARAMETER, 'invalidRequestParameter error was returned')
+        })
+    })
+
+    it('rejects an Ed25519 key that is not on the curve', () => {
+      return signWith({ algorithm: 'ED', crv: 'Ed25519', x: 'AgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' })
+        .then(err => {
+          assert.equal(err.errno, error.ERRNO.INVALID_PARAMETER, 'invalidRequestParameter error was returned')
+        })
+    })
+
+    it('rejects an Ed25519 key without x', () => {
+      return signWith({ algorithm: 'ED', crv: 'Ed25519' })
+        .then(err => {
+          assert.equal(err.errno, error.ERRNO.MISSING_PARAMETER, 'missingRequestParameter error was returned')
+          assert.equal(err.output.payload.param, 'x', 'x was missing')
+        })
+    })
+  })
+
+  it('synthesizes a device for an account at the device limit', () => {
+    const db = mocks.mockDB({
+      device: {},
+      deviceId: deviceId,
+      devices: [ {}, {}, {} ]
+    })
+    const devices = require('../../lib/devices')(mocks.mockLog(), db, mocks.mockPush(), {
+      deviceLimit: {
+        max: 3,
+        policy: 'reject'
+      }
+    })
+    const request = mocks.mockRequest({
+      credentials: {
+        emailVerified: true,
+        lastAuthAt: () => Date.now(),
+        locale: 'en',
+        tokenId: crypto.randomBytes(16),
+        uid: uuid.v4('binary')
+      },
+      log: mocks.spyLog(),
+      payload: mockRequest.payload,
+      query: {}
+    })
+
+    return runTest({
+      db: db,
+      devices: devices
+    }, request, function () {
+      assert.equal(db.createDevice.callCount, 1, 'db.createDevice was called once')
+      assert.equal(db.deleteDevice.callCount, 0, 'db.deleteDevice was not called')
+    })
+  })
+
   function runTest (options, request, assertions) {
     return new P(function (resolve, reject) {
       getRoute(makeRoutes(options), '/certificate/sign')
@@ -152,12 +304,146 @@ describe('/certificate/sign', () => {
         }
       },
       options.db || {
-        updateSessionToken: function () {},
         updateLocale: function () {}
       },
       options.domain || 'wibble',
-      options.devices
+      options.devices,
+      options.config
+    )
+  }
+
+})
+
+describe('/session/id_token', () => {
+  const uid = uuid.v4('binary')
+  const config = {
+    idToken: {
+      enabled: true,
+      lifetime: 300000
+    },
+    totp: {
+      enabled: true
+    },
+    webauthn: {
+      enabled: true
+    }
+  }
+
+  function makeRequest (credentials, log) {
+    return mocks.mockRequest({
+      credentials: Object.assign({
+        emailVerified: true,
+        tokenVerified: true,
+        lastAuthAt: () => 1500000000,
+        uid: uid
+      }, credentials),
+      log: log || mocks.spyLog(),
+      payload: {
+        client_id: 'DCDB5AE7ADD825D2',
+        nonce: 'foo'
+      }
+    })
+  }
+
+  function makeSigner () {
+    return {
+      signIdToken: sinon.spy(() => P.resolve({ idToken: 'header.claims.signature' }))
+    }
+  }
+
+  function runTest (options, request) {
+    const routes = require('../../lib/routes/sign')(
+      mocks.spyLog(),
+      P,
+      isA,
+      error,
+      options.signer,
+      options.db || mocks.mockDB(),
+      'wibble',
+      mocks.mockDevices(),
+      options.config || config
     )
+    return new P(resolve => {
+      getRoute(routes, '/session/id_token').handler(request, resolve)
+    })
   }
 
+  it('signs an id token for a verified session', () => {
+    const signer = makeSigner()
+    const log = mocks.spyLog()
+    return runTest({ signer: signer }, makeRequest({}, log))
+      .then(response => {
+        assert.deepEqual(response, { idToken: 'header.claims.signature' })
+        assert.equal(signer.signIdToken.callCount, 1, 'signer.signIdToken was called once')
+        assert.deepEqual(signer.signIdToken.args[0][0], {
+          uid: uid.toString('hex'),
+          clientId: 'dcdb5ae7add825d2',
+          authAt: 1500000000,
+          amr: [ 'pwd' ],
+          acr: 'AAL1',
+          nonce: 'foo',
+          lifetime: 300000
+        }, 'signer.signIdToken was passed the claims')
+
+        assert.equal(log.activityEvent.callCount, 1, 'log.activityEvent was called once')
+        assert.equal(log.activityEvent.args[0][0], 'account.id_token', 'first argument was event name')
+        assert.equal(log.flowEvent.callCount, 0, 'log.flowEvent was not called')
+      })
+  })
+
+  it('reports a session verified with TOTP in amr and acr', () => {
+    const signer = makeSigner()
+    return runTest({ signer: signer }, makeRequest({ verificationMethod: 'totp-2fa' }))
+      .then(() => {
+        const claims = signer.signIdToken.args[0][0]
+        assert.deepEqual(claims.amr, [ 'pwd', 'otp' ], 'amr includes otp')
+        assert.equal(claims.acr, 'AAL2', 'acr is AAL2')
+      })
+  })
+
+  it('reports a session verified with WebAuthn in amr and acr', () => {
+    const signer = makeSigner()
+    return runTest({ signer: signer }, makeRequest({ verificationMethod: 'webauthn-2fa' }))
+      .then(() => {
+        const claims = signer.signIdToken.args[0][0]
+        assert.deepEqual(claims.amr, [ 'pwd', 'hwk' ], 'amr includes hwk')
+        assert.equal(claims.acr, 'AAL2', 'acr is AAL2')
+      })
+  })
+
+  it('does not report second factors enrolled after the session was created', () => {
+    const signer = makeSigner()
+    const db = mocks.mockDB()
+    db.totpToken = sinon.spy(() => P.resolve({ verified: true, enabled: true }))
+    db.webauthnCredentials = sinon.spy(() => P.resolve([ {} ]))
+    return runTest({ signer: signer, db: db }, makeRequest({ verificationMethod: null }))
+      .then(() => {
+        const claims = signer.signIdToken.args[0][0]
+        assert.deepEqual(claims.amr, [ 'pwd' ], 'amr is just pwd')
+        assert.equal(claims.acr, 'AAL1', 'acr is AAL1')
+        assert.equal(db.totpToken.callCount, 0, 'db.totpToken was not called')
+        assert.equal(db.webauthnCredentials.callCount, 0, 'db.webauthnCredentials was not called')
+      })
+  })
+
+  it('fails for an unverified session', () => {
+    const signer = makeSigner()
+    return runTest({ signer: signer }, makeRequest({ tokenVerified: false }))
+      .then(err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SESSION, 'unverifiedSession error was returned')
+        assert.equal(signer.signIdToken.callCount, 0, 'signer.signIdToken was not called')
+      })
+  })
+
+  it('fails when disabled', () => {
+    const signer = makeSigner()
+    return runTest({
+      signer: signer,
+      config: { idToken: { enabled: false } }
+    }, makeRequest())
+      .then(err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'featureNotEnabled error was returned')
+        assert.equal(signer.signIdToken.callCount, 0, 'signer.signIdToken was not called')
+      })
+  })
 })
@@ -0,0 +1,193 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const jwtool = require('fxa-jwtool')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const path = require('path')
+
+const signerModule = require('../../lib/signer')
+
+const config = {
+  domain: 'example.com',
+  publicUrl: 'https://example.com',
+  signingKeys: {
+    keysFile: path.resolve(__dirname, '../config/mock-signing-keys.json')
+  }
+}
+
+const certData = {
+  publicKey: { algorithm: 'RS', n: '1', e: '2' },
+  email: 'foo@example.com',
+  duration: 60000,
+  generation: 1
+}
+
+const idTokenData = {
+  uid: 'foo',
+  clientId: 'bar',
+  authAt: 1500000000,
+  amr: [ 'pwd' ],
+  acr: 'AAL1',
+  lifetime: 60000
+}
+
+describe('signer', () => {
+  it(
+    'uses the local backend by default',
+    () => {
+      const signer = signerModule(mocks.spyLog(), config)
+      assert.equal(typeof signer.sign, 'function', 'signer.sign is function')
+      assert.equal(typeof signer.signIdToken, 'function', 'signer.signIdToken is function')
+      assert.equal(typeof signer.publicKeys, 'function', 'signer.publicKeys is function')
+
+      return signer.sign(certData)
+        .then(result => {
+          return signer.publicKeys()
+            .then(keys => {
+              assert.ok(keys[0].verifySync(result.cert), 'cert verifies with the first public key')
+            })
+        })
+    }
+  )
+
+  describe('remote backend', () => {
+    const log = mocks.spyLog()
+    let daemon, signer
+
+    // Starts a signing daemon on a free port. Closing it also closes
+    // the pool's keep-alive connections, which would hold it open.
+    function startDaemon () {
+      const server = require('../../lib/signer/server')(log, signerModule(log, config))
+      const sockets = []
+      server.on('connection', socket => sockets.push(socket))
+      return new P(resolve => server.listen(0, '127.0.0.1', resolve))
+        .then(() => {
+          return {
+            url: 'http://127.0.0.1:' + server.address().port,
+            close: () => new P(resolve => {
+              server.close(resolve)
+              sockets.forEach(socket => socket.destroy())
+            })
+          }
+        })
+    }
+
+    function remoteConfig (url, keysCacheTime) {
+      return {
+        signer: {
+          backend: 'remote',
+          remote: {
+            url: url,
+            timeout: 5000,
+            keysCacheTime: keysCacheTime
+          }
+        }
+      }
+    }
+
+    before(() => {
+      return startDaemon()
+        .then(result => {
+          daemon = result
+          signer = signerModule(log, remoteConfig(daemon.url, 60000))
+        })
+    })
+
+    after(() => daemon.close())
+
+    it(
+      'signs certificates with the daemon',
+      () => {
+        return signer.sign(certData)
+          .then(result => {
+            const cert = jwtool.unverify(result.cert)
+            assert.equal(cert.payload.principal.email, 'foo@example.com', 'cert has the email')
+            assert.equal(cert.payload['fxa-generation'], 1, 'cert has the generation')
+            assert.ok(cert.header.kid, 'cert has a kid')
+
+            return signer.publicKeys()
+              .then(keys => {
+                assert.equal(keys[0].jwk.kid, cert.header.kid, 'the first public key signed it')
+                assert.equal(keys[0].jwk.d, undefined, 'private parts were not sent')
+                assert.ok(keys[0].verifySync(result.cert), 'cert verifies with the public key')
+              })
+          })
+      }
+    )
+
+    it(
+      'signs ID tokens with the daemon',
+      () => {
+        return signer.signIdToken(idTokenData)
+          .then(result => {
+            const idToken = jwtool.unverify(result.idToken)
+            assert.equal(idToken.payload.iss, 'https://example.com', 'iss is the public url')
+            assert.equal(idToken.payload.sub, 'foo', 'sub is the uid')
+            assert.equal(idToken.payload.aud, 'bar', 'aud is the client id')
+          })
+      }
+    )
+
+    it(
+      'caches public keys',
+      () => {
+        let first
+        return signer.publicKeys()
+          .then(keys => {
+            first = keys
+            return signer.publicKeys()
+          })
+          .then(keys => {
+            assert.equal(keys, first, 'the cached keys were returned')
+          })
+      }
+    )
+
+    it(
+      'the daemon refuses long-lived certificates',
+      () => {
+        log.error.reset()
+        return signer.sign(Object.assign({}, certData, { duration: 1000 * 60 * 60 * 25 }))
+          .then(
+            () => assert.fail('signer.sign should have failed'),
+            err => {
+              assert.equal(err.statusCode, 400, 'the daemon returned 400')
+              assert.equal(log.error.callCount, 1, 'log.error was called once')
+              assert.equal(log.error.args[0][0].op, 'signer.remote', 'the remote signer logged the error')
+            }
+          )
+      }
+    )
+
+    it(
+      'keeps publishing the last keys if the daemon goes away',
+      () => {
+        let otherDaemon, uncached, first
+        return startDaemon()
+          .then(result => {
+            otherDaemon = result
+            uncached = signerModule(log, remoteConfig(otherDaemon.url, 0))
+            return uncached.publicKeys()
+          })
+          .then(keys => {
+            first = keys
+            return otherDaemon.close()
+          })
+          .then(() => {
+            log.error.reset()
+            return uncached.publicKeys()
+          })
+          .then(keys => {
+            assert.equal(keys, first, 'the last keys were returned')
+            assert.equal(log.error.callCount, 1, 'log.error was called once')
+            assert.equal(log.error.args[0][0].op, 'signer.remote.publicKeys', 'the failure was logged')
+          })
+      }
+    )
+  })
+})
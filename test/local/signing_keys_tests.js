@@ -0,0 +1,182 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const crypto = require('crypto')
+const fs = require('fs')
+const jwtool = require('fxa-jwtool')
+const os = require('os')
+const path = require('path')
+
+const jwk = require('../../lib/crypto/jwk')
+const signingKeysModule = require('../../lib/signing-keys')
+
+const keysFile = path.resolve(__dirname, '../config/mock-signing-keys.json')
+const fileKeys = require(keysFile).keys
+const kids = fileKeys.map(key => jwk.publicJWK(key).kid)
+
+const config = {
+  domain: 'example.com',
+  signingKeys: {
+    keysFile: keysFile
+  }
+}
+
+describe('signingKeys', () => {
+  let signingKeys
+
+  before(() => {
+    signingKeys = signingKeysModule(config)
+  })
+
+  it(
+    'interface is correct',
+    () => {
+      assert.equal(typeof signingKeys.signingKey, 'function', 'signingKeys.signingKey is function')
+      assert.equal(typeof signingKeys.publicKeys, 'function', 'signingKeys.publicKeys is function')
+    }
+  )
+
+  it(
+    'keyState follows activatesAt and retiresAt',
+    () => {
+      const key = { activatesAt: 1000, retiresAt: 3000 }
+      assert.equal(signingKeysModule.keyState(key, 500), 'pending')
+      assert.equal(signingKeysModule.keyState(key, 1000), 'active')
+      assert.equal(signingKeysModule.keyState(key, 3000), 'retired')
+      assert.equal(signingKeysModule.keyState({ activatesAt: 1000, retiresAt: null }, 5000), 'active')
+    }
+  )
+
+  it(
+    'signs with the most recently activated key',
+    () => {
+      const key = signingKeys.signingKey(2500)
+      assert.equal(key.jwk.kid, kids[1], 'the second key signs')
+      assert.equal(key.jwk.iss, 'example.com', 'iss is the domain')
+      assert.equal(signingKeys.signingKey(5000).jwk.kid, kids[2], 'the third key signs once it activates')
+    }
+  )
+
+  it(
+    'publishes the signing key first and leaves out retired keys',
+    () => {
+      let published = signingKeys.publicKeys(2500).map(key => key.jwk.kid)
+      assert.deepEqual(published, [ kids[1], kids[0], kids[2] ], 'active and pending keys are published')
+
+      published = signingKeys.publicKeys(3500).map(key => key.jwk.kid)
+      assert.deepEqual(published, [ kids[1], kids[2] ], 'the retired key is not published')
+
+      const key = signingKeys.publicKeys(3500)[0]
+      assert.equal(key.jwk.d, undefined, 'private parts are not published')
+      assert.equal(key.jwk.algorithm, 'RS', 'algorithm is set for browserid')
+    }
+  )
+
+  it(
+    'certificates carry the kid of the signing key',
+    () => {
+      const signer = require('../../lib/signer/local')(signingKeys, 'https://example.com')
+      return signer.sign({
+        publicKey: { algorithm: 'RS', n: '1', e: '2' },
+        email: 'foo@example.com',
+        duration: 60000
+      })
+        .then(result => {
+          const cert = jwtool.unverify(result.cert)
+          assert.equal(cert.header.kid, signingKeys.signingKey().jwk.kid, 'header has the kid')
+          const publicKey = signingKeys.publicKeys()[0]
+          assert.ok(publicKey.verifySync(result.cert), 'cert verifies with the published key')
+        })
+    }
+  )
+
+  it(
+    'signs with ES256 from a P-256 key',
+    () => {
+      const file = path.join(os.tmpdir(), 'fxa-signing-keys-' + process.pid + '.json')
+      const ecdh = crypto.createECDH('prime256v1')
+      const pub = ecdh.generateKeys()
+      fs.writeFileSync(file, JSON.stringify({
+        keys: [
+          {
+            kty: 'EC',
+            crv: 'P-256',
+            x: pub.slice(1, 33).toString('base64'),
+            y: pub.slice(33).toString('base64'),
+            d: ecdh.getPrivateKey().toString('base64'),
+            activatesAt: 1000
+          }
+        ]
+      }))
+
+      let ecKeys
+      try {
+        ecKeys = signingKeysModule({ domain: 'example.com', signingKeys: { keysFile: file } })
+      } finally {
+        fs.unlinkSync(file)
+      }
+
+      const publicKey = ecKeys.publicKeys()[0]
+      assert.equal(publicKey.jwk.algorithm, 'ES', 'algorithm is ES')
+      assert.equal(publicKey.jwk.d, undefined, 'private parts are not published')
+      assert.equal(jwk.publicJWK(publicKey.jwk).alg, 'ES256', 'jwks alg is ES256')
+
+      const signer = require('../../lib/signer/local')(ecKeys, 'https://example.com')
+      return signer.sign({
+        publicKey: { algorithm: 'ES', crv: 'P-256', x: 'foo', y: 'bar' },
+        email: 'foo@example.com',
+        duration: 60000
+      })
+        .then(result => {
+          const cert = jwtool.unverify(result.cert)
+          assert.equal(cert.header.alg, 'ES256', 'cert is signed with ES256')
+          assert.equal(cert.header.kid, publicKey.jwk.kid, 'header has the kid')
+          assert.equal(cert.payload['public-key'].algorithm, 'ES', 'public-key claim has the client key')
+          assert.ok(publicKey.verifySync(result.cert), 'cert verifies with the published key')
+
+          return signer.signIdToken({ uid: 'foo', clientId: 'bar', amr: [ 'pwd' ], acr: 'AAL1', lifetime: 60000 })
+        })
+        .then(result => {
+          assert.equal(jwtool.unverify(result.idToken).header.alg, 'ES256', 'id token is signed with ES256')
+          assert.ok(publicKey.verifySync(result.idToken), 'id token verifies with the published key')
+        })
+    }
+  )
+
+  it(
+    'fails to load a keys file without an active key',
+    () => {
+      const file = path.join(os.tmpdir(), 'fxa-signing-keys-' + process.pid + '.json')
+      const key = Object.assign({}, fileKeys[0], { activatesAt: Date.now() + 60000 })
+      delete key.retiresAt
+      fs.writeFileSync(file, JSON.stringify({ keys: [ key ] }))
+      try {
+        assert.throws(() => {
+          signingKeysModule({ signingKeys: { keysFile: file } })
+        }, /No active signing key/)
+      } finally {
+        fs.unlinkSync(file)
+      }
+    }
+  )
+
+  it(
+    'fails to load a keys file with invalid dates',
+    () => {
+      const file = path.join(os.tmpdir(), 'fxa-signing-keys-' + process.pid + '.json')
+      const key = Object.assign({}, fileKeys[0], { activatesAt: 'wibble' })
+      fs.writeFileSync(file, JSON.stringify({ keys: [ key ] }))
+      try {
+        assert.throws(() => {
+          signingKeysModule.loadKeysFile(file)
+        }, /Invalid activatesAt/)
+      } finally {
+        fs.unlinkSync(file)
+      }
+    }
+  )
+})
@@ -0,0 +1,299 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const crypto = require('crypto')
+const error = require('../../lib/error')
+const getRoute = require('../routes_helpers').getRoute
+const isA = require('joi')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const sinon = require('sinon')
+const uuid = require('uuid')
+
+const TEST_EMAIL = 'foo@example.com'
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+const totp = require('../../lib/crypto/totp')({})
+
+describe('/totp/create', () => {
+  const uid = uuid.v4('binary')
+
+  it('creates a new token', () => {
+    const db = mocks.mockDB({ uid: uid })
+    const customs = mocks.mockCustoms()
+    const request = makeRequest({ uid: uid })
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/totp/create', request)
+      .then(response => {
+        assert.equal(customs.checkAuthenticated.callCount, 1, 'customs.checkAuthenticated was called once')
+        assert.equal(customs.checkAuthenticated.args[0][0], 'totpCreate', 'customs action was totpCreate')
+        assert.equal(db.deleteTotpToken.callCount, 0, 'db.deleteTotpToken was not called')
+        assert.equal(db.createTotpToken.callCount, 1, 'db.createTotpToken was called once')
+        const args = db.createTotpToken.args[0]
+        assert.equal(args[0], uid, 'first argument was uid')
+        assert.equal(args[1], response.secret, 'second argument was the secret')
+        assert.equal(args[2], 0, 'third argument was epoch')
+        assert.ok(/^otpauth:\/\/totp\/Firefox:/.test(response.uri), 'response contains uri')
+      })
+  })
+
+  it('replaces an unverified token', () => {
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, verified: false, enabled: false } })
+    const request = makeRequest({ uid: uid })
+
+    return runTest(makeRoutes({ db: db }), '/totp/create', request)
+      .then(() => {
+        assert.equal(db.deleteTotpToken.callCount, 1, 'db.deleteTotpToken was called once')
+        assert.equal(db.createTotpToken.callCount, 1, 'db.createTotpToken was called once')
+      })
+  })
+
+  it('fails if a verified token exists', () => {
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, verified: true, enabled: true } })
+    const request = makeRequest({ uid: uid })
+
+    return runTest(makeRoutes({ db: db }), '/totp/create', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.TOTP_TOKEN_EXISTS, 'correct errno')
+        assert.equal(db.createTotpToken.callCount, 0, 'db.createTotpToken was not called')
+      })
+  })
+
+  it('fails for an unverified session', () => {
+    const db = mocks.mockDB({ uid: uid })
+    const request = makeRequest({ uid: uid, tokenVerified: false })
+
+    return runTest(makeRoutes({ db: db }), '/totp/create', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SESSION, 'correct errno')
+        assert.equal(db.createTotpToken.callCount, 0, 'db.createTotpToken was not called')
+      })
+  })
+
+  it('fails if the feature is disabled', () => {
+    const db = mocks.mockDB({ uid: uid })
+    const request = makeRequest({ uid: uid })
+
+    return runTest(makeRoutes({ db: db, config: { totp: { enabled: false } } }), '/totp/create', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'correct errno')
+      })
+  })
+})
+
+describe('/totp/exists', () => {
+  const uid = uuid.v4('binary')
+
+  it('returns false without a token', () => {
+    const db = mocks.mockDB({ uid: uid })
+    return runTest(makeRoutes({ db: db }), '/totp/exists', makeRequest({ uid: uid }))
+      .then(response => assert.deepEqual(response, { exists: false }))
+  })
+
+  it('returns false for an unverified token', () => {
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, verified: false, enabled: false } })
+    return runTest(makeRoutes({ db: db }), '/totp/exists', makeRequest({ uid: uid }))
+      .then(response => assert.deepEqual(response, { exists: false }))
+  })
+
+  it('returns true for a verified token', () => {
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, verified: true, enabled: true } })
+    return runTest(makeRoutes({ db: db }), '/totp/exists', makeRequest({ uid: uid }))
+      .then(response => assert.deepEqual(response, { exists: true }))
+  })
+
+  it('fails if the feature is disabled', () => {
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, verified: true, enabled: true } })
+    return runTest(makeRoutes({ db: db, config: { totp: { enabled: false } } }), '/totp/exists', makeRequest({ uid: uid }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'correct errno')
+        assert.equal(db.totpToken.callCount, 0, 'db.totpToken was not called')
+      })
+  })
+})
+
+describe('/totp/destroy', () => {
+  const uid = uuid.v4('binary')
+
+  it('deletes the token', () => {
+    const db = mocks.mockDB({ uid: uid })
+    return runTest(makeRoutes({ db: db }), '/totp/destroy', makeRequest({ uid: uid }))
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(db.deleteTotpToken.callCount, 1, 'db.deleteTotpToken was called once')
+        assert.equal(db.deleteTotpToken.args[0][0], uid, 'db.deleteTotpToken was passed uid')
+      })
+  })
+
+  it('fails for an unverified session', () => {
+    const db = mocks.mockDB({ uid: uid })
+    return runTest(makeRoutes({ db: db }), '/totp/destroy', makeRequest({ uid: uid, tokenVerified: false }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SESSION, 'correct errno')
+        assert.equal(db.deleteTotpToken.callCount, 0, 'db.deleteTotpToken was not called')
+      })
+  })
+
+  it('fails if the feature is disabled', () => {
+    const db = mocks.mockDB({ uid: uid })
+    return runTest(makeRoutes({ db: db, config: { totp: { enabled: false } } }), '/totp/destroy', makeRequest({ uid: uid }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'correct errno')
+        assert.equal(db.deleteTotpToken.callCount, 0, 'db.deleteTotpToken was not called')
+      })
+  })
+})
+
+describe('/session/verify/totp', () => {
+  const uid = uuid.v4('binary')
+  const tokenVerificationId = crypto.randomBytes(16)
+
+  it('enables an unverified token', () => {
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, epoch: 0, verified: false, enabled: false } })
+    const customs = mocks.mockCustoms()
+    const code = totp.generateCode(SECRET)
+    const request = makeRequest({ uid: uid, payload: { code: code } })
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/session/verify/totp', request)
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(customs.check.callCount, 1, 'customs.check was called once')
+        assert.equal(customs.check.args[0][2], 'verifyTotpCode', 'customs action was verifyTotpCode')
+        assert.equal(db.updateTotpToken.callCount, 1, 'db.updateTotpToken was called once')
+        assert.deepEqual(db.updateTotpToken.args[0][1], { verified: true, enabled: true, epoch: totp.timeStep(SECRET, code), previousEpoch: 0 })
+        assert.equal(db.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('verifies the session', () => {
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, epoch: 0, verified: true, enabled: true } })
+    const code = totp.generateCode(SECRET)
+    const request = makeRequest({
+      uid: uid,
+      tokenVerified: false,
+      tokenVerificationId: tokenVerificationId,
+      payload: { code: code }
+    })
+
+    return runTest(makeRoutes({ db: db }), '/session/verify/totp', request)
+      .then(() => {
+        assert.equal(db.updateTotpToken.callCount, 1, 'db.updateTotpToken was called once')
+        assert.deepEqual(db.updateTotpToken.args[0][1], { verified: true, enabled: true, epoch: totp.timeStep(SECRET, code), previousEpoch: 0 }, 'the time step was saved over the one that was read')
+        assert.equal(db.verifyTokens.callCount, 1, 'db.verifyTokens was called once')
+        assert.equal(db.verifyTokens.args[0][0], tokenVerificationId, 'first argument was tokenVerificationId')
+        assert.deepEqual(db.verifyTokens.args[0][1], { uid: uid }, 'second argument contained uid')
+      })
+  })
+
+  it('rejects an invalid code', () => {
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, verified: true, enabled: true } })
+    const customs = mocks.mockCustoms()
+    const code = totp.generateCode(SECRET, Date.now() - 10 * 60 * 1000)
+    const request = makeRequest({ uid: uid, tokenVerificationId: tokenVerificationId, payload: { code: code } })
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/session/verify/totp', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_TOTP_CODE, 'correct errno')
+        assert.equal(customs.flag.callCount, 1, 'customs.flag was called once')
+        assert.deepEqual(customs.flag.args[0][1], {
+          email: TEST_EMAIL,
+          errno: error.ERRNO.INVALID_TOTP_CODE
+        }, 'customs.flag was passed email and errno')
+        assert.equal(db.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('rejects a code that was already used', () => {
+    const code = totp.generateCode(SECRET)
+    const epoch = totp.timeStep(SECRET, code)
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, epoch: epoch, verified: true, enabled: true } })
+    const customs = mocks.mockCustoms()
+    const request = makeRequest({ uid: uid, tokenVerificationId: tokenVerificationId, payload: { code: code } })
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/session/verify/totp', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_TOTP_CODE, 'correct errno')
+        assert.equal(customs.flag.callCount, 1, 'customs.flag was called once')
+        assert.equal(db.updateTotpToken.callCount, 0, 'db.updateTotpToken was not called')
+        assert.equal(db.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('rejects a code that a concurrent request used first', () => {
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, epoch: 0, verified: true, enabled: true } })
+    db.updateTotpToken = sinon.spy(() => P.reject(error.totpTokenNotFound()))
+    const customs = mocks.mockCustoms()
+    const code = totp.generateCode(SECRET)
+    const request = makeRequest({ uid: uid, tokenVerificationId: tokenVerificationId, payload: { code: code } })
+
+    return runTest(makeRoutes({ customs: customs, db: db }), '/session/verify/totp', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_TOTP_CODE, 'correct errno')
+        assert.equal(customs.flag.callCount, 1, 'customs.flag was called once')
+        assert.equal(db.updateTotpToken.callCount, 1, 'db.updateTotpToken was called once')
+        assert.equal(db.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('fails if the feature is disabled', () => {
+    const db = mocks.mockDB({ uid: uid, totpToken: { sharedSecret: SECRET, epoch: 0, verified: true, enabled: true } })
+    const request = makeRequest({ uid: uid, tokenVerificationId: tokenVerificationId, payload: { code: totp.generateCode(SECRET) } })
+
+    return runTest(makeRoutes({ db: db, config: { totp: { enabled: false } } }), '/session/verify/totp', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'correct errno')
+        assert.equal(db.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('fails without a token', () => {
+    const db = mocks.mockDB({ uid: uid })
+    const request = makeRequest({ uid: uid, payload: { code: '123456' } })
+
+    return runTest(makeRoutes({ db: db }), '/session/verify/totp', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.TOTP_TOKEN_NOT_FOUND, 'correct errno')
+      })
+  })
+})
+
+function makeRequest (options) {
+  return mocks.mockRequest({
+    credentials: {
+      email: TEST_EMAIL,
+      emailVerified: true,
+      tokenVerified: options.tokenVerified !== false,
+      tokenVerificationId: options.tokenVerificationId,
+      uid: options.uid
+    },
+    log: mocks.mockLog(),
+    payload: options.payload || {}
+  })
+}
+
+function makeRoutes (options) {
+  const config = options.config || { totp: { enabled: true } }
+  return require('../../lib/routes/totp')(
+    options.log || mocks.mockLog(),
+    isA,
+    error,
+    options.db,
+    config,
+    options.customs || mocks.mockCustoms()
+  )
+}
+
+function runTest (routes, path, request) {
+  return new P((resolve, reject) => {
+    getRoute(routes, path).handler(request, response => {
+      if (response instanceof Error) {
+        reject(response)
+      } else {
+        resolve(response)
+      }
+    })
+  })
+}
@@ -0,0 +1,74 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const totpModule = require('../../lib/crypto/totp')
+
+// The shared secret from the RFC 6238 test vectors,
+// ASCII "12345678901234567890" in base32.
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+describe('totp', () => {
+  const totp = totpModule({ step: 30, window: 1, serviceName: 'Firefox' })
+
+  it('encodes and decodes base32', () => {
+    const buffer = Buffer('12345678901234567890')
+    assert.equal(totpModule.encode(buffer), SECRET)
+    assert.equal(totpModule.decode(SECRET).toString(), '12345678901234567890')
+    assert.equal(totpModule.decode(SECRET.toLowerCase()).toString(), '12345678901234567890')
+    assert.throws(() => totpModule.decode('1NVALID'))
+  })
+
+  it('generates a random base32 secret', () => {
+    return totp.generateSecret()
+      .then(secret => {
+        assert.ok(/^[A-Z2-7]{32}$/.test(secret), 'secret is 20 bytes of base32')
+        assert.equal(totpModule.decode(secret).length, 20)
+      })
+  })
+
+  it('generates codes matching the RFC 6238 test vectors', () => {
+    assert.equal(totp.generateCode(SECRET, 59 * 1000), '287082')
+    assert.equal(totp.generateCode(SECRET, 1111111109 * 1000), '081804')
+    assert.equal(totp.generateCode(SECRET, 1234567890 * 1000), '005924')
+    assert.equal(totp.generateCode(SECRET, 2000000000 * 1000), '279037')
+  })
+
+  it('verifies codes within the window', () => {
+    const now = 1111111109 * 1000
+    assert.equal(totp.verify(SECRET, '081804', now), true)
+    assert.equal(totp.verify(SECRET, '081804', now + 30 * 1000), true)
+    assert.equal(totp.verify(SECRET, '081804', now - 30 * 1000), true)
+    assert.equal(totp.verify(SECRET, '081804', now + 60 * 1000), false)
+    assert.equal(totp.verify(SECRET, '081805', now), false)
+    assert.equal(totp.verify(SECRET, '81804', now), false)
+  })
+
+  it('returns the time step that a code is for', () => {
+    const now = 1111111109 * 1000
+    const counter = Math.floor(now / 1000 / 30)
+    assert.equal(totp.timeStep(SECRET, '081804', now), counter)
+    assert.equal(totp.timeStep(SECRET, '081804', now + 30 * 1000), counter)
+    assert.equal(totp.timeStep(SECRET, totp.generateCode(SECRET, now + 30 * 1000), now), counter + 1)
+    assert.equal(totp.timeStep(SECRET, '081804', now + 60 * 1000), -1)
+    assert.equal(totp.timeStep(SECRET, '081805', now), -1)
+  })
+
+  it('respects a zero window', () => {
+    const strict = totpModule({ window: 0 })
+    const now = 1111111109 * 1000
+    assert.equal(strict.verify(SECRET, '081804', now), true)
+    assert.equal(strict.verify(SECRET, '081804', now + 30 * 1000), false)
+  })
+
+  it('builds an otpauth uri', () => {
+    assert.equal(
+      totp.keyUri('foo@example.com', SECRET),
+      'otpauth://totp/Firefox:foo%40example.com?secret=' + SECRET +
+        '&issuer=Firefox&algorithm=SHA1&digits=6&period=30'
+    )
+  })
+})
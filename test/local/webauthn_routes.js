@@ -0,0 +1,318 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const error = require('../../lib/error')
+const getRoute = require('../routes_helpers').getRoute
+const isA = require('joi')
+const mocks = require('../mocks')
+const P = require('../../lib/promise')
+const sinon = require('sinon')
+const SoftwareAuthenticator = require('../webauthn_helper')
+const uuid = require('uuid')
+
+const TEST_EMAIL = 'foo@example.com'
+const CONFIG = {
+  webauthn: {
+    enabled: true,
+    rpId: 'accounts.example.com',
+    rpName: 'Firefox Accounts',
+    origin: 'https://accounts.example.com',
+    challengeLifetime: 60000
+  }
+}
+
+describe('webauthn registration', () => {
+  let uid, tokenId, db, authenticator, routes
+
+  beforeEach(() => {
+    uid = uuid.v4('binary')
+    tokenId = Buffer(uuid.v4('binary'))
+    authenticator = new SoftwareAuthenticator(CONFIG.webauthn)
+    db = mockDB({ uid: uid })
+    routes = makeRoutes({ db: db })
+  })
+
+  it('registers a credential', () => {
+    const customs = mocks.mockCustoms()
+    routes = makeRoutes({ db: db, customs: customs })
+
+    return runTest(routes, '/webauthn/register/start', makeRequest({ uid: uid, tokenId: tokenId }))
+      .then(options => {
+        assert.equal(customs.checkAuthenticated.callCount, 1, 'customs.checkAuthenticated was called once')
+        assert.equal(customs.checkAuthenticated.args[0][0], 'webauthnRegister', 'customs action was webauthnRegister')
+        assert.deepEqual(options.rp, { id: 'accounts.example.com', name: 'Firefox Accounts' })
+        assert.equal(options.user.name, TEST_EMAIL)
+        assert.deepEqual(options.excludeCredentials, [])
+        assert.equal(options.attestation, 'none')
+
+        assert.equal(db.createWebauthnChallenge.callCount, 1, 'db.createWebauthnChallenge was called once')
+        assert.equal(db.createWebauthnChallenge.args[0][0], tokenId, 'challenge was stored against the session')
+        assert.equal(db.createWebauthnChallenge.args[0][1].type, 'create', 'challenge type was create')
+
+        const payload = authenticator.create(options.challenge)
+        payload.name = 'My key'
+        return runTest(routes, '/webauthn/register/finish', makeRequest({ uid: uid, tokenId: tokenId, payload: payload }))
+      })
+      .then(response => {
+        assert.deepEqual(response, { id: authenticator.id() })
+        assert.equal(db.createWebauthnCredential.callCount, 1, 'db.createWebauthnCredential was called once')
+        const args = db.createWebauthnCredential.args[0]
+        assert.equal(args[0], uid, 'first argument was uid')
+        assert.equal(args[1].id, authenticator.id(), 'credential id was stored')
+        assert.deepEqual(args[1].publicKey, authenticator.publicKey(), 'public key was stored')
+        assert.equal(args[1].signCount, 0, 'counter was stored')
+        assert.equal(args[1].name, 'My key', 'name was stored')
+      })
+  })
+
+  it('fails for an unverified session', () => {
+    return runTest(routes, '/webauthn/register/start', makeRequest({ uid: uid, tokenId: tokenId, tokenVerified: false }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.UNVERIFIED_SESSION, 'correct errno')
+        assert.equal(db.createWebauthnChallenge.callCount, 0, 'db.createWebauthnChallenge was not called')
+      })
+  })
+
+  it('fails without a challenge', () => {
+    const payload = authenticator.create('dW5rbm93bg')
+    return runTest(routes, '/webauthn/register/finish', makeRequest({ uid: uid, tokenId: tokenId, payload: payload }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_WEBAUTHN_RESPONSE, 'correct errno')
+        assert.equal(db.createWebauthnCredential.callCount, 0, 'db.createWebauthnCredential was not called')
+      })
+  })
+
+  it('fails with an expired challenge', () => {
+    const clock = sinon.useFakeTimers(Date.now())
+    return runTest(routes, '/webauthn/register/start', makeRequest({ uid: uid, tokenId: tokenId }))
+      .then(options => {
+        clock.tick(60001)
+        const payload = authenticator.create(options.challenge)
+        return runTest(routes, '/webauthn/register/finish', makeRequest({ uid: uid, tokenId: tokenId, payload: payload }))
+      })
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_WEBAUTHN_RESPONSE, 'correct errno')
+        assert.equal(err.output.payload.reason, 'Expired challenge', 'correct reason')
+      })
+      .finally(() => clock.restore())
+  })
+
+  it('fails if the feature is disabled', () => {
+    routes = makeRoutes({ db: db, config: { webauthn: { enabled: false } } })
+    return runTest(routes, '/webauthn/register/start', makeRequest({ uid: uid, tokenId: tokenId }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'correct errno')
+      })
+  })
+})
+
+describe('webauthn credentials', () => {
+  const uid = uuid.v4('binary')
+
+  it('lists credentials', () => {
+    const db = mockDB({
+      uid: uid,
+      webauthnCredentials: [
+        { id: 'a2V5MQ', publicKey: Buffer(0), signCount: 3, name: 'Key 1', createdAt: 1000, lastUsedAt: 2000 },
+        { id: 'a2V5Mg', publicKey: Buffer(0), signCount: 0, name: '', createdAt: 3000 }
+      ]
+    })
+    return runTest(makeRoutes({ db: db }), '/webauthn/credentials', makeRequest({ uid: uid }))
+      .then(response => {
+        assert.deepEqual(response, [
+          { id: 'a2V5MQ', name: 'Key 1', createdAt: 1000, lastUsedAt: 2000 },
+          { id: 'a2V5Mg', name: '', createdAt: 3000, lastUsedAt: null }
+        ])
+      })
+  })
+
+  it('removes a credential', () => {
+    const db = mockDB({ uid: uid })
+    const request = makeRequest({ uid: uid, payload: { id: 'a2V5MQ' } })
+    return runTest(makeRoutes({ db: db }), '/webauthn/credential/destroy', request)
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(db.deleteWebauthnCredential.callCount, 1, 'db.deleteWebauthnCredential was called once')
+        assert.equal(db.deleteWebauthnCredential.args[0][0], uid, 'first argument was uid')
+        assert.equal(db.deleteWebauthnCredential.args[0][1], 'a2V5MQ', 'second argument was id')
+      })
+  })
+
+  it('fails to remove a credential if the feature is disabled', () => {
+    const db = mockDB({ uid: uid })
+    const request = makeRequest({ uid: uid, payload: { id: 'a2V5MQ' } })
+    return runTest(makeRoutes({ db: db, config: { webauthn: { enabled: false } } }), '/webauthn/credential/destroy', request)
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'correct errno')
+        assert.equal(db.deleteWebauthnCredential.callCount, 0, 'db.deleteWebauthnCredential was not called')
+      })
+  })
+})
+
+describe('webauthn sign-in', () => {
+  let uid, tokenId, tokenVerificationId, db, authenticator, routes, customs
+
+  beforeEach(() => {
+    uid = uuid.v4('binary')
+    tokenId = Buffer(uuid.v4('binary'))
+    tokenVerificationId = Buffer(uuid.v4('binary'))
+    authenticator = new SoftwareAuthenticator(CONFIG.webauthn)
+    db = mockDB({
+      uid: uid,
+      webauthnCredentials: [
+        {
+          id: authenticator.id(),
+          publicKey: authenticator.publicKey(),
+          signCount: 0,
+          name: '',
+          createdAt: Date.now()
+        }
+      ]
+    })
+    customs = mocks.mockCustoms()
+    routes = makeRoutes({ db: db, customs: customs })
+  })
+
+  function signIn (overrides) {
+    const request = makeRequest({
+      uid: uid,
+      tokenId: tokenId,
+      tokenVerified: false,
+      tokenVerificationId: tokenVerificationId
+    })
+    return runTest(routes, '/webauthn/authenticate/start', request)
+      .then(options => {
+        assert.equal(options.rpId, 'accounts.example.com')
+        assert.deepEqual(options.allowCredentials, [ { type: 'public-key', id: authenticator.id() } ])
+        request.payload = authenticator.get(options.challenge, overrides)
+        return runTest(routes, '/session/verify/webauthn', request)
+      })
+  }
+
+  it('verifies the session', () => {
+    return signIn()
+      .then(response => {
+        assert.deepEqual(response, {})
+        assert.equal(customs.check.callCount, 1, 'customs.check was called once')
+        assert.equal(customs.check.args[0][2], 'verifyWebauthn', 'customs action was verifyWebauthn')
+        assert.equal(db.updateWebauthnCredential.callCount, 1, 'db.updateWebauthnCredential was called once')
+        assert.equal(db.updateWebauthnCredential.args[0][1], authenticator.id(), 'second argument was id')
+        assert.equal(db.updateWebauthnCredential.args[0][2].signCount, 1, 'counter was updated')
+        assert.equal(db.verifyTokens.callCount, 1, 'db.verifyTokens was called once')
+        assert.equal(db.verifyTokens.args[0][0], tokenVerificationId, 'first argument was tokenVerificationId')
+      })
+  })
+
+  it('rejects a response from another origin', () => {
+    return signIn({ origin: 'https://evil.example.com' })
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_WEBAUTHN_RESPONSE, 'correct errno')
+        assert.equal(customs.flag.callCount, 1, 'customs.flag was called once')
+        assert.deepEqual(customs.flag.args[0][1], {
+          email: TEST_EMAIL,
+          errno: error.ERRNO.INVALID_WEBAUTHN_RESPONSE
+        }, 'customs.flag was passed email and errno')
+        assert.equal(db.verifyTokens.callCount, 0, 'db.verifyTokens was not called')
+      })
+  })
+
+  it('does not accept a challenge twice', () => {
+    let payload
+    const request = makeRequest({ uid: uid, tokenId: tokenId })
+    return runTest(routes, '/webauthn/authenticate/start', request)
+      .then(options => {
+        payload = authenticator.get(options.challenge)
+        request.payload = payload
+        return runTest(routes, '/session/verify/webauthn', request)
+      })
+      .then(() => runTest(routes, '/session/verify/webauthn', request))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.INVALID_WEBAUTHN_RESPONSE, 'correct errno')
+        assert.equal(err.output.payload.reason, 'Unknown challenge', 'correct reason')
+      })
+  })
+
+  it('fails without any credentials', () => {
+    db = mockDB({ uid: uid })
+    routes = makeRoutes({ db: db })
+    return runTest(routes, '/webauthn/authenticate/start', makeRequest({ uid: uid, tokenId: tokenId }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.WEBAUTHN_CREDENTIAL_NOT_FOUND, 'correct errno')
+      })
+  })
+
+  it('fails if the feature is disabled', () => {
+    routes = makeRoutes({ db: db, config: { webauthn: { enabled: false } } })
+    return runTest(routes, '/webauthn/authenticate/start', makeRequest({ uid: uid, tokenId: tokenId }))
+      .then(assert.fail, err => {
+        assert.equal(err.errno, error.ERRNO.FEATURE_NOT_ENABLED, 'correct errno')
+        assert.equal(db.createWebauthnChallenge.callCount, 0, 'db.createWebauthnChallenge was not called')
+      })
+  })
+})
+
+// Keeps challenges in memory, the way the db server would.
+function mockDB (data) {
+  const challenges = {}
+  const db = mocks.mockDB(data)
+  db.createWebauthnChallenge = sinon.spy((tokenId, challenge) => {
+    challenges[tokenId.toString('hex')] = {
+      uid: challenge.uid,
+      challenge: challenge.challenge,
+      type: challenge.type,
+      createdAt: Date.now()
+    }
+    return P.resolve()
+  })
+  db.consumeWebauthnChallenge = sinon.spy(tokenId => {
+    const challenge = challenges[tokenId.toString('hex')]
+    delete challenges[tokenId.toString('hex')]
+    if (! challenge) {
+      return P.reject(error.invalidWebauthnResponse('Unknown challenge'))
+    }
+    return P.resolve(challenge)
+  })
+  return db
+}
+
+function makeRequest (options) {
+  return mocks.mockRequest({
+    credentials: {
+      email: TEST_EMAIL,
+      emailVerified: true,
+      tokenId: options.tokenId,
+      tokenVerified: options.tokenVerified !== false,
+      tokenVerificationId: options.tokenVerificationId,
+      uid: options.uid
+    },
+    log: mocks.mockLog(),
+    payload: options.payload || {}
+  })
+}
+
+function makeRoutes (options) {
+  return require('../../lib/routes/webauthn')(
+    options.log || mocks.mockLog(),
+    isA,
+    error,
+    options.db,
+    options.config || CONFIG,
+    options.customs || mocks.mockCustoms()
+  )
+}
+
+function runTest (routes, path, request) {
+  return new P((resolve, reject) => {
+    getRoute(routes, path).handler(request, response => {
+      if (response instanceof Error) {
+        reject(response)
+      } else {
+        resolve(response)
+      }
+    })
+  })
+}
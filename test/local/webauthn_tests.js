@@ -0,0 +1,151 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict'
+
+const assert = require('insist')
+const cbor = require('../../lib/crypto/cbor')
+const error = require('../../lib/error')
+const SoftwareAuthenticator = require('../webauthn_helper')
+const webauthnModule = require('../../lib/crypto/webauthn')
+
+const RP_ID = 'accounts.example.com'
+const ORIGIN = 'https://accounts.example.com'
+const CHALLENGE = 'dGhpcyBpcyBhIHRlc3QgY2hhbGxlbmdlIHN0cmluZyE'
+
+describe('cbor', () => {
+  it('decodes the types used by webauthn', () => {
+    // {"a": 1, -7: h'0102', 3: [2, false, true, null], 1000: "hé"}
+    const value = cbor.decode(Buffer('a4616101264201020384' + '02f4f5f6' + '1903e8' + '6368c3a9', 'hex'))
+    assert.ok(value instanceof Map)
+    assert.equal(value.get('a'), 1)
+    assert.deepEqual(value.get(-7), Buffer('0102', 'hex'))
+    assert.deepEqual(value.get(3), [ 2, false, true, null ])
+    assert.equal(value.get(1000), 'hé')
+  })
+
+  it('reports the length of the first item', () => {
+    const result = cbor.decodeFirst(Buffer('1864ff', 'hex'))
+    assert.equal(result.value, 100)
+    assert.equal(result.length, 2)
+    assert.throws(() => cbor.decode(Buffer('1864ff', 'hex')))
+  })
+
+  it('rejects truncated and indefinite-length data', () => {
+    assert.throws(() => cbor.decode(Buffer('4401', 'hex')), /Unexpected end/)
+    assert.throws(() => cbor.decode(Buffer('9f01ff', 'hex')), /Unsupported CBOR length/)
+  })
+})
+
+describe('webauthn', () => {
+  const webauthn = webauthnModule({ rpId: RP_ID, origin: ORIGIN })
+  let authenticator
+
+  beforeEach(() => {
+    authenticator = new SoftwareAuthenticator({ rpId: RP_ID, origin: ORIGIN })
+  })
+
+  it('generates base64url challenges', () => {
+    return webauthn.generateChallenge()
+      .then(challenge => {
+        assert.ok(/^[A-Za-z0-9_-]{43}$/.test(challenge), 'challenge is 32 bytes of base64url')
+      })
+  })
+
+  it('converts COSE keys to PEM', () => {
+    const pem = webauthnModule.publicKeyToPem(authenticator.publicKey())
+    assert.ok(/^-----BEGIN PUBLIC KEY-----\n/.test(pem))
+    assert.throws(() => webauthnModule.publicKeyToPem(SoftwareAuthenticator.encodeCbor(new Map([
+      [ 1, 1 ],
+      [ 3, -8 ]
+    ]))), /Invalid WebAuthn response/)
+  })
+
+  describe('.verifyRegistration', () => {
+    it('returns the credential', () => {
+      const result = webauthn.verifyRegistration(authenticator.create(CHALLENGE), CHALLENGE)
+      assert.equal(result.credentialId, authenticator.id())
+      assert.deepEqual(result.publicKey, authenticator.publicKey())
+      assert.equal(result.signCount, 0)
+    })
+
+    it('rejects the wrong challenge', () => {
+      assertInvalid(() => webauthn.verifyRegistration(authenticator.create('nope'), CHALLENGE), 'Unexpected challenge')
+    })
+
+    it('rejects the wrong origin', () => {
+      const response = authenticator.create(CHALLENGE, { origin: 'https://evil.example.com' })
+      assertInvalid(() => webauthn.verifyRegistration(response, CHALLENGE), 'Unexpected origin')
+    })
+
+    it('rejects the wrong type', () => {
+      const response = authenticator.create(CHALLENGE, { type: 'webauthn.get' })
+      assertInvalid(() => webauthn.verifyRegistration(response, CHALLENGE), 'Unexpected client data type')
+    })
+
+    it('rejects the wrong relying party', () => {
+      const response = authenticator.create(CHALLENGE, { rpId: 'evil.example.com' })
+      assertInvalid(() => webauthn.verifyRegistration(response, CHALLENGE), 'Unexpected relying party')
+    })
+
+    it('requires user presence', () => {
+      const response = authenticator.create(CHALLENGE, { flags: 0x40 })
+      assertInvalid(() => webauthn.verifyRegistration(response, CHALLENGE), 'User not present')
+    })
+
+    it('rejects unsupported key types', () => {
+      const publicKey = SoftwareAuthenticator.encodeCbor(new Map([ [ 1, 1 ], [ 3, -8 ] ]))
+      const response = authenticator.create(CHALLENGE, { publicKey: publicKey })
+      assertInvalid(() => webauthn.verifyRegistration(response, CHALLENGE), 'Unsupported public key algorithm')
+    })
+  })
+
+  describe('.verifyAssertion', () => {
+    let credential
+
+    beforeEach(() => {
+      credential = {
+        publicKey: authenticator.publicKey(),
+        signCount: 0
+      }
+    })
+
+    it('returns the new counter', () => {
+      const result = webauthn.verifyAssertion(authenticator.get(CHALLENGE), credential, CHALLENGE)
+      assert.equal(result.signCount, 1)
+    })
+
+    it('rejects a bad signature', () => {
+      const response = authenticator.get(CHALLENGE)
+      response.signature = authenticator.get('other').signature
+      assertInvalid(() => webauthn.verifyAssertion(response, credential, CHALLENGE), 'Invalid signature')
+    })
+
+    it('rejects the wrong challenge', () => {
+      assertInvalid(() => webauthn.verifyAssertion(authenticator.get('nope'), credential, CHALLENGE), 'Unexpected challenge')
+    })
+
+    it('rejects a counter that did not increase', () => {
+      credential.signCount = 5
+      authenticator.signCount = 4
+      assertInvalid(() => webauthn.verifyAssertion(authenticator.get(CHALLENGE), credential, CHALLENGE), 'Signature counter did not increase')
+    })
+
+    it('accepts authenticators without a counter', () => {
+      const response = authenticator.get(CHALLENGE, { keepCounter: true })
+      assert.equal(webauthn.verifyAssertion(response, credential, CHALLENGE).signCount, 0)
+    })
+  })
+})
+
+function assertInvalid (fn, reason) {
+  try {
+    fn()
+  } catch (err) {
+    assert.equal(err.errno, error.ERRNO.INVALID_WEBAUTHN_RESPONSE, 'correct errno')
+    assert.equal(err.output.payload.reason, reason, 'correct reason')
+    return
+  }
+  assert.fail('should have thrown')
+}
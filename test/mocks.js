@@ -10,6 +10,7 @@ const sinon = require('sinon')
 const extend = require('util')._extend
 const P = require('../lib/promise')
 const crypto = require('crypto')
+const error = require('../lib/error')
 
 const CUSTOMS_METHOD_NAMES = [
   'check',
@@ -20,31 +21,81 @@ const CUSTOMS_METHOD_NAMES = [
 
 const DB_METHOD_NAMES = [
   'account',
+  'accountEmails',
+  'accountResetToken',
+  'appendDeviceCommand',
+  'claimPushMessages',
+  'consumeRecoveryCode',
   'consumeUnblockCode',
+  'consumeWebauthnChallenge',
   'createAccount',
   'createDevice',
+  'createDeviceApproval',
+  'createEmail',
   'createKeyFetchToken',
   'createPasswordForgotToken',
+  'createPushMessage',
+  'createRecoveryKey',
   'createSessionToken',
+  'createSigninCode',
+  'createTotpToken',
   'createUnblockCode',
+  'createWebauthnChallenge',
+  'createWebauthnCredential',
   'deleteAccount',
   'deleteDevice',
+  'deleteDeviceApproval',
+  'deleteDeviceCommands',
+  'deleteEmail',
   'deleteKeyFetchToken',
   'deletePasswordChangeToken',
+  'deletePushMessage',
+  'deleteRecoveryKey',
+  'deleteSessionToken',
+  'deleteSigninCode',
+  'deleteTotpToken',
   'deleteVerificationReminder',
+  'deleteWebauthnCredential',
+  'deviceApproval',
+  'deviceCommands',
   'devices',
   'emailRecord',
+  'expirePushEndpoint',
   'forgotPasswordVerified',
+  'getSecondaryEmail',
+  'incrementSigninCodeAttempts',
+  'keyFetchToken',
+  'keyFetchTokenWithVerificationStatus',
+  'passwordChangeToken',
+  'passwordForgotToken',
+  'recordPushFailure',
+  'recoveryCodes',
+  'recoveryKey',
+  'recoveryKeyExists',
+  'replaceRecoveryCodes',
   'resetAccount',
+  'resetPushFailures',
   'securityEvent',
   'securityEvents',
   'sessions',
+  'sessionToken',
   'sessionTokenWithVerificationStatus',
+  'sessionWithDevice',
+  'setPrimaryEmail',
+  'signinCode',
+  'totpToken',
+  'unreachablePushDevices',
   'updateDevice',
   'updateLocale',
+  'updatePushMessage',
   'updateSessionToken',
+  'updateSessionTokenAuthAt',
+  'updateTotpToken',
+  'updateWebauthnCredential',
   'verifyEmail',
-  'verifyTokens'
+  'verifySecondaryEmail',
+  'verifyTokens',
+  'webauthnCredentials'
 ]
 
 const LOG_METHOD_NAMES = [
@@ -64,10 +115,12 @@ const MAILER_METHOD_NAMES = [
   'sendNewDeviceLoginNotification',
   'sendPasswordChangedNotification',
   'sendPasswordResetNotification',
+  'sendPostChangePrimaryEmail',
   'sendPostVerifyEmail',
   'sendUnblockCode',
   'sendVerifyCode',
   'sendVerifyLoginEmail',
+  'sendVerifySecondaryEmail',
   'sendRecoveryCode'
 ]
 
@@ -79,13 +132,17 @@ const METRICS_CONTEXT_METHOD_NAMES = [
 ]
 
 const PUSH_METHOD_NAMES = [
+  'notifyAccountDestroyed',
+  'notifyCommandInvoked',
   'notifyDeviceConnected',
   'notifyDeviceDisconnected',
+  'notifyLoginRequest',
   'notifyPasswordChanged',
   'notifyPasswordReset',
   'notifyUpdate',
   'pushToAllDevices',
-  'pushToDevices'
+  'pushToDevices',
+  'vapidPublicKey'
 ]
 
 module.exports = {
@@ -115,6 +172,17 @@ function mockDB (data, errors) {
         wrapWrapKb: data.wrapWrapKb
       })
     }),
+    accountEmails: sinon.spy(() => {
+      return P.resolve(data.emails || [])
+    }),
+    consumeRecoveryCode: sinon.spy(() => {
+      if (errors.consumeRecoveryCode) {
+        return P.reject(errors.consumeRecoveryCode)
+      }
+      return P.resolve({
+        remaining: data.recoveryCodesRemaining || 0
+      })
+    }),
     createAccount: sinon.spy(() => {
       return P.resolve({
         uid: data.uid,
@@ -165,6 +233,12 @@ function mockDB (data, errors) {
         uid: data.uid
       })
     }),
+    deviceApproval: sinon.spy(() => {
+      if (! data.deviceApproval) {
+        return P.reject(error.invalidVerificationCode())
+      }
+      return P.resolve(data.deviceApproval)
+    }),
     devices: sinon.spy(() => {
       return P.resolve(data.devices || [])
     }),
@@ -189,12 +263,54 @@ function mockDB (data, errors) {
     forgotPasswordVerified: sinon.spy(() => {
       return P.resolve(data.accountResetToken)
     }),
+    getSecondaryEmail: sinon.spy(() => {
+      if (! data.secondaryEmail) {
+        return P.reject(error.unknownSecondaryEmail())
+      }
+      return P.resolve(data.secondaryEmail)
+    }),
+    recoveryCodes: sinon.spy(() => {
+      return P.resolve({
+        remaining: data.recoveryCodesRemaining || 0
+      })
+    }),
+    recoveryKey: sinon.spy(() => {
+      if (! data.recoveryData) {
+        return P.reject(error.recoveryKeyNotFound())
+      }
+      return P.resolve({
+        recoveryData: data.recoveryData
+      })
+    }),
+    recoveryKeyExists: sinon.spy(() => {
+      return P.resolve({
+        exists: !! data.recoveryData
+      })
+    }),
     securityEvents: sinon.spy(() => {
       return P.resolve([])
     }),
     sessions: sinon.spy(() => {
       return P.resolve(data.sessions || [])
     }),
+    sessionToken: sinon.spy(() => {
+      if (! data.sessionToken) {
+        return P.reject(error.invalidToken('The authentication token could not be found'))
+      }
+      return P.resolve(data.sessionToken)
+    }),
+    signinCode: sinon.spy(() => {
+      if (! data.signinCode) {
+        return P.reject(error.invalidSigninCode())
+      }
+      return P.resolve(data.signinCode)
+    }),
+    totpToken: sinon.spy(() => {
+      if (! data.totpToken) {
+        return P.reject(error.totpTokenNotFound())
+      }
+      return P.resolve(data.totpToken)
+    }),
     updateDevice: sinon.spy((uid, sessionTokenId, device) => {
       return P.resolve(device)
     }),
@@ -208,6 +324,9 @@ function mockDB (data, errors) {
         return P.reject(errors.verifyTokens)
       }
       return P.resolve()
+    }),
+    webauthnCredentials: sinon.spy(() => {
+      return P.resolve(data.webauthnCredentials || [])
     })
   })
 }
@@ -232,6 +351,7 @@ function mockDevices (data) {
         type: data.deviceType || 'desktop'
       })
     }),
+    destroy: sinon.spy(() => P.resolve()),
     synthesizeName: sinon.spy(() => {
       return data.deviceName || null
     })
@@ -289,6 +409,7 @@ function mockRequest (data) {
     headers: data.headers || {
       'user-agent': 'test user-agent'
     },
+    params: data.params,
     payload: data.payload,
     query: data.query,
     setMetricsFlowCompleteSignal: metricsContext.setFlowCompleteSignal,
@@ -5,16 +5,18 @@
 'use strict'
 
 const assert = require('insist')
+const fs = require('fs')
 var TestServer = require('../test_server')
 const Client = require('../client')()
 var JWTool = require('fxa-jwtool')
 
 var config = require('../../config').getProperties()
+var publicKey = JSON.parse(fs.readFileSync(config.publicKeyFile, 'utf8'))
 var secretKey = JWTool.JWK.fromFile(
   config.secretKeyFile,
   {
     jku: config.publicUrl + '/.well-known/public-keys',
-    kid: 'dev-1'
+    kid: publicKey.kid
   }
 )
 
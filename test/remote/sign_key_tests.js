@@ -35,6 +35,24 @@ describe('remote sign key', function() {
     }
   )
 
+  it(
+    '.well-known/jwks.json has keys',
+    () => {
+      return request('http://127.0.0.1:9000/.well-known/jwks.json')
+        .spread((res, body) => {
+          assert.equal(res.statusCode, 200)
+          var json = JSON.parse(body)
+          assert.equal(json.keys.length, 2)
+          json.keys.forEach(key => {
+            assert.equal(key.kty, 'RSA')
+            assert.equal(key.alg, 'RS256')
+            assert.ok(key.kid, 'key has a kid')
+            assert.equal(key.d, undefined, 'private parts are not published')
+          })
+        })
+    }
+  )
+
   after(() => {
     delete process.env.OLD_PUBLIC_KEY_FILE
     return TestServer.stop(server)